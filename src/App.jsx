@@ -1,5 +1,5 @@
 import React from 'react';
-import KNIMEViewer from './KnimeViewer';
+import KNIMEViewer from './KNIMEViewer';
 
 const App = () => {
   return (
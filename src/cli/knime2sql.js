@@ -0,0 +1,206 @@
+// src/cli/knime2sql.js
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+  loadWorkflow,
+  analyzeWorkflow,
+  toSQL,
+  getDialect,
+  DIALECTS,
+  DEFAULT_DIALECT,
+} from "../index";
+
+const USAGE = `Usage: knime2sql convert <workflow.knwf> [options]
+
+Options:
+  --out <file>          Write the combined workflow SQL to <file> (default: stdout)
+  --out-dir <dir>       Write one .sql file per node into <dir>
+  --dialect <name>      Target SQL dialect: ${Object.keys(DIALECTS).join(", ")}
+                        (default: ${DEFAULT_DIALECT})
+  --allow-unsupported   Exit with 0 even if some nodes cannot be converted
+  -h, --help            Show this help
+`;
+
+// Exit codes: 0 = success, 1 = unsupported or failed nodes found, 2 = usage or processing error
+const EXIT_OK = 0;
+const EXIT_UNSUPPORTED = 1;
+const EXIT_ERROR = 2;
+
+/**
+ * Parses the command line arguments (without node and script path).
+ * @param {string[]} argv - Raw arguments.
+ * @returns {object} - { command, input, out, outDir, dialect, allowUnsupported, help }
+ * @throws {Error} - On unknown options or dialects and missing option values.
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    input: null,
+    out: null,
+    outDir: null,
+    dialect: DEFAULT_DIALECT,
+    allowUnsupported: false,
+    help: false,
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--out":
+      case "--out-dir": {
+        const value = argv[++i];
+        if (!value) throw new Error(`Missing value for ${arg}.`);
+        options[arg === "--out" ? "out" : "outDir"] = value;
+        break;
+      }
+      case "--dialect": {
+        const value = argv[++i];
+        if (!value) throw new Error(`Missing value for ${arg}.`);
+        getDialect(value); // Fail early on unknown dialect names
+        options.dialect = value;
+        break;
+      }
+      case "--allow-unsupported":
+        options.allowUnsupported = true;
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+        positional.push(arg);
+    }
+  }
+
+  [options.command, options.input] = positional;
+  return options;
+}
+
+/**
+ * Builds a file name for a node's SQL file, e.g. "03_node_5_Row_Filter.sql".
+ * @param {object} node - A processed node.
+ * @returns {string} - The file name.
+ */
+const nodeFileName = (node) => {
+  const step = String((node.order ?? 0) + 1).padStart(2, "0");
+  const safeName = (node.nodeName || "node").replace(/[^A-Za-z0-9_-]+/g, "_");
+  const safeId = String(node.id).replace(/:/g, "_"); // Nested IDs look like "9:3"
+  return `${step}_node_${safeId}_${safeName}.sql`;
+};
+
+/**
+ * Builds the contents of a node's SQL file: the SQL preceded by its warnings, or the
+ * errors if the node could not be converted.
+ * @param {object} node - A processed node.
+ * @param {object} nodeResult - The node's entry in the toSQL result.
+ * @returns {string} - The file contents.
+ */
+const nodeFileContents = (node, nodeResult) =>
+  [
+    `-- Node ${node.id}: ${node.nodeName}`,
+    ...(nodeResult.approximate
+      ? ["-- APPROXIMATE: the result may differ from KNIME's output."]
+      : []),
+    ...nodeResult.warnings.map((warning) => `-- Warning: ${warning}`),
+    ...nodeResult.errors.map((error) => `-- Error: ${error}`),
+    ...(nodeResult.sql ? [nodeResult.sql] : []),
+  ].join("\n") + "\n";
+
+/**
+ * Runs the converter for the given arguments.
+ * @param {string[]} argv - Command line arguments (without node and script path).
+ * @returns {Promise<number>} - The process exit code.
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (options.command !== "convert" || !options.input) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  try {
+    const workflow = await loadWorkflow(fs.readFileSync(options.input));
+    const analysis = analyzeWorkflow(workflow);
+    if (analysis.nodes.length === 0) {
+      console.error(`No nodes found in ${options.input}.`);
+      return EXIT_ERROR;
+    }
+
+    const result = toSQL(analysis, {
+      combined: Boolean(options.out || !options.outDir),
+      dialect: options.dialect,
+    });
+
+    if (options.outDir) {
+      fs.mkdirSync(options.outDir, { recursive: true });
+      analysis.nodes.forEach((node, index) => {
+        fs.writeFileSync(
+          path.join(options.outDir, nodeFileName(node)),
+          nodeFileContents(node, result.nodes[index])
+        );
+      });
+    }
+
+    if (options.out) {
+      fs.writeFileSync(options.out, `${result.combined}\n`);
+    } else if (!options.outDir) {
+      console.log(result.combined);
+    }
+
+    analysis.warnings.forEach((warning) =>
+      console.error(`Warning: ${warning}`)
+    );
+    const label = (node) => `Node ${node.id} "${node.nodeName}"`;
+    result.nodes.forEach((node) => {
+      node.warnings.forEach((warning) =>
+        console.error(`Warning: ${label(node)}: ${warning}`)
+      );
+      if (node.approximate && node.sql) {
+        console.error(
+          `Approximate: ${label(
+            node
+          )}: the SQL may give different results than KNIME.`
+        );
+      }
+    });
+
+    const failedNodes = result.nodes.filter((node) => !node.sql);
+    if (failedNodes.length > 0) {
+      console.error(
+        `${failedNodes.length} node(s) could not be converted to SQL:`
+      );
+      failedNodes.forEach((node) =>
+        console.error(
+          node.supported
+            ? `  - ${label(node)}: ${node.errors.join(" ")}`
+            : `  - ${label(node)} (${
+                node.nodeType || "unknown factory"
+              }) is not supported`
+        )
+      );
+      return options.allowUnsupported ? EXIT_OK : EXIT_UNSUPPORTED;
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`Failed to convert ${options.input}: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
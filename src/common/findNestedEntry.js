@@ -0,0 +1,33 @@
+/**
+ * Lists the child configs of a config (compact JSON), e.g. the values of an array config.
+ * @param {object} config - The parent config.
+ * @returns {Array<object>} - The child configs.
+ */
+export const getChildConfigs = (config) =>
+  !config?.config
+    ? []
+    : Array.isArray(config.config)
+    ? config.config
+    : [config.config];
+
+/**
+ * Finds an entry by key in a config or any of its nested configs.
+ * @param {object} config - The config to search.
+ * @param {string} key - The entry key.
+ * @returns {object|null} - The entry, or null if not found.
+ */
+export const findNestedEntry = (config, key) => {
+  if (!config) return null;
+  const entries = Array.isArray(config.entry)
+    ? config.entry
+    : config.entry
+    ? [config.entry]
+    : [];
+  const entry = entries.find((e) => e._attributes?.key === key);
+  if (entry) return entry;
+  for (const child of getChildConfigs(config)) {
+    const nested = findNestedEntry(child, key);
+    if (nested) return nested;
+  }
+  return null;
+};
@@ -0,0 +1,27 @@
+import { findConfigByKey } from "./findConfigByKey";
+import { getArrayValuesFromConfig } from "./getArrayValuesFromConfig";
+import { getEntryValue } from "./getEntryValue";
+
+/**
+ * Lists the columns selected by a column filter config: the included_names of the
+ * classic filter, or for the newer filter the manually selected columns (mode MANUAL)
+ * or else the columns it selected when the workflow was saved.
+ * @param {object} filterConfig - The column filter config.
+ * @returns {string[]} - The selected column names.
+ */
+export const getSelectedColumns = (filterConfig) => {
+  if (!filterConfig) return [];
+  const includedNames = findConfigByKey(filterConfig.config, "included_names");
+  if (includedNames) return getArrayValuesFromConfig(includedNames);
+  const mode = getEntryValue(filterConfig.entry, "mode");
+  const manuallySelected = findConfigByKey(
+    findConfigByKey(filterConfig.config, "manualFilter")?.config,
+    "manuallySelected"
+  );
+  if ((!mode || mode === "MANUAL") && manuallySelected) {
+    return getArrayValuesFromConfig(manuallySelected);
+  }
+  return getArrayValuesFromConfig(
+    findConfigByKey(filterConfig.config, "selected")
+  );
+};
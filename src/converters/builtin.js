@@ -0,0 +1,626 @@
+// src/converters/builtin.js
+
+import { findInputByPort } from "../functions/findInputNodes";
+import { getCteName } from "../functions/getCteName";
+import { convertStringManipulationNodeToSQL } from "../functions/convertStringManipulationNodeToSQL";
+import { convertCSVReaderNodeToSQL } from "../functions/convertCSVReaderNodeToSQL";
+import { convertColumnFilterNodeToSQL } from "../functions/convertColumnFilterNodeToSQL";
+import { convertRowFilterNodeToSQL } from "../functions/convertRowFilterNodeToSQL";
+import { convertLegacyRowFilterNodeToSQL } from "../functions/convertLegacyRowFilterNodeToSQL";
+import { convertRuleBasedRowFilterNodeToSQL } from "../functions/convertRuleBasedRowFilterNodeToSQL";
+import { convertDuplicateRowFilterJSONToSQL } from "../functions/convertDuplicateRowFilterNodeToSQL";
+import { convertJoinerNodeToSQL } from "../functions/convertJoinerJSONToSQL";
+import { convertExcelReaderNodeToSQL } from "../functions/convertExcelReaderNodeToSQL";
+import { convertColumnMergerNodeToSQL } from "../functions/convertColumnMergerNodeToSQL";
+import { convertStringToNumberNodeToSQL } from "../functions/convertStringToNumberNodeToSQL";
+import { convertExpressionNodeToSQL } from "../functions/convertExpressionNodeToSQL";
+import { convertRuleEngineNodeToSQL } from "../functions/convertRuleEngineNodeToSQL";
+import { convertColumnRenamerNodeToSQL } from "../functions/convertColumnRenamerNodeToSQL";
+import { convertConcatenateNodeToSQL } from "../functions/convertConcatenateNodeToSQL";
+import {
+  STRING_MANIPULATION_MULTI_COLUMN_FACTORY,
+  convertStringManipulationMultiColumnNodeToSQL,
+} from "../functions/convertStringManipulationMultiColumnNodeToSQL";
+import {
+  GROUP_BY_FACTORY,
+  convertGroupByNodeToSQL,
+} from "../functions/convertGroupByNodeToSQL";
+import {
+  PIVOT_FACTORY,
+  convertPivotNodeToSQL,
+} from "../functions/convertPivotNodeToSQL";
+import {
+  UNPIVOT_FACTORY,
+  convertUnpivotNodeToSQL,
+} from "../functions/convertUnpivotNodeToSQL";
+import {
+  SORTER_FACTORY,
+  convertSorterNodeToSQL,
+} from "../functions/convertSorterNodeToSQL";
+import {
+  COLUMN_RESORTER_FACTORY,
+  convertColumnResorterNodeToSQL,
+} from "../functions/convertColumnResorterNodeToSQL";
+import {
+  MISSING_VALUE_FACTORY,
+  convertMissingValueNodeToSQL,
+} from "../functions/convertMissingValueNodeToSQL";
+import {
+  CELL_SPLITTER_FACTORY,
+  convertCellSplitterNodeToSQL,
+} from "../functions/convertCellSplitterNodeToSQL";
+import {
+  REGEX_SPLIT_FACTORY,
+  convertRegexSplitNodeToSQL,
+} from "../functions/convertRegexSplitNodeToSQL";
+import {
+  STRING_TO_DATE_TIME_FACTORY,
+  convertStringToDateTimeNodeToSQL,
+} from "../functions/convertStringToDateTimeNodeToSQL";
+import {
+  DATE_TIME_TO_STRING_FACTORY,
+  convertDateTimeToStringNodeToSQL,
+} from "../functions/convertDateTimeToStringNodeToSQL";
+import {
+  EXTRACT_DATE_TIME_FIELDS_FACTORY,
+  convertExtractDateTimeFieldsNodeToSQL,
+} from "../functions/convertExtractDateTimeFieldsNodeToSQL";
+import {
+  DATE_TIME_SHIFT_FACTORY,
+  convertDateTimeShiftNodeToSQL,
+} from "../functions/convertDateTimeShiftNodeToSQL";
+import {
+  DATE_TIME_DIFFERENCE_FACTORY,
+  convertDateTimeDifferenceNodeToSQL,
+} from "../functions/convertDateTimeDifferenceNodeToSQL";
+import {
+  LAG_COLUMN_FACTORIES,
+  convertLagColumnNodeToSQL,
+} from "../functions/convertLagColumnNodeToSQL";
+import {
+  MOVING_AGGREGATION_FACTORY,
+  convertMovingAggregationNodeToSQL,
+} from "../functions/convertMovingAggregationNodeToSQL";
+import {
+  RANK_FACTORY,
+  convertRankNodeToSQL,
+} from "../functions/convertRankNodeToSQL";
+import {
+  REFERENCE_ROW_FILTER_FACTORY,
+  convertReferenceRowFilterNodeToSQL,
+} from "../functions/convertReferenceRowFilterNodeToSQL";
+import {
+  CROSS_JOINER_FACTORY,
+  convertCrossJoinerNodeToSQL,
+} from "../functions/convertCrossJoinerNodeToSQL";
+import {
+  MATH_FORMULA_FACTORY,
+  convertMathFormulaNodeToSQL,
+} from "../functions/convertMathFormulaNodeToSQL";
+import {
+  MATH_FORMULA_MULTI_COLUMN_FACTORY,
+  convertMathFormulaMultiColumnNodeToSQL,
+} from "../functions/convertMathFormulaMultiColumnNodeToSQL";
+import {
+  getReaderColumns,
+  getColumnFilterColumns,
+  getColumnMergerColumns,
+  getStringToNumberColumns,
+  getRuleEngineColumns,
+  getStringManipulationColumns,
+  getStringManipulationMultiColumnColumns,
+  getMathFormulaColumns,
+  getMathFormulaMultiColumnColumns,
+  getGroupByColumns,
+  getPivotColumns,
+  getUnpivotColumns,
+  getColumnResorterColumns,
+  getCellSplitterColumns,
+  getRegexSplitColumns,
+  getStringToDateTimeColumns,
+  getDateTimeToStringColumns,
+  getExtractDateTimeFieldsColumns,
+  getDateTimeShiftColumns,
+  getDateTimeDifferenceColumns,
+  getLagColumnColumns,
+  getMovingAggregationColumns,
+  getRankColumns,
+  getReferenceRowFilterInputColumns,
+  getCrossJoinerInputColumns,
+} from "./columns";
+
+/**
+ * The primary input table name (the CTE of the first input).
+ * @param {object} context - The converter context (see registerConverter).
+ * @returns {string} - The table name.
+ */
+const firstInputName = ({ inputNames }) =>
+  inputNames.length > 0 ? inputNames[0] : "input_table";
+
+/**
+ * Finds the input of a two-table node (Joiner, Reference Row Filter, Cross Joiner) on
+ * an input port. Without a connection on the port, the n-th input name is used.
+ * @param {object} context - The converter context (see registerConverter).
+ * @param {number} port - The input port (1 = top table, 2 = bottom table).
+ * @param {string} defaultName - The table name if there is no n-th input either.
+ * @returns {{name: string, columns: string[]}} - The table name and its columns, if
+ * known.
+ */
+const getPortInput = (
+  { nodeId, inputNames, processedNodes },
+  port,
+  defaultName
+) => {
+  const input = findInputByPort(nodeId, port, processedNodes);
+  if (input) {
+    return { name: getCteName(input.node.id), columns: input.node.nodes || [] };
+  }
+  return {
+    name: inputNames.length >= port ? inputNames[port - 1] : defaultName,
+    columns: [],
+  };
+};
+
+/**
+ * The converters of the node types supported out of the box, in the format of
+ * registerConverter.
+ */
+export const BUILTIN_CONVERTERS = [
+  {
+    name: "CSV Reader",
+    factories: [
+      "org.knime.base.node.io.filehandling.csv.reader.CSVTableReaderNodeFactory",
+    ],
+    toSQL: ({ config, dialect }) => convertCSVReaderNodeToSQL(config, dialect),
+    getColumns: getReaderColumns,
+  },
+  {
+    name: "Excel Reader",
+    factories: [
+      "org.knime.ext.poi3.node.io.filehandling.excel.reader.ExcelTableReaderNodeFactory",
+    ],
+    toSQL: ({ config, dialect }) =>
+      convertExcelReaderNodeToSQL(config, dialect),
+    getColumns: getReaderColumns,
+  },
+  {
+    name: "Column Filter",
+    factories: [
+      "org.knime.base.node.preproc.filter.column.DataColumnSpecFilterNodeFactory",
+    ],
+    toSQL: (context) =>
+      convertColumnFilterNodeToSQL(
+        context.config,
+        firstInputName(context),
+        context.dialect
+      ),
+    getColumns: getColumnFilterColumns,
+  },
+  {
+    name: "Row Filter",
+    factories: ["org.knime.base.node.preproc.filter.row3.RowFilterNodeFactory"],
+    toSQL: ({ config, nodeId, processedNodes, dialect }) =>
+      convertRowFilterNodeToSQL(config, nodeId, processedNodes, dialect),
+  },
+  {
+    name: "Row Filter (legacy)",
+    factories: ["org.knime.base.node.preproc.filter.row.RowFilterNodeFactory"],
+    toSQL: ({ config, nodeId, processedNodes, dialect }) =>
+      convertLegacyRowFilterNodeToSQL(config, nodeId, processedNodes, dialect),
+  },
+  {
+    name: "Rule-based Row Filter",
+    factories: ["org.knime.base.node.rules.engine.RuleEngineFilterNodeFactory"],
+    toSQL: ({ config, nodeId, processedNodes, dialect }) =>
+      convertRuleBasedRowFilterNodeToSQL(
+        config,
+        nodeId,
+        processedNodes,
+        dialect
+      ),
+  },
+  {
+    name: "Duplicate Row Filter",
+    factories: [
+      "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory",
+    ],
+    // The input columns are not derived yet; the converter gets an empty list
+    toSQL: (context) =>
+      convertDuplicateRowFilterJSONToSQL(
+        context.config,
+        firstInputName(context),
+        [],
+        context.dialect
+      ),
+  },
+  {
+    name: "Joiner",
+    factories: [
+      "org.knime.base.node.preproc.joiner.JoinerNodeFactory",
+      "org.knime.base.node.preproc.joiner3.Joiner3NodeFactory",
+    ],
+    // Port 1 is the left (top) table, port 2 the right (bottom) table
+    toSQL: (context) =>
+      convertJoinerNodeToSQL(
+        context.config,
+        getPortInput(context, 1, "left_input").name,
+        getPortInput(context, 2, "right_input").name,
+        context.dialect
+      ),
+  },
+  {
+    name: "Reference Row Filter",
+    factories: [REFERENCE_ROW_FILTER_FACTORY],
+    // Port 1 is the data table, port 2 the reference table
+    toSQL: (context) => {
+      const dataInput = getPortInput(context, 1, "data_input");
+      return convertReferenceRowFilterNodeToSQL(
+        context.config,
+        dataInput.name,
+        getPortInput(context, 2, "reference_input").name,
+        dataInput.columns,
+        context.dialect
+      );
+    },
+    getInputColumns: getReferenceRowFilterInputColumns,
+  },
+  {
+    name: "Cross Joiner",
+    factories: [CROSS_JOINER_FACTORY],
+    toSQL: (context) => {
+      const leftInput = getPortInput(context, 1, "left_input");
+      const rightInput = getPortInput(context, 2, "right_input");
+      return convertCrossJoinerNodeToSQL(
+        context.config,
+        leftInput.name,
+        rightInput.name,
+        leftInput.columns,
+        rightInput.columns,
+        context.dialect
+      );
+    },
+    getInputColumns: getCrossJoinerInputColumns,
+  },
+  {
+    name: "Column Merger",
+    factories: [
+      "org.knime.base.node.preproc.columnmerge.ColumnMergerNodeFactory",
+    ],
+    // The input columns are not derived yet; the converter gets an empty list
+    toSQL: (context) =>
+      convertColumnMergerNodeToSQL(
+        context.config,
+        firstInputName(context),
+        [],
+        context.dialect
+      ),
+    getColumns: getColumnMergerColumns,
+  },
+  {
+    name: "String to Number",
+    factories: [
+      "org.knime.base.node.preproc.colconvert.stringtonumber2.StringToNumber2NodeFactory",
+    ],
+    toSQL: (context) =>
+      convertStringToNumberNodeToSQL(
+        { ...context.config, id: context.config.id ?? context.nodeId }, // The converter reads the node ID from the config
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getStringToNumberColumns,
+  },
+  {
+    name: "String Manipulation",
+    factories: [
+      "org.knime.base.node.preproc.stringmanipulation.StringManipulationNodeFactory",
+    ],
+    toSQL: (context) =>
+      convertStringManipulationNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getStringManipulationColumns,
+  },
+  {
+    name: "String Manipulation (Multi Column)",
+    factories: [STRING_MANIPULATION_MULTI_COLUMN_FACTORY],
+    toSQL: (context) =>
+      convertStringManipulationMultiColumnNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getStringManipulationMultiColumnColumns,
+  },
+  {
+    name: "Math Formula",
+    factories: [MATH_FORMULA_FACTORY],
+    toSQL: (context) =>
+      convertMathFormulaNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect,
+        context.node?.flowVariables
+      ),
+    getColumns: getMathFormulaColumns,
+  },
+  {
+    name: "Math Formula (Multi Column)",
+    factories: [MATH_FORMULA_MULTI_COLUMN_FACTORY],
+    toSQL: (context) =>
+      convertMathFormulaMultiColumnNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect,
+        context.node?.flowVariables
+      ),
+    getColumns: getMathFormulaMultiColumnColumns,
+  },
+  {
+    name: "Expression",
+    factories: [
+      "org.knime.base.expressions.node.row.mapper.ExpressionRowMapperNodeFactory",
+    ],
+    toSQL: (context) =>
+      convertExpressionNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+  },
+  {
+    name: "Rule Engine",
+    factories: ["org.knime.base.node.rules.engine.RuleEngineNodeFactory"],
+    toSQL: (context) =>
+      convertRuleEngineNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getRuleEngineColumns,
+  },
+  {
+    name: "Column Renamer",
+    factories: [
+      "org.knime.base.node.preproc.column.renamer.ColumnRenamerNodeFactory",
+    ],
+    toSQL: (context) =>
+      convertColumnRenamerNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+  },
+  {
+    name: "Concatenate",
+    factories: [
+      "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory",
+    ],
+    toSQL: ({ config, nodeId, processedNodes, dialect }) =>
+      convertConcatenateNodeToSQL(config, nodeId, processedNodes, dialect),
+  },
+  {
+    name: "GroupBy",
+    factories: [GROUP_BY_FACTORY],
+    toSQL: (context) =>
+      convertGroupByNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getGroupByColumns,
+  },
+  {
+    name: "Pivoting",
+    factories: [PIVOT_FACTORY],
+    toSQL: (context) =>
+      convertPivotNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect,
+        context.node?.portSpecs
+      ),
+    getColumns: getPivotColumns,
+  },
+  {
+    name: "Unpivoting",
+    factories: [UNPIVOT_FACTORY],
+    toSQL: (context) =>
+      convertUnpivotNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getUnpivotColumns,
+  },
+  {
+    name: "Sorter",
+    factories: [SORTER_FACTORY],
+    toSQL: (context) =>
+      convertSorterNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+  },
+  {
+    name: "Column Resorter",
+    factories: [COLUMN_RESORTER_FACTORY],
+    toSQL: (context) =>
+      convertColumnResorterNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getColumnResorterColumns,
+  },
+  {
+    name: "Missing Value",
+    factories: [MISSING_VALUE_FACTORY],
+    toSQL: (context) =>
+      convertMissingValueNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+  },
+  {
+    name: "Cell Splitter",
+    factories: [CELL_SPLITTER_FACTORY],
+    toSQL: (context) =>
+      convertCellSplitterNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect,
+        context.node?.portSpecs
+      ),
+    getColumns: getCellSplitterColumns,
+  },
+  {
+    name: "Regex Split",
+    factories: [REGEX_SPLIT_FACTORY],
+    toSQL: (context) =>
+      convertRegexSplitNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getRegexSplitColumns,
+  },
+  {
+    name: "String to Date&Time",
+    factories: [STRING_TO_DATE_TIME_FACTORY],
+    toSQL: (context) =>
+      convertStringToDateTimeNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getStringToDateTimeColumns,
+  },
+  {
+    name: "Date&Time to String",
+    factories: [DATE_TIME_TO_STRING_FACTORY],
+    toSQL: (context) =>
+      convertDateTimeToStringNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getDateTimeToStringColumns,
+  },
+  {
+    name: "Extract Date&Time Fields",
+    factories: [EXTRACT_DATE_TIME_FIELDS_FACTORY],
+    toSQL: (context) =>
+      convertExtractDateTimeFieldsNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getExtractDateTimeFieldsColumns,
+  },
+  {
+    name: "Date&Time Shift",
+    factories: [DATE_TIME_SHIFT_FACTORY],
+    toSQL: (context) =>
+      convertDateTimeShiftNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getDateTimeShiftColumns,
+  },
+  {
+    name: "Date&Time Difference",
+    factories: [DATE_TIME_DIFFERENCE_FACTORY],
+    toSQL: (context) =>
+      convertDateTimeDifferenceNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getDateTimeDifferenceColumns,
+  },
+  {
+    name: "Lag Column",
+    factories: LAG_COLUMN_FACTORIES,
+    toSQL: (context) =>
+      convertLagColumnNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getLagColumnColumns,
+  },
+  {
+    name: "Moving Aggregation",
+    factories: [MOVING_AGGREGATION_FACTORY],
+    toSQL: (context) =>
+      convertMovingAggregationNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getMovingAggregationColumns,
+  },
+  {
+    name: "Rank",
+    factories: [RANK_FACTORY],
+    toSQL: (context) =>
+      convertRankNodeToSQL(
+        context.config,
+        context.nodeId,
+        firstInputName(context),
+        context.processedNodes,
+        context.dialect
+      ),
+    getColumns: getRankColumns,
+  },
+];
@@ -0,0 +1,809 @@
+// src/converters/columns.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import {
+  KNIME_TYPES,
+  getCommonType,
+  getNodeSchema,
+} from "../functions/columnSchema";
+import { getStringManipulationMultiColumnSettings } from "../functions/convertStringManipulationMultiColumnNodeToSQL";
+import { getMathFormulaSettings } from "../functions/convertMathFormulaNodeToSQL";
+import { getMathFormulaMultiColumnSettings } from "../functions/convertMathFormulaMultiColumnNodeToSQL";
+import {
+  getAggregationColumnName,
+  getGroupBySettings,
+} from "../functions/convertGroupByNodeToSQL";
+import { getAggregationType } from "../functions/groupByAggregations";
+import { getColumnResorterOrder } from "../functions/convertColumnResorterNodeToSQL";
+import {
+  LIST_TYPE,
+  getCellSplitterSettings,
+  getSplitColumnName,
+  getSplitListColumnName,
+} from "../functions/convertCellSplitterNodeToSQL";
+import {
+  getRegexSplitColumnCount,
+  getRegexSplitColumnName,
+} from "../functions/convertRegexSplitNodeToSQL";
+import { getStringToDateTimeSettings } from "../functions/convertStringToDateTimeNodeToSQL";
+import { getDateTimeToStringSettings } from "../functions/convertDateTimeToStringNodeToSQL";
+import {
+  getDateTimeFieldType,
+  getExtractDateTimeFieldsSettings,
+} from "../functions/convertExtractDateTimeFieldsNodeToSQL";
+import { getDateTimeShiftSettings } from "../functions/convertDateTimeShiftNodeToSQL";
+import { getDateTimeDifferenceSettings } from "../functions/convertDateTimeDifferenceNodeToSQL";
+import {
+  getLagColumnNames,
+  getLagColumnSettings,
+} from "../functions/convertLagColumnNodeToSQL";
+import { getMovingAggregationSettings } from "../functions/convertMovingAggregationNodeToSQL";
+import { getRankSettings } from "../functions/convertRankNodeToSQL";
+import {
+  getCrossJoinerRightColumnNames,
+  getCrossJoinerSettings,
+} from "../functions/convertCrossJoinerNodeToSQL";
+import {
+  UNPIVOT_COLUMNS,
+  getUnpivotSettings,
+} from "../functions/convertUnpivotNodeToSQL";
+import { ExpressionSyntaxError } from "../functions/parseKnimeExpression";
+import { translateStringManipulation } from "../functions/parseStringManipulation";
+import {
+  RuleSyntaxError,
+  getRuleValueType,
+  isRuleComment,
+  parseRule,
+} from "../functions/parseKnimeRule";
+
+// Column propagation of the built-in node types (see getColumnNodes for the result
+// format; settings that cannot be read are reported in its warnings). Each function
+// gets the node's settings.xml as compact JSON and the input column names, if known;
+// the *InputColumns functions get the processed inputs by port instead (see
+// registerConverter).
+
+/**
+ * Columns read by the CSV and Excel readers, with the types of their table spec.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object|null} - The column changes, or null if the model is not found.
+ */
+export function getReaderColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  const columnTypes = {};
+  if (!modelNode) return null;
+  // Logic to extract columns from table_spec_config_Internals
+  let extractedColumns = [];
+  // --- Start of Extraction Logic (Adapt from your original function) ---
+  let fileName = "";
+  const settingsNode = findConfigByKey(modelNode.config, "settings");
+  if (settingsNode && settingsNode.config) {
+    const fileSelectionNode = findConfigByKey(
+      settingsNode.config,
+      "file_selection"
+    );
+    if (fileSelectionNode && fileSelectionNode.config) {
+      const pathNode = findConfigByKey(fileSelectionNode.config, "path");
+      if (pathNode) fileName = getEntryValue(pathNode.entry, "path");
+    }
+  }
+  if (!fileName && settingsNode)
+    fileName = getEntryValue(settingsNode.entry, "path");
+
+  if (fileName) {
+    const tableSpecNode = findConfigByKey(
+      modelNode.config,
+      "table_spec_config_Internals"
+    );
+    if (tableSpecNode && tableSpecNode.config) {
+      const individualSpecsNode = findConfigByKey(
+        tableSpecNode.config,
+        "individual_specs"
+      );
+      if (individualSpecsNode && individualSpecsNode.config) {
+        const fileSpecNode = findConfigByKey(
+          individualSpecsNode.config,
+          fileName
+        );
+        if (fileSpecNode && fileSpecNode.config) {
+          const columnNodes = Array.isArray(fileSpecNode.config)
+            ? fileSpecNode.config
+            : [fileSpecNode.config];
+          columnNodes.forEach((colNode) => {
+            if (
+              colNode._attributes &&
+              !isNaN(parseInt(colNode._attributes.key))
+            ) {
+              // Check if it's likely a column config
+              const colName = getEntryValue(colNode.entry, "name");
+              if (colName) {
+                extractedColumns.push(colName);
+                const typeNode = findConfigByKey(colNode.config, "type");
+                columnTypes[colName] = {
+                  type: getEntryValue(typeNode?.entry, "cell_class"),
+                  nullable: true, // Readers may always produce missing values
+                };
+              }
+            }
+          });
+        }
+      }
+    }
+  } else {
+    return {
+      finalColumns: [],
+      warnings: [
+        "The file name was not found in the reader settings; the columns are unknown.",
+      ],
+    };
+  }
+  // --- End of Extraction Logic ---
+
+  // Output is the set of columns read
+  return { finalColumns: [...extractedColumns], columnTypes };
+}
+
+/**
+ * Columns kept by the Column Filter.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getColumnFilterColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  // NOTE: This logic operates WITHOUT inputColumnNames, based only on node config.
+  // It primarily reflects 'EnforceInclusion' behavior.
+  // Results for 'EnforceExclusion' mode might not be fully accurate without input context.
+
+  const columnFilterNode = findConfigByKey(modelNode?.config, "column-filter");
+  if (!columnFilterNode || !columnFilterNode.config) {
+    // Return empty structure as we cannot read the config
+    return {
+      finalColumns: [],
+      addedColumns: [],
+      removedColumns: [],
+      warnings: [
+        "The Column Filter settings (column-filter) were not found; the input columns are kept.",
+      ],
+    };
+  }
+
+  const includedNamesNode = findConfigByKey(
+    columnFilterNode.config,
+    "included_names"
+  );
+  const excludedNamesNode = findConfigByKey(
+    columnFilterNode.config,
+    "excluded_names"
+  );
+
+  const includedConfig = getArrayValuesFromConfig(includedNamesNode);
+  const excludedConfig = getArrayValuesFromConfig(excludedNamesNode);
+  const excludedSetConfig = new Set(excludedConfig); // For efficient lookup
+
+  // Calculate finalColumns based on included list minus excluded list
+  const finalColumns = includedConfig.filter(
+    (col) => !excludedSetConfig.has(col)
+  );
+
+  // Assume removedColumns are those listed in the exclude config
+  const removedColumns = [...excludedConfig];
+
+  // Added columns are always empty for a filter node
+  return { finalColumns, addedColumns: [], removedColumns };
+}
+
+/**
+ * Columns added or replaced by the Column Merger.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getColumnMergerColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  let addedColumns = [];
+  let removedColumns = [];
+  let finalColumns = [];
+  const warnings = [];
+  // NOTE: This logic operates WITHOUT inputColumnNames, based only on node config.
+  // Determination of finalColumns is not possible without input context.
+
+  // Merger config is directly in model's entry
+  const missingSettings = {
+    finalColumns: [],
+    addedColumns: [],
+    removedColumns: [],
+    warnings: [
+      "The Column Merger settings (primary and secondary column and output placement) were not found; the input columns are kept.",
+    ],
+  };
+  if (!modelNode || !modelNode.entry) return missingSettings;
+
+  const primaryCol = getEntryValue(modelNode.entry, "primaryColumn");
+  const secondaryCol = getEntryValue(modelNode.entry, "secondaryColumn");
+  const outputPlacement = getEntryValue(modelNode.entry, "outputPlacement");
+  // outputName is needed for the 'AppendAsNewColumn' case
+  const outputName = getEntryValue(modelNode.entry, "outputName");
+
+  if (!primaryCol || !secondaryCol || !outputPlacement) {
+    return missingSettings;
+  }
+
+  // --- Determine added columns based *only* on placement config ---
+  if (outputPlacement === "AppendAsNewColumn") {
+    // Only add if outputName is specified
+    if (outputName) {
+      addedColumns = [outputName];
+    } else {
+      addedColumns = [];
+      warnings.push(
+        "The merged column is appended, but its name is not set; no column is added."
+      );
+    }
+  } else {
+    // For all "Replace..." modes, no columns are considered "added"
+    addedColumns = [];
+  }
+
+  // --- Determine removed columns based *only* on placement config ---
+  const tempRemoved = new Set();
+  // Check specific KNIME values for replacement options
+  if (
+    outputPlacement === "ReplacePrimary" ||
+    outputPlacement === "ReplaceBoth"
+  ) {
+    if (primaryCol) tempRemoved.add(primaryCol);
+  }
+  if (
+    outputPlacement === "ReplaceSecondary" ||
+    outputPlacement === "ReplaceBoth"
+  ) {
+    if (secondaryCol) tempRemoved.add(secondaryCol);
+  }
+  // For "AppendAsNewColumn", no columns are removed
+  removedColumns = Array.from(tempRemoved);
+
+  // --- Determine final columns - Cannot be done accurately without input columns. ---
+  finalColumns = []; // Indicate indeterminable
+  // We could potentially add outputName here if AppendAsNewColumn, but the full list is unknown.
+  // Example: if (outputPlacement === "AppendAsNewColumn" && outputName) finalColumns = [outputName]; // But this is incomplete.
+  // The empty list makes processWorkflowData apply the added and removed columns to the
+  // input columns instead.
+
+  return { finalColumns, addedColumns, removedColumns, warnings };
+}
+
+/**
+ * String to Number keeps all columns; the converted ones get the parse type.
+ * @param {object} nodeConfig - The node configuration.
+ * @param {string[]|null} inputColumnNames - The input column names, if known.
+ * @returns {object} - The column changes.
+ */
+export function getStringToNumberColumns(nodeConfig, inputColumnNames) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  const columnTypes = {};
+  const parseType = getEntryValue(
+    findConfigByKey(modelNode?.config, "parse_type")?.entry,
+    "cell_class"
+  );
+  const includeNode = (
+    Array.isArray(modelNode?.config) ? modelNode.config : [modelNode?.config]
+  ).find((config) => findConfigByKey(config?.config, "included_names"));
+  getArrayValuesFromConfig(
+    findConfigByKey(includeNode?.config, "included_names")
+  ).forEach((col) => {
+    columnTypes[col] = { type: parseType, nullable: true };
+  });
+  return { finalColumns: [...(inputColumnNames || [])], columnTypes };
+}
+
+/**
+ * The Rule Engine appends or replaces one column, typed by its rule outcomes.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getRuleEngineColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  let addedColumns = [];
+  const columnTypes = {};
+  if (!modelNode) return {};
+  const appendColumn = getEntryValue(modelNode.entry, "append-column");
+  const outputColumn = appendColumn
+    ? getEntryValue(modelNode.entry, "new-column-name")
+    : getEntryValue(modelNode.entry, "replace-column-name");
+  if (!outputColumn) return {};
+  const rules = getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "rules")
+  );
+  if (appendColumn) addedColumns = [outputColumn];
+  columnTypes[outputColumn] = {
+    type: getRuleOutcomeType(rules),
+    // Rows matching no rule get a missing value
+    nullable: !rules.some((rule) => /^\s*TRUE\s*=>/i.test(rule)),
+  };
+  return { addedColumns, columnTypes };
+}
+
+/**
+ * The String Manipulation node appends or replaces one column, typed by the result of
+ * its expression.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getStringManipulationColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const outputColumn = getEntryValue(modelNode.entry, "replaced_column");
+  if (!outputColumn) return {};
+  // KNIME stores whether to replace the column under the key "append_column"
+  const replaceColumn =
+    getEntryValue(modelNode.entry, "append_column") === true;
+  const type = getStringManipulationType(
+    getEntryValue(modelNode.entry, "expression")
+  );
+  return {
+    addedColumns: replaceColumn ? [] : [outputColumn],
+    columnTypes: type ? { [outputColumn]: { type, nullable: true } } : {},
+  };
+}
+
+/**
+ * The Math Formula node replaces or appends one number column: an integer if the
+ * result is converted to int, else a double.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getMathFormulaColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { outputColumn, replaceColumn, convertToInt } =
+    getMathFormulaSettings(modelNode);
+  if (!outputColumn) return {};
+  const type = convertToInt ? KNIME_TYPES.INT : KNIME_TYPES.DOUBLE;
+  return {
+    addedColumns: replaceColumn ? [] : [outputColumn],
+    columnTypes: { [outputColumn]: { type, nullable: true } },
+  };
+}
+
+/**
+ * Infers the result type of a String Manipulation expression.
+ * @param {string|null} expression - The expression.
+ * @param {string} [currentColumn] - The column $$CURRENTCOLUMN$$ refers to.
+ * @returns {string|null} - The KNIME cell class, or null if it cannot be inferred.
+ */
+const getStringManipulationType = (expression, currentColumn) => {
+  try {
+    return translateStringManipulation(expression || "", getDialect(), {
+      currentColumn,
+    }).type;
+  } catch (error) {
+    if (error instanceof ExpressionSyntaxError) return null;
+    throw error;
+  }
+};
+
+/**
+ * The columns of a multi-column node: the selected columns are replaced, or the
+ * results are appended as the column names plus a suffix.
+ * @param {object} settings - The node settings ({columns, append, suffix}).
+ * @param {function(string): string|null} getType - The result type for a column.
+ * @returns {object} - The column changes.
+ */
+const getMultiColumnChanges = ({ columns, append, suffix }, getType) => {
+  const columnTypes = {};
+  const outputColumns = columns.map((col) =>
+    append ? `${col}${suffix}` : col
+  );
+  columns.forEach((col, index) => {
+    const type = getType(col);
+    if (type) columnTypes[outputColumns[index]] = { type, nullable: true };
+  });
+  return { addedColumns: append ? outputColumns : [], columnTypes };
+};
+
+/**
+ * The String Manipulation (Multi Column) node replaces or appends one column per
+ * selected column, typed by the result of its expression.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getStringManipulationMultiColumnColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const settings = getStringManipulationMultiColumnSettings(modelNode);
+  return getMultiColumnChanges(settings, (col) =>
+    getStringManipulationType(settings.expression, col)
+  );
+}
+
+/**
+ * The Math Formula (Multi Column) node replaces or appends one number column per
+ * selected column.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getMathFormulaMultiColumnColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const settings = getMathFormulaMultiColumnSettings(modelNode);
+  return getMultiColumnChanges(settings, () =>
+    settings.convertToInt ? KNIME_TYPES.INT : KNIME_TYPES.DOUBLE
+  );
+}
+
+/**
+ * The GroupBy node outputs its group columns, which keep their input type, followed by
+ * one column per aggregation.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getGroupByColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { groupColumns, aggregations, namePolicy } =
+    getGroupBySettings(modelNode);
+  const columnTypes = {};
+  const aggregatedColumns = aggregations.map(({ column, type, method }) => {
+    const name = getAggregationColumnName(namePolicy, method, column);
+    columnTypes[name] = {
+      type: getAggregationType(method, type),
+      nullable: true,
+    };
+    return name;
+  });
+  return {
+    finalColumns: [...groupColumns, ...aggregatedColumns],
+    columnTypes,
+  };
+}
+
+/**
+ * Takes the output columns and their types from the output spec saved with an executed
+ * node.
+ * @param {Array<{name: string, type: string|null}>} outputSpec - The output spec.
+ * @returns {object} - The column changes.
+ */
+const getSpecColumns = (outputSpec) => {
+  const columnTypes = {};
+  outputSpec.forEach(({ name, type }) => {
+    columnTypes[name] = { type, nullable: true };
+  });
+  return {
+    finalColumns: outputSpec.map(({ name }) => name),
+    columnTypes,
+  };
+};
+
+/**
+ * The Pivoting node outputs its group columns and one column per pivot value and
+ * aggregation. The latter are only known from the output spec saved with the executed
+ * node.
+ * @param {object} nodeConfig - The node configuration.
+ * @param {string[]|null} inputColumnNames - The input columns, if known.
+ * @param {object} [portSpecs={}] - The saved output table specs.
+ * @returns {object} - The column changes.
+ */
+export function getPivotColumns(nodeConfig, inputColumnNames, portSpecs = {}) {
+  if (portSpecs[1]?.length > 0) return getSpecColumns(portSpecs[1]);
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  return { finalColumns: getGroupBySettings(modelNode).groupColumns };
+}
+
+/**
+ * The Unpivoting node outputs the row ID, name and value of each value column,
+ * followed by the retained columns.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getUnpivotColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { retainedColumns } = getUnpivotSettings(modelNode);
+  const [rowIds, columnNames] = UNPIVOT_COLUMNS;
+  return {
+    finalColumns: [...UNPIVOT_COLUMNS, ...retainedColumns],
+    columnTypes: {
+      [rowIds]: { type: KNIME_TYPES.STRING, nullable: false },
+      [columnNames]: { type: KNIME_TYPES.STRING, nullable: false },
+    },
+  };
+}
+
+/**
+ * The Column Resorter only changes the order of its input columns.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getColumnResorterColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  return { columnOrder: getColumnResorterOrder(modelNode) };
+}
+
+/**
+ * The Cell Splitter appends one column per part and/or a list of the parts, and may
+ * remove the split column. If KNIME guesses the number of parts, the part columns are
+ * only known from the output spec saved with the executed node.
+ * @param {object} nodeConfig - The node configuration.
+ * @param {string[]|null} inputColumnNames - The input columns, if known.
+ * @param {object} [portSpecs={}] - The saved output table specs.
+ * @returns {object} - The column changes.
+ */
+export function getCellSplitterColumns(
+  nodeConfig,
+  inputColumnNames,
+  portSpecs = {}
+) {
+  if (portSpecs[1]?.length > 0) return getSpecColumns(portSpecs[1]);
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const settings = getCellSplitterSettings(modelNode);
+  if (!settings.column) return {};
+  const addedColumns =
+    settings.asColumns && !settings.guessColumns
+      ? Array.from({ length: settings.columnCount }, (_, index) =>
+          getSplitColumnName(settings.column, index)
+        )
+      : [];
+  const columnTypes = {};
+  addedColumns.forEach((col) => {
+    columnTypes[col] = { type: KNIME_TYPES.STRING, nullable: true };
+  });
+  if (settings.asList) {
+    const listName = getSplitListColumnName(settings.column);
+    addedColumns.push(listName);
+    columnTypes[listName] = { type: LIST_TYPE, nullable: true };
+  }
+  return {
+    addedColumns,
+    removedColumns: settings.removeInputColumn ? [settings.column] : [],
+    columnTypes,
+  };
+}
+
+/**
+ * The Regex Split node appends one string column per capture group of its pattern.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getRegexSplitColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const addedColumns = Array.from(
+    { length: getRegexSplitColumnCount(modelNode) },
+    (_, index) => getRegexSplitColumnName(index)
+  );
+  const columnTypes = {};
+  addedColumns.forEach((col) => {
+    columnTypes[col] = { type: KNIME_TYPES.STRING, nullable: true };
+  });
+  return { addedColumns, columnTypes };
+}
+
+/**
+ * The String to Date&Time node replaces or appends one column per selected column,
+ * typed by the node's target type.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getStringToDateTimeColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const settings = getStringToDateTimeSettings(modelNode);
+  return getMultiColumnChanges(settings, () => settings.type);
+}
+
+/**
+ * The Date&Time to String node replaces or appends one string column per selected
+ * column.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getDateTimeToStringColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  return getMultiColumnChanges(
+    getDateTimeToStringSettings(modelNode),
+    () => KNIME_TYPES.STRING
+  );
+}
+
+/**
+ * The Extract Date&Time Fields node appends one column per selected field: numbers as
+ * integers, names as strings.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getExtractDateTimeFieldsColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { fields } = getExtractDateTimeFieldsSettings(modelNode);
+  const columnTypes = {};
+  fields.forEach((field) => {
+    columnTypes[field.name] = {
+      type: getDateTimeFieldType(field),
+      nullable: true,
+    };
+  });
+  return { addedColumns: fields.map(({ name }) => name), columnTypes };
+}
+
+/**
+ * The Date&Time Shift node replaces or appends one column per selected column, which
+ * keeps its type.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getDateTimeShiftColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  return getMultiColumnChanges(getDateTimeShiftSettings(modelNode), () => null);
+}
+
+/**
+ * The Date&Time Difference node appends the difference as a long column.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getDateTimeDifferenceColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { newColumn } = getDateTimeDifferenceSettings(modelNode);
+  if (!newColumn) return {};
+  return {
+    addedColumns: [newColumn],
+    columnTypes: { [newColumn]: { type: KNIME_TYPES.LONG, nullable: true } },
+  };
+}
+
+/**
+ * The Lag Column node appends one column per lag, which keeps the type of the lagged
+ * column.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getLagColumnColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  return { addedColumns: getLagColumnNames(getLagColumnSettings(modelNode)) };
+}
+
+/**
+ * The Moving Aggregation node appends one column per aggregation and may remove the
+ * aggregated columns and/or all other input columns.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getMovingAggregationColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { aggregations, namePolicy, removeAggregated, removeRetained } =
+    getMovingAggregationSettings(modelNode);
+  const aggregatedColumns = [
+    ...new Set(aggregations.map(({ column }) => column)),
+  ];
+  const columnTypes = {};
+  const addedColumns = aggregations.map(({ column, type, method }) => {
+    const name = getAggregationColumnName(namePolicy, method, column);
+    columnTypes[name] = {
+      type: getAggregationType(method, type),
+      nullable: true,
+    };
+    return name;
+  });
+  if (removeRetained) {
+    return {
+      finalColumns: [
+        ...(removeAggregated ? [] : aggregatedColumns),
+        ...addedColumns,
+      ],
+      columnTypes,
+    };
+  }
+  return {
+    addedColumns,
+    removedColumns: removeAggregated ? aggregatedColumns : [],
+    columnTypes,
+  };
+}
+
+/**
+ * The Rank node appends the rank as an integer or long column.
+ * @param {object} nodeConfig - The node configuration.
+ * @returns {object} - The column changes.
+ */
+export function getRankColumns(nodeConfig) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) return {};
+  const { rankColumn, asLong } = getRankSettings(modelNode);
+  return {
+    addedColumns: [rankColumn],
+    columnTypes: {
+      [rankColumn]: {
+        type: asLong ? KNIME_TYPES.LONG : KNIME_TYPES.INT,
+        nullable: false,
+      },
+    },
+  };
+}
+
+/**
+ * The column types of a schema, in the format of columnTypes.
+ * @param {Array<object>} schema - The typed columns.
+ * @returns {object} - The types keyed by column name.
+ */
+const getSchemaColumnTypes = (schema) => {
+  const columnTypes = {};
+  schema.forEach(({ name, type, nullable }) => {
+    columnTypes[name] = { type, nullable };
+  });
+  return columnTypes;
+};
+
+/**
+ * The Reference Row Filter passes on the columns of its data table (port 1) only.
+ * @param {object} nodeConfig - The node configuration.
+ * @param {Array<object|null>} inputs - The processed inputs by port.
+ * @returns {object|null} - The column changes, or null if the data table is unknown.
+ */
+export function getReferenceRowFilterInputColumns(nodeConfig, [dataInput]) {
+  if (!dataInput) return null;
+  const schema = getNodeSchema(dataInput);
+  return {
+    finalColumns: schema.map(({ name }) => name),
+    columnTypes: getSchemaColumnTypes(schema),
+  };
+}
+
+/**
+ * The Cross Joiner outputs the columns of its left table, then those of its right
+ * table, renamed with the suffix if their name is taken (see
+ * getCrossJoinerRightColumnNames).
+ * @param {object} nodeConfig - The node configuration.
+ * @param {Array<object|null>} inputs - The processed inputs by port.
+ * @returns {object|null} - The column changes, or null if an input is unknown.
+ */
+export function getCrossJoinerInputColumns(
+  nodeConfig,
+  [leftInput, rightInput]
+) {
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !leftInput || !rightInput) return null;
+  const leftSchema = getNodeSchema(leftInput);
+  const rightSchema = getNodeSchema(rightInput);
+  const rightNames = getCrossJoinerRightColumnNames(
+    leftSchema.map(({ name }) => name),
+    rightSchema.map(({ name }) => name),
+    getCrossJoinerSettings(modelNode).suffix
+  );
+  const renamedRightSchema = rightSchema.map((column, index) => ({
+    ...column,
+    name: rightNames[index],
+  }));
+  return {
+    finalColumns: [...leftSchema.map(({ name }) => name), ...rightNames],
+    columnTypes: getSchemaColumnTypes([...leftSchema, ...renamedRightSchema]),
+  };
+}
+
+/**
+ * Infers the output type of a Rule Engine column from the outcomes of its rules (the
+ * part after "=>"): only strings give StringCell, only integers IntCell, numbers
+ * DoubleCell and mixed outcomes StringCell. Outcomes referencing columns are not typed.
+ * @param {string[]} rules - The rule lines.
+ * @returns {string|null} - The KNIME cell class, or null if it cannot be inferred.
+ */
+export const getRuleOutcomeType = (rules) => {
+  try {
+    const outcomeTypes = rules
+      .filter((rule) => !isRuleComment(rule))
+      .map((rule) => getRuleValueType(parseRule(rule).outcome));
+    if (outcomeTypes.length === 0 || outcomeTypes.includes(null)) return null;
+    return getCommonType(outcomeTypes);
+  } catch (error) {
+    if (error instanceof RuleSyntaxError) return null;
+    throw error;
+  }
+};
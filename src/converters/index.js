@@ -0,0 +1,15 @@
+// src/converters/index.js
+
+import { BUILTIN_CONVERTERS } from "./builtin";
+import { registerConverter } from "./registry";
+
+export {
+  registerConverter,
+  unregisterConverter,
+  getConverter,
+  isSupportedNodeFactory,
+  getSupportedNodeFactories,
+} from "./registry";
+export { BUILTIN_CONVERTERS } from "./builtin";
+
+BUILTIN_CONVERTERS.forEach((converter) => registerConverter(converter));
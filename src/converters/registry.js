@@ -0,0 +1,85 @@
+// src/converters/registry.js
+
+/**
+ * Registered converters, keyed by node factory class name.
+ */
+const converters = new Map();
+
+/**
+ * Registers the SQL converter and column propagation of a node type. A converter
+ * registered for a factory that already has one replaces it, so built-in converters
+ * can be overridden as well.
+ *
+ * @param {object} converter - The converter definition.
+ * @param {string} converter.name - Human readable node type name (e.g. "Row Filter").
+ * @param {string[]} converter.factories - The node factory class names it handles.
+ * @param {function(object): object|string} converter.toSQL - Converts a node to SQL and
+ * returns a conversion result (see createConversionResult) or a plain SQL string. Gets a
+ * context of { config, node, nodeId, inputNames, processedNodes, dialect }: the node's
+ * settings.xml as compact JSON, the processed node, its ID, the CTE names of its inputs
+ * in input port order, the nodes executed before it and the target SQL dialect.
+ * @param {function(object, string[]|null, object): object} [converter.getColumns] -
+ * Determines the output columns from the node settings (and the input column names and
+ * the output table specs saved with an executed node, if known).
+ * Returns { finalColumns, addedColumns, removedColumns, columnTypes } like
+ * getColumnNodes; omitted keys default to empty. Without it, columns pass through.
+ * @param {function(object, Array<object|null>): object|null} [converter.getInputColumns] -
+ * Determines the output columns from the node settings and its processed inputs, by
+ * input port (index 0 is port 1; null if a port is not connected), for nodes whose
+ * output depends on which input a column comes from (e.g. Cross Joiner). Returns
+ * { finalColumns, columnTypes }, or null to keep the columns found by getColumns.
+ * @returns {object} - The registered converter.
+ * @throws {Error} - If the definition has no factories or no toSQL function.
+ */
+export function registerConverter(converter) {
+  const { name, factories, toSQL, getColumns, getInputColumns } =
+    converter || {};
+  if (!Array.isArray(factories) || factories.length === 0) {
+    throw new Error(
+      `Converter "${name || "unnamed"}" must list at least one node factory.`
+    );
+  }
+  if (typeof toSQL !== "function") {
+    throw new Error(
+      `Converter "${name || "unnamed"}" must have a toSQL function.`
+    );
+  }
+  if (getColumns !== undefined && typeof getColumns !== "function") {
+    throw new Error(
+      `Converter "${name || "unnamed"}": getColumns must be a function.`
+    );
+  }
+  if (getInputColumns !== undefined && typeof getInputColumns !== "function") {
+    throw new Error(
+      `Converter "${name || "unnamed"}": getInputColumns must be a function.`
+    );
+  }
+  factories.forEach((factory) => converters.set(factory, converter));
+  return converter;
+}
+
+/**
+ * Removes the converter registered for a node factory.
+ * @param {string} factory - The node factory class name.
+ * @returns {boolean} - True if a converter was removed.
+ */
+export const unregisterConverter = (factory) => converters.delete(factory);
+
+/**
+ * Looks up the converter of a node factory.
+ * @param {string} factory - The node factory class name.
+ * @returns {object|null} - The converter, or null if the node type is not supported.
+ */
+export const getConverter = (factory) => converters.get(factory) || null;
+
+/**
+ * Checks whether a node factory has an SQL converter.
+ * @param {string} factory - The node factory class name.
+ * @returns {boolean} - True if a converter is registered for the factory.
+ */
+export const isSupportedNodeFactory = (factory) => converters.has(factory);
+
+/**
+ * @returns {string[]} - The factory class names of all registered converters.
+ */
+export const getSupportedNodeFactories = () => [...converters.keys()];
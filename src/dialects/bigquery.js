@@ -0,0 +1,175 @@
+// src/dialects/bigquery.js
+
+import {
+  DATE_UNIT_MILLISECONDS,
+  createDialect,
+  getKnimeTypeKey,
+  toBackslashGroupReferences,
+  toWholeMonths,
+} from "./createDialect";
+import { RE2_REGEX_FEATURES } from "./regexPatterns";
+
+/**
+ * Names the date and time types in functions such as PARSE_DATE and DATETIME_ADD.
+ * @param {string} knimeCellClass - The KNIME cell class.
+ * @returns {string} - DATE, TIME, TIMESTAMP (zoned) or DATETIME.
+ */
+const dateTypeName = (knimeCellClass) =>
+  ({ date: "DATE", time: "TIME", zonedDatetime: "TIMESTAMP" }[
+    getKnimeTypeKey(knimeCellClass)
+  ] || "DATETIME");
+
+/**
+ * Google BigQuery (GoogleSQL). Identifiers use backticks, string literals
+ * interpret backslash escapes.
+ */
+export const bigquery = createDialect({
+  name: "bigquery",
+  label: "BigQuery",
+  types: {
+    string: "STRING",
+    int: "INT64",
+    long: "INT64",
+    double: "FLOAT64",
+    boolean: "BOOL",
+    datetime: "DATETIME",
+    zonedDatetime: "TIMESTAMP",
+  },
+  functions: {
+    MAKE_DATE: "DATE",
+    CONCAT_WS: null,
+    // PERCENTILE_CONT is only an analytic function
+    MEDIAN: null,
+    MODE: null,
+    // Arrays cannot contain NULL
+    ARRAY_AGG: (args) => `ARRAY_AGG(${args[0]} IGNORE NULLS)`,
+    SPLIT_PART: (args) =>
+      `SPLIT(${args[0]}, ${args[1]})[SAFE_ORDINAL(${args[2]})]`,
+    STRING_TO_ARRAY: "SPLIT",
+  },
+  dateParts: {
+    dayOfYear: "DAYOFYEAR",
+    week: "ISOWEEK",
+    // DAYOFWEEK starts with Sunday = 1
+    dayOfWeek: (expr) => `MOD(EXTRACT(DAYOFWEEK FROM ${expr}) + 5, 7) + 1`,
+    second: "SECOND",
+    millisecond: "MILLISECOND",
+  },
+  dateFormats: {
+    // Numbers are always padded; parsing accepts unpadded ones
+    fields: {
+      y: "%Y",
+      yy: "%y",
+      yyyy: "%Y",
+      M: "%m",
+      MM: "%m",
+      MMM: "%b",
+      MMMM: "%B",
+      d: "%d",
+      dd: "%d",
+      D: "%j",
+      DDD: "%j",
+      E: "%a",
+      EE: "%a",
+      EEE: "%a",
+      EEEE: "%A",
+      H: "%H",
+      HH: "%H",
+      h: "%I",
+      hh: "%I",
+      m: "%M",
+      mm: "%M",
+      s: "%S",
+      ss: "%S",
+      a: "%p",
+    },
+    literal: (text) => text.replace(/%/g, "%%"),
+  },
+  quoteIdentifier(name) {
+    return `\`${String(name).replace(/\\/g, "\\\\").replace(/`/g, "\\`")}\``;
+  },
+  quoteString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  },
+  rowOrder() {
+    // LAG, LEAD and window frames require ORDER BY, but there is no read order to sort by
+    return null;
+  },
+  rowNumber() {
+    return "ROW_NUMBER() OVER ()";
+  },
+  ignoreNulls(functionName, expr, window) {
+    return `${functionName}(${expr} IGNORE NULLS) OVER (${window})`;
+  },
+  safeCast(expr, typeName) {
+    return `SAFE_CAST(${expr} AS ${typeName})`;
+  },
+  like(expr, pattern, caseSensitive = true) {
+    // LIKE patterns use backslash as escape character; there is no ESCAPE clause
+    return caseSensitive
+      ? `${expr} LIKE ${this.quoteString(pattern)}`
+      : `LOWER(${expr}) LIKE ${this.quoteString(pattern.toLowerCase())}`;
+  },
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "" : "(?i)";
+    return `REGEXP_CONTAINS(${expr}, ${this.quoteString(
+      `${flags}^(${pattern})$`
+    )})`;
+  },
+  position(expr, search) {
+    return `STRPOS(${expr}, ${search})`;
+  },
+  regexFeatures: RE2_REGEX_FEATURES,
+  regexExtract(expr, pattern, group = 0, caseSensitive = true) {
+    const translated = this.regexPattern(pattern, group);
+    // REGEXP_EXTRACT returns the match, or its only capture group if it has one
+    if (translated.group !== translated.groupCount || translated.group > 1) {
+      throw new Error(
+        `${this.label} can only extract the whole match of a pattern without groups or the group of a pattern with a single group.`
+      );
+    }
+    const flags = caseSensitive ? "" : "(?i)";
+    return `REGEXP_EXTRACT(${expr}, ${this.quoteString(
+      `${flags}${translated.pattern}`
+    )})`;
+  },
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+      pattern
+    )}, ${this.quoteString(toBackslashGroupReferences(replacement))})`;
+  },
+  parseDateTime(expr, pattern, knimeCellClass) {
+    return `PARSE_${dateTypeName(knimeCellClass)}(${this.quoteString(
+      this.datePattern(pattern)
+    )}, ${expr})`;
+  },
+  formatDateTime(expr, pattern, knimeCellClass) {
+    return `FORMAT_${dateTypeName(knimeCellClass)}(${this.quoteString(
+      this.datePattern(pattern)
+    )}, ${expr})`;
+  },
+  dateAdd(expr, amount, unit, knimeCellClass) {
+    return `${dateTypeName(
+      knimeCellClass
+    )}_ADD(${expr}, INTERVAL ${amount} ${unit.toUpperCase()})`;
+  },
+  dateDiff(unit, start, end, knimeCellClass) {
+    // The _DIFF functions count the unit boundaries crossed, not whole units
+    const typeName = dateTypeName(knimeCellClass);
+    if (unit === "year" || unit === "month") {
+      const boundaries = `${typeName}_DIFF(${end}, ${start}, MONTH)`;
+      const months = toWholeMonths(
+        boundaries,
+        `${typeName}_ADD(${start}, INTERVAL ${boundaries} MONTH)`,
+        start,
+        end
+      );
+      return unit === "year" ? `DIV(${months}, 12)` : months;
+    }
+    const milliseconds =
+      typeName === "DATE"
+        ? `DATE_DIFF(${end}, ${start}, DAY) * ${DATE_UNIT_MILLISECONDS.day}`
+        : `${typeName}_DIFF(${end}, ${start}, MILLISECOND)`;
+    return `DIV(${milliseconds}, ${DATE_UNIT_MILLISECONDS[unit]})`;
+  },
+});
@@ -0,0 +1,415 @@
+// src/dialects/createDialect.js
+
+import { DEFAULT_DATE_FORMATS, translateDatePattern } from "./dateFormats";
+import { DEFAULT_REGEX_FEATURES, translateRegexPattern } from "./regexPatterns";
+
+/**
+ * Maps KNIME cell class names to the dialect-independent type keys used in
+ * each dialect's `types` table. Order matters: the first match wins.
+ */
+const KNIME_TYPE_KEYS = [
+  ["LocalDateTimeCell", "datetime"],
+  ["ZonedDateTimeCell", "zonedDatetime"],
+  ["LocalDateCell", "date"],
+  ["LocalTimeCell", "time"],
+  ["DoubleCell", "double"],
+  ["LongCell", "long"],
+  ["IntCell", "int"],
+  ["BooleanCell", "boolean"],
+  ["StringCell", "string"],
+];
+
+/**
+ * Resolves the dialect-independent type key for a KNIME cell class.
+ * @param {string} knimeCellClass - The cell class (e.g. "org.knime.core.data.def.DoubleCell").
+ * @returns {string|null} - The type key (e.g. "double"), or null if the class is unknown.
+ */
+export const getKnimeTypeKey = (knimeCellClass) => {
+  if (!knimeCellClass) return null;
+  const match = KNIME_TYPE_KEYS.find(([cell]) => knimeCellClass.includes(cell));
+  return match ? match[1] : null;
+};
+
+/**
+ * Default type names, used by the generic dialect and as fallback for the others.
+ */
+const DEFAULT_TYPES = {
+  string: "VARCHAR",
+  int: "INTEGER",
+  long: "BIGINT",
+  double: "DOUBLE PRECISION",
+  boolean: "BOOLEAN",
+  date: "DATE",
+  time: "TIME",
+  datetime: "TIMESTAMP",
+  zonedDatetime: "TIMESTAMP WITH TIME ZONE",
+};
+
+/**
+ * SQL functions whose name or availability differs between dialects, keyed by their
+ * default name. A dialect maps a function to its own name, or to null if it has none.
+ */
+const DEFAULT_FUNCTIONS = {
+  // Ordered-set aggregates of standard SQL
+  MEDIAN: (args) => `PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${args[0]})`,
+  MODE: (args) => `MODE() WITHIN GROUP (ORDER BY ${args[0]})`,
+};
+
+/**
+ * Date fields whose name differs from the default (see datePart), keyed by field. An
+ * entry may also build the expression from the date.
+ */
+const DEFAULT_DATE_PARTS = {
+  dayOfYear: "DOY",
+  dayOfWeek: "ISODOW",
+  // SECOND includes the fraction
+  second: (expr) => `FLOOR(EXTRACT(SECOND FROM ${expr}))`,
+  // MILLISECONDS includes the seconds
+  millisecond: (expr) =>
+    `MOD(CAST(FLOOR(EXTRACT(MILLISECONDS FROM ${expr})) AS INTEGER), 1000)`,
+};
+
+/** Length of the date units of fixed length in milliseconds. */
+export const DATE_UNIT_MILLISECONDS = {
+  week: 604800000,
+  day: 86400000,
+  hour: 3600000,
+  minute: 60000,
+  second: 1000,
+  millisecond: 1,
+};
+
+/**
+ * Turns the number of month boundaries between two dates into the number of whole
+ * months, which is one less if adding the boundaries to the start overshoots the end.
+ * @param {string} boundaries - The number of month boundaries from start to end.
+ * @param {string} shiftedStart - The start plus that number of months.
+ * @param {string} start - The start date.
+ * @param {string} end - The end date.
+ * @returns {string} - The number of whole months (negative if end is before start).
+ */
+export const toWholeMonths = (boundaries, shiftedStart, start, end) =>
+  `(${boundaries} - CASE WHEN ${end} >= ${start} AND ${shiftedStart} > ${end} THEN 1 WHEN ${end} < ${start} AND ${shiftedStart} < ${end} THEN -1 ELSE 0 END)`;
+
+/**
+ * Creates an SQL dialect. Every method may be overridden by the spec; methods are
+ * always called on the dialect object, so overrides can use `this` to reach the others.
+ *
+ * @param {object} spec - Dialect specific settings and method overrides.
+ * @param {string} spec.name - Identifier used to select the dialect (e.g. "postgres").
+ * @param {string} spec.label - Human readable name (e.g. "PostgreSQL").
+ * @param {object} [spec.types] - Type names keyed by type key (see getKnimeTypeKey).
+ * @param {object} [spec.functions] - Function names keyed by their default name (see
+ * callFunction), or functions of the argument SQL that build the call; null marks a
+ * function the dialect does not have.
+ * @param {object} [spec.dateParts] - Date field names keyed by field (see datePart).
+ * @param {object} [spec.dateFormats] - Format elements keyed by Java date pattern field
+ * and the escaping of literal text (see translateDatePattern).
+ * @param {object} [spec.regexFeatures] - Regular expression constructs the engine
+ * supports beyond capturing groups (see translateRegexPattern).
+ * @returns {object} - The dialect.
+ */
+export function createDialect(spec) {
+  return {
+    /** Quotes an identifier (column or table name). */
+    quoteIdentifier(name) {
+      return `"${String(name).replace(/"/g, '""')}"`;
+    },
+
+    /** Quotes a string literal. */
+    quoteString(value) {
+      return `'${String(value).replace(/'/g, "''")}'`;
+    },
+
+    /** Casts an expression, failing on invalid input. */
+    cast(expr, typeName) {
+      return `CAST(${expr} AS ${typeName})`;
+    },
+
+    /** Casts an expression, yielding NULL on invalid input. */
+    safeCast(expr, typeName) {
+      return `TRY_CAST(${expr} AS ${typeName})`;
+    },
+
+    /**
+     * Replaces all matches of a (Java) regular expression.
+     * The replacement uses Java syntax ($1 for group references).
+     */
+    regexReplace(expr, pattern, replacement) {
+      return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+        pattern
+      )}, ${this.quoteString(replacement)})`;
+    },
+
+    /** Boolean literal (TRUE or FALSE). */
+    booleanLiteral(value) {
+      return value ? "TRUE" : "FALSE";
+    },
+
+    /**
+     * Matches an expression against a LIKE pattern that uses backslash as escape
+     * character.
+     */
+    like(expr, pattern, caseSensitive = true) {
+      const escape = ` ESCAPE ${this.quoteString("\\")}`;
+      return caseSensitive
+        ? `${expr} LIKE ${this.quoteString(pattern)}${escape}`
+        : `LOWER(${expr}) LIKE ${this.quoteString(
+            pattern.toLowerCase()
+          )}${escape}`;
+    },
+
+    /** Tests whether an expression as a whole matches a (Java) regular expression. */
+    regexMatch(expr, pattern, caseSensitive = true) {
+      const flags = caseSensitive ? "" : `, ${this.quoteString("i")}`;
+      return `REGEXP_LIKE(${expr}, ${this.quoteString(
+        `^(${pattern})$`
+      )}${flags})`;
+    },
+
+    /**
+     * Window ORDER BY clause for the order in which the rows are read; empty where the
+     * database allows window functions without an order, null where navigation
+     * functions (LAG, LEAD) and window frames need an explicit sort order.
+     */
+    rowOrder() {
+      return "";
+    },
+
+    /** Numbers the rows in the order they are read, starting at 1. */
+    rowNumber() {
+      return `ROW_NUMBER() OVER (${this.rowOrder()})`;
+    },
+
+    /** Clause appended to a query to skip `offset` rows and return `limit` rows. */
+    limitOffset(limit, offset = 0) {
+      return offset > 0 ? `LIMIT ${limit} OFFSET ${offset}` : `LIMIT ${limit}`;
+    },
+
+    /**
+     * ORDER BY clause for sort keys { expr, descending, nullsLast } (nullsLast puts
+     * NULL values after all others).
+     */
+    orderBy(keys) {
+      return `ORDER BY ${keys
+        .map(
+          ({ expr, descending, nullsLast }) =>
+            `${expr} ${descending ? "DESC" : "ASC"} NULLS ${
+              nullsLast ? "LAST" : "FIRST"
+            }`
+        )
+        .join(", ")}`;
+    },
+
+    /**
+     * Window ORDER BY clause for sort keys (see orderBy), or for the order in which the
+     * rows are read (see rowOrder) if there are none; null if that order is not
+     * available.
+     */
+    windowOrderBy(keys) {
+      return keys.length > 0 ? this.orderBy(keys) : this.rowOrder();
+    },
+
+    /**
+     * Calls a value window function (FIRST_VALUE, LAST_VALUE) over a window (the
+     * contents of OVER (...)) so that it skips NULL values. Null where the database
+     * cannot skip them.
+     */
+    ignoreNulls(functionName, expr, window) {
+      return `${functionName}(${expr}) IGNORE NULLS OVER (${window})`;
+    },
+
+    /** Concatenates string expressions. */
+    concat(parts) {
+      return parts.join(" || ");
+    },
+
+    /**
+     * Aggregates the first (or last) non-missing value of a group. Databases without
+     * an aggregate that keeps the row order pick any value.
+     */
+    firstValue(expr, last = false) {
+      return this.callFunction("ANY_VALUE", [expr]);
+    },
+
+    /**
+     * Aggregates string values into one string, separated by a (raw) separator.
+     * Missing values are skipped.
+     */
+    stringAggregate(expr, separator, distinct = false) {
+      return `STRING_AGG(${
+        distinct ? "DISTINCT " : ""
+      }${expr}, ${this.quoteString(separator)})`;
+    },
+
+    /** Returns the SQL type name for a KNIME cell class (string type if unknown). */
+    typeName(knimeCellClass) {
+      const key = getKnimeTypeKey(knimeCellClass);
+      return this.types[key] || this.types.string;
+    },
+
+    /**
+     * Calls an SQL function by its default name (e.g. LENGTH), using the dialect's
+     * name for it. Throws if the dialect has no such function.
+     */
+    callFunction(name, args) {
+      const dialectName = this.functions[name];
+      if (dialectName === null) {
+        throw new Error(`${this.label} has no ${name} function.`);
+      }
+      if (typeof dialectName === "function") return dialectName(args);
+      return `${dialectName || name}(${args.join(", ")})`;
+    },
+
+    /** Substring from a 1-based start position, to the end if length is omitted. */
+    substring(expr, start, length) {
+      return length === undefined
+        ? `SUBSTRING(${expr}, ${start})`
+        : `SUBSTRING(${expr}, ${start}, ${length})`;
+    },
+
+    /** 1-based position of the first occurrence of search in expr, 0 if not found. */
+    position(expr, search) {
+      return `POSITION(${search} IN ${expr})`;
+    },
+
+    /** Remainder of a division. */
+    modulo(dividend, divisor) {
+      return `MOD(${dividend}, ${divisor})`;
+    },
+
+    /**
+     * Extracts a group (0 = the whole match) of the first match of a (Java) regular
+     * expression, or NULL if there is no match.
+     */
+    regexExtract(expr, pattern, group = 0, caseSensitive = true) {
+      const translated = this.regexPattern(pattern, group);
+      const quotedPattern = this.quoteString(translated.pattern);
+      const flags = caseSensitive ? "" : "i";
+      if (translated.group === 0) {
+        return caseSensitive
+          ? `REGEXP_SUBSTR(${expr}, ${quotedPattern})`
+          : `REGEXP_SUBSTR(${expr}, ${quotedPattern}, 1, 1, 'i')`;
+      }
+      return `REGEXP_SUBSTR(${expr}, ${quotedPattern}, 1, 1, 'e${flags}', ${translated.group})`;
+    },
+
+    /**
+     * Translates a Java regular expression for the dialect's engine, with the engine's
+     * number of a Java group and the number of groups of the translated pattern (see
+     * translateRegexPattern).
+     */
+    regexPattern(pattern, group = 0) {
+      const translated = translateRegexPattern(
+        pattern,
+        this.regexFeatures,
+        this.label
+      );
+      if (group >= translated.groups.length) {
+        throw new Error(`The pattern ${pattern} has no group ${group}.`);
+      }
+      return {
+        pattern: translated.pattern,
+        group: translated.groups[group],
+        groupCount: translated.groupCount,
+      };
+    },
+
+    /**
+     * A field of a date or time: year, quarter, month, week (ISO), day (of the month),
+     * dayOfYear, dayOfWeek (ISO, Monday = 1), hour, minute, second or millisecond (of
+     * the second).
+     */
+    datePart(part, expr) {
+      const name = this.dateParts[part] || part;
+      if (typeof name === "function") return name(expr);
+      return `EXTRACT(${name.toUpperCase()} FROM ${expr})`;
+    },
+
+    /** Translates a Java DateTimeFormatter pattern into a format string. */
+    datePattern(pattern) {
+      return translateDatePattern(pattern, this.dateFormats, this.label);
+    },
+
+    /**
+     * Parses a string into a date and/or time of a KNIME cell class, using a Java
+     * DateTimeFormatter pattern.
+     */
+    parseDateTime(expr, pattern, knimeCellClass) {
+      const format = this.quoteString(this.datePattern(pattern));
+      const typeKey = getKnimeTypeKey(knimeCellClass);
+      if (typeKey === "date") return `TO_DATE(${expr}, ${format})`;
+      const timestamp = `TO_TIMESTAMP(${expr}, ${format})`;
+      return typeKey === "zonedDatetime"
+        ? timestamp
+        : this.cast(timestamp, this.typeName(knimeCellClass));
+    },
+
+    /**
+     * Formats a date and/or time of a KNIME cell class as a string, using a Java
+     * DateTimeFormatter pattern.
+     */
+    formatDateTime(expr, pattern, knimeCellClass) {
+      return `TO_CHAR(${expr}, ${this.quoteString(this.datePattern(pattern))})`;
+    },
+
+    /**
+     * Adds an amount of a unit (year, month, week, day, hour, minute, second or
+     * millisecond) to a date and/or time of a KNIME cell class.
+     */
+    dateAdd(expr, amount, unit, knimeCellClass) {
+      const sum = `${expr} + ${amount} * INTERVAL '1 ${unit}'`;
+      // Dates plus intervals become timestamps
+      return getKnimeTypeKey(knimeCellClass) === "date"
+        ? this.cast(sum, this.typeName(knimeCellClass))
+        : `(${sum})`;
+    },
+
+    /**
+     * The number of whole units (see dateAdd) from start to end, two dates and/or times
+     * of a KNIME cell class; negative if end is before start.
+     */
+    dateDiff(unit, start, end, knimeCellClass) {
+      if (unit === "year" || unit === "month") {
+        const age = `AGE(${end}, ${start})`;
+        return unit === "year"
+          ? `EXTRACT(YEAR FROM ${age})`
+          : `(EXTRACT(YEAR FROM ${age}) * 12 + EXTRACT(MONTH FROM ${age}))`;
+      }
+      // Dates subtract to days, the others to intervals
+      if (getKnimeTypeKey(knimeCellClass) === "date") {
+        const days = `(${end} - ${start})`;
+        return unit === "day"
+          ? days
+          : `TRUNC(${days} * ${DATE_UNIT_MILLISECONDS.day} / ${DATE_UNIT_MILLISECONDS[unit]})`;
+      }
+      return `TRUNC(EXTRACT(EPOCH FROM (${end} - ${start})) * 1000 / ${DATE_UNIT_MILLISECONDS[unit]})`;
+    },
+
+    /** Turns a condition into a boolean value, e.g. for a SELECT list. */
+    booleanValue(condition) {
+      return condition;
+    },
+
+    /** Turns a boolean value (e.g. a column) into a condition, e.g. for WHERE. */
+    booleanCondition(expr) {
+      return expr;
+    },
+
+    ...spec,
+    types: { ...DEFAULT_TYPES, ...spec.types },
+    functions: { ...DEFAULT_FUNCTIONS, ...spec.functions },
+    dateParts: { ...DEFAULT_DATE_PARTS, ...spec.dateParts },
+    dateFormats: spec.dateFormats || DEFAULT_DATE_FORMATS,
+    regexFeatures: { ...DEFAULT_REGEX_FEATURES, ...spec.regexFeatures },
+  };
+}
+
+/**
+ * Rewrites Java regex replacement group references ($1) to the backslash form (\1)
+ * used by most SQL engines.
+ * @param {string} replacement - Replacement string in Java syntax.
+ * @returns {string} - Replacement string with backslash group references.
+ */
+export const toBackslashGroupReferences = (replacement) =>
+  String(replacement).replace(/\$(\d)/g, "\\$1");
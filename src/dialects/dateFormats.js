@@ -0,0 +1,111 @@
+// src/dialects/dateFormats.js
+
+/**
+ * Splits a Java DateTimeFormatter pattern into fields (runs of the same letter, e.g.
+ * "yyyy") and literal text ('quoted' text, '' for a quote and other characters).
+ * @param {string} pattern - The pattern, e.g. "dd.MM.yyyy 'at' HH:mm".
+ * @returns {Array<{field: string}|{text: string}>} - The tokens.
+ * @throws {Error} - For optional sections and unterminated quotes.
+ */
+export const tokenizeDatePattern = (pattern) => {
+  const tokens = [];
+  const pushText = (text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.text !== undefined) last.text += text;
+    else tokens.push({ text });
+  };
+  let index = 0;
+  while (index < pattern.length) {
+    const char = pattern[index];
+    if (/[A-Za-z]/.test(char)) {
+      let end = index;
+      while (pattern[end] === char) end++;
+      tokens.push({ field: pattern.slice(index, end) });
+      index = end;
+    } else if (char === "'") {
+      if (pattern[index + 1] === "'") {
+        pushText("'");
+        index += 2;
+        continue;
+      }
+      const end = pattern.indexOf("'", index + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quote in date pattern "${pattern}".`);
+      }
+      pushText(pattern.slice(index + 1, end).replace(/''/g, "'"));
+      index = end + 1;
+    } else if ("[]{}#".includes(char)) {
+      throw new Error(
+        `Optional sections and reserved characters in date pattern "${pattern}" are not supported.`
+      );
+    } else {
+      pushText(char);
+      index++;
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Translates a Java DateTimeFormatter pattern into the format string of a dialect.
+ * "u" (year) and "L" (stand-alone month) are read like "y" and "M".
+ * @param {string} pattern - The Java pattern.
+ * @param {{fields: object, literal: function(string): string}} dateFormats - The
+ * dialect's format elements keyed by Java field (e.g. "yyyy"; null or missing if it
+ * has none) and the function that escapes literal text.
+ * @param {string} label - The dialect's name for messages.
+ * @returns {string} - The dialect's format string (not quoted).
+ * @throws {Error} - If a field has no format element in the dialect.
+ */
+export const translateDatePattern = (pattern, dateFormats, label) =>
+  tokenizeDatePattern(pattern)
+    .map((token) => {
+      if (token.text !== undefined) return dateFormats.literal(token.text);
+      const field = token.field.replace(/u/g, "y").replace(/L/g, "M");
+      const element = dateFormats.fields[field];
+      if (!element) {
+        throw new Error(
+          `${label} has no format for the date pattern field "${token.field}".`
+        );
+      }
+      return element;
+    })
+    .join("");
+
+/**
+ * Format elements of TO_CHAR, TO_DATE and TO_TIMESTAMP (PostgreSQL style). FM
+ * suppresses the padding of the next element.
+ */
+export const DEFAULT_DATE_FORMATS = {
+  fields: {
+    y: "YYYY",
+    yy: "YY",
+    yyyy: "YYYY",
+    M: "FMMM",
+    MM: "MM",
+    MMM: "Mon",
+    MMMM: "FMMonth",
+    d: "FMDD",
+    dd: "DD",
+    D: "FMDDD",
+    DDD: "DDD",
+    E: "Dy",
+    EE: "Dy",
+    EEE: "Dy",
+    EEEE: "FMDay",
+    H: "FMHH24",
+    HH: "HH24",
+    h: "FMHH12",
+    hh: "HH12",
+    m: "FMMI",
+    mm: "MI",
+    s: "FMSS",
+    ss: "SS",
+    SSS: "MS",
+    SSSSSS: "US",
+    a: "AM",
+  },
+  // Text with letters would be read as format elements, so it is double-quoted
+  literal: (text) =>
+    /[A-Za-z"\\]/.test(text) ? `"${text.replace(/(["\\])/g, "\\$1")}"` : text,
+};
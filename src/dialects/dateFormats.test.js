@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_DATE_FORMATS,
+  tokenizeDatePattern,
+  translateDatePattern,
+} from "./dateFormats";
+
+describe("tokenizeDatePattern", () => {
+  it("splits fields from quoted and plain text", () => {
+    expect(tokenizeDatePattern("dd.MM.yyyy 'um' HH:mm ''")).toEqual([
+      { field: "dd" },
+      { text: "." },
+      { field: "MM" },
+      { text: "." },
+      { field: "yyyy" },
+      { text: " um " },
+      { field: "HH" },
+      { text: ":" },
+      { field: "mm" },
+      { text: " '" },
+    ]);
+  });
+
+  it("rejects optional sections and unterminated quotes", () => {
+    expect(() => tokenizeDatePattern("yyyy[-MM]")).toThrow(
+      'Optional sections and reserved characters in date pattern "yyyy[-MM]" are not supported.'
+    );
+    expect(() => tokenizeDatePattern("yyyy 'at")).toThrow(
+      `Unterminated quote in date pattern "yyyy 'at".`
+    );
+  });
+});
+
+describe("translateDatePattern", () => {
+  it("escapes literal text with letters", () => {
+    expect(
+      translateDatePattern(
+        "EEEE, d. MMMM uuuu 'um' H:mm",
+        DEFAULT_DATE_FORMATS,
+        "SQL"
+      )
+    ).toBe('FMDay, FMDD. FMMonth YYYY" um "FMHH24:MI');
+  });
+
+  it("rejects fields without a format element", () => {
+    expect(() =>
+      translateDatePattern("yyyy QQQ", DEFAULT_DATE_FORMATS, "SQL")
+    ).toThrow('SQL has no format for the date pattern field "QQQ".');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { DIALECTS, getDialect } from ".";
+
+const sortKeys = [
+  { expr: '"a"', descending: false, nullsLast: false },
+  { expr: '"b"', descending: true, nullsLast: true },
+];
+
+// One entry per dialect, so a change to one dialect shows up in its own snapshot line
+const byDialect = (render) =>
+  Object.fromEntries(
+    Object.entries(DIALECTS).map(([name, dialect]) => [name, render(dialect)])
+  );
+
+describe("row order", () => {
+  it("numbers the rows in the order they are read", () => {
+    expect(byDialect((dialect) => dialect.rowNumber())).toMatchSnapshot();
+  });
+
+  it("skips and limits rows", () => {
+    expect(
+      byDialect((dialect) => [
+        dialect.limitOffset(10),
+        dialect.limitOffset(10, 5),
+      ])
+    ).toMatchSnapshot();
+  });
+
+  it("orders windows by the sort keys", () => {
+    expect(
+      byDialect((dialect) => dialect.windowOrderBy(sortKeys))
+    ).toMatchSnapshot();
+  });
+
+  it("orders windows without sort keys by the read order, if there is one", () => {
+    expect(byDialect((dialect) => dialect.windowOrderBy([]))).toMatchSnapshot();
+  });
+
+  it("never leaves ranking and navigation functions with an empty order on Snowflake and BigQuery", () => {
+    expect(getDialect("snowflake").windowOrderBy([])).toBe("ORDER BY SEQ8()");
+    expect(getDialect("bigquery").windowOrderBy([])).toBeNull();
+  });
+});
+
+describe("ignoreNulls", () => {
+  it("skips NULL values in value window functions", () => {
+    expect(
+      byDialect((dialect) =>
+        dialect.ignoreNulls("LAST_VALUE", '"a"', 'ORDER BY "b"')
+      )
+    ).toMatchSnapshot();
+  });
+
+  it("collects the non-NULL values in an array on PostgreSQL", () => {
+    expect(
+      getDialect("postgres").ignoreNulls("FIRST_VALUE", '"a"', 'ORDER BY "b"')
+    ).toBe('(ARRAY_REMOVE(ARRAY_AGG("a") OVER (ORDER BY "b"), NULL))[1]');
+  });
+});
+
+describe("getDialect", () => {
+  it("rejects unknown dialect names", () => {
+    expect(() => getDialect("oracle")).toThrow();
+  });
+});
@@ -0,0 +1,98 @@
+// src/dialects/duckdb.js
+
+import {
+  createDialect,
+  getKnimeTypeKey,
+  toBackslashGroupReferences,
+} from "./createDialect";
+import { RE2_REGEX_FEATURES } from "./regexPatterns";
+
+/**
+ * DuckDB.
+ */
+export const duckdb = createDialect({
+  name: "duckdb",
+  label: "DuckDB",
+  types: {
+    double: "DOUBLE",
+    zonedDatetime: "TIMESTAMPTZ",
+  },
+  functions: {
+    INITCAP: null,
+    MEDIAN: "MEDIAN",
+    MODE: "MODE",
+  },
+  dateFormats: {
+    // strftime formats; "-" drops the padding
+    fields: {
+      y: "%Y",
+      yy: "%y",
+      yyyy: "%Y",
+      M: "%-m",
+      MM: "%m",
+      MMM: "%b",
+      MMMM: "%B",
+      d: "%-d",
+      dd: "%d",
+      D: "%-j",
+      DDD: "%j",
+      E: "%a",
+      EE: "%a",
+      EEE: "%a",
+      EEEE: "%A",
+      H: "%-H",
+      HH: "%H",
+      h: "%-I",
+      hh: "%I",
+      m: "%-M",
+      mm: "%M",
+      s: "%-S",
+      ss: "%S",
+      SSS: "%g",
+      SSSSSS: "%f",
+      SSSSSSSSS: "%n",
+      a: "%p",
+    },
+    literal: (text) => text.replace(/%/g, "%%"),
+  },
+  like(expr, pattern, caseSensitive = true) {
+    return `${expr} ${caseSensitive ? "LIKE" : "ILIKE"} ${this.quoteString(
+      pattern
+    )} ESCAPE '\\'`;
+  },
+  ignoreNulls(functionName, expr, window) {
+    return `${functionName}(${expr} IGNORE NULLS) OVER (${window})`;
+  },
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "" : ", 'i'";
+    return `REGEXP_FULL_MATCH(${expr}, ${this.quoteString(pattern)}${flags})`;
+  },
+  regexFeatures: RE2_REGEX_FEATURES,
+  regexExtract(expr, pattern, group = 0, caseSensitive = true) {
+    const translated = this.regexPattern(pattern, group);
+    const flags = caseSensitive ? "" : ", 'i'";
+    return `REGEXP_EXTRACT(${expr}, ${this.quoteString(translated.pattern)}, ${
+      translated.group
+    }${flags})`;
+  },
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+      pattern
+    )}, ${this.quoteString(toBackslashGroupReferences(replacement))}, 'g')`;
+  },
+  parseDateTime(expr, pattern, knimeCellClass) {
+    const timestamp = `STRPTIME(${expr}, ${this.quoteString(
+      this.datePattern(pattern)
+    )})`;
+    return getKnimeTypeKey(knimeCellClass) === "datetime"
+      ? timestamp
+      : this.cast(timestamp, this.typeName(knimeCellClass));
+  },
+  formatDateTime(expr, pattern) {
+    return `STRFTIME(${expr}, ${this.quoteString(this.datePattern(pattern))})`;
+  },
+  dateDiff(unit, start, end) {
+    // DATE_SUB counts whole units, DATE_DIFF unit boundaries
+    return `DATE_SUB(${this.quoteString(unit)}, ${start}, ${end})`;
+  },
+});
@@ -0,0 +1,11 @@
+// src/dialects/generic.js
+
+import { createDialect } from "./createDialect";
+
+/**
+ * Generic ANSI-style SQL: double-quoted identifiers, TRY_CAST, REGEXP_REPLACE and ||.
+ */
+export const generic = createDialect({
+  name: "generic",
+  label: "Generic SQL",
+});
@@ -0,0 +1,43 @@
+// src/dialects/index.js
+
+import { generic } from "./generic";
+import { postgres } from "./postgres";
+import { snowflake } from "./snowflake";
+import { bigquery } from "./bigquery";
+import { tsql } from "./tsql";
+import { duckdb } from "./duckdb";
+
+export { createDialect } from "./createDialect";
+
+/**
+ * All built-in dialects, keyed by name.
+ */
+export const DIALECTS = {
+  generic,
+  postgres,
+  snowflake,
+  bigquery,
+  tsql,
+  duckdb,
+};
+
+export const DEFAULT_DIALECT = "generic";
+
+/**
+ * Resolves a dialect by name. Dialect objects are passed through unchanged.
+ * @param {string|object} [dialect="generic"] - Dialect name or dialect object.
+ * @returns {object} - The dialect.
+ * @throws {Error} - If no dialect with that name exists.
+ */
+export function getDialect(dialect = DEFAULT_DIALECT) {
+  if (dialect && typeof dialect === "object") return dialect;
+  const found = DIALECTS[dialect];
+  if (!found) {
+    throw new Error(
+      `Unknown SQL dialect "${dialect}". Available: ${Object.keys(
+        DIALECTS
+      ).join(", ")}.`
+    );
+  }
+  return found;
+}
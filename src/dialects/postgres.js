@@ -0,0 +1,63 @@
+// src/dialects/postgres.js
+
+import { createDialect, toBackslashGroupReferences } from "./createDialect";
+
+/**
+ * PostgreSQL. Safe casts rely on pg_input_is_valid (PostgreSQL 16+).
+ */
+export const postgres = createDialect({
+  name: "postgres",
+  label: "PostgreSQL",
+  types: {
+    string: "TEXT",
+    datetime: "TIMESTAMP",
+    zonedDatetime: "TIMESTAMPTZ",
+  },
+  safeCast(expr, typeName) {
+    return `CASE WHEN pg_input_is_valid(${expr}, ${this.quoteString(
+      typeName.toLowerCase()
+    )}) THEN CAST(${expr} AS ${typeName}) END`;
+  },
+  like(expr, pattern, caseSensitive = true) {
+    return `${expr} ${caseSensitive ? "LIKE" : "ILIKE"} ${this.quoteString(
+      pattern
+    )}`;
+  },
+  regexMatch(expr, pattern, caseSensitive = true) {
+    return `${expr} ${caseSensitive ? "~" : "~*"} ${this.quoteString(
+      `^(${pattern})$`
+    )}`;
+  },
+  firstValue(expr, last = false) {
+    // ANY_VALUE needs PostgreSQL 16; the array keeps the values in the order they are
+    // aggregated, and COUNT gives the position of the last one
+    const values = `ARRAY_AGG(${expr}) FILTER (WHERE ${expr} IS NOT NULL)`;
+    return `(${values})[${last ? `COUNT(${expr})` : 1}]`;
+  },
+  ignoreNulls(functionName, expr, window) {
+    // There is no IGNORE NULLS: the non-NULL values of the window are collected in an
+    // array, and COUNT gives the position of the last one
+    const values = `ARRAY_REMOVE(ARRAY_AGG(${expr}) OVER (${window}), NULL)`;
+    return functionName === "FIRST_VALUE"
+      ? `(${values})[1]`
+      : `(${values})[COUNT(${expr}) OVER (${window})]`;
+  },
+  regexFeatures: {
+    nonCapturingGroups: true,
+    lookaround: true,
+    backreferences: true,
+  },
+  regexExtract(expr, pattern, group = 0, caseSensitive = true) {
+    const translated = this.regexPattern(pattern, group);
+    const flags = caseSensitive ? "" : ", 'i'";
+    // The pattern is wrapped in a group, so the whole match is group 1
+    return `(REGEXP_MATCH(${expr}, ${this.quoteString(
+      `(${translated.pattern})`
+    )}${flags}))[${translated.group + 1}]`;
+  },
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+      pattern
+    )}, ${this.quoteString(toBackslashGroupReferences(replacement))}, 'g')`;
+  },
+});
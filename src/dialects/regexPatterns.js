@@ -0,0 +1,187 @@
+// src/dialects/regexPatterns.js
+
+/**
+ * Kinds of the groups that start with "(?", by the text after "(?".
+ * Order matters: the first match wins.
+ */
+const SPECIAL_GROUPS = [
+  [/^<[A-Za-z][A-Za-z0-9]*>/, "named"],
+  [/^:/, "nonCapturing"],
+  [/^(?:=|!|<=|<!)/, "lookaround"],
+  [/^>/, "atomic"],
+  [/^[a-zA-Z]*(?:-[a-zA-Z]*)?[:)]/, "flags"],
+];
+
+/**
+ * Finds the groups of a Java regular expression in the order they open (unescaped
+ * parentheses outside character classes and \Q...\E quotes), and the constructs that
+ * some engines lack: backreferences (\1, \k<name>) and possessive quantifiers (*+).
+ * @param {string} pattern - The regular expression.
+ * @returns {{groups: Array<{kind: string, index: number, opening: string, name?: string}>, backreferences: Array<{index: number, text: string, group: number|string}>, possessive: boolean}}
+ * - The groups with their kind ("capturing", "named", "nonCapturing", "lookaround",
+ * "atomic" or "flags"), position and opening text (e.g. "(?:"), and the backreferences
+ * with their position, text and group number or name.
+ */
+export const scanRegexPattern = (pattern) => {
+  const groups = [];
+  const backreferences = [];
+  let possessive = false;
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === "\\") {
+      const rest = pattern.slice(index + 1);
+      if (rest.startsWith("Q")) {
+        const end = pattern.indexOf("\\E", index + 2);
+        index = end === -1 ? pattern.length : end + 1;
+        continue;
+      }
+      const reference = inClass ? null : rest.match(/^(?:[1-9]|k<(\w+)>)/);
+      if (reference) {
+        backreferences.push({
+          index,
+          text: `\\${reference[0]}`,
+          group: reference[1] || Number(reference[0]),
+        });
+      }
+      index++;
+    } else if (inClass) {
+      inClass = char !== "]";
+    } else if (char === "[") {
+      inClass = true;
+      // A "]" right after "[" or "[^" is a literal
+      if (pattern[index + 1] === "^") index++;
+      if (pattern[index + 1] === "]") index++;
+    } else if (char === "(") {
+      const rest = pattern.slice(index + 1);
+      if (!rest.startsWith("?")) {
+        groups.push({ kind: "capturing", index, opening: "(" });
+        continue;
+      }
+      const [match, kind] = SPECIAL_GROUPS.map(([regex, name]) => [
+        rest.slice(1).match(regex),
+        name,
+      ]).find(([found]) => found) || [null, "unknown"];
+      const opening = `(?${match ? match[0] : ""}`;
+      groups.push({
+        kind,
+        index,
+        opening: kind === "flags" ? opening.replace(/:$/, "") : opening,
+        ...(kind === "named" ? { name: match[0].slice(1, -1) } : {}),
+      });
+    } else if (
+      "*+?}".includes(char) &&
+      pattern[index + 1] === "+" &&
+      !(char === "?" && pattern[index - 1] === "(")
+    ) {
+      possessive = true;
+    }
+  }
+  return { groups, backreferences, possessive };
+};
+
+/**
+ * Counts the capture groups of a Java regular expression, numbered or named, as Java
+ * numbers them.
+ * @param {string} pattern - The regular expression.
+ * @returns {number} - The number of capture groups.
+ */
+export const countRegexGroups = (pattern) =>
+  scanRegexPattern(pattern).groups.filter(({ kind }) =>
+    ["capturing", "named"].includes(kind)
+  ).length;
+
+/**
+ * Translates a Java regular expression for a database's engine. Group names are
+ * dropped, as the engines spell them differently, and non-capturing groups become
+ * capturing groups where the engine has none, which shifts the group numbers.
+ * @param {string} pattern - The Java regular expression.
+ * @param {{nonCapturingGroups: boolean, lookaround: boolean, backreferences: boolean, inlineFlags: boolean}} regexFeatures
+ * - The constructs the engine supports beyond capturing groups.
+ * @param {string} label - The dialect's name for messages.
+ * @returns {{pattern: string, groups: number[], groupCount: number}} - The pattern, the
+ * engine's number of each Java group (groups[0] = 0 is the whole match) and the number
+ * of capture groups in the translated pattern.
+ * @throws {Error} - For constructs the engine does not support.
+ */
+export const translateRegexPattern = (pattern, regexFeatures, label) => {
+  const { groups, backreferences, possessive } = scanRegexPattern(pattern);
+  const unsupported = (construct) =>
+    new Error(
+      `${label} does not support ${construct} in regular expressions: ${pattern}`
+    );
+  const kinds = new Set(groups.map(({ kind }) => kind));
+  if (kinds.has("unknown")) throw unsupported("this group syntax");
+  if (kinds.has("atomic") || possessive) {
+    throw unsupported("atomic groups and possessive quantifiers");
+  }
+  if (kinds.has("lookaround") && !regexFeatures.lookaround) {
+    throw unsupported("lookahead and lookbehind");
+  }
+  if (kinds.has("flags") && !regexFeatures.inlineFlags) {
+    throw unsupported("inline flags");
+  }
+  if (backreferences.length > 0 && !regexFeatures.backreferences) {
+    throw unsupported("backreferences");
+  }
+
+  // The replacement of each construct, keyed by its position
+  const replacements = new Map();
+  const javaGroups = [0];
+  const namedGroups = {};
+  let groupCount = 0;
+  groups.forEach(({ kind, index, opening, name }) => {
+    if (kind === "capturing" || kind === "named") {
+      groupCount++;
+      javaGroups.push(groupCount);
+      if (kind === "named") {
+        namedGroups[name] = groupCount;
+        replacements.set(index, [opening, "("]);
+      }
+    } else if (kind === "nonCapturing" && !regexFeatures.nonCapturingGroups) {
+      groupCount++;
+      replacements.set(index, [opening, "("]);
+    }
+  });
+  backreferences.forEach(({ index, text, group }) => {
+    const target =
+      typeof group === "string" ? namedGroups[group] : javaGroups[group];
+    if (target === undefined) {
+      throw new Error(
+        `The backreference ${text} refers to a group that does not exist: ${pattern}`
+      );
+    }
+    replacements.set(index, [text, `\\${target}`]);
+  });
+
+  let translated = "";
+  let position = 0;
+  [...replacements.keys()]
+    .sort((a, b) => a - b)
+    .forEach((index) => {
+      const [text, replacement] = replacements.get(index);
+      translated += pattern.slice(position, index) + replacement;
+      position = index + text.length;
+    });
+  translated += pattern.slice(position);
+  return { pattern: translated, groups: javaGroups, groupCount };
+};
+
+/**
+ * Regular expression features of POSIX-style engines (Snowflake's REGEXP functions):
+ * capturing groups only.
+ */
+export const DEFAULT_REGEX_FEATURES = {
+  nonCapturingGroups: false,
+  lookaround: false,
+  backreferences: false,
+  inlineFlags: false,
+};
+
+/** Regular expression features of RE2 (BigQuery, DuckDB, SQL Server). */
+export const RE2_REGEX_FEATURES = {
+  nonCapturingGroups: true,
+  lookaround: false,
+  backreferences: false,
+  inlineFlags: true,
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_REGEX_FEATURES,
+  RE2_REGEX_FEATURES,
+  countRegexGroups,
+  translateRegexPattern,
+} from "./regexPatterns";
+
+describe("countRegexGroups", () => {
+  it("counts numbered and named groups only", () => {
+    expect(
+      countRegexGroups(
+        "(\\w+)\\s+(?:van\\s+)?(?<last>[a-z(]+)(?=x)\\(x\\)\\Q(y)\\E(?i:z)"
+      )
+    ).toBe(2);
+    expect(countRegexGroups("[]()]+|[^](]")).toBe(0);
+  });
+});
+
+describe("translateRegexPattern", () => {
+  it("turns non-capturing groups into groups where the engine has none", () => {
+    expect(
+      translateRegexPattern(
+        "^(?:(\\w+) (?<last>\\w+))$",
+        DEFAULT_REGEX_FEATURES,
+        "Snowflake"
+      )
+    ).toEqual({
+      pattern: "^((\\w+) (\\w+))$",
+      groups: [0, 2, 3],
+      groupCount: 3,
+    });
+    expect(
+      translateRegexPattern(
+        "^(?:(\\w+) (?<last>\\w+))$",
+        RE2_REGEX_FEATURES,
+        "DuckDB"
+      )
+    ).toEqual({
+      pattern: "^(?:(\\w+) (\\w+))$",
+      groups: [0, 1, 2],
+      groupCount: 2,
+    });
+  });
+
+  it("renumbers backreferences", () => {
+    expect(
+      translateRegexPattern(
+        "(?:(a)|(?<b>b))\\k<b>\\1",
+        { ...DEFAULT_REGEX_FEATURES, backreferences: true },
+        "SQL"
+      ).pattern
+    ).toBe("((a)|(b))\\3\\2");
+  });
+
+  it("rejects constructs the engine does not support", () => {
+    expect(() =>
+      translateRegexPattern("a(?=b)", RE2_REGEX_FEATURES, "DuckDB")
+    ).toThrow(
+      "DuckDB does not support lookahead and lookbehind in regular expressions: a(?=b)"
+    );
+    expect(() =>
+      translateRegexPattern("(?i)a", DEFAULT_REGEX_FEATURES, "Snowflake")
+    ).toThrow(
+      "Snowflake does not support inline flags in regular expressions: (?i)a"
+    );
+    expect(() =>
+      translateRegexPattern("(a)\\1", RE2_REGEX_FEATURES, "BigQuery")
+    ).toThrow(
+      "BigQuery does not support backreferences in regular expressions: (a)\\1"
+    );
+    expect(() =>
+      translateRegexPattern("a++", RE2_REGEX_FEATURES, "BigQuery")
+    ).toThrow(
+      "BigQuery does not support atomic groups and possessive quantifiers in regular expressions: a++"
+    );
+  });
+});
@@ -0,0 +1,110 @@
+// src/dialects/snowflake.js
+
+import {
+  DATE_UNIT_MILLISECONDS,
+  createDialect,
+  getKnimeTypeKey,
+  toBackslashGroupReferences,
+  toWholeMonths,
+} from "./createDialect";
+import { DEFAULT_DATE_FORMATS } from "./dateFormats";
+
+/**
+ * Snowflake. String literals interpret backslash escapes, so they are doubled.
+ */
+export const snowflake = createDialect({
+  name: "snowflake",
+  label: "Snowflake",
+  types: {
+    double: "DOUBLE",
+    datetime: "TIMESTAMP_NTZ",
+    zonedDatetime: "TIMESTAMP_TZ",
+  },
+  functions: {
+    MAKE_DATE: "DATE_FROM_PARTS",
+    MEDIAN: "MEDIAN",
+    MODE: "MODE",
+    STRING_TO_ARRAY: "SPLIT",
+  },
+  dateParts: {
+    dayOfYear: "DAYOFYEAR",
+    dayOfWeek: "DAYOFWEEKISO",
+    week: "WEEKISO",
+    second: "SECOND",
+    millisecond: (expr) => `FLOOR(EXTRACT(NANOSECOND FROM ${expr}) / 1000000)`,
+  },
+  dateFormats: {
+    // There is no fill mode; parsing accepts unpadded numbers for padded elements
+    fields: {
+      ...DEFAULT_DATE_FORMATS.fields,
+      M: "MM",
+      MMM: "MON",
+      MMMM: "MMMM",
+      d: "DD",
+      D: null,
+      DDD: null,
+      E: "DY",
+      EE: "DY",
+      EEE: "DY",
+      EEEE: null,
+      H: "HH24",
+      h: "HH12",
+      m: "MI",
+      s: "SS",
+      SSS: "FF3",
+      SSSSSS: "FF6",
+      SSSSSSSSS: "FF9",
+    },
+    literal: DEFAULT_DATE_FORMATS.literal,
+  },
+  quoteString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+  },
+  rowOrder() {
+    // Ranking and navigation functions require an order; SEQ8() follows the read order
+    return "ORDER BY SEQ8()";
+  },
+  like(expr, pattern, caseSensitive = true) {
+    return `${expr} ${caseSensitive ? "LIKE" : "ILIKE"} ${this.quoteString(
+      pattern
+    )} ESCAPE ${this.quoteString("\\")}`;
+  },
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+      pattern
+    )}, ${this.quoteString(toBackslashGroupReferences(replacement))})`;
+  },
+  parseDateTime(expr, pattern, knimeCellClass) {
+    const functionName =
+      {
+        date: "TO_DATE",
+        time: "TO_TIME",
+        zonedDatetime: "TO_TIMESTAMP_TZ",
+      }[getKnimeTypeKey(knimeCellClass)] || "TO_TIMESTAMP_NTZ";
+    return `${functionName}(${expr}, ${this.quoteString(
+      this.datePattern(pattern)
+    )})`;
+  },
+  dateAdd(expr, amount, unit) {
+    return `DATEADD(${unit}, ${amount}, ${expr})`;
+  },
+  dateDiff(unit, start, end) {
+    // DATEDIFF counts the unit boundaries crossed, not whole units
+    if (unit === "year" || unit === "month") {
+      const boundaries = `DATEDIFF(month, ${start}, ${end})`;
+      const months = toWholeMonths(
+        boundaries,
+        `DATEADD(month, ${boundaries}, ${start})`,
+        start,
+        end
+      );
+      return unit === "year" ? `TRUNC(${months} / 12)` : months;
+    }
+    return `TRUNC(DATEDIFF(millisecond, ${start}, ${end}) / ${DATE_UNIT_MILLISECONDS[unit]})`;
+  },
+  stringAggregate(expr, separator, distinct = false) {
+    return `LISTAGG(${distinct ? "DISTINCT " : ""}${expr}, ${this.quoteString(
+      separator
+    )})`;
+  },
+});
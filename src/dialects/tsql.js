@@ -0,0 +1,215 @@
+// src/dialects/tsql.js
+
+import {
+  DATE_UNIT_MILLISECONDS,
+  createDialect,
+  toBackslashGroupReferences,
+  toWholeMonths,
+} from "./createDialect";
+import { RE2_REGEX_FEATURES } from "./regexPatterns";
+
+/**
+ * Sort terms for sort keys (see orderBy). NULL sorts first in ascending order and there
+ * is no NULLS FIRST/LAST, so other placements sort by a NULL flag first.
+ * @param {Array<object>} keys - The sort keys.
+ * @returns {string} - The terms.
+ */
+const orderTerms = (keys) =>
+  keys
+    .flatMap(({ expr, descending, nullsLast }) => {
+      const term = `${expr} ${descending ? "DESC" : "ASC"}`;
+      return nullsLast === descending
+        ? [term]
+        : [
+            `CASE WHEN ${expr} IS NULL THEN ${nullsLast ? 1 : 0} ELSE ${
+              nullsLast ? 0 : 1
+            } END`,
+            term,
+          ];
+    })
+    .join(", ");
+
+/**
+ * Microsoft SQL Server / Azure SQL (T-SQL). REGEXP_REPLACE requires SQL Server 2025
+ * or Azure SQL Database.
+ */
+export const tsql = createDialect({
+  name: "tsql",
+  label: "T-SQL (SQL Server)",
+  types: {
+    string: "NVARCHAR(MAX)",
+    int: "INT",
+    double: "FLOAT",
+    boolean: "BIT",
+    datetime: "DATETIME2",
+    zonedDatetime: "DATETIMEOFFSET",
+  },
+  functions: {
+    LENGTH: "LEN",
+    CEIL: "CEILING",
+    LN: "LOG",
+    ATAN2: "ATN2",
+    REPEAT: "REPLICATE",
+    MAKE_DATE: "DATEFROMPARTS",
+    // The number of decimals is required
+    ROUND: (args) => `ROUND(${args[0]}, ${args[1] ?? 0})`,
+    STDDEV_SAMP: "STDEV",
+    VAR_SAMP: "VAR",
+    // PERCENTILE_CONT is only a window function
+    MEDIAN: null,
+    MODE: null,
+    ANY_VALUE: null,
+    ARRAY_AGG: null,
+    INITCAP: null,
+    LPAD: null,
+    RPAD: null,
+    // STRING_SPLIT is a table function
+    SPLIT_PART: null,
+    STRING_TO_ARRAY: null,
+  },
+  dateParts: {
+    dayOfYear: "dayofyear",
+    week: "iso_week",
+    // weekday depends on DATEFIRST
+    dayOfWeek: (expr) =>
+      `(DATEPART(weekday, ${expr}) + @@DATEFIRST + 5) % 7 + 1`,
+    second: "second",
+    millisecond: "millisecond",
+  },
+  dateFormats: {
+    // .NET custom formats; "%" marks a single letter as a custom element
+    fields: {
+      y: "yyyy",
+      yy: "yy",
+      yyyy: "yyyy",
+      M: "%M",
+      MM: "MM",
+      MMM: "MMM",
+      MMMM: "MMMM",
+      d: "%d",
+      dd: "dd",
+      E: "ddd",
+      EE: "ddd",
+      EEE: "ddd",
+      EEEE: "dddd",
+      H: "%H",
+      HH: "HH",
+      h: "%h",
+      hh: "hh",
+      m: "%m",
+      mm: "mm",
+      s: "%s",
+      ss: "ss",
+      SSS: "fff",
+      SSSSSS: "ffffff",
+      a: "tt",
+    },
+    // Separators such as "/" and ":" are culture specific unless quoted
+    literal: (text) => `"${text.replace(/(["\\])/g, "\\$1")}"`,
+  },
+  quoteIdentifier(name) {
+    return `[${String(name).replace(/]/g, "]]")}]`;
+  },
+  quoteString(value) {
+    return `N'${String(value).replace(/'/g, "''")}'`;
+  },
+  rowOrder() {
+    return "ORDER BY (SELECT NULL)";
+  },
+  limitOffset(limit, offset = 0) {
+    return `ORDER BY (SELECT NULL) OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY`;
+  },
+  orderBy(keys) {
+    // OFFSET allows ORDER BY in CTEs
+    return `ORDER BY ${orderTerms(keys)} OFFSET 0 ROWS`;
+  },
+  windowOrderBy(keys) {
+    return keys.length > 0 ? `ORDER BY ${orderTerms(keys)}` : this.rowOrder();
+  },
+  booleanLiteral(value) {
+    return value ? "1" : "0";
+  },
+  like(expr, pattern, caseSensitive = true) {
+    // "[" starts a character class in T-SQL patterns. Comparisons follow the column
+    // collation, which is usually case insensitive, so case sensitivity is explicit.
+    const escaped = pattern.replace(/\[/g, "\\[");
+    return caseSensitive
+      ? `${expr} COLLATE Latin1_General_CS_AS LIKE ${this.quoteString(
+          escaped
+        )} ESCAPE '\\'`
+      : `LOWER(${expr}) LIKE ${this.quoteString(
+          escaped.toLowerCase()
+        )} ESCAPE '\\'`;
+  },
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+      pattern
+    )}, ${this.quoteString(toBackslashGroupReferences(replacement))})`;
+  },
+  substring(expr, start, length) {
+    // The length is required; LEN(expr) reaches the end from any start
+    return `SUBSTRING(${expr}, ${start}, ${length ?? `LEN(${expr})`})`;
+  },
+  position(expr, search) {
+    return `CHARINDEX(${search}, ${expr})`;
+  },
+  modulo(dividend, divisor) {
+    // Operands such as a + 1 would otherwise bind to % first
+    const operand = (expr) => (/^[\w.[\]]+$/.test(expr) ? expr : `(${expr})`);
+    return `${operand(dividend)} % ${operand(divisor)}`;
+  },
+  regexFeatures: RE2_REGEX_FEATURES,
+  regexExtract(expr, pattern, group = 0, caseSensitive = true) {
+    const translated = this.regexPattern(pattern, group);
+    const quotedPattern = this.quoteString(translated.pattern);
+    const flags = caseSensitive ? "c" : "i";
+    return translated.group === 0 && caseSensitive
+      ? `REGEXP_SUBSTR(${expr}, ${quotedPattern})`
+      : `REGEXP_SUBSTR(${expr}, ${quotedPattern}, 1, 1, '${flags}', ${translated.group})`;
+  },
+  datePart(part, expr) {
+    const name = this.dateParts[part] || part;
+    if (typeof name === "function") return name(expr);
+    return `DATEPART(${name.toLowerCase()}, ${expr})`;
+  },
+  parseDateTime() {
+    throw new Error(`${this.label} cannot parse dates with a format pattern.`);
+  },
+  formatDateTime(expr, pattern) {
+    return `FORMAT(${expr}, ${this.quoteString(this.datePattern(pattern))})`;
+  },
+  dateAdd(expr, amount, unit) {
+    return `DATEADD(${unit}, ${amount}, ${expr})`;
+  },
+  dateDiff(unit, start, end) {
+    // DATEDIFF counts the unit boundaries crossed, not whole units; integer division
+    // truncates
+    if (unit === "year" || unit === "month") {
+      const boundaries = `DATEDIFF(month, ${start}, ${end})`;
+      const months = toWholeMonths(
+        boundaries,
+        `DATEADD(month, ${boundaries}, ${start})`,
+        start,
+        end
+      );
+      return unit === "year" ? `(${months} / 12)` : months;
+    }
+    return `(DATEDIFF_BIG(millisecond, ${start}, ${end}) / ${DATE_UNIT_MILLISECONDS[unit]})`;
+  },
+  booleanValue(condition) {
+    // There is no boolean type; conditions cannot be selected directly
+    return `CASE WHEN ${condition} THEN 1 WHEN NOT (${condition}) THEN 0 END`;
+  },
+  booleanCondition(expr) {
+    return `${expr} = 1`;
+  },
+  stringAggregate(expr, separator, distinct = false) {
+    if (distinct) {
+      throw new Error(`${this.label} cannot aggregate distinct strings.`);
+    }
+    return `STRING_AGG(${expr}, ${this.quoteString(separator)})`;
+  },
+  concat(parts) {
+    return parts.length > 1 ? `CONCAT(${parts.join(", ")})` : parts.join("");
+  },
+});
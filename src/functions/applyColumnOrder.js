@@ -0,0 +1,21 @@
+// src/functions/applyColumnOrder.js
+
+/**
+ * Reorders columns by a list of names, like KNIME's Column Resorter: the listed columns
+ * come in the listed order, and all columns that are not listed take the place of a
+ * null entry (or follow at the end if there is none). Listed names that are not among
+ * the columns are ignored.
+ * @param {string[]} columns - The columns to reorder.
+ * @param {Array<string|null>} columnOrder - The new order.
+ * @returns {string[]} - The reordered columns.
+ */
+export function applyColumnOrder(columns, columnOrder) {
+  const listed = new Set(columnOrder.filter((name) => name !== null));
+  const others = columns.filter((col) => !listed.has(col));
+  const order = columnOrder.includes(null)
+    ? columnOrder
+    : [...columnOrder, null];
+  return order.flatMap((name) =>
+    name === null ? others : columns.includes(name) ? [name] : []
+  );
+}
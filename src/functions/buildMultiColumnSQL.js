@@ -0,0 +1,125 @@
+// src/functions/buildMultiColumnSQL.js
+
+import { conversionError, createConversionResult } from "./conversionResult";
+import { ExpressionSyntaxError } from "./parseKnimeExpression";
+
+/**
+ * Builds the query of a multi-column node, which evaluates one expression per selected
+ * column ($$CURRENTCOLUMN$$ being that column). The results replace the selected
+ * columns in place, or are appended after the input columns, named by the column name
+ * plus a suffix. Selected columns missing from the input are skipped.
+ *
+ * @param {object} options - The node's settings and input.
+ * @param {string[]} options.columns - The selected columns.
+ * @param {function(string): {sql: string, warnings: string[], approximate: boolean}} options.translate
+ * - Translates the expression for one column; throws ExpressionSyntaxError.
+ * @param {boolean} options.append - Whether to append the results instead of replacing.
+ * @param {string} options.suffix - The suffix of the appended column names.
+ * @param {string[]} options.inputColumnNames - The input columns, empty if unknown.
+ * @param {string} options.previousNodeName - The name of the input table/view.
+ * @param {object} options.dialect - The target SQL dialect.
+ * @param {string[]} [options.warnings=[]] - Warnings found while reading the settings.
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function buildMultiColumnSQL({
+  columns,
+  translate,
+  append,
+  suffix,
+  inputColumnNames,
+  previousNodeName,
+  dialect,
+  warnings = [],
+}) {
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  const known = inputColumnNames.length > 0;
+  const missing = known
+    ? columns.filter((col) => !inputColumnNames.includes(col))
+    : [];
+  if (missing.length > 0) {
+    warnings.push(
+      `Selected columns not found in the input are skipped: ${missing.join(
+        ", "
+      )}.`
+    );
+  }
+  const selected = columns.filter((col) => !missing.includes(col));
+  if (selected.length === 0) {
+    return createConversionResult({
+      sql: `SELECT * FROM ${quotedPreviousNodeName};`,
+      columns: known ? [...inputColumnNames] : null,
+      warnings: [...warnings, "No columns selected; the input is passed on."],
+    });
+  }
+  if (!known && !append) {
+    return conversionError(
+      "The input columns are unknown, so the replaced columns cannot be selected in place.",
+      { warnings }
+    );
+  }
+
+  // Translate the expression once per column
+  const results = {};
+  const errors = [];
+  let approximate = false;
+  selected.forEach((col) => {
+    try {
+      const translated = translate(col);
+      results[col] = translated.sql;
+      translated.warnings.forEach((warning) => {
+        if (!warnings.includes(warning)) warnings.push(warning);
+      });
+      approximate = approximate || translated.approximate;
+    } catch (error) {
+      if (!(error instanceof ExpressionSyntaxError)) throw error;
+      errors.push(`Column "${col}": ${error.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    return createConversionResult({ errors, warnings });
+  }
+
+  let selectParts;
+  let outputColumns = null; // Unknown if the input columns are unknown
+  if (append) {
+    const appended = selected.map((col) => `${col}${suffix}`);
+    const clashes = appended.filter((col) => inputColumnNames.includes(col));
+    if (clashes.length > 0) {
+      return conversionError(
+        `The appended columns already exist in the input: ${clashes.join(
+          ", "
+        )}.`,
+        { warnings }
+      );
+    }
+    selectParts = [
+      ...(known
+        ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
+        : ["*"]),
+      ...selected.map(
+        (col, index) =>
+          `${results[col]} AS ${dialect.quoteIdentifier(appended[index])}`
+      ),
+    ];
+    if (known) outputColumns = [...inputColumnNames, ...appended];
+  } else {
+    selectParts = inputColumnNames.map((col) =>
+      results[col] !== undefined
+        ? `${results[col]} AS ${dialect.quoteIdentifier(col)}`
+        : dialect.quoteIdentifier(col)
+    );
+    outputColumns = [...inputColumnNames];
+  }
+
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${quotedPreviousNodeName};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: outputColumns,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,99 @@
+// src/functions/columnSchema.js
+
+import { getKnimeTypeKey } from "../dialects/createDialect";
+
+/**
+ * KNIME cell classes of the common column types.
+ */
+export const KNIME_TYPES = {
+  STRING: "org.knime.core.data.def.StringCell",
+  INT: "org.knime.core.data.def.IntCell",
+  LONG: "org.knime.core.data.def.LongCell",
+  DOUBLE: "org.knime.core.data.def.DoubleCell",
+  BOOLEAN: "org.knime.core.data.def.BooleanCell",
+  LOCAL_DATE: "org.knime.core.data.time.localdate.LocalDateCell",
+  LOCAL_TIME: "org.knime.core.data.time.localtime.LocalTimeCell",
+  LOCAL_DATE_TIME: "org.knime.core.data.time.localdatetime.LocalDateTimeCell",
+  ZONED_DATE_TIME: "org.knime.core.data.time.zoneddatetime.ZonedDateTimeCell",
+};
+
+// Numeric types from narrowest to widest
+const NUMERIC_TYPE_KEYS = ["int", "long", "double"];
+
+/**
+ * Creates a column of a typed schema.
+ * @param {string} name - The column name.
+ * @param {string|null} [type=null] - The KNIME cell class, or null if unknown.
+ * @param {boolean} [nullable=true] - Whether the column may contain missing values
+ * (KNIME columns always may, unless a node guarantees otherwise).
+ * @returns {{name: string, type: string|null, nullable: boolean}} - The column.
+ */
+export const createColumn = (name, type = null, nullable = true) => ({
+  name,
+  type: type || null,
+  nullable,
+});
+
+/**
+ * Returns the short name of a KNIME type for messages, e.g. "DoubleCell".
+ * @param {string|null} type - The KNIME cell class.
+ * @returns {string} - The short name, or "unknown type".
+ */
+export const getTypeLabel = (type) =>
+  type ? type.split(".").pop() : "unknown type";
+
+/**
+ * @param {string|null} type - The KNIME cell class.
+ * @returns {boolean} - True for IntCell, LongCell and DoubleCell.
+ */
+export const isNumericType = (type) =>
+  NUMERIC_TYPE_KEYS.includes(getKnimeTypeKey(type));
+
+/**
+ * @param {string|null} type - The KNIME cell class.
+ * @returns {boolean} - True for StringCell.
+ */
+export const isStringType = (type) => getKnimeTypeKey(type) === "string";
+
+/**
+ * Determines the type a column gets when values of several types are combined
+ * (e.g. by Concatenate): identical types are kept, numeric types are widened
+ * (Int < Long < Double) and everything else falls back to StringCell.
+ * Unknown (null) types are ignored.
+ * @param {Array<string|null>} types - KNIME cell classes.
+ * @returns {string|null} - The common cell class, or null if no type is known.
+ */
+export const getCommonType = (types) => {
+  const known = [...new Set(types.filter(Boolean))];
+  if (known.length === 0) return null;
+  if (known.length === 1) return known[0];
+  if (known.every(isNumericType)) {
+    return known.reduce((widest, type) =>
+      NUMERIC_TYPE_KEYS.indexOf(getKnimeTypeKey(type)) >
+      NUMERIC_TYPE_KEYS.indexOf(getKnimeTypeKey(widest))
+        ? type
+        : widest
+    );
+  }
+  return KNIME_TYPES.STRING;
+};
+
+/**
+ * Returns the typed schema of a processed node. Nodes without a 'schema' (e.g. built
+ * by older callers) get untyped columns from their 'nodes' column names.
+ * @param {object} node - A processed node.
+ * @returns {Array<{name: string, type: string|null, nullable: boolean}>} - The schema.
+ */
+export const getNodeSchema = (node) =>
+  Array.isArray(node?.schema)
+    ? node.schema
+    : (node?.nodes || []).map((name) => createColumn(name));
+
+/**
+ * Finds a column of a schema by name.
+ * @param {Array<object>} schema - The typed schema.
+ * @param {string} name - The column name.
+ * @returns {{name: string, type: string|null, nullable: boolean}|undefined} - The column.
+ */
+export const findSchemaColumn = (schema, name) =>
+  (schema || []).find((column) => column.name === name);
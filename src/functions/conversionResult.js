@@ -0,0 +1,78 @@
+// src/functions/conversionResult.js
+
+/**
+ * Creates the result of converting a node to SQL.
+ *
+ * @param {object} [fields={}] - The result fields; omitted ones get their defaults.
+ * @param {string|null} [fields.sql=null] - The generated query, or null if the node could
+ * not be converted.
+ * @param {string[]|null} [fields.columns=null] - The output column names, or null if the
+ * converter does not know them (e.g. SELECT * of an input with unknown columns).
+ * @param {string[]} [fields.warnings=[]] - Problems that do not prevent the conversion,
+ * e.g. likely type mismatches or ignored settings.
+ * @param {string[]} [fields.errors=[]] - Problems that prevent the conversion.
+ * @param {boolean} [fields.approximate=false] - True if the SQL is known to differ from
+ * what KNIME computes (e.g. in edge cases like missing values or row order).
+ * @returns {{sql: string|null, columns: string[]|null, warnings: string[], errors: string[], approximate: boolean}}
+ */
+export const createConversionResult = ({
+  sql = null,
+  columns = null,
+  warnings = [],
+  errors = [],
+  approximate = false,
+} = {}) => ({ sql, columns, warnings, errors, approximate });
+
+/**
+ * Creates the result of a node that could not be converted.
+ * @param {string} message - What prevented the conversion.
+ * @param {object} [fields={}] - Further result fields (e.g. warnings collected so far).
+ * @returns {object} - The conversion result without SQL.
+ */
+export const conversionError = (message, fields = {}) =>
+  createConversionResult({
+    ...fields,
+    sql: null,
+    errors: [...(fields.errors || []), message],
+  });
+
+/**
+ * Checks whether converter output is an SQL query (possibly preceded by comments)
+ * rather than an error or "not supported" message.
+ * @param {string} sql - The converter output.
+ * @returns {boolean} - True if the output starts with SELECT or WITH.
+ */
+export const isSQLQuery = (sql) =>
+  typeof sql === "string" &&
+  /^(SELECT|WITH)\b/i.test(sql.replace(/^(\s*--[^\n]*\n)*\s*/, ""));
+
+/**
+ * Normalizes the output of a converter to a conversion result. Converters registered by
+ * third parties may still return plain strings: "-- Warning: ..." and "-- Error: ..."
+ * comment lines become warnings and errors, and output that is not a query is an error.
+ * @param {object|string} output - The converter output.
+ * @returns {object} - The conversion result.
+ */
+export function toConversionResult(output) {
+  if (output && typeof output === "object") {
+    return createConversionResult(output);
+  }
+  const text = String(output ?? "").trim();
+  if (!isSQLQuery(text)) {
+    return conversionError(text || "The converter generated no SQL.");
+  }
+  const warnings = [];
+  const errors = [];
+  const sql = text
+    .split("\n")
+    .filter((line) => {
+      const match = line.match(/^\s*--\s*(Warning|Error)\b:?\s*(.*)$/i);
+      if (!match) return true;
+      (/^warning$/i.test(match[1]) ? warnings : errors).push(match[2]);
+      return false;
+    })
+    .join("\n");
+  return errors.length > 0
+    ? conversionError(errors.pop(), { warnings, errors })
+    : createConversionResult({ sql, warnings });
+}
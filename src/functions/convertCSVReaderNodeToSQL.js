@@ -1,3 +1,9 @@
+import { getDialect } from "../dialects";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+
 /**
  * Utility function to get a value from a node's "entry".
  * The node.entry can be an object or an array.
@@ -49,33 +55,35 @@ function findConfigByKey(config, key) {
  *   model → table_spec_config_Internals → individual_specs → (node with key equal to the CSV file name)
  *     → each column node's entry with key "name"
  *
- * Example SQL output:
+ * Example SQL output (generic dialect):
  *   SELECT
- *     product,
- *     country,
- *     date,
- *     quantity,
- *     amount,
- *     card,
- *     Cust_ID
- *   FROM sales_2008-2011.csv;
+ *     "product",
+ *     "country",
+ *     "date",
+ *     "quantity",
+ *     "amount",
+ *     "card",
+ *     "Cust_ID"
+ *   FROM "sales_2008-2011.csv";
  *
  * @param {object} nodeConfig - The full node configuration object.
- * @returns {string} - The generated SQL query or an error message if something is missing.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult) with the read
+ * columns, or an error if something is missing.
  */
-export function convertCSVReaderNodeToSQL(nodeConfig) {
+export function convertCSVReaderNodeToSQL(nodeConfig, dialect = getDialect()) {
   // Step 1: Ensure the node is a CSV Reader by checking the "factory" entry.
   const factory = getEntryValue({ entry: nodeConfig.entry }, "factory");
   const CSV_FACTORY =
     "org.knime.base.node.io.filehandling.csv.reader.CSVTableReaderNodeFactory";
   if (factory !== CSV_FACTORY) {
-    return "This function only converts CSV Reader nodes.";
+    return conversionError("This function only converts CSV Reader nodes.");
   }
 
   // Step 2: Locate the "model" node from the top-level config.
   const modelNode = findConfigByKey(nodeConfig.config, "model");
   if (!modelNode || !modelNode.config) {
-    return "Model node not found in the configuration.";
+    return conversionError("Model node not found in the configuration.");
   }
 
   // Step 3: Extract the CSV file name.
@@ -95,7 +103,9 @@ export function convertCSVReaderNodeToSQL(nodeConfig) {
     }
   }
   if (!fileName) {
-    return "CSV file name not found in the configuration.";
+    return conversionError(
+      "CSV file name not found in the configuration."
+    );
   }
 
   // Step 4: Extract the column names.
@@ -137,9 +147,17 @@ export function convertCSVReaderNodeToSQL(nodeConfig) {
     }
   }
   if (columns.length === 0) {
-    return "No columns found in the configuration.";
+    return conversionError("No columns found in the configuration.");
   }
 
-  // Step 5: Build and return the SQL query.
-  return `SELECT\n  ${columns.join(",\n  ")}\nFROM ${fileName};`;
+  // Step 5: Build and return the SQL query. Quote identifiers for the target dialect.
+  const quotedColumns = columns
+    .map((col) => dialect.quoteIdentifier(col))
+    .join(",\n  ");
+  return createConversionResult({
+    sql: `SELECT\n  ${quotedColumns}\nFROM ${dialect.quoteIdentifier(
+      fileName
+    )};`,
+    columns,
+  });
 }
@@ -0,0 +1,251 @@
+// src/functions/convertCellSplitterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { KNIME_TYPES, isStringType } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+
+export const CELL_SPLITTER_FACTORY =
+  "org.knime.base.node.preproc.cellsplit.CellSplitterNodeFactory";
+
+/** Cell class of the list column created by "as list". */
+export const LIST_TYPE = "org.knime.core.data.collection.ListCell";
+
+/**
+ * Names the columns of the parts like KNIME, e.g. "address_Arr[0]".
+ * @param {string} column - The split column.
+ * @param {number} index - The 0-based index of the part.
+ * @returns {string} - The column name.
+ */
+export const getSplitColumnName = (column, index) => `${column}_Arr[${index}]`;
+
+/**
+ * Names the list column of the parts like KNIME, e.g. "address_SplitResultList".
+ * @param {string} column - The split column.
+ * @returns {string} - The column name.
+ */
+export const getSplitListColumnName = (column) => `${column}_SplitResultList`;
+
+/**
+ * Reads the settings of a Cell Splitter node: the split column "colName", the
+ * "delimiter", the outputs ("outputAsCols", "outputAsList", "outputAsSet"), the number
+ * of part columns ("numOfCols", unless "guessNumOfCols" derives it from the data),
+ * "trim", "useEmptyString" (empty strings instead of missing values for absent parts),
+ * "removeInputColumn" and the quoting and escaping options.
+ * @param {object} modelNode - The model config.
+ * @returns {object} - The settings.
+ */
+export const getCellSplitterSettings = (modelNode) => {
+  const entryOf = (key) => getEntryValue(modelNode.entry, key);
+  return {
+    column: entryOf("colName"),
+    delimiter: entryOf("delimiter") ?? "",
+    asColumns: entryOf("outputAsCols") === true,
+    asList: entryOf("outputAsList") === true,
+    asSet: entryOf("outputAsSet") === true,
+    guessColumns: entryOf("guessNumOfCols") === true,
+    columnCount: parseInt(entryOf("numOfCols"), 10) || 0,
+    trim: entryOf("trim") === true,
+    useEmptyString: entryOf("useEmptyString") === true,
+    removeInputColumn: entryOf("removeInputColumn") === true,
+    quotePattern: entryOf("quotePattern"),
+    escapeCharacter:
+      entryOf("useEscapeCharacter") === true
+        ? entryOf("escapeCharacter")
+        : null,
+    splitColumnNames: entryOf("splitColumnNames") === true,
+  };
+};
+
+/**
+ * Converts a KNIME Cell Splitter node to SPLIT_PART expressions that append one column
+ * per part ("<column>_Arr[<index>]"), and/or a list of all parts
+ * ("<column>_SplitResultList"). When KNIME guesses the number of parts from the data,
+ * the part columns and their types are taken from the output columns saved with the
+ * executed node.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @param {object} [portSpecs={}] - The output table specs saved with the node.
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertCellSplitterNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect(),
+  portSpecs = {}
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== CELL_SPLITTER_FACTORY) {
+    return conversionError(
+      `Expected Cell Splitter node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Cell Splitter node."
+    );
+  }
+  const settings = getCellSplitterSettings(modelNode);
+  const { column, delimiter } = settings;
+  if (!column) {
+    return conversionError("No column to split is selected.");
+  }
+  if (delimiter === "") {
+    return conversionError("The delimiter is empty.");
+  }
+  if (settings.asSet) {
+    return conversionError(
+      "Splitting into a set is not supported; split into a list instead."
+    );
+  }
+  if (settings.splitColumnNames) {
+    return conversionError(
+      "Splitting the column names is not supported; split the values only."
+    );
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length > 0 && !inputColumnNames.includes(column)) {
+    return conversionError(`Column "${column}" not found in the input.`, {
+      warnings,
+    });
+  }
+
+  // The part columns, with the types KNIME guessed if it counted them in the data
+  let parts = [];
+  if (settings.asColumns) {
+    if (settings.guessColumns) {
+      const outputSpec = portSpecs[1] || [];
+      if (outputSpec.length === 0) {
+        return conversionError(
+          "The number of parts is unknown. Execute the node in KNIME and export the workflow with its data, or set the number of columns.",
+          { warnings }
+        );
+      }
+      parts = outputSpec.filter(({ name }) =>
+        name.startsWith(`${column}_Arr[`)
+      );
+    } else {
+      parts = Array.from({ length: settings.columnCount }, (_, index) => ({
+        name: getSplitColumnName(column, index),
+        type: KNIME_TYPES.STRING,
+      }));
+    }
+  }
+
+  let approximate = false;
+  if (settings.quotePattern) {
+    approximate = true;
+    warnings.push(
+      `Quotes (${settings.quotePattern}) are not recognized; delimiters inside quotes split the value as well.`
+    );
+  }
+  if (settings.escapeCharacter) {
+    approximate = true;
+    warnings.push(
+      `The escape character ${settings.escapeCharacter} is not recognized; escaped delimiters split the value as well.`
+    );
+  }
+
+  const quoted = dialect.quoteIdentifier(column);
+  const quotedDelimiter = dialect.quoteString(delimiter);
+  // The number of delimiters tells whether a part exists
+  const removedLength = `(${dialect.callFunction("LENGTH", [
+    quoted,
+  ])} - ${dialect.callFunction("LENGTH", [
+    `REPLACE(${quoted}, ${quotedDelimiter}, '')`,
+  ])})`;
+  const delimiterCount =
+    delimiter.length > 1
+      ? `${removedLength} / ${delimiter.length}`
+      : removedLength;
+  const newParts = parts.map(({ name, type }, index) => {
+    let part = dialect.callFunction("SPLIT_PART", [
+      quoted,
+      quotedDelimiter,
+      String(index + 1),
+    ]);
+    if (settings.trim) part = `TRIM(${part})`;
+    if (type && !isStringType(type)) {
+      part = dialect.cast(part, dialect.typeName(type));
+    }
+    if (index > 0) {
+      const absent =
+        settings.useEmptyString && isStringType(type) ? " ELSE ''" : "";
+      part = `CASE WHEN ${delimiterCount} >= ${index} THEN ${part}${absent} END`;
+    }
+    return `${part} AS ${dialect.quoteIdentifier(name)}`;
+  });
+  const newColumns = parts.map(({ name }) => name);
+  if (settings.asList) {
+    const listName = getSplitListColumnName(column);
+    newParts.push(
+      `${dialect.callFunction("STRING_TO_ARRAY", [
+        quoted,
+        quotedDelimiter,
+      ])} AS ${dialect.quoteIdentifier(listName)}`
+    );
+    newColumns.push(listName);
+    if (settings.trim) {
+      approximate = true;
+      warnings.push(`${listName}: the parts in the list are not trimmed.`);
+    }
+  }
+  if (newParts.length === 0) {
+    return conversionError("No output columns are selected.", { warnings });
+  }
+
+  const clashes = newColumns.filter((col) => inputColumnNames.includes(col));
+  if (clashes.length > 0) {
+    return conversionError(
+      `The split columns already exist in the input: ${clashes.join(", ")}.`,
+      { warnings }
+    );
+  }
+  let keptColumns = inputColumnNames;
+  if (settings.removeInputColumn) {
+    if (inputColumnNames.length === 0) {
+      return conversionError(
+        "The input columns are unknown, so the split column cannot be removed.",
+        { warnings }
+      );
+    }
+    keptColumns = inputColumnNames.filter((col) => col !== column);
+  }
+
+  const selectParts = [
+    ...(inputColumnNames.length > 0
+      ? keptColumns.map((col) => dialect.quoteIdentifier(col))
+      : ["*"]),
+    ...newParts,
+  ];
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns:
+      inputColumnNames.length > 0 ? [...keptColumns, ...newColumns] : null,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const CELL_SPLITTER_FACTORY =
+  "org.knime.base.node.preproc.cellsplit.CellSplitterNodeFactory";
+const LIST_TYPE = "org.knime.core.data.collection.ListCell";
+
+const cellSplitter = (settings, outputColumns) =>
+  knimeNode(
+    CELL_SPLITTER_FACTORY,
+    {
+      colName: "address",
+      delimiter: ",",
+      quotePattern: "",
+      removeQuotes: false,
+      guessNumOfCols: false,
+      numOfCols: 3,
+      outputAsList: false,
+      outputAsSet: false,
+      outputAsCols: true,
+      trim: true,
+      useEmptyString: false,
+      removeInputColumn: false,
+      ...settings,
+    },
+    { name: "Cell Splitter", outputColumns }
+  );
+
+const analyzeCellSplitter = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["address", KNIME_TYPES.STRING],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertCellSplitterNodeToSQL", () => {
+  it("appends a column per part", async () => {
+    const analysis = await analyzeCellSplitter(cellSplitter({}));
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "name",
+      "address",
+      "qty",
+      "address_Arr[0]",
+      "address_Arr[1]",
+      "address_Arr[2]",
+    ]);
+  });
+
+  it("takes the guessed parts and their types from the saved output spec", async () => {
+    const analysis = await analyzeCellSplitter(
+      cellSplitter(
+        {
+          delimiter: " - ",
+          guessNumOfCols: true,
+          outputAsList: true,
+          removeInputColumn: true,
+          useEmptyString: true,
+        },
+        [
+          ["name", KNIME_TYPES.STRING],
+          ["qty", KNIME_TYPES.INT],
+          ["address_Arr[0]", KNIME_TYPES.STRING],
+          ["address_Arr[1]", KNIME_TYPES.INT],
+          ["address_SplitResultList", LIST_TYPE],
+        ]
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual([
+      "name",
+      "qty",
+      "address_Arr[0]",
+      "address_Arr[1]",
+      "address_SplitResultList",
+    ]);
+    expect(result.warnings).toMatchSnapshot();
+  });
+
+  it("needs the saved output spec to guess the parts", async () => {
+    const analysis = await analyzeCellSplitter(
+      cellSplitter({ guessNumOfCols: true })
+    );
+    expect(convertNode(analysis, 2).errors).toEqual([
+      "The number of parts is unknown. Execute the node in KNIME and export the workflow with its data, or set the number of columns.",
+    ]);
+  });
+});
@@ -1,5 +1,11 @@
 // src/functions/convertColumnFilterNodeToSQL.js
 
+import { getDialect } from "../dialects";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+
 // Utility function to get a value from an entry array by its key.
 // This version is provided by the user.
 const getEntryValue = (data, key) => {
@@ -39,30 +45,41 @@ const findConfigByKey = (config, key) => {
  *
  * @param {object} nodeConfig - The full node configuration object (JSON from settings.xml).
  * @param {string} previousNodeName - The name of the previous node (for table name).
- * @returns {string} - The generated SQL query or an error message if something is missing.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult) with the kept
+ * columns, or an error if something is missing.
  */
-export function convertColumnFilterNodeToSQL(nodeConfig, previousNodeName) {
-  console.log(nodeConfig);
+export function convertColumnFilterNodeToSQL(
+  nodeConfig,
+  previousNodeName,
+  dialect = getDialect()
+) {
   // Step 1: Ensure the node is a Column Filter by checking the "factory" entry.
   // Note: getEntryValue expects nodeConfig to directly contain the 'entry' array/object.
   const factory = getEntryValue(nodeConfig, "factory");
   const COLUMN_FILTER_FACTORY =
     "org.knime.base.node.preproc.filter.column.DataColumnSpecFilterNodeFactory";
   if (factory !== COLUMN_FILTER_FACTORY) {
-    return "-- This function only converts Column Filter nodes. Incorrect factory found.";
+    return conversionError(
+      "This function only converts Column Filter nodes. Incorrect factory found."
+    );
   }
 
   // Step 2: Locate the "model" node from the top-level config.
   // nodeConfig.config should be the array of config elements.
   const modelNode = findConfigByKey(nodeConfig.config, "model");
   if (!modelNode || !modelNode.config) {
-    return "-- Model node not found or invalid in the configuration.";
+    return conversionError(
+      "Model node not found or invalid in the configuration."
+    );
   }
 
   // Step 3: Locate the "column-filter" node within the model.
   const columnFilterNode = findConfigByKey(modelNode.config, "column-filter");
   if (!columnFilterNode || !columnFilterNode.config) {
-    return "-- Column filter configuration ('column-filter' node) not found.";
+    return conversionError(
+      "Column filter configuration ('column-filter' node) not found."
+    );
   }
 
   // Step 4: Extract included and excluded column names.
@@ -119,21 +136,27 @@ export function convertColumnFilterNodeToSQL(nodeConfig, previousNodeName) {
   );
 
   // Determine the FROM clause, ensuring previousNodeName is quoted if it contains special characters or spaces
-  const fromClause = `"${(previousNodeName || "input_table").replace(
-    /"/g,
-    '""'
-  )}"`;
+  const fromClause = dialect.quoteIdentifier(previousNodeName || "input_table");
 
   // If no columns are left after filtering, select all columns (*)
   if (finalColumns.length === 0) {
-    return `SELECT\n  *\nFROM ${fromClause};`;
+    return createConversionResult({
+      sql: `SELECT\n  *\nFROM ${fromClause};`,
+      warnings: [
+        "No columns are included; all input columns are selected instead.",
+      ],
+      approximate: true,
+    });
   }
 
   // Create the SELECT clause with each column on a new line and indented
   // Also, ensure column names are properly quoted
   const selectClause = finalColumns
-    .map((col) => `  "${col.replace(/"/g, '""')}"`) // Add indentation and quote column names
+    .map((col) => `  ${dialect.quoteIdentifier(col)}`) // Add indentation and quote column names
     .join(",\n"); // Join with comma and newline
 
-  return `SELECT\n${selectClause}\nFROM ${fromClause};`;
+  return createConversionResult({
+    sql: `SELECT\n${selectClause}\nFROM ${fromClause};`,
+    columns: finalColumns,
+  });
 }
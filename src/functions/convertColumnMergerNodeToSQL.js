@@ -1,5 +1,11 @@
 // src/functions/convertColumnMergerNodeToSQL.js
 
+import { getDialect } from "../dialects";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+
 /**
  * Utility function to get a value from an entry array or object (compact format).
  * @param {object|array} entryProp - The entry property which can be an object or array.
@@ -39,12 +45,14 @@ const findConfigByKey = (config, key) => {
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} previousNodeName - The name of the table/view representing the input data.
  * @param {string[]} [inputColumnNames=[]] - Array of all column names from the input node. Crucial for handling 'Replace' options.
- * @returns {string} - The generated SQL query or an error message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertColumnMergerNodeToSQL(
   nodeConfig,
   previousNodeName = "input_table",
-  inputColumnNames = []
+  inputColumnNames = [],
+  dialect = getDialect()
 ) {
   // Step 1: Verify node type
   const factory = getEntryValue(nodeConfig?.entry, "factory");
@@ -52,13 +60,15 @@ export function convertColumnMergerNodeToSQL(
     "org.knime.base.node.preproc.columnmerge.ColumnMergerNodeFactory";
   if (factory !== MERGER_FACTORY) {
     const factoryInfo = factory ? `"${factory}"` : "N/A";
-    return `Error: Expected Column Merger node factory (${MERGER_FACTORY}), but got ${factoryInfo}.`;
+    return conversionError(
+      `Expected Column Merger node factory (${MERGER_FACTORY}), but got ${factoryInfo}.`
+    );
   }
 
   // Step 2: Locate the model node
   const modelNode = findConfigByKey(nodeConfig.config, "model");
   if (!modelNode || !modelNode.entry) {
-    return "Error: Model configuration not found or invalid.";
+    return conversionError("Model configuration not found or invalid.");
   }
 
   // Step 3: Extract parameters
@@ -68,58 +78,65 @@ export function convertColumnMergerNodeToSQL(
   const outputName = getEntryValue(modelNode.entry, "outputName"); // e.g., "NewColumn"
 
   if (!primaryCol || !secondaryCol || !outputPlacement || !outputName) {
-    return "Error: Missing required parameters (primaryColumn, secondaryColumn, outputPlacement, outputName) in model configuration.";
+    return conversionError(
+      "Missing required parameters (primaryColumn, secondaryColumn, outputPlacement, outputName) in model configuration."
+    );
   }
 
   // Step 4: Validate input columns list (needed for Replace options)
+  const warnings = [];
   if (
     inputColumnNames.length === 0 &&
     (outputPlacement === "ReplaceBoth" || outputPlacement === "ReplacePrimary")
   ) {
-    return `Error: Cannot perform '${outputPlacement}' without the full list of input column names provided to the conversion function.`;
+    return conversionError(
+      `Cannot perform '${outputPlacement}' without the full list of input column names provided to the conversion function.`
+    );
   }
   if (inputColumnNames.length === 0 && outputPlacement === "NewColumn") {
-    console.warn(
+    warnings.push(
       "Input column list is empty for Column Merger with outputPlacement='NewColumn'. Output will only contain the merged column."
     );
     // Allow proceeding, but the SELECT will be limited.
   }
 
   // Step 5: Construct the COALESCE expression (quoting identifiers)
-  const quotedPrimary = `"${primaryCol.replace(/"/g, '""')}"`;
-  const quotedSecondary = `"${secondaryCol.replace(/"/g, '""')}"`;
-  const quotedOutput = `"${outputName.replace(/"/g, '""')}"`;
+  const quotedPrimary = dialect.quoteIdentifier(primaryCol);
+  const quotedSecondary = dialect.quoteIdentifier(secondaryCol);
+  const quotedOutput = dialect.quoteIdentifier(outputName);
   const coalesceExpr = `COALESCE(${quotedPrimary}, ${quotedSecondary}) AS ${quotedOutput}`;
 
   // Step 6: Determine the final SELECT list based on outputPlacement
   let selectColumns = [];
+  let outputColumns = []; // Names of the selected columns
 
   switch (outputPlacement) {
     case "ReplaceBoth":
       // Select all input columns EXCEPT primary and secondary, then add the COALESCE result
-      selectColumns = inputColumnNames
-        .filter((col) => col !== primaryCol && col !== secondaryCol)
-        .map((col) => `"${col.replace(/"/g, '""')}"`); // Quote remaining columns
+      outputColumns = inputColumnNames.filter(
+        (col) => col !== primaryCol && col !== secondaryCol
+      );
+      selectColumns = outputColumns.map((col) => dialect.quoteIdentifier(col)); // Quote remaining columns
       selectColumns.push(coalesceExpr);
       break;
     case "ReplacePrimary":
       // Select all input columns EXCEPT primary, then add the COALESCE result
-      selectColumns = inputColumnNames
-        .filter((col) => col !== primaryCol)
-        .map((col) => `"${col.replace(/"/g, '""')}"`); // Quote remaining columns
+      outputColumns = inputColumnNames.filter((col) => col !== primaryCol);
+      selectColumns = outputColumns.map((col) => dialect.quoteIdentifier(col)); // Quote remaining columns
       selectColumns.push(coalesceExpr);
       break;
     case "NewColumn":
     default: // Treat unknown as NewColumn
       // Select all original input columns, plus the COALESCE result
-      selectColumns = inputColumnNames.map(
-        (col) => `"${col.replace(/"/g, '""')}"`
+      outputColumns = [...inputColumnNames];
+      selectColumns = inputColumnNames.map((col) =>
+        dialect.quoteIdentifier(col)
       ); // Quote all original columns
       selectColumns.push(coalesceExpr);
       // Ensure the new column name doesn't clash with existing ones (though KNIME usually prevents this)
       if (inputColumnNames.includes(outputName)) {
-        console.warn(
-          `Warning: Output column name '${outputName}' might clash with an existing input column.`
+        warnings.push(
+          `Output column name '${outputName}' might clash with an existing input column.`
         );
       }
       break;
@@ -127,13 +144,16 @@ export function convertColumnMergerNodeToSQL(
 
   if (selectColumns.length === 0) {
     // This might happen if inputColumnNames was empty and output wasn't NewColumn
-    return `Error: Could not determine columns for SELECT statement. Input columns: ${inputColumnNames.join(
-      ", "
-    )}, Placement: ${outputPlacement}`;
+    return conversionError(
+      `Could not determine columns for SELECT statement. Input columns: ${inputColumnNames.join(
+        ", "
+      )}, Placement: ${outputPlacement}`,
+      { warnings }
+    );
   }
 
   // Step 7: Build the final SQL query
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
   const selectClause = selectColumns.join(",\n  ");
 
   const sqlQuery = `
@@ -142,5 +162,9 @@ SELECT
 FROM ${quotedPreviousNodeName};
 `;
 
-  return sqlQuery.trim();
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: [...outputColumns, outputName],
+    warnings,
+  });
 }
@@ -4,25 +4,12 @@
 // If not, you'll need to ensure they are correctly imported or defined.
 import { getEntryValue } from "../common/getEntryValue";
 import { findConfigByKey } from "../common/findConfigByKey";
-
-/**
- * Finds the direct predecessor node(s) for a given node ID from a list of processed nodes.
- * (This is a common helper function, also used by other converters)
- * @param {string | number} currentNodeId - The ID of the current node.
- * @param {Array<object>} allProcessedNodes - An array of node objects that have already been processed,
- * each expected to have an 'id', 'nodes' (output columns), and 'nextNodes' (successor IDs) property.
- * @returns {Array<object>} - An array of predecessor node objects.
- */
-const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
-  if (!Array.isArray(allProcessedNodes)) return [];
-  const currentIdStr = String(currentNodeId);
-  return allProcessedNodes.filter(
-    (node) =>
-      node &&
-      Array.isArray(node.nextNodes) &&
-      node.nextNodes.some((nextNodeId) => String(nextNodeId) === currentIdStr)
-  );
-};
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
 
 /**
  * Converts a KNIME Column Renamer node configuration (JSON from settings.xml) to an SQL query.
@@ -33,34 +20,41 @@ const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
  * @param {Array<object>} [allProcessedNodes=[]] - Array of all previously processed nodes in the workflow.
  * Each object should have 'id' (node ID), 'nodes' (array of its output column names),
  * and 'nextNodes' (array of IDs of its direct successor nodes).
- * @returns {string} - The generated SQL query or an error message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertColumnRenamerNodeToSQL(
   nodeConfigJson,
   nodeId,
   previousNodeName = "input_table",
-  allProcessedNodes = []
+  allProcessedNodes = [],
+  dialect = getDialect()
 ) {
   // Verify node factory
   const factory = getEntryValue(nodeConfigJson?.entry, "factory");
   const RENAMER_FACTORY =
     "org.knime.base.node.preproc.column.renamer.ColumnRenamerNodeFactory";
   if (factory !== RENAMER_FACTORY) {
-    return `Error: Expected Column Renamer node factory (${RENAMER_FACTORY}), but got ${
-      factory || "N/A"
-    }.`;
+    return conversionError(
+      `Expected Column Renamer node factory (${RENAMER_FACTORY}), but got ${
+        factory || "N/A"
+      }.`
+    );
   }
 
   const modelNode = findConfigByKey(nodeConfigJson.config, "model");
   if (!modelNode) {
-    return "Error: Model configuration not found in Column Renamer node.";
+    return conversionError(
+      "Model configuration not found in Column Renamer node."
+    );
   }
 
   const currentNodeId = nodeId;
 
   // --- Determine Input Columns ---
-  const predecessors = findPredecessorNodes(currentNodeId, allProcessedNodes);
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
   let inputColumnNames = [];
+  const warnings = [];
 
   if (predecessors.length === 1) {
     if (
@@ -69,14 +63,14 @@ export function convertColumnRenamerNodeToSQL(
     ) {
       inputColumnNames = predecessors[0].nodes;
     } else {
-      console.warn(
-        `Node ${currentNodeId} (ColumnRenamer): Predecessor node ${predecessors[0].id} exists but did not provide output column names (its 'nodes' property was empty or not an array).`
+      warnings.push(
+        `Predecessor node ${predecessors[0].id} exists but did not provide output column names (its 'nodes' property was empty or not an array).`
       );
       // Continue, but inputColumnNames will be empty.
     }
   } else if (predecessors.length > 1) {
-    console.warn(
-      `Node ${currentNodeId} (ColumnRenamer): Multiple direct predecessors found. Using columns from the first one found: ${predecessors[0].id}. This might be incorrect for complex workflows.`
+    warnings.push(
+      `Multiple direct predecessors found. Using columns from the first one found: ${predecessors[0].id}. This might be incorrect for complex workflows.`
     );
     if (
       Array.isArray(predecessors[0].nodes) &&
@@ -86,16 +80,17 @@ export function convertColumnRenamerNodeToSQL(
     } // else: inputColumnNames remains empty
   } else {
     // predecessors.length === 0
-    console.warn(
-      `Node ${currentNodeId} (ColumnRenamer): No predecessors found. Input columns are unknown.`
-    );
+    warnings.push(`No predecessors found. Input columns are unknown.`);
     // inputColumnNames remains empty.
   }
 
   if (inputColumnNames.length === 0) {
-    return `Error: Node ${currentNodeId} (ColumnRenamer): Input columns from predecessor are unknown. Cannot reliably rename columns. Ensure predecessor node (${
-      predecessors.length > 0 ? predecessors[0].id : "N/A"
-    }) provides its output column schema.`;
+    return conversionError(
+      `Input columns from predecessor are unknown. Cannot reliably rename columns. Ensure predecessor node (${
+        predecessors.length > 0 ? predecessors[0].id : "N/A"
+      }) provides its output column schema.`,
+      { warnings }
+    );
   }
 
   // --- Parse Renaming Rules ---
@@ -114,9 +109,10 @@ export function convertColumnRenamerNodeToSQL(
         if (oldName && newName) {
           renamingMap.set(oldName, newName);
         } else {
-          console.warn(
-            `Node ${currentNodeId} (ColumnRenamer): Invalid renaming rule found (missing oldName or newName):`,
-            conf
+          warnings.push(
+            `Invalid renaming rule found (missing oldName or newName): ${
+              conf._attributes?.key ?? "unknown"
+            }`
           );
         }
       }
@@ -126,39 +122,51 @@ export function convertColumnRenamerNodeToSQL(
   // If no renaming rules are defined, but input columns are known, select all input columns as they are.
   if (renamingMap.size === 0) {
     const quotedInputCols = inputColumnNames
-      .map((name) => `"${name.replace(/"/g, '""')}"`)
+      .map((name) => dialect.quoteIdentifier(name))
       .join(",\n  ");
-    return `SELECT\n  ${quotedInputCols}\nFROM "${previousNodeName.replace(
-      /"/g,
-      '""'
-    )}"; -- Node ID: ${currentNodeId} (ColumnRenamer - No renaming rules defined or parsed)`;
+    return createConversionResult({
+      sql: `SELECT\n  ${quotedInputCols}\nFROM ${dialect.quoteIdentifier(
+        previousNodeName
+      )}; -- Node ID: ${currentNodeId} (ColumnRenamer - No renaming rules defined or parsed)`,
+      columns: [...inputColumnNames],
+      warnings,
+    });
   }
 
   // --- Construct SELECT Clause ---
   const selectParts = inputColumnNames.map((originalColName) => {
     const newColName = renamingMap.get(originalColName);
-    const quotedOriginalColName = `"${originalColName.replace(/"/g, '""')}"`;
+    const quotedOriginalColName = dialect.quoteIdentifier(originalColName);
     if (newColName) {
       // If the new name is the same as old, just select it. Otherwise, use AS.
       if (newColName === originalColName) {
         return quotedOriginalColName;
       }
-      return `${quotedOriginalColName} AS "${newColName.replace(/"/g, '""')}"`;
+      return `${quotedOriginalColName} AS ${dialect.quoteIdentifier(
+        newColName
+      )}`;
     }
     return quotedOriginalColName; // Select as is if not in renaming map
   });
 
   if (selectParts.length === 0) {
     // This should not happen if inputColumnNames.length > 0
-    return `Error: Node ${currentNodeId} (ColumnRenamer): Could not construct SELECT clause. Input columns might be empty or an unexpected issue occurred.`;
+    return conversionError(
+      `Could not construct SELECT clause. Input columns might be empty or an unexpected issue occurred.`,
+      { warnings }
+    );
   }
 
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
   const sqlQuery = `
 SELECT
   ${selectParts.join(",\n  ")}
 FROM ${quotedPreviousNodeName};
 `;
 
-  return sqlQuery.trim();
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: inputColumnNames.map((col) => renamingMap.get(col) || col),
+    warnings,
+  });
 }
@@ -0,0 +1,85 @@
+// src/functions/convertColumnResorterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { applyColumnOrder } from "./applyColumnOrder";
+
+export const COLUMN_RESORTER_FACTORY =
+  "org.knime.base.node.preproc.columnresorter.ColumnResorterNodeFactory";
+
+// Entry of the column order that stands for all columns not listed
+const OTHER_COLUMNS = "<any unknown new column>";
+
+/**
+ * Reads the column order of a Column Resorter node ("ColumnOrder"), with null for the
+ * place of the columns that are not listed (see applyColumnOrder).
+ * @param {object} modelNode - The model config.
+ * @returns {Array<string|null>} - The column order.
+ */
+export const getColumnResorterOrder = (modelNode) =>
+  getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "ColumnOrder")
+  ).map((name) => (name === OTHER_COLUMNS ? null : name));
+
+/**
+ * Converts a KNIME Column Resorter node to a SELECT list in the new column order.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertColumnResorterNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== COLUMN_RESORTER_FACTORY) {
+    return conversionError(
+      `Expected Column Resorter node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Column Resorter node."
+    );
+  }
+  const columnOrder = getColumnResorterOrder(modelNode);
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length === 0) {
+    return conversionError(
+      "The input columns are unknown, so they cannot be reordered."
+    );
+  }
+
+  const warnings = [];
+  const missing = columnOrder.filter(
+    (name) => name !== null && !inputColumnNames.includes(name)
+  );
+  if (missing.length > 0) {
+    warnings.push(
+      `Columns not found in the input are skipped: ${missing.join(", ")}.`
+    );
+  }
+  const outputColumns = applyColumnOrder(inputColumnNames, columnOrder);
+  return createConversionResult({
+    sql: `SELECT\n  ${outputColumns
+      .map((col) => dialect.quoteIdentifier(col))
+      .join(",\n  ")}\nFROM ${dialect.quoteIdentifier(previousNodeName)};`,
+    columns: outputColumns,
+    warnings,
+  });
+}
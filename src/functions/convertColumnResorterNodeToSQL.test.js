@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const COLUMN_RESORTER_FACTORY =
+  "org.knime.base.node.preproc.columnresorter.ColumnResorterNodeFactory";
+
+const columnResorter = (columnOrder) =>
+  knimeNode(
+    COLUMN_RESORTER_FACTORY,
+    { ColumnOrder: columnOrder },
+    { name: "Column Resorter" }
+  );
+
+const analyzeResorter = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+        ["code", KNIME_TYPES.STRING],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertColumnResorterNodeToSQL", () => {
+  it("puts the unlisted columns in place of the placeholder", async () => {
+    const analysis = await analyzeResorter(
+      columnResorter(["code", "<any unknown new column>", "name", "gone"])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    const result = convertNode(analysis, 2);
+    expect(result.columns).toEqual(["code", "amount", "qty", "name"]);
+    expect(result.warnings).toEqual([
+      "Columns not found in the input are skipped: gone.",
+    ]);
+  });
+
+  it("appends the unlisted columns without a placeholder", async () => {
+    const analysis = await analyzeResorter(columnResorter(["qty", "amount"]));
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "qty",
+      "amount",
+      "name",
+      "code",
+    ]);
+  });
+});
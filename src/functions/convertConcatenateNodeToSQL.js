@@ -4,24 +4,33 @@
 // If not, you'll need to ensure they are correctly imported or defined.
 import { getEntryValue } from "../common/getEntryValue";
 import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getCteName } from "./getCteName";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+import {
+  findSchemaColumn,
+  getCommonType,
+  getNodeSchema,
+  getTypeLabel,
+} from "./columnSchema";
 
 /**
  * Finds the direct predecessor node(s) for a given node ID from a list of processed nodes.
  * (This is a common helper function, also used by other converters)
  * @param {string | number} currentNodeId - The ID of the current node.
  * @param {Array<object>} allProcessedNodes - An array of node objects that have already been processed,
- * each expected to have an 'id', 'nodes' (output columns), 'sqlAlias', and 'nextNodes' (successor IDs) property.
+ * each expected to have an 'id', 'nodes' (output columns), 'nodeName', and 'nextConnections' or 'nextNodes' property.
  * @returns {Array<object>} - An array of predecessor node objects found in allProcessedNodes.
  */
 const findPredecessorNodeDetails = (currentNodeId, allProcessedNodes) => {
-  if (!Array.isArray(allProcessedNodes)) return [];
-  const currentIdStr = String(currentNodeId);
-
-  const predecessorConnections = allProcessedNodes.filter(
-    (node) =>
-      node &&
-      Array.isArray(node.nextNodes) &&
-      node.nextNodes.some((nextNodeId) => String(nextNodeId) === currentIdStr)
+  // Upstream nodes in input port order (first input first, as in KNIME's output)
+  const predecessorConnections = findInputNodes(
+    currentNodeId,
+    allProcessedNodes
   );
 
   // Now, from these connections, get the full detail from allProcessedNodes
@@ -34,8 +43,9 @@ const findPredecessorNodeDetails = (currentNodeId, allProcessedNodes) => {
 
     return {
       id: fullNodeDetail.id,
-      sqlAlias: fullNodeDetail.nodeName,
-      columns: fullNodeDetail.nodes, // This is the schema of the predecessor
+      sqlAlias: getCteName(fullNodeDetail.id), // Referenced by its CTE name
+      columns: fullNodeDetail.nodes, // Output column names of the predecessor
+      schema: getNodeSchema(fullNodeDetail), // Typed columns of the predecessor
       incomplete: false,
     };
   });
@@ -49,38 +59,42 @@ const findPredecessorNodeDetails = (currentNodeId, allProcessedNodes) => {
  * @param {Array<object>} allProcessedNodes - Array of all previously processed nodes. Each object
  * should have 'id', 'sqlAlias' (its SQL output name),
  * 'nodes' (its output column names/schema), and 'nextNodes'.
- * @returns {string} - The generated SQL query (typically using UNION ALL or UNION).
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult) with the
+ * UNION ALL of the inputs as SQL.
  */
 export function convertConcatenateNodeToSQL(
   nodeConfigJson,
   nodeId,
-  allProcessedNodes
+  allProcessedNodes,
+  dialect = getDialect()
 ) {
   const factory = getEntryValue(nodeConfigJson?.entry, "factory");
   const CONCATENATE_FACTORY =
     "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory";
   if (factory !== CONCATENATE_FACTORY) {
-    return `Error: Expected Concatenate node factory (${CONCATENATE_FACTORY}), but got ${
-      factory || "N/A"
-    }.`;
+    return conversionError(
+      `Expected Concatenate node factory (${CONCATENATE_FACTORY}), but got ${
+        factory || "N/A"
+      }.`
+    );
   }
 
   const currentNodeId = nodeId;
   if (currentNodeId === undefined) {
-    console.error(
-      "convertConcatenateNodeToSQL: nodeConfigJson is missing the 'id' property.",
-      nodeConfigJson
+    return conversionError(
+      "Node ID is missing from nodeConfigJson. Cannot process Concatenate node."
     );
-    return "Error: Node ID is missing from nodeConfigJson. Cannot process Concatenate node.";
   }
 
   const modelNode = findConfigByKey(nodeConfigJson.config, "model");
   if (!modelNode) {
-    return `Error: Node ${currentNodeId} (Concatenate): Model configuration not found.`;
+    return conversionError("Model configuration not found.");
   }
 
   const intersectionOfColumns =
-    getEntryValue(modelNode.entry, "intersection_of_columns") === "true";
+    String(getEntryValue(modelNode.entry, "intersection_of_columns")) ===
+    "true";
   // Other settings like 'fail_on_duplicates', 'create_new_rowids', 'append_suffix'
   // are not directly translated into the SQL UNION structure but could be commented.
   // const failOnDuplicates = getEntryValue(modelNode.entry, "fail_on_duplicates") === "true";
@@ -91,16 +105,20 @@ export function convertConcatenateNodeToSQL(
   );
 
   if (!predecessorDetails || predecessorDetails.length === 0) {
-    return `Error: Node ${currentNodeId} (Concatenate): No predecessor inputs found or predecessor details (sqlAlias, columns) are missing. Cannot generate SQL.`;
+    return conversionError(
+      "No predecessor inputs found or predecessor details (sqlAlias, columns) are missing. Cannot generate SQL."
+    );
   }
   // Check if any predecessor has incomplete info needed for the operation
   if (predecessorDetails.some((p) => !p.sqlAlias || p.incomplete)) {
     const missingInfoNodes = predecessorDetails
       .filter((p) => !p.sqlAlias || p.incomplete)
       .map((p) => p.id);
-    return `Error: Node ${currentNodeId} (Concatenate): Predecessor(s) with ID(s) [${missingInfoNodes.join(
-      ", "
-    )}] are missing required 'sqlAlias' or 'columns' information in allProcessedNodes.`;
+    return conversionError(
+      `Predecessor(s) with ID(s) [${missingInfoNodes.join(
+        ", "
+      )}] are missing required 'sqlAlias' or 'columns' information in allProcessedNodes.`
+    );
   }
 
   if (predecessorDetails.length === 1) {
@@ -108,15 +126,19 @@ export function convertConcatenateNodeToSQL(
     // Select all columns from that single input.
     const singleInput = predecessorDetails[0];
     // Use SELECT * as the schema might be unknown or complex to list here.
-    return `SELECT * FROM "${singleInput.sqlAlias.replace(/"/g, '""')}"; `;
+    return createConversionResult({
+      sql: `SELECT * FROM ${dialect.quoteIdentifier(singleInput.sqlAlias)};`,
+      columns: singleInput.columns?.length ? [...singleInput.columns] : null,
+    });
   }
 
-  let unionOperator = "";
-  let unionParts = [];
+  // KNIME appends all rows (duplicates included), so the parts are always combined
+  // with UNION ALL; the column list decides how differing inputs are aligned.
+  const unionOperator = "UNION ALL";
+  let outputColumns = [];
 
   if (intersectionOfColumns) {
-    // --- Intersection of Columns (UNION) ---
-    unionOperator = "UNION"; // UNION implies DISTINCT rows over the common columns
+    // --- Intersection of Columns ---
     const allInputColumnSets = predecessorDetails.map(
       (p) => new Set(p.columns)
     );
@@ -133,41 +155,84 @@ export function convertConcatenateNodeToSQL(
     }
 
     if (commonColumns.length === 0) {
-      return `Error: Node ${currentNodeId} (Concatenate): 'Intersection of columns' is true, but no common columns found across inputs.`;
+      return conversionError(
+        "'Intersection of columns' is true, but no common columns found across inputs."
+      );
     }
+    outputColumns = commonColumns;
+  } else if (predecessorDetails.every((p) => p.columns?.length > 0)) {
+    // --- Union of Columns ---
+    // Columns of the first input first, then new columns in input order; inputs
+    // without a column get missing values for it.
+    const columnSet = new Set();
+    predecessorDetails.forEach((p) =>
+      p.columns.forEach((col) => columnSet.add(col))
+    );
+    outputColumns = [...columnSet];
+  }
 
-    const selectColsString = commonColumns
-      .map((col) => `"${col.replace(/"/g, '""')}"`)
-      .join(",\n  ");
-
-    unionParts = predecessorDetails.map((predecessor) => {
-      // Select only the common columns from each predecessor
-      return `SELECT\n  ${selectColsString}\nFROM "${predecessor.sqlAlias.replace(
-        /"/g,
-        '""'
-      )}"`;
-    });
-  } else {
-    // --- Union of Rows (UNION ALL) ---
-    // KNIME default behavior: Appends rows, assumes compatible structure.
-    // Simplest SQL equivalent is UNION ALL with SELECT *.
-    // This relies on the assumption that the input tables/CTEs have structures
-    // compatible with UNION ALL (same number of columns, compatible types).
-    unionOperator = "UNION ALL";
-
-    unionParts = predecessorDetails.map((predecessor) => {
-      // Select all columns from each predecessor.
-      // NOTE: This assumes the schemas are compatible for UNION ALL.
-      // If schemas differ, SQL will raise an error, mirroring KNIME's potential issues.
-      return `SELECT *\nFROM "${predecessor.sqlAlias.replace(/"/g, '""')}"`;
+  if (outputColumns.length === 0) {
+    // Input columns unknown: rely on the inputs having compatible structures
+    return createConversionResult({
+      sql: predecessorDetails
+        .map(
+          (predecessor) =>
+            `SELECT *\nFROM ${dialect.quoteIdentifier(predecessor.sqlAlias)}`
+        )
+        .join(`\n${unionOperator}\n`),
+      warnings: [
+        "Input columns are unknown; the inputs must have the same columns in the same order.",
+      ],
+      approximate: true,
     });
   }
 
-  if (unionParts.length === 0) {
-    return `Error: Node ${currentNodeId} (Concatenate): Could not construct any parts for the ${unionOperator} operation.`;
-  }
+  // Columns with different types in different inputs are cast to a common type
+  const warnings = [];
+  const outputTypes = {};
+  outputColumns.forEach((col) => {
+    const types = predecessorDetails
+      .map((p) => findSchemaColumn(p.schema, col)?.type)
+      .filter(Boolean);
+    outputTypes[col] = getCommonType(types);
+    if (new Set(types).size > 1) {
+      warnings.push(
+        `Column ${col} has different types (${[...new Set(types)]
+          .map(getTypeLabel)
+          .join(", ")}); cast to ${getTypeLabel(outputTypes[col])}.`
+      );
+    }
+  });
 
-  let sqlQuery = unionParts.join(`\n${unionOperator}\n`);
+  const unionParts = predecessorDetails.map((predecessor) => {
+    const selectCols = outputColumns.map((col) => {
+      const quotedCol = dialect.quoteIdentifier(col);
+      const column = findSchemaColumn(predecessor.schema, col);
+      const targetType = outputTypes[col];
+      if (!predecessor.columns.includes(col)) {
+        return targetType
+          ? `${dialect.cast(
+              "NULL",
+              dialect.typeName(targetType)
+            )} AS ${quotedCol}`
+          : `NULL AS ${quotedCol}`;
+      }
+      if (targetType && column?.type && column.type !== targetType) {
+        return `${dialect.cast(
+          quotedCol,
+          dialect.typeName(targetType)
+        )} AS ${quotedCol}`;
+      }
+      return quotedCol;
+    });
+    return `SELECT\n  ${selectCols.join(
+      ",\n  "
+    )}\nFROM ${dialect.quoteIdentifier(predecessor.sqlAlias)}`;
+  });
 
-  return sqlQuery.trim();
+  return createConversionResult({
+    sql: unionParts.join(`\n${unionOperator}\n`),
+    columns: outputColumns,
+    warnings,
+  });
 }
@@ -0,0 +1,128 @@
+// src/functions/convertCrossJoinerNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { conversionError, createConversionResult } from "./conversionResult";
+
+export const CROSS_JOINER_FACTORY =
+  "org.knime.base.node.preproc.crossjoin.CrossJoinerNodeFactory";
+
+/**
+ * Reads the settings of a Cross Joiner node: the suffix appended to right columns whose
+ * name is taken ("rigthSuffix", sic) and whether the row IDs of the inputs are appended
+ * as columns ("CFG_SHOW_FIRST" and "CFG_SHOW_SECOND").
+ * @param {object} modelNode - The model config.
+ * @returns {{suffix: string, appendRowIds: boolean}} - The settings.
+ */
+export const getCrossJoinerSettings = (modelNode) => ({
+  suffix:
+    getEntryValue(modelNode.entry, "rigthSuffix") ??
+    getEntryValue(modelNode.entry, "rightSuffix") ??
+    " (#1)",
+  appendRowIds:
+    getEntryValue(modelNode.entry, "CFG_SHOW_FIRST") === true ||
+    getEntryValue(modelNode.entry, "CFG_SHOW_SECOND") === true,
+});
+
+/**
+ * Names the output columns of a Cross Joiner like KNIME: the left columns, then the
+ * right columns, where the suffix is appended to a right column until its name is
+ * unique.
+ * @param {string[]} leftColumns - The columns of the left (top) table.
+ * @param {string[]} rightColumns - The columns of the right (bottom) table.
+ * @param {string} suffix - The suffix for taken names.
+ * @returns {string[]} - The output names of the right columns, in their order.
+ */
+export const getCrossJoinerRightColumnNames = (
+  leftColumns,
+  rightColumns,
+  suffix
+) => {
+  const taken = new Set([...leftColumns, ...rightColumns]);
+  return rightColumns.map((col) => {
+    if (!leftColumns.includes(col)) return col;
+    let name = `${col}${suffix}`;
+    while (taken.has(name)) name = `${name}${suffix}`;
+    taken.add(name);
+    return name;
+  });
+};
+
+/**
+ * Converts a KNIME Cross Joiner node to a CROSS JOIN that combines every row of the
+ * left table with every row of the right table.
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} [leftInputName="left_input"] - The name of the left table (port 1).
+ * @param {string} [rightInputName="right_input"] - The name of the right table (port 2).
+ * @param {string[]} [leftColumnNames=[]] - The columns of the left table.
+ * @param {string[]} [rightColumnNames=[]] - The columns of the right table.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertCrossJoinerNodeToSQL(
+  nodeConfig,
+  leftInputName = "left_input",
+  rightInputName = "right_input",
+  leftColumnNames = [],
+  rightColumnNames = [],
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== CROSS_JOINER_FACTORY) {
+    return conversionError(
+      `Expected Cross Joiner node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Cross Joiner node."
+    );
+  }
+  const { suffix, appendRowIds } = getCrossJoinerSettings(modelNode);
+  if (appendRowIds) {
+    return conversionError(
+      "Appending the row IDs of the inputs as columns is not supported."
+    );
+  }
+  if (leftColumnNames.length === 0 || rightColumnNames.length === 0) {
+    return conversionError(
+      "The columns of both inputs must be known to name the joined columns."
+    );
+  }
+  if (!suffix) {
+    return conversionError("The suffix for duplicate column names is empty.");
+  }
+
+  const leftAlias = dialect.quoteIdentifier("left_rows");
+  const rightAlias = dialect.quoteIdentifier("right_rows");
+  const rightOutputNames = getCrossJoinerRightColumnNames(
+    leftColumnNames,
+    rightColumnNames,
+    suffix
+  );
+  const selectParts = [
+    ...leftColumnNames.map(
+      (col) => `${leftAlias}.${dialect.quoteIdentifier(col)}`
+    ),
+    ...rightColumnNames.map((col, index) => {
+      const source = `${rightAlias}.${dialect.quoteIdentifier(col)}`;
+      return rightOutputNames[index] === col
+        ? source
+        : `${source} AS ${dialect.quoteIdentifier(rightOutputNames[index])}`;
+    }),
+  ];
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(leftInputName)} AS ${leftAlias}
+CROSS JOIN ${dialect.quoteIdentifier(rightInputName)} AS ${rightAlias};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: [...leftColumnNames, ...rightOutputNames],
+  });
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const CROSS_JOINER_FACTORY =
+  "org.knime.base.node.preproc.crossjoin.CrossJoinerNodeFactory";
+
+const dataReader = csvReader(
+  [
+    ["k", KNIME_TYPES.STRING],
+    ["amount", KNIME_TYPES.DOUBLE],
+    ["name", KNIME_TYPES.STRING],
+  ],
+  "a.csv"
+);
+const referenceReader = csvReader(
+  [
+    ["code", KNIME_TYPES.STRING],
+    ["name", KNIME_TYPES.STRING],
+    ["name (#1)", KNIME_TYPES.INT],
+  ],
+  "b.csv"
+);
+
+const crossJoiner = knimeNode(
+  CROSS_JOINER_FACTORY,
+  { rigthSuffix: " (#1)", CFG_CHUNKSIZE: 500 },
+  { name: "Cross Joiner" }
+);
+
+describe("convertCrossJoinerNodeToSQL", () => {
+  it("suffixes the right column names until they are unique", async () => {
+    const analysis = await analyzeTestWorkflow(
+      { 1: dataReader, 2: referenceReader, 3: crossJoiner },
+      [
+        [1, 3, 1, 1],
+        [2, 3, 1, 2],
+      ]
+    );
+    expect(sqlPerDialect(analysis, 3)).toMatchSnapshot();
+    expect(convertNode(analysis, 3).columns).toEqual([
+      "k",
+      "amount",
+      "name",
+      "code",
+      "name (#1) (#1)",
+      "name (#1)",
+    ]);
+  });
+
+  it("passes its columns on to the next node, whatever the order of the connections", async () => {
+    const analysis = await analyzeTestWorkflow(
+      {
+        1: dataReader,
+        2: referenceReader,
+        3: crossJoiner,
+        4: knimeNode(
+          "org.knime.base.node.preproc.columnresorter.ColumnResorterNodeFactory",
+          { ColumnOrder: ["name (#1) (#1)", "<any unknown new column>"] },
+          { name: "Column Resorter" }
+        ),
+      },
+      [
+        [2, 3, 1, 2],
+        [1, 3, 1, 1],
+        [3, 4],
+      ]
+    );
+    expect(convertNode(analysis, 4).columns).toEqual([
+      "name (#1) (#1)",
+      "k",
+      "amount",
+      "name",
+      "code",
+      "name (#1)",
+    ]);
+  });
+});
@@ -0,0 +1,182 @@
+// src/functions/convertDateTimeDifferenceNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import { findInputNodes } from "./findInputNodes";
+import { KNIME_TYPES, findSchemaColumn, getNodeSchema } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { getInputRowOrder } from "./inputRowOrder";
+import {
+  DATE_TIME_UNITS,
+  checkColumnTypes,
+  isDateTimeType,
+} from "./dateTimeSettings";
+
+export const DATE_TIME_DIFFERENCE_FACTORY =
+  "org.knime.time.node.calculate.datetimedifference.DateTimeDifferenceNodeFactory";
+
+const SECOND_COLUMN_MODE = "Use second column";
+const PREVIOUS_ROW_MODE = "Use previous row";
+
+/**
+ * Reads the settings of a Date&Time Difference node: the columns "col_select1" and
+ * "col_select2", what to compare with ("modus"), the "output_options", the
+ * "granularity" and the "new_col_name".
+ * @param {object} modelNode - The model config.
+ * @returns {object} - The settings; unit is the lower-case granularity (see
+ * DATE_TIME_UNITS).
+ */
+export const getDateTimeDifferenceSettings = (modelNode) => ({
+  firstColumn: getEntryValue(modelNode.entry, "col_select1"),
+  secondColumn: getEntryValue(modelNode.entry, "col_select2"),
+  mode: getEntryValue(modelNode.entry, "modus"),
+  output: getEntryValue(modelNode.entry, "output_options"),
+  unit: DATE_TIME_UNITS[getEntryValue(modelNode.entry, "granularity")] || null,
+  newColumn: getEntryValue(modelNode.entry, "new_col_name"),
+});
+
+/**
+ * Converts a KNIME Date&Time Difference node to SQL that appends the number of whole
+ * units between the first column and the second column or the first column of the
+ * previous row (see dialect.dateDiff).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertDateTimeDifferenceNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== DATE_TIME_DIFFERENCE_FACTORY) {
+    return conversionError(
+      `Expected Date&Time Difference node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Date&Time Difference node."
+    );
+  }
+  const { firstColumn, secondColumn, mode, output, unit, newColumn } =
+    getDateTimeDifferenceSettings(modelNode);
+  if (mode !== SECOND_COLUMN_MODE && mode !== PREVIOUS_ROW_MODE) {
+    return conversionError(
+      `The comparison "${mode || "N/A"}" is not supported.`
+    );
+  }
+  if (output !== "Granularity") {
+    return conversionError(
+      "Only differences as a number of units (granularity) are supported."
+    );
+  }
+  if (!unit) {
+    return conversionError("The granularity is not set or not supported.");
+  }
+  const usedColumns =
+    mode === SECOND_COLUMN_MODE ? [firstColumn, secondColumn] : [firstColumn];
+  if (usedColumns.some((col) => !col) || !newColumn) {
+    return conversionError("The columns or the new column name are not set.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length > 0) {
+    const missing = usedColumns.filter(
+      (col) => !inputColumnNames.includes(col)
+    );
+    if (missing.length > 0) {
+      return conversionError(
+        `Columns not found in the input: ${missing.join(", ")}.`,
+        { warnings }
+      );
+    }
+    if (inputColumnNames.includes(newColumn)) {
+      return conversionError(
+        `Column "${newColumn}" already exists in the input.`,
+        { warnings }
+      );
+    }
+  }
+  const inputSchema = getNodeSchema(predecessors[0]);
+  const typeErrors = checkColumnTypes(
+    usedColumns,
+    inputSchema,
+    isDateTimeType,
+    "a Date&Time column"
+  );
+  if (typeErrors.length > 0) {
+    return conversionError(typeErrors.join(" "), { warnings });
+  }
+  const [firstType, secondType] = usedColumns.map(
+    (col) => findSchemaColumn(inputSchema, col)?.type || null
+  );
+  if (
+    firstType &&
+    secondType &&
+    getKnimeTypeKey(firstType) !== getKnimeTypeKey(secondType)
+  ) {
+    return conversionError(
+      `Columns "${firstColumn}" and "${secondColumn}" have different types.`,
+      { warnings }
+    );
+  }
+
+  const quotedFirst = dialect.quoteIdentifier(firstColumn);
+  let approximate = false;
+  let start = quotedFirst;
+  let end = quotedFirst;
+  if (mode === PREVIOUS_ROW_MODE) {
+    const rowOrder = getInputRowOrder(predecessors[0], dialect);
+    if (rowOrder.error) {
+      return conversionError(rowOrder.error, { warnings });
+    }
+    if (rowOrder.warning) {
+      approximate = true;
+      warnings.push(rowOrder.warning);
+    }
+    start = `LAG(${quotedFirst}) OVER (${rowOrder.order})`;
+  } else {
+    end = dialect.quoteIdentifier(secondColumn);
+  }
+  const difference = dialect.cast(
+    dialect.dateDiff(unit, start, end, firstType || secondType),
+    dialect.typeName(KNIME_TYPES.LONG)
+  );
+
+  const selectParts = [
+    ...(inputColumnNames.length > 0
+      ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
+      : ["*"]),
+    `${difference} AS ${dialect.quoteIdentifier(newColumn)}`,
+  ];
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns:
+      inputColumnNames.length > 0 ? [...inputColumnNames, newColumn] : null,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const DATE_TIME_DIFFERENCE_FACTORY =
+  "org.knime.time.node.calculate.datetimedifference.DateTimeDifferenceNodeFactory";
+
+const reader = csvReader([
+  ["sdate", KNIME_TYPES.STRING],
+  ["when", KNIME_TYPES.LOCAL_DATE_TIME],
+  ["day", KNIME_TYPES.LOCAL_DATE],
+  ["n", KNIME_TYPES.INT],
+  ["other", KNIME_TYPES.LOCAL_DATE_TIME],
+]);
+
+const dateTimeDifference = (settings) =>
+  knimeNode(
+    DATE_TIME_DIFFERENCE_FACTORY,
+    {
+      col_select1: "when",
+      col_select2: "other",
+      modus: "Use second column",
+      output_options: "Granularity",
+      granularity: "Month",
+      new_col_name: "months",
+      ...settings,
+    },
+    { name: "Date&Time Difference" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow({ 1: reader, 2: node }, [[1, 2]]);
+
+describe("convertDateTimeDifferenceNodeToSQL", () => {
+  it("counts the whole months between two columns", async () => {
+    const analysis = await analyzeNode(dateTimeDifference({}));
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "sdate",
+      "when",
+      "day",
+      "n",
+      "other",
+      "months",
+    ]);
+  });
+
+  it("counts the days since the previous row", async () => {
+    const analysis = await analyzeNode(
+      dateTimeDifference({
+        col_select1: "day",
+        modus: "Use previous row",
+        granularity: "Day",
+        new_col_name: "days",
+      })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+});
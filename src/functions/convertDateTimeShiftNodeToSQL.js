@@ -0,0 +1,219 @@
+// src/functions/convertDateTimeShiftNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import { findInputNodes } from "./findInputNodes";
+import { findSchemaColumn, getNodeSchema, isNumericType } from "./columnSchema";
+import { conversionError } from "./conversionResult";
+import { buildMultiColumnSQL } from "./buildMultiColumnSQL";
+import {
+  DATE_TIME_UNITS,
+  checkColumnTypes,
+  getDateTimeColumnSelection,
+  isDateTimeType,
+} from "./dateTimeSettings";
+
+export const DATE_TIME_SHIFT_FACTORY =
+  "org.knime.time.node.manipulate.datetimeshift.DateTimeShiftNodeFactory";
+
+// Units that need a date; the others need a time
+const DATE_UNITS = ["year", "month", "week", "day"];
+
+// ISO 8601 periods and durations, e.g. "P1Y2M3D" or "PT1H30M"; "-" negates all
+const ISO_DURATION =
+  /^(-)?P(?:(-?\d+)Y)?(?:(-?\d+)M)?(?:(-?\d+)W)?(?:(-?\d+)D)?(?:T(?:(-?\d+)H)?(?:(-?\d+)M)?(?:(-?\d+)(?:\.(\d{1,3}))?S)?)?$/i;
+const ISO_DURATION_UNITS = [
+  "year",
+  "month",
+  "week",
+  "day",
+  "hour",
+  "minute",
+  "second",
+];
+
+/**
+ * Parses an ISO 8601 period or duration into amounts of units (see dialect.dateAdd).
+ * @param {string} value - The duration, e.g. "P1Y2M" or "PT1.5S".
+ * @returns {Array<{amount: number, unit: string}>|null} - The non-zero amounts, or
+ * null if the value is not an ISO duration.
+ */
+export const parseIsoDuration = (value) => {
+  const match = ISO_DURATION.exec(value.trim());
+  if (!match || !/\d/.test(value)) return null;
+  const sign = match[1] ? -1 : 1;
+  const amounts = ISO_DURATION_UNITS.map((unit, index) => ({
+    amount: sign * Number(match[index + 2] || 0),
+    unit,
+  }));
+  if (match[9]) {
+    const seconds = match[8] || "";
+    amounts.push({
+      amount:
+        sign *
+        (seconds.startsWith("-") ? -1 : 1) *
+        Number(match[9].padEnd(3, "0")),
+      unit: "millisecond",
+    });
+  }
+  return amounts.filter(({ amount }) => amount !== 0);
+};
+
+/**
+ * Reads the settings of a Date&Time Shift node: the column selection (see
+ * getDateTimeColumnSelection), whether a "period_selection" with a number is used, the
+ * "period_value" duration, the number "numerical_value" or column
+ * "numerical_col_select" and its "granularity".
+ * @param {object} modelNode - The model config.
+ * @returns {object} - The settings; unit is the lower-case granularity (see
+ * DATE_TIME_UNITS).
+ */
+export const getDateTimeShiftSettings = (modelNode) => {
+  const selection = getEntryValue(modelNode.entry, "period_selection") || "";
+  return {
+    ...getDateTimeColumnSelection(modelNode),
+    numerical: /numerical/i.test(selection),
+    fromColumn: /column/i.test(selection),
+    period: getEntryValue(modelNode.entry, "period_value"),
+    numericalValue: getEntryValue(modelNode.entry, "numerical_value"),
+    numericalColumn: getEntryValue(modelNode.entry, "numerical_col_select"),
+    unit:
+      DATE_TIME_UNITS[getEntryValue(modelNode.entry, "granularity")] || null,
+  };
+};
+
+/**
+ * Converts a KNIME Date&Time Shift node to SQL that adds a duration or a number of
+ * units (fixed or from a column) to the selected columns (see dialect.dateAdd).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertDateTimeShiftNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== DATE_TIME_SHIFT_FACTORY) {
+    return conversionError(
+      `Expected Date&Time Shift node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Date&Time Shift node."
+    );
+  }
+  const settings = getDateTimeShiftSettings(modelNode);
+  const { columns, append, suffix } = settings;
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  const inputSchema = getNodeSchema(predecessors[0]);
+
+  let shifts;
+  if (settings.numerical) {
+    if (!settings.unit) {
+      return conversionError("The granularity is not set or not supported.");
+    }
+    let amount;
+    if (settings.fromColumn) {
+      const column = settings.numericalColumn;
+      if (!column) {
+        return conversionError("The number column is not set.");
+      }
+      if (inputColumnNames.length > 0 && !inputColumnNames.includes(column)) {
+        return conversionError(`Column "${column}" not found in the input.`, {
+          warnings,
+        });
+      }
+      const typeErrors = checkColumnTypes(
+        [column],
+        inputSchema,
+        isNumericType,
+        "a number column"
+      );
+      if (typeErrors.length > 0) {
+        return conversionError(typeErrors.join(" "), { warnings });
+      }
+      amount = dialect.quoteIdentifier(column);
+    } else {
+      amount = Number(settings.numericalValue);
+      if (!Number.isInteger(amount)) {
+        return conversionError("The number to shift by is not an integer.");
+      }
+    }
+    shifts = [{ amount, unit: settings.unit }];
+  } else {
+    if (settings.fromColumn) {
+      return conversionError("Durations from a column are not supported.");
+    }
+    shifts = parseIsoDuration(settings.period || "");
+    if (!shifts) {
+      return conversionError(
+        `The duration "${settings.period || ""}" is not an ISO 8601 duration.`
+      );
+    }
+  }
+
+  const typeErrors = checkColumnTypes(
+    columns,
+    inputSchema,
+    isDateTimeType,
+    "a Date&Time column"
+  );
+  if (typeErrors.length > 0) {
+    return conversionError(typeErrors.join(" "), { warnings });
+  }
+  const getType = (col) => findSchemaColumn(inputSchema, col)?.type || null;
+  const mismatches = columns.filter((col) => {
+    const typeKey = getKnimeTypeKey(getType(col));
+    return shifts.some(({ unit }) =>
+      DATE_UNITS.includes(unit) ? typeKey === "time" : typeKey === "date"
+    );
+  });
+  if (mismatches.length > 0) {
+    return conversionError(
+      `The shift does not apply to the type of these columns: ${mismatches.join(
+        ", "
+      )}.`,
+      { warnings }
+    );
+  }
+
+  return buildMultiColumnSQL({
+    columns,
+    translate: (col) => ({
+      sql: shifts.reduce(
+        (expr, { amount, unit }) =>
+          dialect.dateAdd(expr, amount, unit, getType(col)),
+        dialect.quoteIdentifier(col)
+      ),
+      warnings: [],
+      approximate: false,
+    }),
+    append,
+    suffix,
+    inputColumnNames,
+    previousNodeName,
+    dialect,
+    warnings,
+  });
+}
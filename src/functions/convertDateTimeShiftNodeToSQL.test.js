@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const DATE_TIME_SHIFT_FACTORY =
+  "org.knime.time.node.manipulate.datetimeshift.DateTimeShiftNodeFactory";
+
+const reader = csvReader([
+  ["sdate", KNIME_TYPES.STRING],
+  ["when", KNIME_TYPES.LOCAL_DATE_TIME],
+  ["day", KNIME_TYPES.LOCAL_DATE],
+  ["n", KNIME_TYPES.INT],
+  ["other", KNIME_TYPES.LOCAL_DATE_TIME],
+]);
+
+const columnSelection = (columns, append, suffix = "(new)") => ({
+  col_select: {
+    "filter-type": "STANDARD",
+    included_names: columns,
+    excluded_names: [],
+  },
+  replace_or_append: append
+    ? "Append selected columns"
+    : "Replace selected columns",
+  suffix,
+});
+
+const dateTimeShift = (columns, append, settings) =>
+  knimeNode(
+    DATE_TIME_SHIFT_FACTORY,
+    {
+      ...columnSelection(columns, append, "_s"),
+      period_selection: "Duration value",
+      period_value: "P1D",
+      numerical_value: 1,
+      numerical_col_select: "",
+      granularity: "Day",
+      ...settings,
+    },
+    { name: "Date&Time Shift" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow({ 1: reader, 2: node }, [[1, 2]]);
+
+describe("convertDateTimeShiftNodeToSQL", () => {
+  it("adds a period to dates and date-times", async () => {
+    const analysis = await analyzeNode(
+      dateTimeShift(["when", "day"], true, { period_value: "P1Y2M3D" })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "sdate",
+      "when",
+      "day",
+      "n",
+      "other",
+      "when_s",
+      "day_s",
+    ]);
+  });
+
+  it("adds a duration with fractional seconds", async () => {
+    const analysis = await analyzeNode(
+      dateTimeShift(["when"], false, { period_value: "PT1H30M0.25S" })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("shifts by the values of a number column", async () => {
+    const analysis = await analyzeNode(
+      dateTimeShift(["when"], false, {
+        period_selection: "Numerical column",
+        numerical_col_select: "n",
+        granularity: "Hour",
+      })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+});
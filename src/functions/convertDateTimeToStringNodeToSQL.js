@@ -0,0 +1,108 @@
+// src/functions/convertDateTimeToStringNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { findSchemaColumn, getNodeSchema } from "./columnSchema";
+import { conversionError } from "./conversionResult";
+import { buildMultiColumnSQL } from "./buildMultiColumnSQL";
+import {
+  checkColumnTypes,
+  getDateNameWarning,
+  getDateTimeColumnSelection,
+  isDateTimeType,
+} from "./dateTimeSettings";
+
+export const DATE_TIME_TO_STRING_FACTORY =
+  "org.knime.time.node.convert.datetimetostring.DateTimeToStringNodeFactory";
+
+/**
+ * Reads the settings of a Date&Time to String node: the column selection (see
+ * getDateTimeColumnSelection), the "date_format" pattern and the "locale".
+ * @param {object} modelNode - The model config.
+ * @returns {{columns: string[], append: boolean, suffix: string, pattern: string|null, locale: string|null}}
+ * - The settings.
+ */
+export const getDateTimeToStringSettings = (modelNode) => ({
+  ...getDateTimeColumnSelection(modelNode),
+  pattern: getEntryValue(modelNode.entry, "date_format"),
+  locale: getEntryValue(modelNode.entry, "locale"),
+});
+
+/**
+ * Converts a KNIME Date&Time to String node to SQL that formats the selected columns
+ * with the node's pattern (see dialect.formatDateTime).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertDateTimeToStringNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== DATE_TIME_TO_STRING_FACTORY) {
+    return conversionError(
+      `Expected Date&Time to String node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Date&Time to String node."
+    );
+  }
+  const { columns, append, suffix, pattern, locale } =
+    getDateTimeToStringSettings(modelNode);
+  if (!pattern) {
+    return conversionError("The date format is not set.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputSchema = getNodeSchema(predecessors[0]);
+  const typeErrors = checkColumnTypes(
+    columns,
+    inputSchema,
+    isDateTimeType,
+    "a Date&Time column"
+  );
+  if (typeErrors.length > 0) {
+    return conversionError(typeErrors.join(" "), { warnings });
+  }
+  const nameWarning = getDateNameWarning(pattern, locale);
+  if (nameWarning) warnings.push(nameWarning);
+
+  return buildMultiColumnSQL({
+    columns,
+    translate: (col) => ({
+      sql: dialect.formatDateTime(
+        dialect.quoteIdentifier(col),
+        pattern,
+        findSchemaColumn(inputSchema, col)?.type || null
+      ),
+      warnings: [],
+      approximate: Boolean(nameWarning),
+    }),
+    append,
+    suffix,
+    inputColumnNames: predecessors[0]?.nodes || [],
+    previousNodeName,
+    dialect,
+    warnings,
+  });
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const DATE_TIME_TO_STRING_FACTORY =
+  "org.knime.time.node.convert.datetimetostring.DateTimeToStringNodeFactory";
+
+const reader = csvReader([
+  ["sdate", KNIME_TYPES.STRING],
+  ["when", KNIME_TYPES.LOCAL_DATE_TIME],
+  ["day", KNIME_TYPES.LOCAL_DATE],
+  ["n", KNIME_TYPES.INT],
+  ["other", KNIME_TYPES.LOCAL_DATE_TIME],
+]);
+
+const columnSelection = (columns, append, suffix = "(new)") => ({
+  col_select: {
+    "filter-type": "STANDARD",
+    included_names: columns,
+    excluded_names: [],
+  },
+  replace_or_append: append
+    ? "Append selected columns"
+    : "Replace selected columns",
+  suffix,
+});
+
+const dateTimeToString = (columns, dateFormat, locale = "en-US") =>
+  knimeNode(
+    DATE_TIME_TO_STRING_FACTORY,
+    { ...columnSelection(columns, false), date_format: dateFormat, locale },
+    { name: "Date&Time to String" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow({ 1: reader, 2: node }, [[1, 2]]);
+
+describe("convertDateTimeToStringNodeToSQL", () => {
+  it("formats the values with the translated date pattern", async () => {
+    const analysis = await analyzeNode(
+      dateTimeToString(["when", "day"], "EEEE, d. MMMM yyyy HH:mm")
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("warns that day and month names follow the database language", async () => {
+    const analysis = await analyzeNode(
+      dateTimeToString(["day"], "d. MMMM yyyy", "de-DE")
+    );
+    expect(convertNode(analysis, 2).warnings).toMatchSnapshot();
+  });
+
+  it("rejects columns that are not Date&Time columns", async () => {
+    const analysis = await analyzeNode(dateTimeToString(["n"], "yyyy"));
+    expect(convertNode(analysis, 2).errors).toMatchSnapshot();
+  });
+});
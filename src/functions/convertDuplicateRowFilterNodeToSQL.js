@@ -1,3 +1,9 @@
+import { getDialect } from "../dialects";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+
 /**
  * Utility function to get a value from an array of entry objects
  * based on the provided JSON structure.
@@ -77,12 +83,14 @@ const getColumnsFromGroupColsJSON = (groupColsConfig) => {
  * @param {object} nodeJsonConfig - The full node configuration object in the provided JSON format.
  * @param {string} previousNodeName - The name of the table/view representing the input data.
  * @param {string[]} [inputColumns=[]] - Optional: Array of all column names from the input. Needed if no columns are explicitly included.
- * @returns {string} - The generated SQL query or an error message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertDuplicateRowFilterJSONToSQL(
   nodeJsonConfig,
   previousNodeName,
-  inputColumns = []
+  inputColumns = [],
+  dialect = getDialect()
 ) {
   // Expecting nodeJsonConfig to be the outer { config: { entry: [...], config: [...] } } object
 
@@ -92,7 +100,9 @@ export function convertDuplicateRowFilterJSONToSQL(
     !Array.isArray(nodeJsonConfig.config.entry) ||
     !Array.isArray(nodeJsonConfig.config.config)
   ) {
-    return "Error: Invalid JSON structure passed. Expected top-level 'config' object with 'entry' and 'config' arrays.";
+    return conversionError(
+      "Invalid JSON structure passed. Expected top-level 'config' object with 'entry' and 'config' arrays."
+    );
   }
 
   // Step 1: Verify node type using the adapted helper
@@ -107,7 +117,9 @@ export function convertDuplicateRowFilterJSONToSQL(
         : factory === undefined
         ? "undefined"
         : `"${factory}"`;
-    return `Error: Expected Duplicate Row Filter node factory (${DUP_FILTER_FACTORY}), but got ${factoryInfo}.`;
+    return conversionError(
+      `Expected Duplicate Row Filter node factory (${DUP_FILTER_FACTORY}), but got ${factoryInfo}.`
+    );
   }
 
   // Step 2: Find the model configuration object using the adapted helper
@@ -120,7 +132,9 @@ export function convertDuplicateRowFilterJSONToSQL(
     !Array.isArray(modelConfig.config) ||
     !Array.isArray(modelConfig.entry)
   ) {
-    return "Error: Model configuration ('config' with _key='model') not found or invalid in JSON.";
+    return conversionError(
+      "Model configuration ('config' with _key='model') not found or invalid in JSON."
+    );
   }
 
   // Step 3: Extract filtering parameters from the modelConfig
@@ -138,41 +152,58 @@ export function convertDuplicateRowFilterJSONToSQL(
   );
 
   if (removeDuplicates === null || rowSelection === null || !groupColsConfig) {
-    return "Error: Could not find 'remove_duplicates', 'row_selection', or 'group_cols' settings within the model config.";
+    return conversionError(
+      "Could not find 'remove_duplicates', 'row_selection', or 'group_cols' settings within the model config."
+    );
   }
 
   if (!removeDuplicates) {
-    return `-- SQL Conversion Note: Duplicate Row Filter node is not configured to remove duplicates.\nSELECT * FROM ${previousNodeName};`;
+    return createConversionResult({
+      sql: `-- SQL Conversion Note: Duplicate Row Filter node is not configured to remove duplicates.\nSELECT * FROM ${dialect.quoteIdentifier(
+        previousNodeName
+      )};`,
+      columns: inputColumns.length > 0 ? [...inputColumns] : null,
+      warnings: [
+        "Duplicate rows are not removed; the settings that mark or count them are not converted.",
+      ],
+      approximate: true,
+    });
   }
 
   // Step 4: Determine columns to partition by using the adapted helper
   let partitionColumns = getColumnsFromGroupColsJSON(groupColsConfig);
+  const warnings = [];
 
   // THIS IS THE CHECK FOR "ALL COLUMNS" SCENARIO
   if (partitionColumns.length === 0) {
     // If no columns are explicitly included, check if inputColumns are provided (for 'all columns' case)
     if (inputColumns && inputColumns.length > 0) {
-      console.warn(
+      warnings.push(
         "No specific columns selected for duplicate check; using all provided input columns."
       );
       partitionColumns = inputColumns; // Use all available columns
     } else {
       // Cannot determine partition columns if none selected and input list not provided
-      return `Error: Could not determine columns for duplicate check. Either explicitly select columns in KNIME or provide the full input column list to the conversion function for 'all columns' mode.`;
+      return conversionError(
+        "Could not determine columns for duplicate check. Either explicitly select columns in KNIME or provide the full input column list to the conversion function for 'all columns' mode."
+      );
     }
   }
 
   const partitionByClause = partitionColumns
-    .map((col) => `"${col}"`)
+    .map((col) => dialect.quoteIdentifier(col))
     .join(", ");
   if (!partitionByClause) {
-    return `Error: Failed to construct PARTITION BY clause. No valid columns found.`;
+    return conversionError(
+      "Failed to construct PARTITION BY clause. No valid columns found.",
+      { warnings }
+    );
   }
 
   // Step 5: Determine ORDER BY for ROW_NUMBER()
   const orderByDirection = rowSelection === "LAST" ? "DESC" : "ASC";
   const orderByClause = partitionColumns
-    .map((col) => `"${col}" ${orderByDirection}`)
+    .map((col) => `${dialect.quoteIdentifier(col)} ${orderByDirection}`)
     .join(", ");
 
   // Step 6: Construct the SQL query
@@ -185,7 +216,7 @@ WITH RankedRows AS (
 SELECT
   *,
   ROW_NUMBER() OVER (PARTITION BY ${partitionByClause} ORDER BY ${orderByClause}) as knime_row_number
-FROM ${previousNodeName}
+FROM ${dialect.quoteIdentifier(previousNodeName)}
 )
 SELECT
 * -- Selects all original columns + knime_row_number.
@@ -193,5 +224,14 @@ FROM RankedRows
 WHERE knime_row_number = 1;
 `;
 
-  return sqlQuery.trim();
+  // Rows are ordered by the duplicate check columns, not by their position in the
+  // input, so which of the duplicates is kept may differ from KNIME.
+  warnings.push(
+    "The kept row of each duplicate group is picked by ordering on the compared columns, not by input row order; the result also has an extra knime_row_number column."
+  );
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    warnings,
+    approximate: true,
+  });
 }
@@ -1,5 +1,11 @@
 // src/functions/convertExcelReaderNodeToSQL.js
 
+import { getDialect } from "../dialects";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+
 /**
  * Utility function to get a value from an entry array or object (compact format).
  * @param {object|array} entryProp - The entry property which can be an object or array.
@@ -37,30 +43,38 @@ const findConfigByKey = (config, key) => {
  * Extracts the file name, sheet name, and column names.
  *
  * @param {object} nodeConfig - The full node configuration object (compact format).
- * @returns {string} - The generated SQL query or an error message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult) with the read
+ * columns, or an error if something is missing.
  */
-export function convertExcelReaderNodeToSQL(nodeConfig) {
+export function convertExcelReaderNodeToSQL(
+  nodeConfig,
+  dialect = getDialect()
+) {
   // Step 1: Verify node type
   const factory = getEntryValue(nodeConfig?.entry, "factory");
   const EXCEL_READER_FACTORY =
     "org.knime.ext.poi3.node.io.filehandling.excel.reader.ExcelTableReaderNodeFactory";
   if (factory !== EXCEL_READER_FACTORY) {
     const factoryInfo = factory ? `"${factory}"` : "N/A";
-    return `Error: Expected Excel Reader node factory (${EXCEL_READER_FACTORY}), but got ${factoryInfo}.`;
+    return conversionError(
+      `Expected Excel Reader node factory (${EXCEL_READER_FACTORY}), but got ${factoryInfo}.`
+    );
   }
 
   // Step 2: Locate the model -> settings node
   const modelNode = findConfigByKey(nodeConfig.config, "model");
   if (!modelNode || !modelNode.config) {
-    return "Error: Model configuration not found.";
+    return conversionError("Model configuration not found.");
   }
   const settingsNode = findConfigByKey(modelNode.config, "settings");
   if (!settingsNode || !settingsNode.config || !settingsNode.entry) {
-    return "Error: Settings configuration not found within model.";
+    return conversionError("Settings configuration not found within model.");
   }
 
   // Step 3: Extract the Excel file name
   // Path: model -> settings -> file_selection -> path -> entry[@key="path"]
+  const warnings = [];
   let fileName = "";
   const fileSelectionNode = findConfigByKey(
     settingsNode.config,
@@ -78,9 +92,11 @@ export function convertExcelReaderNodeToSQL(nodeConfig) {
     // Check model -> settings -> entry[@key="path"] as a potential fallback?
     fileName = getEntryValue(settingsNode.entry, "path"); // Attempt fallback
     if (!fileName) {
-      return "Error: Excel file name/path not found in the configuration.";
+      return conversionError(
+        "Excel file name/path not found in the configuration."
+      );
     }
-    console.warn(
+    warnings.push(
       "Used fallback path for Excel file name. Check configuration structure."
     );
   }
@@ -133,22 +149,26 @@ export function convertExcelReaderNodeToSQL(nodeConfig) {
   if (columns.length === 0) {
     // Attempt fallback: Sometimes spec might be directly under table_spec_config_Internals? (Less common)
     // This part needs verification based on more examples if the primary path fails.
-    console.warn(
-      "Could not find columns in individual_specs. Check table_spec_config_Internals structure."
-    );
     // For now, return error if primary path yields no columns.
-    return "Error: No columns found in the table specification within the configuration.";
+    return conversionError(
+      "No columns found in the table specification within the configuration (individual_specs).",
+      { warnings }
+    );
   }
 
   // Step 5: Build and return the SQL query. Quote identifiers.
   const quotedColumns = columns
-    .map((col) => `"${col.replace(/"/g, '""')}"`)
+    .map((col) => dialect.quoteIdentifier(col))
     .join(",\n  ");
   // Quote filename used as table name, escape internal quotes if any
-  const quotedFileName = `"${fileName.replace(/"/g, '""')}"`;
+  const quotedFileName = dialect.quoteIdentifier(fileName);
   const sheetComment = sheetName
     ? `-- Reading data from sheet: ${sheetName}\n`
     : "";
 
-  return `${sheetComment}SELECT\n  ${quotedColumns}\nFROM ${quotedFileName};`;
+  return createConversionResult({
+    sql: `${sheetComment}SELECT\n  ${quotedColumns}\nFROM ${quotedFileName};`,
+    columns,
+    warnings,
+  });
 }
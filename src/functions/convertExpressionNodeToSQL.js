@@ -2,174 +2,34 @@
 
 import { getEntryValue } from "../common/getEntryValue";
 import { findConfigByKey } from "../common/findConfigByKey";
+import { getChildConfigs } from "../common/findNestedEntry";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getNodeSchema } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import {
+  ExpressionSyntaxError,
+  translateKnimeExpression,
+} from "./parseKnimeExpression";
 
 /**
- * Finds the direct predecessor node(s) for a given node ID from a list of processed nodes.
- * @param {number} currentNodeId - The ID of the current node.
- * @param {Array<object>} allProcessedNodes - An array of node objects that have already been processed.
- * @returns {Array<object>} - An array of predecessor node objects.
- */
-const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
-  if (!Array.isArray(allProcessedNodes)) return [];
-  return allProcessedNodes.filter(
-    (node) =>
-      node &&
-      Array.isArray(node.nextNodes) &&
-      node.nextNodes.includes(currentNodeId)
-  );
-};
-
-/**
- * Parses a single KNIME expression token.
- * For this version, it keeps KNIME functions and column references as literal strings,
- * but converts KNIME string literals to SQL string literals.
- * @param {string} token - A part of the KNIME expression script.
- * @returns {string} - The SQL snippet or an error/unsupported message.
- */
-function parseKnimeExpressionTokenToSQL(token) {
-  const trimmedToken = token.trim();
-
-  // Regex for KNIME literal string "string literal" -> 'string literal' (SQL style)
-  // Handles escaped quotes inside the literal: "a\"b" -> 'a''b'
-  const knimeLiteralStringRegex = /^"((?:\\"|[^"])*)"$/;
-  const literalMatch = trimmedToken.match(knimeLiteralStringRegex);
-  if (literalMatch && typeof literalMatch[1] === "string") {
-    const literalValue = literalMatch[1].replace(/\\"/g, '"'); // Unescape KNIME's \"
-    return `'${literalValue.replace(/'/g, "''")}'`; // Escape for SQL
-  }
-
-  // Regex for numeric literal (integer or decimal)
-  const numericLiteralRegex = /^[+-]?\d+(\.\d+)?$/;
-  if (numericLiteralRegex.test(trimmedToken)) {
-    return trimmedToken; // Return as is
-  }
-
-  // For KNIME functions like string($["Column Name"]) or direct column refs $["Column Name"],
-  // treat them as literal parts of the expression to be included as-is.
-  // This also covers other potential KNIME functions or constructs.
-  // We need to be careful if these tokens themselves contain characters that need SQL escaping
-  // if they are not standard SQL. However, per user request, we are keeping them as is.
-  if (trimmedToken.startsWith("string($[") || trimmedToken.startsWith("$[")) {
-    // No transformation, return the token as is.
-    // If the KNIME column names inside $["..."] could contain SQL special characters
-    // and are NOT intended to be treated as SQL identifiers, this is fine.
-    // If they ARE intended to be SQL identifiers, they might need quoting, e.g.
-    // $["My Col"] -> "My Col". But user wants to keep `string($["..."])` as is.
-    return trimmedToken;
-  }
-
-  // If it's not a recognized KNIME string literal, numeric, or specific KNIME construct,
-  // and it's part of a concatenation, it's likely a KNIME column reference or function.
-  // Return it as is. This is a broad fallback.
-  // A more sophisticated parser would identify these more explicitly.
-  if (trimmedToken.length > 0) {
-    return trimmedToken;
-  }
-
-  return `Error: Unsupported or empty expression token: "${trimmedToken}"`;
-}
-
-/**
- * Parses a KNIME expression script string involving concatenations (+)
- * and attempts to convert it to an SQL snippet.
- * Example: string($["Col1"]) + " " + $["Col2"]
- * Output: string($["Col1"]) || ' ' || $["Col2"]
- * @param {string} script - The KNIME expression script string.
- * @returns {string} - The SQL snippet or an error/unsupported message.
- */
-function parseKnimeExpressionScriptToSQL(script) {
-  if (typeof script !== "string") {
-    return `Error: Script is not a string (got ${typeof script})`;
-  }
-  const trimmedScript = script.trim();
-
-  const parts = [];
-  let currentPart = "";
-  let inKnimeStringLiteral = false; // To track if we are inside KNIME's "..." string literals
-
-  for (let i = 0; i < trimmedScript.length; i++) {
-    const char = trimmedScript[i];
-
-    if (char === '"') {
-      // Toggle for being inside a KNIME string literal "..."
-      // Handles KNIME's escaped quote \" within its string literals
-      if (i > 0 && trimmedScript[i - 1] === "\\" && inKnimeStringLiteral) {
-        // This is an escaped quote inside a KNIME string, part of currentPart
-        currentPart += char;
-      } else {
-        inKnimeStringLiteral = !inKnimeStringLiteral;
-        currentPart += char;
-      }
-    } else if (char === "+" && !inKnimeStringLiteral) {
-      // '+' is a concatenation operator if not inside a KNIME string literal
-      if (currentPart.trim().length > 0) {
-        parts.push(currentPart.trim());
-      }
-      parts.push("+"); // Add the operator itself as a part to be replaced later
-      currentPart = "";
-    } else {
-      currentPart += char;
-    }
-  }
-  if (currentPart.trim().length > 0) {
-    parts.push(currentPart.trim());
-  }
-
-  if (parts.length === 0 && trimmedScript.length > 0) {
-    // If no '+' was found, the whole script is a single token
-    parts.push(trimmedScript);
-  } else if (parts.length === 0 && trimmedScript.length === 0) {
-    return `Error: Empty expression script: "${trimmedScript}"`;
-  }
-
-  const sqlParts = [];
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i];
-    if (part === "+") {
-      // Replace KNIME's + with SQL's ||
-      // Ensure that we don't add || if the previous part was already an operator or it's the beginning
-      if (sqlParts.length > 0 && sqlParts[sqlParts.length - 1] !== "||") {
-        sqlParts.push("||");
-      }
-    } else {
-      const parsedToken = parseKnimeExpressionTokenToSQL(part);
-      if (parsedToken.startsWith("Error:")) {
-        return `Error: Could not parse part of expression script "${part}". ${parsedToken}`;
-      }
-      sqlParts.push(parsedToken);
-    }
-  }
-
-  // Filter out any potential empty strings that might result from splitting, though trim should handle most.
-  // Also, remove trailing "||" if any.
-  const finalSqlParts = sqlParts.filter((p) => p.trim() !== "");
-  if (
-    finalSqlParts.length > 0 &&
-    finalSqlParts[finalSqlParts.length - 1] === "||"
-  ) {
-    finalSqlParts.pop();
-  }
-
-  // Join SQL parts. If only one part, no join needed.
-  // The logic for adding "||" should ensure correct spacing.
-  // We join by space, as "||" is an operator that typically has spaces around it.
-  return finalSqlParts.join(" ");
-}
-
-/**
- * Converts a KNIME Expression node configuration (compact JSON) to an SQL query.
+ * Converts a KNIME Expression node configuration (compact JSON) to an SQL query. Each
+ * expression is translated from the KNIME Expression language (see
+ * translateKnimeExpression); expressions see the columns computed by the ones before.
  *
  * @param {object} nodeSettingsJson - The JSON configuration of the Expression node.
  * @param {number} currentNodeId - The ID of the current Expression node.
  * @param {string} previousNodeName - The name of the table/view representing the input data.
  * @param {Array<object>} allProcessedNodes - Array of all previously processed nodes.
- * @returns {string} - The generated SQL query or an error/unsupported message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertExpressionNodeToSQL(
   nodeSettingsJson,
   currentNodeId,
   previousNodeName = "input_table",
-  allProcessedNodes
+  allProcessedNodes,
+  dialect = getDialect()
 ) {
   // 1. Verify node type
   const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
@@ -177,32 +37,38 @@ export function convertExpressionNodeToSQL(
     "org.knime.base.expressions.node.row.mapper.ExpressionRowMapperNodeFactory";
 
   if (factory !== EXPRESSION_NODE_FACTORY) {
-    return `Error: Expected Expression node factory, but got ${
-      factory || "N/A"
-    }.`;
+    return conversionError(
+      `Expected Expression node factory, but got ${factory || "N/A"}.`
+    );
   }
 
   // 2. Locate the model node
   const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
   if (!modelNode || (!modelNode.entry && !modelNode.config)) {
     // model can have entries or configs for additional expressions
-    return "Error: Model configuration not found or invalid in Expression node.";
+    return conversionError(
+      "Model configuration not found or invalid in Expression node."
+    );
   }
 
   // 3. Find Predecessor and derive Input Columns
-  const predecessors = findPredecessorNodes(currentNodeId, allProcessedNodes);
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
   let inputColumnNames = [];
+  let inputSchema = [];
+  const warnings = [];
   if (predecessors.length === 0) {
-    console.warn(
-      `Node ${currentNodeId} (Expression): No predecessors found. Assuming SELECT * for input columns if needed, but this might be incomplete.`
+    warnings.push(
+      `No predecessors found. Assuming SELECT * for input columns if needed, but this might be incomplete.`
     );
   } else if (predecessors.length > 1) {
-    console.warn(
-      `Node ${currentNodeId} (Expression): Found multiple predecessors. Using columns from the first one found (${predecessors[0].id}).`
+    warnings.push(
+      `Found multiple predecessors. Using columns from the first one found (${predecessors[0].id}).`
     );
     inputColumnNames = predecessors[0].nodes || [];
+    inputSchema = getNodeSchema(predecessors[0]);
   } else {
     inputColumnNames = predecessors[0].nodes || [];
+    inputSchema = getNodeSchema(predecessors[0]);
   }
 
   // 4. Collect all expressions (main and additional)
@@ -228,11 +94,8 @@ export function convertExpressionNodeToSQL(
     modelNode.config,
     "additionalExpressions"
   );
-  if (
-    additionalExpressionsConfig &&
-    Array.isArray(additionalExpressionsConfig.config)
-  ) {
-    additionalExpressionsConfig.config.forEach((additionalExprConf, index) => {
+  getChildConfigs(additionalExpressionsConfig).forEach(
+    (additionalExprConf, index) => {
       const script = getEntryValue(additionalExprConf.entry, "script");
       const outputMode = getEntryValue(
         additionalExprConf.entry,
@@ -256,44 +119,63 @@ export function convertExpressionNodeToSQL(
           source: `additional[${index}]`,
         });
       }
-    });
-  }
+    }
+  );
 
   if (expressionsToProcess.length === 0) {
     // If no expressions, just select all from the previous node
-    const quotedPrevName = `"${previousNodeName.replace(/"/g, '""')}"`;
-    console.warn(
-      `Node ${currentNodeId} (Expression): No expressions found. Returning SELECT * from ${quotedPrevName}.`
-    );
-    return `SELECT * FROM ${quotedPrevName};`;
+    const quotedPrevName = dialect.quoteIdentifier(previousNodeName);
+    return createConversionResult({
+      sql: `SELECT * FROM ${quotedPrevName};`,
+      columns: inputColumnNames.length > 0 ? [...inputColumnNames] : null,
+      warnings: [...warnings, "No expressions found; the input is passed on."],
+    });
   }
 
   // 5. Build the SELECT clause
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
   let errorMessages = [];
 
   // Initialize selectParts with input columns if known
   let currentSelectParts = [];
   if (inputColumnNames.length > 0) {
-    currentSelectParts = inputColumnNames.map(
-      (col) => `"${col.replace(/"/g, '""')}"`
+    currentSelectParts = inputColumnNames.map((col) =>
+      dialect.quoteIdentifier(col)
     );
   } else {
-    console.warn(
-      `Node ${currentNodeId} (Expression): No input columns derived. SELECT list will be built solely from expressions. If expressions only REPLACE, this might lead to issues.`
+    warnings.push(
+      `No input columns derived. SELECT list will be built solely from expressions. If expressions only REPLACE, this might lead to issues.`
     );
   }
 
   const expressionResults = []; // To store {sql, alias, outputMode, originalColumn (for replace)}
+  const definitions = {}; // Columns computed by the expressions so far, by name
+  let approximate = false;
 
   expressionsToProcess.forEach((expr) => {
-    const sqlSnippet = parseKnimeExpressionScriptToSQL(expr.script);
-    if (sqlSnippet.startsWith("Error:")) {
-      errorMessages.push(
-        `Expression (${expr.source}): ${sqlSnippet} (Original script: ${expr.script})`
-      );
+    let translated;
+    try {
+      translated = translateKnimeExpression(expr.script, dialect, {
+        inputSchema,
+        definitions,
+      });
+    } catch (error) {
+      if (!(error instanceof ExpressionSyntaxError)) throw error;
+      errorMessages.push(`Expression (${expr.source}): ${error.message}`);
       return; // Skip this expression
     }
+    const sqlSnippet = translated.sql;
+    warnings.push(
+      ...translated.warnings.map(
+        (warning) => `Expression (${expr.source}): ${warning}`
+      )
+    );
+    approximate = approximate || translated.approximate;
+    const outputName =
+      expr.outputMode === "REPLACE" ? expr.replacedColumn : expr.createdColumn;
+    if (outputName) {
+      definitions[outputName] = { sql: sqlSnippet, type: translated.type };
+    }
 
     if (expr.outputMode === "APPEND") {
       if (!expr.createdColumn) {
@@ -302,10 +184,11 @@ export function convertExpressionNodeToSQL(
         );
         return;
       }
-      const alias = `"${expr.createdColumn.replace(/"/g, '""')}"`;
+      const alias = dialect.quoteIdentifier(expr.createdColumn);
       expressionResults.push({
         sql: sqlSnippet,
         alias: alias,
+        name: expr.createdColumn,
         outputMode: "APPEND",
       });
     } else if (expr.outputMode === "REPLACE") {
@@ -315,7 +198,7 @@ export function convertExpressionNodeToSQL(
         );
         return;
       }
-      const alias = `"${expr.replacedColumn.replace(/"/g, '""')}"`; // Alias is the name of the column being replaced
+      const alias = dialect.quoteIdentifier(expr.replacedColumn); // Alias is the name of the column being replaced
       expressionResults.push({
         sql: sqlSnippet,
         alias: alias,
@@ -330,48 +213,47 @@ export function convertExpressionNodeToSQL(
   });
 
   if (errorMessages.length > 0) {
-    return `Error in Expression Node ${currentNodeId}:\n${errorMessages.join(
-      "\n"
-    )}`;
+    return createConversionResult({ errors: errorMessages, warnings });
   }
 
   // Construct final select list by applying expressions
   // Start with input columns if available, or an empty list if not.
   let finalSelectExpressions =
     inputColumnNames.length > 0
-      ? inputColumnNames.map((col) => `"${col.replace(/"/g, '""')}"`)
+      ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
       : [];
 
   const processedAliases = new Set(); // Keep track of aliases already defined by expressions
+  const outputColumns = [...inputColumnNames]; // Output column names in SELECT order
 
   expressionResults.forEach((res) => {
     if (res.outputMode === "APPEND") {
       // If an input column already has this name, the new expression should effectively replace it in the list.
       // Or, if a previous expression in this same node created this alias, it should be updated.
-      const existingIndex = finalSelectExpressions.findIndex((part) => {
-        const aliasMatch = part.match(/AS\s+("?)([^"]+)\1$/i);
-        const currentName = aliasMatch ? `"${aliasMatch[2]}"` : part;
-        return currentName === res.alias;
-      });
+      const existingIndex = finalSelectExpressions.findIndex(
+        (part) => part === res.alias || part.endsWith(` AS ${res.alias}`)
+      );
 
       if (existingIndex !== -1) {
         // Column with this name/alias already exists
-        console.warn(
-          `Node ${currentNodeId} (Expression): APPEND expression for ${res.alias} is overwriting an existing column or previous expression result with the same name.`
+        warnings.push(
+          `APPEND expression for ${res.alias} is overwriting an existing column or previous expression result with the same name.`
         );
         finalSelectExpressions[existingIndex] = `${res.sql} AS ${res.alias}`;
       } else {
         // New column to append
         finalSelectExpressions.push(`${res.sql} AS ${res.alias}`);
+        outputColumns.push(res.name);
       }
       processedAliases.add(res.alias);
     } else if (res.outputMode === "REPLACE") {
-      const originalColQuoted = `"${res.originalColumn.replace(/"/g, '""')}"`;
+      const originalColQuoted = dialect.quoteIdentifier(res.originalColumn);
       let replaced = false;
       finalSelectExpressions = finalSelectExpressions.map((part) => {
-        const aliasMatch = part.match(/AS\s+("?)([^"]+)\1$/i);
-        const currentName = aliasMatch ? `"${aliasMatch[2]}"` : part;
-        if (currentName === originalColQuoted) {
+        if (
+          part === originalColQuoted ||
+          part.endsWith(` AS ${originalColQuoted}`)
+        ) {
           replaced = true;
           return `${res.sql} AS ${res.alias}`; // Alias is same as originalColQuoted
         }
@@ -380,8 +262,9 @@ export function convertExpressionNodeToSQL(
       if (!replaced) {
         // If the column to be replaced was not in the input set (e.g. inputColumnNames was empty or didn't include it)
         // or not created by a prior expression in this node, we add it as a new column.
-        console.warn(
-          `Node ${currentNodeId} (Expression): Column "${res.originalColumn}" for REPLACE not found in current select list. Adding it as a new column with the expression.`
+        outputColumns.push(res.originalColumn);
+        warnings.push(
+          `Column "${res.originalColumn}" for REPLACE not found in current select list. Adding it as a new column with the expression.`
         );
         finalSelectExpressions.push(`${res.sql} AS ${res.alias}`);
       }
@@ -392,7 +275,10 @@ export function convertExpressionNodeToSQL(
   // If finalSelectExpressions is empty (e.g., no input columns and only REPLACE expressions for non-existent columns)
   if (finalSelectExpressions.length === 0) {
     if (inputColumnNames.length === 0 && expressionResults.length > 0) {
-      return `Error: Node ${currentNodeId} (Expression): No columns to select. Input columns were unknown and expressions (e.g., all REPLACE for non-existent columns) did not yield selectable output.`;
+      return conversionError(
+        "No columns to select. Input columns were unknown and expressions (e.g., all REPLACE for non-existent columns) did not yield selectable output.",
+        { warnings }
+      );
     } else if (inputColumnNames.length > 0 && expressionResults.length === 0) {
       // This case should be handled earlier (no expressions to process)
       finalSelectExpressions.push("*");
@@ -401,11 +287,14 @@ export function convertExpressionNodeToSQL(
       expressionResults.length === 0
     ) {
       // This case should be handled earlier
-      return `Error: Node ${currentNodeId} (Expression): No input columns and no expressions defined. Cannot generate SQL.`;
+      return conversionError(
+        "No input columns and no expressions defined. Cannot generate SQL.",
+        { warnings }
+      );
     } else {
       // Fallback, though ideally logic above should prevent this.
-      console.warn(
-        `Node ${currentNodeId} (Expression): finalSelectExpressions was empty unexpectedly. Defaulting to SELECT *. Check expression logic.`
+      warnings.push(
+        `finalSelectExpressions was empty unexpectedly. Defaulting to SELECT *. Check expression logic.`
       );
       finalSelectExpressions.push("*");
     }
@@ -418,5 +307,10 @@ export function convertExpressionNodeToSQL(
 ${selectClause}
 FROM ${quotedPreviousNodeName};
 `;
-  return sqlQuery.trim();
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: finalSelectExpressions.includes("*") ? null : outputColumns,
+    warnings,
+    approximate,
+  });
 }
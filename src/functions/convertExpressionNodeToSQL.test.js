@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const EXPRESSION_FACTORY =
+  "org.knime.base.expressions.node.row.mapper.ExpressionRowMapperNodeFactory";
+
+const expression = (script, createdColumn, additional = []) =>
+  knimeNode(
+    EXPRESSION_FACTORY,
+    {
+      script,
+      columnOutputMode: "APPEND",
+      createdColumn,
+      replacedColumn: "",
+      additionalExpressions: {
+        ...additional.map(([additionalScript, mode, column]) => ({
+          script: additionalScript,
+          columnOutputMode: mode,
+          createdColumn: mode === "APPEND" ? column : "",
+          replacedColumn: mode === "REPLACE" ? column : "",
+        })),
+      },
+    },
+    { name: "Expression" }
+  );
+
+const analyzeExpression = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+        ["flag", KNIME_TYPES.BOOLEAN],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertExpressionNodeToSQL", () => {
+  it("appends and replaces columns, inlining earlier expressions", async () => {
+    const analysis = await analyzeExpression(
+      expression('string($["qty"]) + " x " + $name', "label", [
+        ["$qty * 2 + $amount / 3 - $qty // 2 + $qty % 4", "APPEND", "calc"],
+        [
+          'if($amount > 10 and not $flag, "big", $amount > 5, "mid", "small")',
+          "APPEND",
+          "size",
+        ],
+        ['$["label"] + "!"', "REPLACE", "name"],
+      ])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "name",
+      "amount",
+      "qty",
+      "flag",
+      "label",
+      "calc",
+      "size",
+    ]);
+  });
+
+  it("reports the expressions it cannot translate", async () => {
+    const analysis = await analyzeExpression(
+      expression("$name + ", "bad1", [['$qty * "a"', "APPEND", "bad2"]])
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,227 @@
+// src/functions/convertExtractDateTimeFieldsNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import { findInputNodes } from "./findInputNodes";
+import { KNIME_TYPES, findSchemaColumn, getNodeSchema } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import {
+  checkColumnTypes,
+  getDateNameWarning,
+  isDateTimeType,
+} from "./dateTimeSettings";
+
+export const EXTRACT_DATE_TIME_FIELDS_FACTORY =
+  "org.knime.time.node.extract.datetime.ExtractDateTimeFieldsNodeFactory";
+
+/**
+ * The fields the node can extract, in the order of its output columns, which are named
+ * like the fields. A field is a date part (see dialect.datePart) or a name formatted
+ * with a date pattern; kind tells if it needs a date or a time.
+ */
+export const DATE_TIME_FIELDS = [
+  { name: "Year", kind: "date", part: "year" },
+  { name: "Year (week-based)", kind: "date" },
+  { name: "Quarter", kind: "date", part: "quarter" },
+  { name: "Month (number)", kind: "date", part: "month" },
+  { name: "Month (name)", kind: "date", pattern: "MMMM" },
+  { name: "Week", kind: "date", part: "week" },
+  { name: "Day of year", kind: "date", part: "dayOfYear" },
+  { name: "Day of month", kind: "date", part: "day" },
+  { name: "Day of week (number)", kind: "date", part: "dayOfWeek" },
+  { name: "Day of week (name)", kind: "date", pattern: "EEEE" },
+  { name: "Hour", kind: "time", part: "hour" },
+  { name: "Minute", kind: "time", part: "minute" },
+  { name: "Second", kind: "time", part: "second" },
+  { name: "Millisecond", kind: "time", part: "millisecond" },
+  { name: "Microsecond", kind: "time" },
+  { name: "Nanosecond", kind: "time" },
+  { name: "Time zone name", kind: "zone" },
+  { name: "Time zone offset", kind: "zone" },
+];
+
+// Fields whose numbering depends on the locale in KNIME
+const WEEK_FIELDS = ["Week", "Day of week (number)"];
+
+/**
+ * The KNIME cell class of an extracted field.
+ * @param {object} field - The field (see DATE_TIME_FIELDS).
+ * @returns {string} - The cell class.
+ */
+export const getDateTimeFieldType = (field) =>
+  field.part ? KNIME_TYPES.INT : KNIME_TYPES.STRING;
+
+/**
+ * Reads the settings of an Extract Date&Time Fields node: the column "col_select", the
+ * "locale" and the selected fields, each a boolean entry named like the field.
+ * @param {object} modelNode - The model config.
+ * @returns {{column: string|null, locale: string|null, fields: Array<object>}} - The
+ * settings; fields are taken from DATE_TIME_FIELDS.
+ */
+export const getExtractDateTimeFieldsSettings = (modelNode) => ({
+  column: getEntryValue(modelNode.entry, "col_select"),
+  locale: getEntryValue(modelNode.entry, "locale"),
+  fields: DATE_TIME_FIELDS.filter(
+    ({ name }) => getEntryValue(modelNode.entry, name) === true
+  ),
+});
+
+/**
+ * Tells if a field can be extracted from a column of a Date&Time type.
+ * @param {object} field - The field (see DATE_TIME_FIELDS).
+ * @param {string} typeKey - The type key of the column (see getKnimeTypeKey).
+ * @returns {boolean} - True if the column has the field.
+ */
+const hasField = (field, typeKey) => {
+  if (field.kind === "zone") return typeKey === "zonedDatetime";
+  if (field.kind === "date") return typeKey !== "time";
+  return typeKey !== "date";
+};
+
+/**
+ * Converts a KNIME Extract Date&Time Fields node to SQL that appends one column per
+ * selected field of a Date&Time column: numbers as integers, month and day names as
+ * strings.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertExtractDateTimeFieldsNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== EXTRACT_DATE_TIME_FIELDS_FACTORY) {
+    return conversionError(
+      `Expected Extract Date&Time Fields node factory, but got ${
+        factory || "N/A"
+      }.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Extract Date&Time Fields node."
+    );
+  }
+  const { column, locale, fields } =
+    getExtractDateTimeFieldsSettings(modelNode);
+  if (!column) {
+    return conversionError("The column is not set.");
+  }
+  if (fields.length === 0) {
+    return conversionError("No fields are selected.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length > 0 && !inputColumnNames.includes(column)) {
+    return conversionError(`Column "${column}" not found in the input.`, {
+      warnings,
+    });
+  }
+  const inputSchema = getNodeSchema(predecessors[0]);
+  const typeErrors = checkColumnTypes(
+    [column],
+    inputSchema,
+    isDateTimeType,
+    "a Date&Time column"
+  );
+  if (typeErrors.length > 0) {
+    return conversionError(typeErrors.join(" "), { warnings });
+  }
+  const type = findSchemaColumn(inputSchema, column)?.type || null;
+  const typeKey = getKnimeTypeKey(type);
+
+  const unsupported = fields.filter((field) => !field.part && !field.pattern);
+  if (unsupported.length > 0) {
+    return conversionError(
+      `These fields are not supported: ${unsupported
+        .map(({ name }) => name)
+        .join(", ")}.`,
+      { warnings }
+    );
+  }
+  const missing = typeKey
+    ? fields.filter((field) => !hasField(field, typeKey))
+    : [];
+  if (missing.length > 0) {
+    return conversionError(
+      `Column "${column}" has no ${missing
+        .map(({ name }) => name)
+        .join(", ")}.`,
+      { warnings }
+    );
+  }
+  const clashes = fields
+    .map(({ name }) => name)
+    .filter((name) => inputColumnNames.includes(name));
+  if (clashes.length > 0) {
+    return conversionError(
+      `The field columns already exist in the input: ${clashes.join(", ")}.`,
+      { warnings }
+    );
+  }
+
+  let approximate = false;
+  if (fields.some(({ name }) => WEEK_FIELDS.includes(name))) {
+    approximate = true;
+    warnings.push(
+      `Weeks and days of the week are numbered by ISO 8601 (weeks start on Monday), while KNIME numbers them by the locale${
+        locale ? ` ${locale}` : ""
+      }.`
+    );
+  }
+  const nameWarning = getDateNameWarning(
+    fields.map((field) => field.pattern || "").join(""),
+    locale
+  );
+  if (nameWarning) {
+    approximate = true;
+    warnings.push(nameWarning);
+  }
+
+  const quoted = dialect.quoteIdentifier(column);
+  const intType = dialect.typeName(KNIME_TYPES.INT);
+  const selectParts = [
+    ...(inputColumnNames.length > 0
+      ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
+      : ["*"]),
+    ...fields.map((field) => {
+      const expr = field.part
+        ? dialect.cast(dialect.datePart(field.part, quoted), intType)
+        : dialect.formatDateTime(quoted, field.pattern, type);
+      return `${expr} AS ${dialect.quoteIdentifier(field.name)}`;
+    }),
+  ];
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns:
+      inputColumnNames.length > 0
+        ? [...inputColumnNames, ...fields.map(({ name }) => name)]
+        : null,
+    warnings,
+    approximate,
+  });
+}
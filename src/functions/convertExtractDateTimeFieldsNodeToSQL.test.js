@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const EXTRACT_DATE_TIME_FIELDS_FACTORY =
+  "org.knime.time.node.extract.datetime.ExtractDateTimeFieldsNodeFactory";
+
+const reader = csvReader([
+  ["sdate", KNIME_TYPES.STRING],
+  ["when", KNIME_TYPES.LOCAL_DATE_TIME],
+  ["day", KNIME_TYPES.LOCAL_DATE],
+  ["n", KNIME_TYPES.INT],
+  ["other", KNIME_TYPES.LOCAL_DATE_TIME],
+]);
+
+const extractFields = (column, fields) =>
+  knimeNode(
+    EXTRACT_DATE_TIME_FIELDS_FACTORY,
+    { col_select: column, locale: "en-US", ...fields },
+    { name: "Extract Date&Time Fields" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow({ 1: reader, 2: node }, [[1, 2]]);
+
+describe("convertExtractDateTimeFieldsNodeToSQL", () => {
+  it("appends a column per selected field", async () => {
+    const analysis = await analyzeNode(
+      extractFields("when", {
+        Year: true,
+        Quarter: true,
+        "Month (name)": true,
+        Week: true,
+        "Day of week (number)": true,
+        Second: true,
+        Millisecond: true,
+        Hour: false,
+      })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toMatchSnapshot();
+  });
+
+  it("rejects time fields of a date column", async () => {
+    const analysis = await analyzeNode(
+      extractFields("day", { Year: true, Hour: true })
+    );
+    expect(convertNode(analysis, 2).errors).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,225 @@
+// src/functions/convertGroupByNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getChildConfigs } from "../common/findNestedEntry";
+import { getSelectedColumns } from "../common/getSelectedColumns";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { findSchemaColumn, getNodeSchema } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { AGGREGATION_METHODS } from "./groupByAggregations";
+
+export const GROUP_BY_FACTORY =
+  "org.knime.base.node.preproc.groupby.GroupByNodeFactory";
+
+/**
+ * Reads the settings of a GroupBy node: the group columns ("grouByColumns", a column
+ * filter or, in old workflows, a plain list), the manual aggregations
+ * ("aggregationColumn" with parallel lists of columns, types, methods and whether to
+ * include missing values), the "columnNamePolicy" and the "valueDelimiter" of
+ * concatenations.
+ * @param {object} modelNode - The model config.
+ * @returns {{groupColumns: string[], aggregations: Array<{column: string, type: string|null, method: string, includeMissing: boolean}>, namePolicy: string|null, separator: string, hasOtherAggregators: boolean}}
+ * - The settings; hasOtherAggregators tells whether pattern or type based aggregations
+ *   are defined.
+ */
+export const getGroupBySettings = (modelNode) => {
+  const groupConfig = findConfigByKey(modelNode.config, "grouByColumns");
+  const groupColumns = getEntryValue(groupConfig?.entry, "filter-type")
+    ? getSelectedColumns(groupConfig)
+    : getArrayValuesFromConfig(groupConfig);
+
+  const aggregationConfig = findConfigByKey(
+    modelNode.config,
+    "aggregationColumn"
+  );
+  const listOf = (key) => findConfigByKey(aggregationConfig?.config, key);
+  const columns = getArrayValuesFromConfig(listOf("columnNames"));
+  const types = getChildConfigs(listOf("columnTypes")).map((typeConfig) =>
+    getEntryValue(typeConfig.entry, "cell_class")
+  );
+  const methods = getArrayValuesFromConfig(listOf("aggregationMethod"));
+  const includeMissing = getArrayValuesFromConfig(listOf("inclMissingVals"));
+  const aggregations = columns.map((column, index) => ({
+    column,
+    type: types[index] || null,
+    method: methods[index],
+    includeMissing: includeMissing[index] === "true",
+  }));
+
+  const hasOtherAggregators = [
+    "patternAggregators",
+    "dataTypeAggregators",
+  ].some(
+    (key) => getChildConfigs(findConfigByKey(modelNode.config, key)).length > 0
+  );
+  return {
+    groupColumns,
+    aggregations,
+    namePolicy: getEntryValue(modelNode.entry, "columnNamePolicy"),
+    separator: getEntryValue(modelNode.entry, "valueDelimiter") ?? ", ",
+    hasOtherAggregators,
+  };
+};
+
+/**
+ * Names an aggregated column like KNIME's column name policies: "Aggregation method
+ * (column name)" (the default, e.g. "Sum(amount)"), "Column name (aggregation method)"
+ * (e.g. "amount (Sum)") or "Keep original name(s)".
+ * @param {string|null} namePolicy - The policy.
+ * @param {string} method - The aggregation method ID.
+ * @param {string} column - The aggregated column.
+ * @returns {string} - The output column name.
+ */
+export const getAggregationColumnName = (namePolicy, method, column) => {
+  const label = AGGREGATION_METHODS[method]?.label || method;
+  switch (namePolicy) {
+    case "Keep original name(s)":
+      return column;
+    case "Column name (aggregation method)":
+      return `${column} (${label})`;
+    default:
+      return `${label}(${column})`;
+  }
+};
+
+/**
+ * Converts a KNIME GroupBy node to a GROUP BY query. The group columns come first,
+ * followed by one column per aggregation (see AGGREGATION_METHODS); without group
+ * columns the whole table is aggregated into one row.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertGroupByNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== GROUP_BY_FACTORY) {
+    return conversionError(
+      `Expected GroupBy node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found in GroupBy node.");
+  }
+  const {
+    groupColumns,
+    aggregations,
+    namePolicy,
+    separator,
+    hasOtherAggregators,
+  } = getGroupBySettings(modelNode);
+  if (hasOtherAggregators) {
+    return conversionError(
+      "Pattern and type based aggregations are not supported; select the aggregated columns manually."
+    );
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  const inputSchema = getNodeSchema(predecessors[0]);
+  if (inputColumnNames.length > 0) {
+    const missing = [
+      ...groupColumns,
+      ...aggregations.map(({ column }) => column),
+    ].filter((col) => !inputColumnNames.includes(col));
+    if (missing.length > 0) {
+      return conversionError(
+        `Columns not found in the input: ${[...new Set(missing)].join(", ")}.`,
+        { warnings }
+      );
+    }
+  }
+
+  const errors = [];
+  const orderDependent = [];
+  let approximate = false;
+  const outputColumns = [...groupColumns];
+  const selectParts = groupColumns.map((col) => dialect.quoteIdentifier(col));
+  aggregations.forEach(({ column, type, method, includeMissing }) => {
+    const definition = AGGREGATION_METHODS[method];
+    if (!definition) {
+      errors.push(
+        `Unsupported aggregation method "${method}" for column "${column}".`
+      );
+      return;
+    }
+    const name = getAggregationColumnName(namePolicy, method, column);
+    if (outputColumns.includes(name)) {
+      errors.push(
+        `Duplicate output column "${name}"; choose another column name policy.`
+      );
+      return;
+    }
+    outputColumns.push(name);
+
+    const sql = definition.toSQL(dialect.quoteIdentifier(column), {
+      dialect,
+      inputType: findSchemaColumn(inputSchema, column)?.type || type,
+      includeMissing,
+      separator,
+    });
+    selectParts.push(`${sql} AS ${dialect.quoteIdentifier(name)}`);
+
+    if (includeMissing && !definition.countsMissing) {
+      approximate = true;
+      warnings.push(
+        `${name}: missing values are skipped, although the aggregation includes them.`
+      );
+    }
+    if (definition.orderDependent) orderDependent.push(name);
+  });
+  if (errors.length > 0) {
+    return createConversionResult({ errors, warnings });
+  }
+  if (selectParts.length === 0) {
+    return conversionError("No group columns or aggregations are defined.", {
+      warnings,
+    });
+  }
+  if (orderDependent.length > 0) {
+    approximate = true;
+    warnings.push(
+      `${orderDependent.join(
+        ", "
+      )}: the values are taken in no particular order, while KNIME follows the row order.`
+    );
+  }
+
+  const groupBy =
+    groupColumns.length > 0
+      ? `\nGROUP BY ${groupColumns
+          .map((col) => dialect.quoteIdentifier(col))
+          .join(", ")}`
+      : "";
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)}${groupBy};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: outputColumns,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,139 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const GROUP_BY_FACTORY =
+  "org.knime.base.node.preproc.groupby.GroupByNodeFactory";
+
+const COLUMN_TYPES = {
+  name: KNIME_TYPES.STRING,
+  amount: KNIME_TYPES.DOUBLE,
+  qty: KNIME_TYPES.INT,
+  region: KNIME_TYPES.STRING,
+  flag: KNIME_TYPES.BOOLEAN,
+};
+
+// aggregations: [column, method, include missing values]
+const groupBy = (
+  groupColumns,
+  aggregations,
+  columnNamePolicy = "Aggregation method (column name)"
+) =>
+  knimeNode(
+    GROUP_BY_FACTORY,
+    {
+      grouByColumns: {
+        "filter-type": "STANDARD",
+        included_names: groupColumns,
+        excluded_names: [],
+      },
+      aggregationColumn: {
+        columnNames: aggregations.map(([column]) => column),
+        columnTypes: aggregations.map(([column]) => ({
+          cell_class: COLUMN_TYPES[column],
+        })),
+        aggregationMethod: aggregations.map(([, method]) => method),
+        inclMissingVals: aggregations.map(([, , missing]) => Boolean(missing)),
+      },
+      columnNamePolicy,
+      valueDelimiter: ",",
+    },
+    { name: "GroupBy" }
+  );
+
+const analyzeGroupBy = (node) =>
+  analyzeTestWorkflow({ 1: csvReader(Object.entries(COLUMN_TYPES)), 2: node }, [
+    [1, 2],
+  ]);
+
+describe("convertGroupByNodeToSQL", () => {
+  it("translates the aggregation methods", async () => {
+    const analysis = await analyzeGroupBy(
+      groupBy(
+        ["region"],
+        [
+          ["amount", "Sum_V2.5.2"],
+          ["qty", "Mean"],
+          ["name", "Count", true],
+          ["name", "Unique count"],
+          ["name", "Concatenate"],
+          ["flag", "True count"],
+        ]
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "region",
+      "Sum(amount)",
+      "Mean(qty)",
+      "Count(name)",
+      "Unique count(name)",
+      "Concatenate(name)",
+      "True count(flag)",
+    ]);
+  });
+
+  it("takes the first and last value of each group", async () => {
+    const analysis = await analyzeGroupBy(
+      groupBy(
+        ["region"],
+        [
+          ["name", "First"],
+          ["amount", "Last"],
+        ]
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("computes the median where the dialect can", async () => {
+    const analysis = await analyzeGroupBy(
+      groupBy(["region"], [["qty", "Median"]])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2, "tsql").errors).toEqual([
+      "GroupBy converter failed: T-SQL (SQL Server) has no MEDIAN function.",
+    ]);
+  });
+
+  it("names the columns by the policy", async () => {
+    const analysis = await analyzeGroupBy(
+      groupBy(
+        [],
+        [
+          ["amount", "Sum_V2.5.2", true],
+          ["qty", "Standard deviation"],
+        ],
+        "Column name (aggregation method)"
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual([
+      "amount (Sum)",
+      "qty (Standard deviation)",
+    ]);
+  });
+
+  it("rejects duplicate names when the original names are kept", async () => {
+    const analysis = await analyzeGroupBy(
+      groupBy(
+        ["region"],
+        [
+          ["amount", "Mean"],
+          ["amount", "Sum_V2.5.2"],
+        ],
+        "Keep original name(s)"
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
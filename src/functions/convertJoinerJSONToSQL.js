@@ -1,4 +1,10 @@
 import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+
 const getEntryValue = (entryProp, key) => {
   // ... (implementation remains the same) ...
   if (!entryProp) return null;
@@ -39,12 +45,14 @@ const findConfigByKey = (config, key) => {
  * @param {boolean} includeMatches - Value of 'includeMatchesInOutput'.
  * @param {boolean} includeLeftUnmatched - Value of 'includeLeftUnmatchedInOutput'.
  * @param {boolean} includeRightUnmatched - Value of 'includeRightUnmatchedInOutput'.
+ * @param {string[]} warnings - Collects a warning if the combination is not supported.
  * @returns {string} - SQL JOIN keyword (e.g., "INNER JOIN", "LEFT OUTER JOIN").
  */
 const getSQLJoinTypeFromFlags = (
   includeMatches,
   includeLeftUnmatched,
-  includeRightUnmatched
+  includeRightUnmatched,
+  warnings
 ) => {
   // ... (implementation remains the same) ...
   if (includeMatches && includeLeftUnmatched && includeRightUnmatched)
@@ -55,7 +63,7 @@ const getSQLJoinTypeFromFlags = (
     return "RIGHT OUTER JOIN";
   if (includeMatches && !includeLeftUnmatched && !includeRightUnmatched)
     return "INNER JOIN";
-  console.warn(
+  warnings.push(
     `Unsupported join combination: matches=${includeMatches}, left=${includeLeftUnmatched}, right=${includeRightUnmatched}. Defaulting to INNER JOIN.`
   );
   return "INNER JOIN";
@@ -71,12 +79,14 @@ const getSQLJoinTypeFromFlags = (
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} [leftInputName="left_input"] - The name/alias for the left input table/subquery.
  * @param {string} [rightInputName="right_input"] - The name/alias for the right input table/subquery.
- * @returns {string} - The generated SQL query or an error message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertJoinerNodeToSQL(
   nodeConfig,
   leftInputName = "left_input",
-  rightInputName = "right_input"
+  rightInputName = "right_input",
+  dialect = getDialect()
 ) {
   // Step 1: Verify node type
   // ... (implementation remains the same) ...
@@ -90,13 +100,17 @@ export function convertJoinerNodeToSQL(
     factory !== JOINER_FACTORY_LEGACY_WITH_MODERN_CONFIG
   ) {
     const factoryInfo = factory ? `"${factory}"` : "N/A";
-    return `Error: Expected Joiner factory (${JOINER_FACTORY_MODERN} or ${JOINER_FACTORY_LEGACY_WITH_MODERN_CONFIG}), but got ${factoryInfo}. This function expects the modern internal config structure.`;
+    return conversionError(
+      `Expected Joiner factory (${JOINER_FACTORY_MODERN} or ${JOINER_FACTORY_LEGACY_WITH_MODERN_CONFIG}), but got ${factoryInfo}. This function expects the modern internal config structure.`
+    );
   }
 
   // Step 2: Find the model configuration
   const modelNode = findConfigByKey(nodeConfig.config, "model");
   if (!modelNode || !modelNode.config || !modelNode.entry) {
-    return "Error: Model configuration not found or invalid in nodeConfig.";
+    return conversionError(
+      "Model configuration not found or invalid in nodeConfig."
+    );
   }
 
   // Step 3: Extract join parameters
@@ -121,6 +135,8 @@ export function convertJoinerNodeToSQL(
     "matchingCriteria"
   );
   const joinConditions = []; // Store conditions for the ON clause
+  const warnings = [];
+  let approximate = false;
 
   if (matchingCriteriaNode && matchingCriteriaNode.config) {
     const criteriaConfigs = Array.isArray(matchingCriteriaNode.config)
@@ -132,26 +148,26 @@ export function convertJoinerNodeToSQL(
 
       // *** Handle <row-keys> translation ***
       // Assumes the upstream tables have a column named "RowID"
-      const rowIdColName = '"RowID"'; // Use a standard quoted name
+      const rowIdColName = dialect.quoteIdentifier("RowID"); // Use a standard quoted name
       if (leftKey === "<row-keys>") {
         leftKey = rowIdColName;
-        console.log(
-          "Detected join on left <row-keys>, translating to",
-          rowIdColName
+        warnings.push(
+          `Joining on the left RowID assumes a column ${rowIdColName} in the left input.`
         );
+        approximate = true;
       } else {
         // Quote regular column names
-        leftKey = `"${leftKey.replace(/"/g, '""')}"`;
+        leftKey = dialect.quoteIdentifier(leftKey);
       }
       if (rightKey === "<row-keys>") {
         rightKey = rowIdColName;
-        console.log(
-          "Detected join on right <row-keys>, translating to",
-          rowIdColName
+        warnings.push(
+          `Joining on the right RowID assumes a column ${rowIdColName} in the right input.`
         );
+        approximate = true;
       } else {
         // Quote regular column names
-        rightKey = `"${rightKey.replace(/"/g, '""')}"`;
+        rightKey = dialect.quoteIdentifier(rightKey);
       }
       // *** End <row-keys> handling ***
 
@@ -166,9 +182,14 @@ export function convertJoinerNodeToSQL(
     // ... (error handling remains the same) ...
     const compositionMode = getEntryValue(modelNode.entry, "compositionMode");
     if (compositionMode === "UNION" || compositionMode === "INTERSECTION") {
-      return `Error: Joiner mode '${compositionMode}' without explicit matching criteria is not directly convertible to a standard SQL JOIN.`;
+      return conversionError(
+        `Joiner mode '${compositionMode}' without explicit matching criteria is not directly convertible to a standard SQL JOIN.`,
+        { warnings }
+      );
     }
-    return "Error: No valid join keys found in matchingCriteria.";
+    return conversionError("No valid join keys found in matchingCriteria.", {
+      warnings,
+    });
   }
 
   // Step 4: Determine columns to include based *only* on the config
@@ -219,8 +240,8 @@ export function convertJoinerNodeToSQL(
   }
 
   // Prepare Quoted Input Names
-  const quotedLeftInputName = `"${leftInputName.replace(/"/g, '""')}"`;
-  const quotedRightInputName = `"${rightInputName.replace(/"/g, '""')}"`;
+  const quotedLeftInputName = dialect.quoteIdentifier(leftInputName);
+  const quotedRightInputName = dialect.quoteIdentifier(rightInputName);
 
   // Step 5: Build SELECT clause with duplicate handling
   // ... (logic remains the same, uses finalLeftCols/finalRightCols) ...
@@ -228,12 +249,16 @@ export function convertJoinerNodeToSQL(
   const finalLeftColNames = new Set(finalLeftCols);
   const finalRightColNames = new Set(finalRightCols); // Use potentially modified list
   const selectedColumnAliases = new Set();
+  const outputColumns = []; // Output column names in SELECT order
 
   for (const col of finalLeftCols) {
     let alias = col;
     if (finalRightColNames.has(col)) {
       if (duplicateHandling === "FAIL")
-        return `Error: Duplicate column name "${col}" found...`;
+        return conversionError(
+          `Duplicate column name "${col}" found and the Joiner is set to fail on duplicates.`,
+          { warnings }
+        );
       if (duplicateHandling === "KEEP_RIGHT") continue;
       if (duplicateHandling === "APPEND_SUFFIX") alias = `${col}${suffix}`;
       else if (duplicateHandling !== "KEEP_LEFT") alias = `${col}_L`;
@@ -243,12 +268,12 @@ export function convertJoinerNodeToSQL(
     while (selectedColumnAliases.has(finalAlias))
       finalAlias = `${alias}_${suffixCounter++}`;
     selectedColumnAliases.add(finalAlias);
+    outputColumns.push(finalAlias);
     // Quote original column name, use potentially modified alias (also quoted)
     selectParts.push(
-      `${quotedLeftInputName}."${col.replace(
-        /"/g,
-        '""'
-      )}" AS "${finalAlias.replace(/"/g, '""')}"`
+      `${quotedLeftInputName}.${dialect.quoteIdentifier(
+        col
+      )} AS ${dialect.quoteIdentifier(finalAlias)}`
     );
   }
 
@@ -257,7 +282,10 @@ export function convertJoinerNodeToSQL(
     let alias = col;
     if (finalLeftColNames.has(col)) {
       if (duplicateHandling === "FAIL")
-        return `Error: Duplicate column name "${col}" found...`;
+        return conversionError(
+          `Duplicate column name "${col}" found and the Joiner is set to fail on duplicates.`,
+          { warnings }
+        );
       if (duplicateHandling === "KEEP_LEFT") continue;
       if (duplicateHandling === "APPEND_SUFFIX") alias = `${col}${suffix}`;
       else if (duplicateHandling !== "KEEP_RIGHT") alias = `${col}_R`;
@@ -267,17 +295,20 @@ export function convertJoinerNodeToSQL(
     while (selectedColumnAliases.has(finalAlias))
       finalAlias = `${alias}_${suffixCounter++}`;
     selectedColumnAliases.add(finalAlias);
+    outputColumns.push(finalAlias);
     // Quote original column name, use potentially modified alias (also quoted)
     selectParts.push(
-      `${quotedRightInputName}."${col.replace(
-        /"/g,
-        '""'
-      )}" AS "${finalAlias.replace(/"/g, '""')}"`
+      `${quotedRightInputName}.${dialect.quoteIdentifier(
+        col
+      )} AS ${dialect.quoteIdentifier(finalAlias)}`
     );
   }
 
   if (selectParts.length === 0) {
-    return "Warning: No columns selected for output based on included_names lists in the config (after potential merge).";
+    return conversionError(
+      "No columns selected for output based on included_names lists in the config (after potential merge).",
+      { warnings }
+    );
   }
   const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
 
@@ -286,8 +317,16 @@ export function convertJoinerNodeToSQL(
   const joinType = getSQLJoinTypeFromFlags(
     includeMatches,
     includeLeftUnmatched,
-    includeRightUnmatched
+    includeRightUnmatched,
+    warnings
   );
+  if (mergeJoinColumns === true && includeRightUnmatched) {
+    // KNIME fills merged join columns of unmatched right rows from the right table
+    warnings.push(
+      "Join columns are merged, but only the left join columns are selected; they are missing for unmatched right rows."
+    );
+    approximate = true;
+  }
 
   // Step 7: Build ON clause using processed joinConditions
   const onConditions = joinConditions.map((condition) => {
@@ -305,5 +344,10 @@ ${joinType} ${quotedRightInputName}
 ${onClause};
 `;
 
-  return sqlQuery.trim();
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: outputColumns,
+    warnings,
+    approximate,
+  });
 }
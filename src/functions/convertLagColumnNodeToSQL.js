@@ -0,0 +1,179 @@
+// src/functions/convertLagColumnNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { getInputRowOrder } from "./inputRowOrder";
+
+export const LAG_COLUMN_FACTORIES = [
+  "org.knime.base.node.preproc.lagcolumn2.LagColumnStreamingNodeFactory",
+  "org.knime.base.node.preproc.lagcolumn.LagColumnNodeFactory",
+];
+
+/**
+ * Reads the settings of a Lag Column node: the "column", the number of lagged columns
+ * ("lag"), the rows between them ("lag_interval") and whether the incomplete rows at
+ * the start and end are skipped.
+ * @param {object} modelNode - The model config.
+ * @returns {{column: string|null, lag: number, interval: number, skipInitial: boolean, skipLast: boolean}}
+ * - The settings.
+ */
+export const getLagColumnSettings = (modelNode) => ({
+  column: getEntryValue(modelNode.entry, "column"),
+  lag: Number(getEntryValue(modelNode.entry, "lag") ?? 1),
+  interval: Number(getEntryValue(modelNode.entry, "lag_interval") ?? 1),
+  skipInitial:
+    getEntryValue(modelNode.entry, "skipInitialIncompleteRows") === true,
+  skipLast: getEntryValue(modelNode.entry, "skipLastIncompleteRows") !== false,
+});
+
+/**
+ * Names the lagged columns like KNIME, e.g. "amount(-1)", "amount(-2)".
+ * @param {object} settings - The settings (see getLagColumnSettings).
+ * @returns {string[]} - The column names, empty if the column is not set.
+ */
+export const getLagColumnNames = ({ column, lag, interval }) =>
+  column
+    ? Array.from(
+        { length: Math.max(lag, 0) },
+        (_, index) => `${column}(-${(index + 1) * interval})`
+      )
+    : [];
+
+/**
+ * Converts a KNIME Lag Column node to LAG window functions that append the values of
+ * the previous rows. The rows are taken in the order of the Sorter before the node, if
+ * any (see getInputRowOrder).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertLagColumnNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (!LAG_COLUMN_FACTORIES.includes(factory)) {
+    return conversionError(
+      `Expected Lag Column node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found in Lag Column node.");
+  }
+  const settings = getLagColumnSettings(modelNode);
+  const { column, lag, interval, skipInitial, skipLast } = settings;
+  if (!column) {
+    return conversionError("Lagging the row ID is not supported.");
+  }
+  if (!Number.isInteger(lag) || lag < 1) {
+    return conversionError(`The lag ${lag} is not a positive integer.`);
+  }
+  if (!Number.isInteger(interval) || interval < 1) {
+    return conversionError(
+      `The lag interval ${interval} is not a positive integer.`
+    );
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length > 0 && !inputColumnNames.includes(column)) {
+    return conversionError(`Column "${column}" not found in the input.`, {
+      warnings,
+    });
+  }
+  if (skipInitial && inputColumnNames.length === 0) {
+    return conversionError(
+      "The input columns must be known to skip the initial incomplete rows.",
+      { warnings }
+    );
+  }
+  const lagColumns = getLagColumnNames(settings);
+  const clashes = lagColumns.filter((col) => inputColumnNames.includes(col));
+  if (clashes.length > 0) {
+    return conversionError(
+      `The lagged columns already exist in the input: ${clashes.join(", ")}.`,
+      { warnings }
+    );
+  }
+
+  const rowOrder = getInputRowOrder(predecessors[0], dialect);
+  if (rowOrder.error) {
+    return conversionError(rowOrder.error, { warnings });
+  }
+  let approximate = false;
+  if (rowOrder.warning) {
+    approximate = true;
+    warnings.push(rowOrder.warning);
+  }
+  if (!skipLast) {
+    approximate = true;
+    warnings.push(
+      "The rows KNIME appends after the last row for the remaining lagged values are not added."
+    );
+  }
+
+  const over = `OVER (${rowOrder.order})`;
+  const quoted = dialect.quoteIdentifier(column);
+  const quotedInputColumns = inputColumnNames.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  const selectParts = [
+    ...(quotedInputColumns.length > 0 ? quotedInputColumns : ["*"]),
+    ...lagColumns.map(
+      (name, index) =>
+        `LAG(${quoted}, ${
+          (index + 1) * interval
+        }) ${over} AS ${dialect.quoteIdentifier(name)}`
+    ),
+  ];
+  const outputColumns = [...inputColumnNames, ...lagColumns];
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+
+  let sqlQuery;
+  if (skipInitial) {
+    // The rows whose last lagged value is missing are numbered and removed afterwards
+    const rowNumberName = dialect.quoteIdentifier("lag_row_number");
+    sqlQuery = `
+SELECT
+  ${outputColumns.map((col) => dialect.quoteIdentifier(col)).join(",\n  ")}
+FROM (
+  SELECT
+    ${[...selectParts, `ROW_NUMBER() ${over} AS ${rowNumberName}`].join(
+      ",\n    "
+    )}
+  FROM ${quotedPreviousNodeName}
+) AS ${dialect.quoteIdentifier("lagged_rows")}
+WHERE ${rowNumberName} > ${lag * interval};
+`;
+  } else {
+    sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${quotedPreviousNodeName};
+`;
+  }
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: inputColumnNames.length > 0 ? outputColumns : null,
+    warnings,
+    approximate,
+  });
+}
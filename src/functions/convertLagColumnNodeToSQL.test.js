@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const LAG_COLUMN_FACTORY =
+  "org.knime.base.node.preproc.lagcolumn2.LagColumnStreamingNodeFactory";
+
+const COLUMN_TYPES = {
+  k: KNIME_TYPES.STRING,
+  day: KNIME_TYPES.LOCAL_DATE,
+  amount: KNIME_TYPES.DOUBLE,
+  qty: KNIME_TYPES.INT,
+};
+
+const sorter = knimeNode(
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+  {
+    incllist: ["day", "-ROWKEY -"],
+    sortOrder: [true, true],
+    missingToEnd: false,
+  },
+  { name: "Sorter" }
+);
+
+// Node 3 reads from a Sorter on "day", node 4 straight from the reader
+const analyzeWindowNodes = (node) =>
+  analyzeTestWorkflow(
+    { 1: csvReader(Object.entries(COLUMN_TYPES)), 2: sorter, 3: node, 4: node },
+    [
+      [1, 2],
+      [2, 3],
+      [1, 4],
+    ]
+  );
+
+const lagColumn = (settings) =>
+  knimeNode(
+    LAG_COLUMN_FACTORY,
+    {
+      column: "amount",
+      lag: 1,
+      lag_interval: 1,
+      skipInitialIncompleteRows: false,
+      skipLastIncompleteRows: true,
+      ...settings,
+    },
+    { name: "Lag Column" }
+  );
+
+describe("convertLagColumnNodeToSQL", () => {
+  it("lags in the order of the Sorter before it", async () => {
+    const analysis = await analyzeWindowNodes(
+      lagColumn({ lag: 2, skipInitialIncompleteRows: true })
+    );
+    expect(sqlPerDialect(analysis, 3)).toMatchSnapshot();
+    expect(convertNode(analysis, 3).columns).toEqual([
+      "k",
+      "day",
+      "amount",
+      "qty",
+      "amount(-1)",
+      "amount(-2)",
+    ]);
+  });
+
+  it("lags by intervals in the read order otherwise", async () => {
+    const analysis = await analyzeWindowNodes(
+      lagColumn({ lag: 2, lag_interval: 3, skipLastIncompleteRows: false })
+    );
+    const result = convertNode(analysis, 4);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.approximate).toBe(true);
+    expect(result.warnings).toMatchSnapshot();
+  });
+
+  it("needs a Sorter before it on BigQuery", async () => {
+    const analysis = await analyzeWindowNodes(lagColumn({}));
+    expect(convertNode(analysis, 3, "bigquery").sql).not.toBeNull();
+    expect(convertNode(analysis, 4, "bigquery").errors).toEqual([
+      "BigQuery needs a defined row order here; put a Sorter right before this node.",
+    ]);
+  });
+});
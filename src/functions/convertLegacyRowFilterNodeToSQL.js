@@ -0,0 +1,267 @@
+// src/functions/convertLegacyRowFilterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getChildConfigs } from "../common/findNestedEntry";
+import { getDialect } from "../dialects";
+import { KNIME_TYPES, findSchemaColumn, isStringType } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import {
+  ROW_ID_COLUMN,
+  ROW_NUMBER_ALIAS,
+  filterNumberedRows,
+  findSinglePredecessorDetails,
+  resolvePredicateColumn,
+  toSQLLiteral,
+} from "./convertRowFilterNodeToSQL";
+import { wildcardToLikePattern } from "./wildcardToLikePattern";
+
+const LEGACY_ROWFILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.row.RowFilterNodeFactory";
+
+/**
+ * Reads a range bound of the "use range checking" filter: a serialized data cell,
+ * stored as its cell class ("datacell") and a nested config holding the value.
+ * @param {object} boundConfig - The lowerBound or upperBound config.
+ * @returns {{value: string, type: string|null}|null} - The bound, or null if not set.
+ */
+const readBound = (boundConfig) => {
+  const cellClass = getEntryValue(boundConfig?.entry, "datacell");
+  const valueConfig = getChildConfigs(boundConfig)[0];
+  const valueEntry = Array.isArray(valueConfig?.entry)
+    ? valueConfig.entry[0]
+    : valueConfig?.entry;
+  const attributes = valueEntry?._attributes;
+  if (!attributes || attributes.isnull === "true") return null;
+  return { value: attributes.value, type: cellClass };
+};
+
+/**
+ * Builds the condition of a column value filter ("use pattern matching", "use range
+ * checking" or "only missing values match"). Missing cells never match a pattern or
+ * range, so those conditions are guarded to be false rather than NULL for them.
+ * @param {string} filterType - The RowFilter_TypeID of the filter.
+ * @param {object} filterConfig - The rowFilter config.
+ * @param {Array<object>} inputSchema - The typed input columns.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {string|null} - The condition, or null if the settings are incomplete.
+ */
+const buildColumnCondition = (
+  filterType,
+  filterConfig,
+  inputSchema,
+  dialect
+) => {
+  const columnName = getEntryValue(filterConfig.entry, "ColumnName");
+  if (!columnName) return null;
+  const quotedColName = dialect.quoteIdentifier(columnName);
+  const column = findSchemaColumn(inputSchema, columnName);
+  const guard = (condition) =>
+    column?.nullable === false
+      ? condition
+      : `${quotedColName} IS NOT NULL AND ${condition}`;
+
+  if (filterType === "MissingVal_RowFilter") {
+    return `${quotedColName} IS NULL`;
+  }
+
+  if (filterType === "RangeVal_RowFilter") {
+    const lower = readBound(findConfigByKey(filterConfig.config, "lowerBound"));
+    const upper = readBound(findConfigByKey(filterConfig.config, "upperBound"));
+    const bounds = [
+      lower &&
+        `${quotedColName} >= ${toSQLLiteral(
+          lower.value,
+          column?.type || lower.type,
+          dialect
+        )}`,
+      upper &&
+        `${quotedColName} <= ${toSQLLiteral(
+          upper.value,
+          column?.type || upper.type,
+          dialect
+        )}`,
+    ].filter(Boolean);
+    return bounds.length > 0 ? guard(bounds.join(" AND ")) : null;
+  }
+
+  // StringComp_RowFilter: the pattern is compared with the string representation
+  const pattern = getEntryValue(filterConfig.entry, "Pattern");
+  if (pattern === null) return null;
+  const caseSensitive =
+    getEntryValue(filterConfig.entry, "CaseSensitive") !== false;
+  const textColumn =
+    column?.type && !isStringType(column.type)
+      ? dialect.cast(quotedColName, dialect.typeName(KNIME_TYPES.STRING))
+      : quotedColName;
+  if (getEntryValue(filterConfig.entry, "isRegExpr") === true) {
+    return guard(dialect.regexMatch(textColumn, pattern, caseSensitive));
+  }
+  if (getEntryValue(filterConfig.entry, "hasWildCards") === true) {
+    return guard(
+      dialect.like(textColumn, wildcardToLikePattern(pattern), caseSensitive)
+    );
+  }
+  return guard(
+    caseSensitive
+      ? `${textColumn} = ${dialect.quoteString(pattern)}`
+      : `LOWER(${textColumn}) = ${dialect.quoteString(pattern.toLowerCase())}`
+  );
+};
+
+/**
+ * Converts a legacy KNIME Row Filter (row.RowFilterNodeFactory) node configuration to
+ * an SQL query. Supports the column value filters (pattern, range, missing values),
+ * the row number range filter and the RowID filter, each in include or exclude mode.
+ *
+ * @param {object} nodeConfigJson - The node configuration JSON object from settings.xml.
+ * @param {string | number} currentNodeId - The unique ID of the Row Filter node.
+ * @param {Array<object>} allProcessedNodes - Array of all previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertLegacyRowFilterNodeToSQL(
+  nodeConfigJson,
+  currentNodeId,
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeConfigJson?.entry, "factory");
+  if (factory !== LEGACY_ROWFILTER_FACTORY) {
+    return conversionError(
+      `Expected Row Filter node factory (${LEGACY_ROWFILTER_FACTORY}), but got ${
+        factory || "N/A"
+      }.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeConfigJson.config, "model");
+  const filterConfig = findConfigByKey(modelNode?.config, "rowFilter");
+  if (!filterConfig) {
+    return conversionError("Row filter configuration not found.");
+  }
+
+  const predecessor = findSinglePredecessorDetails(
+    currentNodeId,
+    allProcessedNodes
+  );
+  if (!predecessor) {
+    return conversionError(
+      "Could not find valid predecessor details. Check the workflow connections of the node."
+    );
+  }
+
+  const filterType = getEntryValue(filterConfig.entry, "RowFilter_TypeID");
+  const include = getEntryValue(filterConfig.entry, "include") !== false;
+  const quotedPredecessorName = dialect.quoteIdentifier(predecessor.sqlAlias);
+  const warnings = [];
+
+  // --- Row number range (0-based and inclusive in the settings; -1 = no end) ---
+  if (filterType === "RowNumber_RowFilter") {
+    const start = Number(getEntryValue(filterConfig.entry, "RowRangeStart"));
+    const end = Number(getEntryValue(filterConfig.entry, "RowRangeEnd") ?? -1);
+    if (!Number.isInteger(start) || start < 0) {
+      return conversionError("The row number range has no valid start.");
+    }
+    warnings.push(
+      "Row numbers follow the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order."
+    );
+    if (include && end >= 0) {
+      return createConversionResult({
+        sql: `SELECT *\nFROM ${quotedPredecessorName}\n${dialect.limitOffset(
+          Math.max(end - start + 1, 0),
+          start
+        )};`,
+        columns: [...predecessor.columns],
+        warnings,
+        approximate: true,
+      });
+    }
+    const rowNumber = dialect.quoteIdentifier(ROW_NUMBER_ALIAS);
+    const range =
+      end >= 0
+        ? `${rowNumber} BETWEEN ${start + 1} AND ${end + 1}`
+        : `${rowNumber} > ${start}`;
+    return createConversionResult({
+      ...filterNumberedRows(
+        predecessor,
+        include ? range : `NOT (${range})`,
+        dialect,
+        warnings
+      ),
+      warnings,
+      approximate: true,
+    });
+  }
+
+  // --- RowID pattern (a regular expression, optionally matching a prefix) ---
+  if (filterType === "RowID_RowFilter") {
+    const pattern = getEntryValue(filterConfig.entry, "RegExpr");
+    if (pattern === null) {
+      return conversionError("The RowID filter has no pattern.");
+    }
+    warnings.push(
+      "RowIDs follow the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order.",
+      'RowIDs are generated as "Row0", "Row1", ... like the KNIME readers assign them; RowIDs set by other nodes differ.'
+    );
+    const { expr } = resolvePredicateColumn(ROW_ID_COLUMN, [], dialect);
+    const condition = dialect.regexMatch(
+      expr,
+      getEntryValue(filterConfig.entry, "StartsWith") === true
+        ? `${pattern}.*`
+        : pattern,
+      getEntryValue(filterConfig.entry, "CaseSensitive") !== false
+    );
+    return createConversionResult({
+      ...filterNumberedRows(
+        predecessor,
+        include ? condition : `NOT (${condition})`,
+        dialect,
+        warnings
+      ),
+      warnings,
+      approximate: true,
+    });
+  }
+
+  // --- Column value filters ---
+  if (
+    ![
+      "StringComp_RowFilter",
+      "RangeVal_RowFilter",
+      "MissingVal_RowFilter",
+    ].includes(filterType)
+  ) {
+    return conversionError(
+      `Unsupported row filter type: ${filterType || "N/A"}.`
+    );
+  }
+  const condition = buildColumnCondition(
+    filterType,
+    filterConfig,
+    predecessor.schema,
+    dialect
+  );
+  if (!condition) {
+    return conversionError(
+      `The ${filterType} filter has no column or no value to compare with.`
+    );
+  }
+  if (getEntryValue(filterConfig.entry, "deepFiltering") === true) {
+    warnings.push(
+      "Deep filtering (matching elements of collection cells) is not supported; the cells are compared as a whole."
+    );
+  }
+
+  const sqlQuery = `
+SELECT *
+FROM ${quotedPredecessorName}
+WHERE ${include ? condition : `NOT (${condition})`};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: [...predecessor.columns],
+    warnings,
+    approximate: warnings.length > 0,
+  });
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const LEGACY_ROW_FILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.row.RowFilterNodeFactory";
+
+const legacyRowFilter = (rowFilter) =>
+  knimeNode(LEGACY_ROW_FILTER_FACTORY, { rowFilter }, { name: "Row Filter" });
+
+const analyzeFilters = (filters) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      ...Object.fromEntries(
+        filters.map((filter, index) => [index + 2, legacyRowFilter(filter)])
+      ),
+    },
+    filters.map((_, index) => [1, index + 2])
+  );
+
+describe("convertLegacyRowFilterNodeToSQL", () => {
+  it("matches strings with wildcards", async () => {
+    const analysis = await analyzeFilters([
+      {
+        RowFilter_TypeID: "StringComp_RowFilter",
+        include: true,
+        deepFiltering: false,
+        ColumnName: "name",
+        Pattern: "A*",
+        CaseSensitive: false,
+        hasWildCards: true,
+        isRegExpr: false,
+      },
+    ]);
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("excludes a range of values", async () => {
+    const analysis = await analyzeFilters([
+      {
+        RowFilter_TypeID: "RangeVal_RowFilter",
+        include: false,
+        deepFiltering: false,
+        ColumnName: "amount",
+        lowerBound: {
+          datacell: KNIME_TYPES.DOUBLE,
+          [KNIME_TYPES.DOUBLE]: { DoubleCell: 1.5 },
+        },
+        upperBound: {
+          datacell: KNIME_TYPES.DOUBLE,
+          [KNIME_TYPES.DOUBLE]: { DoubleCell: 9.5 },
+        },
+      },
+    ]);
+    expect(convertNode(analysis, 2).sql).toMatchSnapshot();
+  });
+
+  it("keeps a range of row numbers", async () => {
+    const analysis = await analyzeFilters([
+      {
+        RowFilter_TypeID: "RowNumber_RowFilter",
+        include: true,
+        RowRangeStart: 2,
+        RowRangeEnd: 11,
+      },
+    ]);
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+});
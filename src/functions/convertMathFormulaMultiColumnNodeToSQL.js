@@ -0,0 +1,101 @@
+// src/functions/convertMathFormulaMultiColumnNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getSelectedColumns } from "../common/getSelectedColumns";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getNodeSchema } from "./columnSchema";
+import { conversionError } from "./conversionResult";
+import { buildMultiColumnSQL } from "./buildMultiColumnSQL";
+import { translateMathFormula } from "./parseMathFormula";
+
+export const MATH_FORMULA_MULTI_COLUMN_FACTORY =
+  "org.knime.ext.jep.multicolumn.JEPMultiColumnNodeFactory";
+
+/**
+ * Reads the settings of a Math Formula (Multi Column) node: the column filter
+ * "column_filter", the "expression", "append_columns", the "column_suffix" of appended
+ * columns and "convert_to_int".
+ * @param {object} modelNode - The model config.
+ * @returns {{columns: string[], expression: string|null, append: boolean, suffix: string, convertToInt: boolean}}
+ * - The settings.
+ */
+export const getMathFormulaMultiColumnSettings = (modelNode) => ({
+  columns: getSelectedColumns(
+    findConfigByKey(modelNode.config, "column_filter")
+  ),
+  expression: getEntryValue(modelNode.entry, "expression"),
+  append: getEntryValue(modelNode.entry, "append_columns") === true,
+  suffix: getEntryValue(modelNode.entry, "column_suffix") ?? "",
+  convertToInt: getEntryValue(modelNode.entry, "convert_to_int") === true,
+});
+
+/**
+ * Converts a KNIME Math Formula (Multi Column) node to SQL. The formula is translated
+ * once per selected column, with $$CURRENTCOLUMN$$ referring to that column (see
+ * translateMathFormula and buildMultiColumnSQL).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @param {object} [flowVariables={}] - The workflow variables visible to the node.
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertMathFormulaMultiColumnNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect(),
+  flowVariables = {}
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== MATH_FORMULA_MULTI_COLUMN_FACTORY) {
+    return conversionError(
+      `Expected Math Formula (Multi Column) node factory, but got ${
+        factory || "N/A"
+      }.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return conversionError(
+      "Model configuration not found in Math Formula (Multi Column) node."
+    );
+  }
+  const { columns, expression, append, suffix, convertToInt } =
+    getMathFormulaMultiColumnSettings(modelNode);
+  if (!expression) {
+    return conversionError("Missing 'expression' in the node configuration.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputSchema = getNodeSchema(predecessors[0]);
+
+  return buildMultiColumnSQL({
+    columns,
+    translate: (currentColumn) =>
+      translateMathFormula(expression, dialect, {
+        inputSchema,
+        currentColumn,
+        convertToInt,
+        flowVariables,
+      }),
+    append,
+    suffix,
+    inputColumnNames: predecessors[0]?.nodes || [],
+    previousNodeName,
+    dialect,
+    warnings,
+  });
+}
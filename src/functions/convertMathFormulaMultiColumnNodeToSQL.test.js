@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const FACTORY = "org.knime.ext.jep.multicolumn.JEPMultiColumnNodeFactory";
+
+const mathFormulaMultiColumn = (
+  expression,
+  selected,
+  append,
+  suffix,
+  convertToInt = false
+) =>
+  knimeNode(
+    FACTORY,
+    {
+      column_filter: {
+        "filter-type": "STANDARD",
+        included_names: selected,
+        excluded_names: [],
+      },
+      expression,
+      append_columns: append,
+      column_suffix: suffix,
+      convert_to_int: convertToInt,
+    },
+    { name: "Math Formula (Multi Column)" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertMathFormulaMultiColumnNodeToSQL", () => {
+  it("replaces each selected column", async () => {
+    const analysis = await analyzeNode(
+      mathFormulaMultiColumn(
+        "$$CURRENTCOLUMN$$ / 2 + abs($qty$) ^ 2",
+        ["amount", "qty"],
+        false,
+        ""
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("appends integer columns with a suffix", async () => {
+    const analysis = await analyzeNode(
+      mathFormulaMultiColumn(
+        "if($$CURRENTCOLUMN$$ > 1 && $qty$ != 0, 1, -$$CURRENTCOLUMN$$) % 3",
+        ["amount", "qty"],
+        true,
+        "_n",
+        true
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual([
+      "name",
+      "amount",
+      "qty",
+      "amount_n",
+      "qty_n",
+    ]);
+  });
+
+  it("rejects columns that are not numbers", async () => {
+    const analysis = await analyzeNode(
+      mathFormulaMultiColumn("$$CURRENTCOLUMN$$ * 2", ["name"], true, "_d")
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
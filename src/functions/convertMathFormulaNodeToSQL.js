@@ -0,0 +1,138 @@
+// src/functions/convertMathFormulaNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getNodeSchema } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { ExpressionSyntaxError } from "./parseKnimeExpression";
+import { translateMathFormula } from "./parseMathFormula";
+
+export const MATH_FORMULA_FACTORY = "org.knime.ext.jep.JEPNodeFactory";
+
+/**
+ * Reads the settings of a Math Formula node: the "expression", the column named by
+ * "replaced_column", whether to replace it and "convert_to_int".
+ * @param {object} modelNode - The model config.
+ * @returns {{expression: string|null, outputColumn: string|null, replaceColumn: boolean, convertToInt: boolean}}
+ * - The settings.
+ */
+export const getMathFormulaSettings = (modelNode) => ({
+  expression: getEntryValue(modelNode.entry, "expression"),
+  outputColumn: getEntryValue(modelNode.entry, "replaced_column"),
+  // Like String Manipulation, KNIME stores whether to replace the column under the
+  // key "append_column"
+  replaceColumn: getEntryValue(modelNode.entry, "append_column") === true,
+  convertToInt: getEntryValue(modelNode.entry, "convert_to_int") === true,
+});
+
+/**
+ * Converts a KNIME Math Formula node to SQL. The formula is translated with
+ * translateMathFormula; its result replaces the column named by "replaced_column" or
+ * is appended under that name.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @param {object} [flowVariables={}] - The workflow variables visible to the node.
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertMathFormulaNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect(),
+  flowVariables = {}
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== MATH_FORMULA_FACTORY) {
+    return conversionError(
+      `Expected Math Formula node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return conversionError(
+      "Model configuration not found in Math Formula node."
+    );
+  }
+  const { expression, outputColumn, replaceColumn, convertToInt } =
+    getMathFormulaSettings(modelNode);
+  if (!expression || !outputColumn) {
+    return conversionError(
+      "Missing 'expression' or 'replaced_column' in Math Formula node configuration."
+    );
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+
+  let translated;
+  try {
+    translated = translateMathFormula(expression, dialect, {
+      inputSchema: getNodeSchema(predecessors[0]),
+      convertToInt,
+      flowVariables,
+    });
+  } catch (error) {
+    if (!(error instanceof ExpressionSyntaxError)) throw error;
+    return conversionError(`Expression: ${error.message}`, { warnings });
+  }
+  warnings.push(...translated.warnings);
+
+  const formulaColumn = `${translated.sql} AS ${dialect.quoteIdentifier(
+    outputColumn
+  )}`;
+  let selectParts;
+  let outputColumns = null; // Unknown if the input columns are unknown
+  if (inputColumnNames.length === 0) {
+    warnings.push(
+      "No input columns known. The result is selected next to all input columns."
+    );
+    selectParts = ["*", formulaColumn];
+  } else if (replaceColumn && inputColumnNames.includes(outputColumn)) {
+    selectParts = inputColumnNames.map((col) =>
+      col === outputColumn ? formulaColumn : dialect.quoteIdentifier(col)
+    );
+    outputColumns = [...inputColumnNames];
+  } else {
+    if (replaceColumn) {
+      warnings.push(
+        `Column "${outputColumn}" to replace not found in the input. Appending it instead.`
+      );
+    } else if (inputColumnNames.includes(outputColumn)) {
+      return conversionError(
+        `The appended column "${outputColumn}" already exists in the input.`,
+        { warnings }
+      );
+    }
+    selectParts = [
+      ...inputColumnNames.map((col) => dialect.quoteIdentifier(col)),
+      formulaColumn,
+    ];
+    outputColumns = [...inputColumnNames, outputColumn];
+  }
+
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: outputColumns,
+    warnings,
+    approximate: translated.approximate,
+  });
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const MATH_FORMULA_FACTORY = "org.knime.ext.jep.JEPNodeFactory";
+
+const mathFormula = (expression, column, replace, convertToInt = false) =>
+  knimeNode(
+    MATH_FORMULA_FACTORY,
+    {
+      expression,
+      replaced_column: column,
+      append_column: replace,
+      convert_to_int: convertToInt,
+    },
+    { name: "Math Formula" }
+  );
+
+const analyzeMathFormula = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: node,
+    },
+    [[1, 2]],
+    {
+      rate: { class: "DOUBLE", value: 1.5 },
+      offset: { class: "INTEGER", value: 3 },
+    }
+  );
+
+describe("convertMathFormulaNodeToSQL", () => {
+  it("inlines the workflow variables", async () => {
+    const analysis = await analyzeMathFormula(
+      mathFormula(
+        "round($amount$ * $${Drate}$$, 2) + $${Ioffset}$$ / 4",
+        "amount",
+        true
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("appends an integer column", async () => {
+    const analysis = await analyzeMathFormula(
+      mathFormula(
+        "if($qty$ >= 10 || $amount$ < 0, sqrt(abs($amount$)), pow($qty$, 2))",
+        "score",
+        false,
+        true
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual(["name", "amount", "qty", "score"]);
+  });
+
+  it("reports unknown flow variables", async () => {
+    const analysis = await analyzeMathFormula(
+      mathFormula("$${Dmissing}$$ + 1", "x", false)
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,299 @@
+// src/functions/convertMissingValueNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getChildConfigs } from "../common/findNestedEntry";
+import { getDialect } from "../dialects";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import { findInputNodes } from "./findInputNodes";
+import {
+  KNIME_TYPES,
+  findSchemaColumn,
+  getNodeSchema,
+  isNumericType,
+  isStringType,
+} from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { getInputRowOrder } from "./inputRowOrder";
+
+export const MISSING_VALUE_FACTORY =
+  "org.knime.base.node.preproc.pmml.missingval.compute.MissingValueHandlerNodeFactory";
+
+/**
+ * Missing value strategies keyed by a part of their handler factory's class name.
+ * Order matters: the first match wins.
+ */
+const STRATEGIES = [
+  ["DoNothing", "none"],
+  ["RemoveRow", "remove"],
+  ["RoundedMean", "roundedMean"],
+  ["Mean", "mean"],
+  ["Median", "median"],
+  ["MostFrequent", "mostFrequent"],
+  ["Max", "maximum"],
+  ["Min", "minimum"],
+  ["Fixed", "fixed"],
+  ["Previous", "previous"],
+  ["Next", "next"],
+];
+
+/**
+ * Reads a missing value handler: its "factoryID" and the value of a fixed value
+ * handler, the first entry of its "settings".
+ * @param {object} handlerConfig - The handler config.
+ * @returns {{factoryId: string|null, strategy: string|null, value: string|null}} - The
+ * handler; strategy is null if it is not one of STRATEGIES.
+ */
+const readHandler = (handlerConfig) => {
+  const factoryId = getEntryValue(handlerConfig?.entry, "factoryID");
+  const className = (factoryId || "").split(".").pop();
+  const match = STRATEGIES.find(([part]) => className.includes(part));
+  const settings = findConfigByKey(handlerConfig?.config, "settings");
+  const [valueEntry] = [].concat(settings?.entry || []);
+  return {
+    factoryId,
+    strategy: match ? match[1] : null,
+    value: valueEntry?._attributes?.value ?? null,
+  };
+};
+
+/**
+ * Reads the settings of a Missing Value node: the handlers per column type
+ * ("dataTypeSettings", keyed by the cell or value class of the type) and per column
+ * ("columnSettings", each with its "colNames").
+ * @param {object} modelNode - The model config.
+ * @returns {{typeHandlers: object, columnHandlers: object}} - The handlers (see
+ * readHandler), keyed by type key (see getKnimeTypeKey) and by column name.
+ */
+export const getMissingValueSettings = (modelNode) => {
+  const typeHandlers = {};
+  getChildConfigs(
+    findConfigByKey(modelNode.config, "dataTypeSettings")
+  ).forEach((typeConfig) => {
+    const typeKey = getKnimeTypeKey(
+      typeConfig._attributes.key.replace(/Value$/, "Cell")
+    );
+    if (typeKey) typeHandlers[typeKey] = readHandler(typeConfig);
+  });
+  const columnHandlers = {};
+  getChildConfigs(findConfigByKey(modelNode.config, "columnSettings")).forEach(
+    (columnConfig) => {
+      const handler = readHandler(
+        findConfigByKey(columnConfig.config, "settings")
+      );
+      getArrayValuesFromConfig(
+        findConfigByKey(columnConfig.config, "colNames")
+      ).forEach((col) => {
+        columnHandlers[col] = handler;
+      });
+    }
+  );
+  return { typeHandlers, columnHandlers };
+};
+
+/**
+ * Converts a KNIME Missing Value node to COALESCE expressions that fill the missing
+ * values of each column with its strategy: a fixed value, an aggregate over all rows
+ * (mean, median, most frequent value, minimum or maximum) or the nearest non-missing
+ * value of a previous or next row (in the order of the Sorter before the node, see
+ * getInputRowOrder). Column strategies take precedence over type strategies. Rows with
+ * a missing value in a column whose strategy removes them are filtered out.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertMissingValueNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== MISSING_VALUE_FACTORY) {
+    return conversionError(
+      `Expected Missing Value node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Missing Value node."
+    );
+  }
+  const { typeHandlers, columnHandlers } = getMissingValueSettings(modelNode);
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length === 0) {
+    return conversionError(
+      "The input columns are unknown, so their missing values cannot be replaced."
+    );
+  }
+  const inputSchema = getNodeSchema(predecessors[0]);
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+
+  const warnings = [];
+  const missing = Object.keys(columnHandlers).filter(
+    (col) => !inputColumnNames.includes(col)
+  );
+  if (missing.length > 0) {
+    warnings.push(
+      `Columns not found in the input are skipped: ${missing.join(", ")}.`
+    );
+  }
+
+  const errors = [];
+  const removeConditions = [];
+  let rowOrder = null;
+  let usesWindow = false;
+  let approximate = false;
+  const selectParts = inputColumnNames.map((col) => {
+    const quoted = dialect.quoteIdentifier(col);
+    const type = findSchemaColumn(inputSchema, col)?.type || null;
+    const handler = columnHandlers[col] || typeHandlers[getKnimeTypeKey(type)];
+    if (!handler) return quoted;
+    const asDouble =
+      getKnimeTypeKey(type) === "double"
+        ? quoted
+        : dialect.cast(quoted, dialect.typeName(KNIME_TYPES.DOUBLE));
+    // Ordered-set aggregates have no window form in most databases
+    const overAllRows = (name) =>
+      `(SELECT ${dialect.callFunction(name, [
+        quoted,
+      ])} FROM ${quotedPreviousNodeName})`;
+
+    let replacement;
+    switch (handler.strategy) {
+      case "none":
+        return quoted;
+      case "remove":
+        removeConditions.push(`${quoted} IS NOT NULL`);
+        return quoted;
+      case "mean":
+        usesWindow = true;
+        replacement = `AVG(${asDouble}) OVER ()`;
+        break;
+      case "roundedMean":
+        usesWindow = true;
+        replacement = `ROUND(AVG(${asDouble}) OVER ())`;
+        if (type) {
+          replacement = dialect.cast(replacement, dialect.typeName(type));
+        }
+        break;
+      case "minimum":
+      case "maximum":
+        usesWindow = true;
+        replacement = `${
+          handler.strategy === "minimum" ? "MIN" : "MAX"
+        }(${quoted}) OVER ()`;
+        break;
+      case "median":
+        replacement = overAllRows("MEDIAN");
+        break;
+      case "mostFrequent":
+        replacement = overAllRows("MODE");
+        approximate = true;
+        warnings.push(
+          `${col}: if several values are the most frequent, the database may pick another one than KNIME.`
+        );
+        break;
+      case "previous":
+      case "next": {
+        const previous = handler.strategy === "previous";
+        rowOrder = rowOrder || getInputRowOrder(predecessors[0], dialect);
+        if (rowOrder.error) {
+          errors.push(`Column "${col}": ${rowOrder.error}`);
+          return quoted;
+        }
+        const frame = previous
+          ? "ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING"
+          : "ROWS BETWEEN 1 FOLLOWING AND UNBOUNDED FOLLOWING";
+        replacement = dialect.ignoreNulls(
+          previous ? "LAST_VALUE" : "FIRST_VALUE",
+          quoted,
+          `${rowOrder.order ? `${rowOrder.order} ` : ""}${frame}`
+        );
+        if (replacement === null) {
+          errors.push(
+            `Column "${col}": ${dialect.label} cannot skip missing values in window functions, so the ${handler.strategy} value cannot be found.`
+          );
+          return quoted;
+        }
+        usesWindow = true;
+        break;
+      }
+      case "fixed":
+        if (handler.value === null) {
+          errors.push(`Column "${col}": the fixed value is not set.`);
+          return quoted;
+        }
+        if (isStringType(type) || handler.factoryId.includes("String")) {
+          replacement = dialect.quoteString(handler.value);
+        } else if (isNumericType(type) || !type) {
+          if (!Number.isFinite(Number(handler.value))) {
+            errors.push(
+              `Column "${col}": the fixed value "${handler.value}" is not a number.`
+            );
+            return quoted;
+          }
+          replacement = handler.value;
+        } else {
+          replacement = dialect.cast(
+            dialect.quoteString(handler.value),
+            dialect.typeName(type)
+          );
+        }
+        break;
+      default:
+        approximate = true;
+        warnings.push(
+          `${col}: the missing values are kept, because the strategy ${(
+            handler.factoryId || "N/A"
+          )
+            .split(".")
+            .pop()} cannot be expressed in SQL.`
+        );
+        return quoted;
+    }
+    return `COALESCE(${quoted}, ${replacement}) AS ${quoted}`;
+  });
+  if (errors.length > 0) {
+    return createConversionResult({ errors, warnings });
+  }
+  if (rowOrder?.warning) {
+    approximate = true;
+    warnings.push(rowOrder.warning);
+  }
+
+  const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
+  let sqlQuery;
+  if (removeConditions.length === 0) {
+    sqlQuery = `${selectClause}\nFROM ${quotedPreviousNodeName};`;
+  } else if (!usesWindow) {
+    sqlQuery = `${selectClause}\nFROM ${quotedPreviousNodeName}\nWHERE ${removeConditions.join(
+      " AND "
+    )};`;
+  } else {
+    // Window functions see the rows left by WHERE, but KNIME fills the values from all
+    // rows, so the rows are removed afterwards
+    sqlQuery = `SELECT *
+FROM (
+  ${selectClause.replace(/\n/g, "\n  ")}
+  FROM ${quotedPreviousNodeName}
+) AS ${dialect.quoteIdentifier("filled_rows")}
+WHERE ${removeConditions.join(" AND ")};`;
+  }
+  return createConversionResult({
+    sql: sqlQuery,
+    columns: [...inputColumnNames],
+    warnings,
+    approximate,
+  });
+}
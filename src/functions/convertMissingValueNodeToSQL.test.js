@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const MISSING_VALUE_FACTORY =
+  "org.knime.base.node.preproc.pmml.missingval.compute.MissingValueHandlerNodeFactory";
+const HANDLERS = "org.knime.base.node.preproc.pmml.missingval.handlers.";
+
+const handler = (className, settings = {}) => ({
+  factoryID: HANDLERS + className,
+  settings,
+});
+
+const missingValue = (typeHandlers, columnHandlers) =>
+  knimeNode(
+    MISSING_VALUE_FACTORY,
+    {
+      dataTypeSettings: typeHandlers,
+      columnSettings: Object.fromEntries(
+        columnHandlers.map(([colNames, settings], index) => [
+          String(index),
+          { colNames, settings },
+        ])
+      ),
+    },
+    { name: "Missing Value" }
+  );
+
+const analyzeMissingValue = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+        ["code", KNIME_TYPES.STRING],
+        ["other", KNIME_TYPES.DOUBLE],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertMissingValueNodeToSQL", () => {
+  it("fills columns by type unless the column has its own strategy", async () => {
+    const analysis = await analyzeMissingValue(
+      missingValue(
+        {
+          [KNIME_TYPES.STRING]: handler(
+            "FixedStringValueMissingCellHandlerFactory",
+            { fixStringValue: "n/a" }
+          ),
+          "org.knime.core.data.DoubleValue": handler(
+            "DoubleMeanMissingCellHandlerFactory"
+          ),
+        },
+        [
+          [
+            ["qty"],
+            handler("FixedIntegerValueMissingCellHandlerFactory", {
+              fixIntegerValue: 0,
+            }),
+          ],
+          [["other"], handler("DoubleMaximumMissingCellHandlerFactory")],
+        ]
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("takes the median and the most frequent value over all rows", async () => {
+    const analysis = await analyzeMissingValue(
+      missingValue({}, [
+        [["other"], handler("DoubleMedianMissingCellHandlerFactory")],
+        [["code"], handler("MostFrequentValueMissingCellHandlerFactory")],
+      ])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2, "tsql").errors).toEqual([
+      "Missing Value converter failed: T-SQL (SQL Server) has no MODE function.",
+    ]);
+  });
+
+  it("removes rows after filling the other columns", async () => {
+    const analysis = await analyzeMissingValue(
+      missingValue(
+        {
+          [KNIME_TYPES.INT]: handler(
+            "DoubleRoundedMeanMissingCellHandlerFactory"
+          ),
+        },
+        [
+          [["name"], handler("RemoveRowMissingCellHandlerFactory")],
+          [["amount"], handler("timeseries.PreviousMissingCellHandlerFactory")],
+          [
+            ["other"],
+            handler("timeseries.LinearInterpolationMissingCellHandlerFactory"),
+          ],
+        ]
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.approximate).toBe(true);
+    expect(result.warnings).toMatchSnapshot();
+  });
+
+  it("fills from the nearest non-missing row before or after", async () => {
+    const analysis = await analyzeMissingValue(
+      missingValue({}, [
+        [["amount"], handler("timeseries.PreviousMissingCellHandlerFactory")],
+        [["qty"], handler("timeseries.NextMissingCellHandlerFactory")],
+      ])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("rejects fixed values that do not fit the column", async () => {
+    const analysis = await analyzeMissingValue(
+      missingValue({}, [
+        [["name", "gone"], handler("RemoveRowMissingCellHandlerFactory")],
+        [
+          ["qty"],
+          handler("FixedIntegerValueMissingCellHandlerFactory", {
+            fixIntegerValue: "x",
+          }),
+        ],
+      ])
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toEqual([
+      'Column "qty": the fixed value "x" is not a number.',
+    ]);
+    expect(result.warnings).toEqual([
+      "Columns not found in the input are skipped: gone.",
+    ]);
+  });
+});
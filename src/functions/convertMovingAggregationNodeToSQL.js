@@ -0,0 +1,241 @@
+// src/functions/convertMovingAggregationNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { findSchemaColumn, getNodeSchema } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { AGGREGATION_METHODS } from "./groupByAggregations";
+import {
+  getAggregationColumnName,
+  getGroupBySettings,
+} from "./convertGroupByNodeToSQL";
+import { getInputRowOrder } from "./inputRowOrder";
+
+export const MOVING_AGGREGATION_FACTORY =
+  "org.knime.timeseries.node.movagg.MovingAggregationNodeFactory";
+
+/**
+ * Reads the settings of a Moving Aggregation node: the aggregations and column naming
+ * (as in the GroupBy node, see getGroupBySettings), the "windowLength" and
+ * "windowType", "cumulativeComputing", "handleMissings" (whether incomplete windows are
+ * aggregated) and whether the aggregated and the other input columns are removed.
+ * @param {object} modelNode - The model config.
+ * @returns {object} - The settings; windowType is "forward", "central" or "backward".
+ */
+export const getMovingAggregationSettings = (modelNode) => {
+  const { aggregations, namePolicy, separator, hasOtherAggregators } =
+    getGroupBySettings(modelNode);
+  const windowType = getEntryValue(modelNode.entry, "windowType") || "";
+  return {
+    aggregations,
+    namePolicy,
+    separator,
+    hasOtherAggregators,
+    windowLength: Number(getEntryValue(modelNode.entry, "windowLength") ?? 21),
+    windowType: /^forward/i.test(windowType)
+      ? "forward"
+      : /^cent/i.test(windowType)
+      ? "central"
+      : "backward",
+    cumulative: getEntryValue(modelNode.entry, "cumulativeComputing") === true,
+    aggregateIncomplete:
+      getEntryValue(modelNode.entry, "handleMissings") === true,
+    removeAggregated:
+      getEntryValue(modelNode.entry, "removeAggregationColumns") === true,
+    removeRetained:
+      getEntryValue(modelNode.entry, "removeRetainedColumns") === true,
+  };
+};
+
+/**
+ * The window frame of a moving aggregation: the rows before and after the current row
+ * that a window of a type and length covers. A central window of even length has one
+ * row more after the current row.
+ * @param {string} windowType - "forward", "central" or "backward".
+ * @param {number} windowLength - The number of rows in the window.
+ * @returns {string} - The ROWS frame clause.
+ */
+const getWindowFrame = (windowType, windowLength) => {
+  const before =
+    windowType === "backward"
+      ? windowLength - 1
+      : windowType === "central"
+      ? Math.floor((windowLength - 1) / 2)
+      : 0;
+  const after = windowLength - 1 - before;
+  const bound = (rows, direction) =>
+    rows > 0 ? `${rows} ${direction}` : "CURRENT ROW";
+  return `ROWS BETWEEN ${bound(before, "PRECEDING")} AND ${bound(
+    after,
+    "FOLLOWING"
+  )}`;
+};
+
+/**
+ * Converts a KNIME Moving Aggregation node to aggregate window functions over a frame
+ * of rows around the current row, or over all rows up to it if computed cumulatively.
+ * The rows are taken in the order of the Sorter before the node, if any (see
+ * getInputRowOrder).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertMovingAggregationNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== MOVING_AGGREGATION_FACTORY) {
+    return conversionError(
+      `Expected Moving Aggregation node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Moving Aggregation node."
+    );
+  }
+  const {
+    aggregations,
+    namePolicy,
+    separator,
+    hasOtherAggregators,
+    windowLength,
+    windowType,
+    cumulative,
+    aggregateIncomplete,
+    removeAggregated,
+    removeRetained,
+  } = getMovingAggregationSettings(modelNode);
+  if (hasOtherAggregators) {
+    return conversionError(
+      "Pattern and type based aggregations are not supported; select the aggregated columns manually."
+    );
+  }
+  if (aggregations.length === 0) {
+    return conversionError("No aggregations are defined.");
+  }
+  if (!cumulative && (!Number.isInteger(windowLength) || windowLength < 1)) {
+    return conversionError(
+      `The window length ${windowLength} is not a positive integer.`
+    );
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  const inputSchema = getNodeSchema(predecessors[0]);
+  const aggregatedColumns = [
+    ...new Set(aggregations.map(({ column }) => column)),
+  ];
+  if (inputColumnNames.length > 0) {
+    const missing = aggregatedColumns.filter(
+      (col) => !inputColumnNames.includes(col)
+    );
+    if (missing.length > 0) {
+      return conversionError(
+        `Columns not found in the input: ${missing.join(", ")}.`,
+        { warnings }
+      );
+    }
+  } else if (!removeRetained) {
+    return conversionError(
+      "The input columns must be known to keep them next to the aggregations.",
+      { warnings }
+    );
+  }
+
+  const rowOrder = getInputRowOrder(predecessors[0], dialect);
+  if (rowOrder.error) {
+    return conversionError(rowOrder.error, { warnings });
+  }
+  let approximate = false;
+  if (rowOrder.warning) {
+    approximate = true;
+    warnings.push(rowOrder.warning);
+  }
+  const windowOrder = rowOrder.order;
+  const frame = cumulative
+    ? "ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW"
+    : getWindowFrame(windowType, windowLength);
+  const over = `OVER (${windowOrder ? `${windowOrder} ` : ""}${frame})`;
+
+  // Without the input columns, only the aggregated ones can be kept
+  const retainedColumns = (
+    inputColumnNames.length > 0 ? inputColumnNames : aggregatedColumns
+  ).filter((col) =>
+    aggregatedColumns.includes(col) ? !removeAggregated : !removeRetained
+  );
+  const errors = [];
+  const outputColumns = [...retainedColumns];
+  const selectParts = retainedColumns.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  aggregations.forEach(({ column, type, method, includeMissing }) => {
+    const definition = AGGREGATION_METHODS[method];
+    if (!definition?.window) {
+      errors.push(
+        `The aggregation method "${method}" of column "${column}" is not supported in a moving window.`
+      );
+      return;
+    }
+    const name = getAggregationColumnName(namePolicy, method, column);
+    if (outputColumns.includes(name)) {
+      errors.push(
+        `Duplicate output column "${name}"; choose another column name policy.`
+      );
+      return;
+    }
+    outputColumns.push(name);
+
+    let sql = `${definition.toSQL(dialect.quoteIdentifier(column), {
+      dialect,
+      inputType: findSchemaColumn(inputSchema, column)?.type || type,
+      includeMissing,
+      separator,
+    })} ${over}`;
+    // Windows cut off at the start or end of the table give missing values in KNIME
+    if (!cumulative && !aggregateIncomplete && windowLength > 1) {
+      sql = `CASE WHEN COUNT(*) ${over} = ${windowLength} THEN ${sql} END`;
+    }
+    selectParts.push(`${sql} AS ${dialect.quoteIdentifier(name)}`);
+
+    if (includeMissing && !definition.countsMissing) {
+      approximate = true;
+      warnings.push(
+        `${name}: missing values are skipped, although the aggregation includes them.`
+      );
+    }
+  });
+  if (errors.length > 0) {
+    return createConversionResult({ errors, warnings });
+  }
+
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: outputColumns,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const MOVING_AGGREGATION_FACTORY =
+  "org.knime.timeseries.node.movagg.MovingAggregationNodeFactory";
+
+const COLUMN_TYPES = {
+  k: KNIME_TYPES.STRING,
+  day: KNIME_TYPES.LOCAL_DATE,
+  amount: KNIME_TYPES.DOUBLE,
+  qty: KNIME_TYPES.INT,
+};
+
+const sorter = knimeNode(
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+  {
+    incllist: ["day", "-ROWKEY -"],
+    sortOrder: [true, true],
+    missingToEnd: false,
+  },
+  { name: "Sorter" }
+);
+
+// Node 3 reads from a Sorter on "day", node 4 straight from the reader
+const analyzeWindowNodes = (node) =>
+  analyzeTestWorkflow(
+    { 1: csvReader(Object.entries(COLUMN_TYPES)), 2: sorter, 3: node, 4: node },
+    [
+      [1, 2],
+      [2, 3],
+      [1, 4],
+    ]
+  );
+
+const movingAggregation = (aggregations, settings) =>
+  knimeNode(
+    MOVING_AGGREGATION_FACTORY,
+    {
+      aggregationColumn: {
+        columnNames: aggregations.map(([column]) => column),
+        columnTypes: aggregations.map(([column]) => ({
+          cell_class: COLUMN_TYPES[column],
+        })),
+        aggregationMethod: aggregations.map(([, method]) => method),
+        inclMissingVals: aggregations.map(() => false),
+      },
+      windowLength: 3,
+      windowType: "BACKWARD",
+      cumulativeComputing: false,
+      handleMissings: false,
+      removeRetainedColumns: false,
+      removeAggregationColumns: false,
+      columnNamePolicy: "Aggregation method (column name)",
+      valueDelimiter: ", ",
+      ...settings,
+    },
+    { name: "Moving Aggregation" }
+  );
+
+describe("convertMovingAggregationNodeToSQL", () => {
+  it("aggregates over a backward window", async () => {
+    const analysis = await analyzeWindowNodes(
+      movingAggregation([
+        ["amount", "Sum_V2.5.2"],
+        ["qty", "Mean"],
+      ])
+    );
+    expect(sqlPerDialect(analysis, 3)).toMatchSnapshot();
+  });
+
+  it("aggregates cumulatively", async () => {
+    const analysis = await analyzeWindowNodes(
+      movingAggregation(
+        [
+          ["amount", "Sum_V2.5.2"],
+          ["qty", "Count"],
+        ],
+        { cumulativeComputing: true, removeRetainedColumns: true }
+      )
+    );
+    const result = convertNode(analysis, 3);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual([
+      "amount",
+      "qty",
+      "Sum(amount)",
+      "Count(qty)",
+    ]);
+  });
+
+  it("aggregates over a centered window with shrinking edges", async () => {
+    const analysis = await analyzeWindowNodes(
+      movingAggregation([["amount", "Maximum"]], {
+        windowType: "CENTER",
+        windowLength: 5,
+        handleMissings: true,
+        removeAggregationColumns: true,
+      })
+    );
+    const result = convertNode(analysis, 3);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual(["k", "day", "qty", "Max*(amount)"]);
+  });
+});
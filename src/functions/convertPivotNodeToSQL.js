@@ -0,0 +1,272 @@
+// src/functions/convertPivotNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getSelectedColumns } from "../common/getSelectedColumns";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import {
+  KNIME_TYPES,
+  findSchemaColumn,
+  getNodeSchema,
+  isStringType,
+} from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { AGGREGATION_METHODS } from "./groupByAggregations";
+import {
+  getAggregationColumnName,
+  getGroupBySettings,
+} from "./convertGroupByNodeToSQL";
+
+export const PIVOT_FACTORY =
+  "org.knime.base.node.preproc.pivot.Pivot2NodeFactory";
+
+/**
+ * Reads the pivot columns of a Pivoting node ("pivotColumns", a column filter or an
+ * include list).
+ * @param {object} modelNode - The model config.
+ * @returns {string[]} - The pivot columns.
+ */
+export const getSelectedPivotColumns = (modelNode) => {
+  const pivotConfig = findConfigByKey(modelNode.config, "pivotColumns");
+  const includeList = findConfigByKey(pivotConfig?.config, "InclList");
+  return includeList
+    ? getArrayValuesFromConfig(includeList)
+    : getSelectedColumns(pivotConfig);
+};
+
+/**
+ * Finds the aggregation and the pivot value an output column of the Pivoting node was
+ * named after. KNIME names the columns "<pivot value>+<aggregation>" or
+ * "<aggregation>+<pivot value>", or by the pivot value alone if there is one
+ * aggregation; the overall totals are named like the aggregation. The values of
+ * several pivot columns are joined with "_".
+ * @param {string} name - The output column name.
+ * @param {string[]} aggregationNames - The names of the aggregations (see
+ * getAggregationColumnName).
+ * @returns {{index: number, pivotValue: string|null}|null} - The index of the
+ * aggregation and the pivot value (null for a total), or null if the name does not
+ * match.
+ */
+const matchPivotColumn = (name, aggregationNames) => {
+  for (let index = 0; index < aggregationNames.length; index++) {
+    const aggregationName = aggregationNames[index];
+    if (name === aggregationName) return { index, pivotValue: null };
+    if (name.endsWith(`+${aggregationName}`)) {
+      return {
+        index,
+        pivotValue: name.slice(0, -aggregationName.length - 1),
+      };
+    }
+    if (name.startsWith(`${aggregationName}+`)) {
+      return { index, pivotValue: name.slice(aggregationName.length + 1) };
+    }
+  }
+  return aggregationNames.length === 1 ? { index: 0, pivotValue: name } : null;
+};
+
+/**
+ * Converts a KNIME Pivoting node to a GROUP BY query with one conditional aggregate
+ * per pivot value and aggregation, e.g. SUM(CASE WHEN "month" = 'Jan' THEN "amount"
+ * END) AS "Jan+Sum(amount)". The pivot values are not part of the settings; they are
+ * taken from the output columns saved with the executed node, so the query has exactly
+ * KNIME's columns. Only the pivot table (the first output port) is converted.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @param {object} [portSpecs={}] - The output table specs saved with the node.
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertPivotNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect(),
+  portSpecs = {}
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== PIVOT_FACTORY) {
+    return conversionError(
+      `Expected Pivoting node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found in Pivoting node.");
+  }
+  const {
+    groupColumns,
+    aggregations,
+    namePolicy,
+    separator,
+    hasOtherAggregators,
+  } = getGroupBySettings(modelNode);
+  const pivotColumns = getSelectedPivotColumns(modelNode);
+  if (hasOtherAggregators) {
+    return conversionError(
+      "Pattern and type based aggregations are not supported; select the aggregated columns manually."
+    );
+  }
+  if (pivotColumns.length === 0 || aggregations.length === 0) {
+    return conversionError("No pivot columns or aggregations are defined.");
+  }
+  const outputSpec = portSpecs[1] || [];
+  if (outputSpec.length === 0) {
+    return conversionError(
+      "The pivot values are unknown. Execute the node in KNIME and export the workflow with its data, so that the output columns are saved."
+    );
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  const inputSchema = getNodeSchema(predecessors[0]);
+  if (inputColumnNames.length > 0) {
+    const missing = [
+      ...groupColumns,
+      ...pivotColumns,
+      ...aggregations.map(({ column }) => column),
+    ].filter((col) => !inputColumnNames.includes(col));
+    if (missing.length > 0) {
+      return conversionError(
+        `Columns not found in the input: ${[...new Set(missing)].join(", ")}.`,
+        { warnings }
+      );
+    }
+  }
+
+  // Selects the rows of one combination of pivot values ("?" is a missing value)
+  let textComparison = false;
+  const pivotCondition = (pivotValue) => {
+    const values =
+      pivotColumns.length === 1 ? [pivotValue] : pivotValue.split("_");
+    if (values.length !== pivotColumns.length) return null;
+    return values
+      .map((value, index) => {
+        const column = dialect.quoteIdentifier(pivotColumns[index]);
+        if (value === "?") return `${column} IS NULL`;
+        const type = findSchemaColumn(inputSchema, pivotColumns[index])?.type;
+        if (isStringType(type)) {
+          return `${column} = ${dialect.quoteString(value)}`;
+        }
+        textComparison = true;
+        return `${dialect.cast(
+          column,
+          dialect.typeName(KNIME_TYPES.STRING)
+        )} = ${dialect.quoteString(value)}`;
+      })
+      .join(" AND ");
+  };
+
+  const aggregationNames = aggregations.map(({ method, column }) =>
+    getAggregationColumnName(namePolicy, method, column)
+  );
+  const errors = [];
+  const orderDependent = [];
+  let approximate = false;
+  const selectParts = [];
+  outputSpec.forEach(({ name }) => {
+    if (groupColumns.includes(name)) {
+      selectParts.push(dialect.quoteIdentifier(name));
+      return;
+    }
+    const match = matchPivotColumn(name, aggregationNames);
+    if (!match) {
+      errors.push(`Output column "${name}" does not match an aggregation.`);
+      return;
+    }
+    const { column, type, method, includeMissing } = aggregations[match.index];
+    const definition = AGGREGATION_METHODS[method];
+    if (!definition) {
+      errors.push(
+        `Unsupported aggregation method "${method}" for column "${column}".`
+      );
+      return;
+    }
+    // Totals aggregate all rows of the group
+    let rowCondition = null;
+    if (match.pivotValue !== null) {
+      rowCondition = pivotCondition(match.pivotValue);
+      if (!rowCondition) {
+        errors.push(
+          `The pivot values of output column "${name}" cannot be split into the ${pivotColumns.length} pivot columns.`
+        );
+        return;
+      }
+    }
+    const quotedColumn = dialect.quoteIdentifier(column);
+    const sql = definition.toSQL(
+      rowCondition
+        ? `CASE WHEN ${rowCondition} THEN ${quotedColumn} END`
+        : quotedColumn,
+      {
+        dialect,
+        inputType: findSchemaColumn(inputSchema, column)?.type || type,
+        includeMissing,
+        separator,
+        rowCondition,
+      }
+    );
+    selectParts.push(`${sql} AS ${dialect.quoteIdentifier(name)}`);
+
+    if (includeMissing && !definition.countsMissing) {
+      approximate = true;
+      const warning = `${
+        aggregationNames[match.index]
+      }: missing values are skipped, although the aggregation includes them.`;
+      if (!warnings.includes(warning)) warnings.push(warning);
+    }
+    if (
+      definition.orderDependent &&
+      !orderDependent.includes(aggregationNames[match.index])
+    ) {
+      orderDependent.push(aggregationNames[match.index]);
+    }
+  });
+  if (errors.length > 0) {
+    return createConversionResult({ errors, warnings });
+  }
+  if (orderDependent.length > 0) {
+    approximate = true;
+    warnings.push(
+      `${orderDependent.join(
+        ", "
+      )}: the values are taken in no particular order, while KNIME follows the row order.`
+    );
+  }
+  if (textComparison) {
+    approximate = true;
+    warnings.push(
+      "Pivot columns that are not strings are compared as text, which the database may format differently than KNIME."
+    );
+  }
+
+  const groupBy =
+    groupColumns.length > 0
+      ? `\nGROUP BY ${groupColumns
+          .map((col) => dialect.quoteIdentifier(col))
+          .join(", ")}`
+      : "";
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)}${groupBy};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: outputSpec.map(({ name }) => name),
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const PIVOT_FACTORY = "org.knime.base.node.preproc.pivot.Pivot2NodeFactory";
+
+const COLUMN_TYPES = {
+  region: KNIME_TYPES.STRING,
+  month: KNIME_TYPES.STRING,
+  amount: KNIME_TYPES.DOUBLE,
+  qty: KNIME_TYPES.INT,
+};
+
+const pivot = (groupColumns, pivotColumns, aggregations, outputColumns) =>
+  knimeNode(
+    PIVOT_FACTORY,
+    {
+      grouByColumns: {
+        "filter-type": "STANDARD",
+        included_names: groupColumns,
+        excluded_names: [],
+      },
+      pivotColumns: {
+        "filter-type": "STANDARD",
+        included_names: pivotColumns,
+        excluded_names: [],
+      },
+      aggregationColumn: {
+        columnNames: aggregations.map(([column]) => column),
+        columnTypes: aggregations.map(([column]) => ({
+          cell_class: COLUMN_TYPES[column],
+        })),
+        aggregationMethod: aggregations.map(([, method]) => method),
+        inclMissingVals: aggregations.map(([, , missing]) => Boolean(missing)),
+      },
+      columnNamePolicy: "Aggregation method (column name)",
+      valueDelimiter: ", ",
+      missingValues: true,
+      totalAggregation: false,
+    },
+    { name: "Pivoting", outputColumns }
+  );
+
+const analyzePivot = (node) =>
+  analyzeTestWorkflow({ 1: csvReader(Object.entries(COLUMN_TYPES)), 2: node }, [
+    [1, 2],
+  ]);
+
+describe("convertPivotNodeToSQL", () => {
+  it("takes the pivot values from the saved output spec", async () => {
+    const analysis = await analyzePivot(
+      pivot(
+        ["region"],
+        ["month"],
+        [
+          ["amount", "Sum_V2.5.2"],
+          ["qty", "Count", true],
+        ],
+        [
+          ["region", KNIME_TYPES.STRING],
+          ["Jan+Sum(amount)", KNIME_TYPES.DOUBLE],
+          ["Jan+Count(qty)", KNIME_TYPES.INT],
+          ["?+Sum(amount)", KNIME_TYPES.DOUBLE],
+          ["?+Count(qty)", KNIME_TYPES.INT],
+        ]
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "region",
+      "Jan+Sum(amount)",
+      "Jan+Count(qty)",
+      "?+Sum(amount)",
+      "?+Count(qty)",
+    ]);
+  });
+
+  it("needs the saved output spec", async () => {
+    const analysis = await analyzePivot(
+      pivot(["region"], ["month"], [["amount", "Sum_V2.5.2"]])
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
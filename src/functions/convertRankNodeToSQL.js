@@ -0,0 +1,179 @@
+// src/functions/convertRankNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { KNIME_TYPES } from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { getInputRowOrder } from "./inputRowOrder";
+
+export const RANK_FACTORY = "org.knime.base.node.preproc.rank.RankNodeFactory";
+
+// SQL ranking function per rank mode
+const RANK_FUNCTIONS = {
+  Standard: "RANK",
+  Dense: "DENSE_RANK",
+  Ordinal: "ROW_NUMBER",
+};
+
+/**
+ * Reads the settings of a Rank node: the "RankingColumns" with their "RankOrder"
+ * ("Ascending" or "Descending"), the "GroupColumns", the "RankMode", the name of the
+ * rank column ("RankOutFieldName"), "RetainRowOrder" and "RankAsLong".
+ * @param {object} modelNode - The model config.
+ * @returns {{keys: Array<{column: string, ascending: boolean}>, groupColumns: string[], mode: string, rankColumn: string, retainRowOrder: boolean, asLong: boolean}}
+ * - The settings.
+ */
+export const getRankSettings = (modelNode) => {
+  const orders = getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "RankOrder")
+  );
+  return {
+    keys: getArrayValuesFromConfig(
+      findConfigByKey(modelNode.config, "RankingColumns")
+    ).map((column, index) => ({
+      column,
+      ascending: orders[index] !== "Descending",
+    })),
+    groupColumns: getArrayValuesFromConfig(
+      findConfigByKey(modelNode.config, "GroupColumns")
+    ),
+    mode: getEntryValue(modelNode.entry, "RankMode") || "Standard",
+    rankColumn: getEntryValue(modelNode.entry, "RankOutFieldName") || "rank",
+    retainRowOrder: getEntryValue(modelNode.entry, "RetainRowOrder") === true,
+    asLong: getEntryValue(modelNode.entry, "RankAsLong") === true,
+  };
+};
+
+/**
+ * Converts a KNIME Rank node to RANK, DENSE_RANK or ROW_NUMBER (ordinal ranks) over the
+ * ranking columns within each group. Missing values are the smallest values, as in
+ * the Sorter. Ties of ordinal ranks are broken by the input row order (see
+ * getInputRowOrder).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertRankNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== RANK_FACTORY) {
+    return conversionError(
+      `Expected Rank node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found in Rank node.");
+  }
+  const { keys, groupColumns, mode, rankColumn, retainRowOrder, asLong } =
+    getRankSettings(modelNode);
+  const rankFunction = RANK_FUNCTIONS[mode];
+  if (!rankFunction) {
+    return conversionError(`The rank mode "${mode}" is not supported.`);
+  }
+  if (keys.length === 0) {
+    return conversionError("No ranking columns are selected.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length > 0) {
+    const missing = [
+      ...keys.map(({ column }) => column),
+      ...groupColumns,
+    ].filter((col) => !inputColumnNames.includes(col));
+    if (missing.length > 0) {
+      return conversionError(
+        `Columns not found in the input: ${[...new Set(missing)].join(", ")}.`,
+        { warnings }
+      );
+    }
+    if (inputColumnNames.includes(rankColumn)) {
+      return conversionError(
+        `Column "${rankColumn}" already exists in the input.`,
+        { warnings }
+      );
+    }
+  }
+
+  let approximate = false;
+  const orderKeys = keys.map(({ column, ascending }) => ({
+    expr: dialect.quoteIdentifier(column),
+    descending: !ascending,
+    nullsLast: !ascending,
+  }));
+  if (mode === "Ordinal") {
+    const rowOrder = getInputRowOrder(predecessors[0], dialect);
+    if (rowOrder.warning) {
+      approximate = true;
+      warnings.push(
+        `Ties get their ordinal ranks in the input row order. ${rowOrder.warning}`
+      );
+    }
+    orderKeys.push(...rowOrder.keys);
+  }
+  const partition =
+    groupColumns.length > 0
+      ? `PARTITION BY ${groupColumns
+          .map((col) => dialect.quoteIdentifier(col))
+          .join(", ")} `
+      : "";
+  const rank = dialect.cast(
+    `${rankFunction}() OVER (${partition}${dialect.windowOrderBy(orderKeys)})`,
+    dialect.typeName(asLong ? KNIME_TYPES.LONG : KNIME_TYPES.INT)
+  );
+
+  const quotedRankColumn = dialect.quoteIdentifier(rankColumn);
+  const selectParts = [
+    ...(inputColumnNames.length > 0
+      ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
+      : ["*"]),
+    `${rank} AS ${quotedRankColumn}`,
+  ];
+  let orderBy = "";
+  if (!retainRowOrder) {
+    // KNIME outputs the rows sorted by group and rank
+    orderBy = `\n${dialect.orderBy([
+      ...groupColumns.map((col) => ({
+        expr: dialect.quoteIdentifier(col),
+        descending: false,
+        nullsLast: false,
+      })),
+      { expr: quotedRankColumn, descending: false, nullsLast: false },
+    ])}`;
+    warnings.push(
+      "The database only guarantees the row order of the final query; later steps may reorder the rows."
+    );
+  }
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)}${orderBy};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns:
+      inputColumnNames.length > 0 ? [...inputColumnNames, rankColumn] : null,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const RANK_FACTORY = "org.knime.base.node.preproc.rank.RankNodeFactory";
+
+const COLUMN_TYPES = {
+  k: KNIME_TYPES.STRING,
+  day: KNIME_TYPES.LOCAL_DATE,
+  amount: KNIME_TYPES.DOUBLE,
+  qty: KNIME_TYPES.INT,
+};
+
+const sorter = knimeNode(
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+  {
+    incllist: ["day", "-ROWKEY -"],
+    sortOrder: [true, true],
+    missingToEnd: false,
+  },
+  { name: "Sorter" }
+);
+
+// Node 3 reads from a Sorter on "day", node 4 straight from the reader
+const analyzeWindowNodes = (node) =>
+  analyzeTestWorkflow(
+    { 1: csvReader(Object.entries(COLUMN_TYPES)), 2: sorter, 3: node, 4: node },
+    [
+      [1, 2],
+      [2, 3],
+      [1, 4],
+    ]
+  );
+
+const rank = (settings) =>
+  knimeNode(
+    RANK_FACTORY,
+    {
+      RankingColumns: ["amount"],
+      RankOrder: ["Descending"],
+      GroupColumns: ["k"],
+      RankMode: "Standard",
+      RankOutFieldName: "rank",
+      RetainRowOrder: false,
+      RankAsLong: false,
+      ...settings,
+    },
+    { name: "Rank" }
+  );
+
+describe("convertRankNodeToSQL", () => {
+  it("ranks within groups", async () => {
+    const analysis = await analyzeWindowNodes(rank({}));
+    expect(sqlPerDialect(analysis, 4)).toMatchSnapshot();
+    expect(convertNode(analysis, 4).columns).toEqual([
+      "k",
+      "day",
+      "amount",
+      "qty",
+      "rank",
+    ]);
+  });
+
+  it("keeps the input order for ordinal ranks", async () => {
+    const analysis = await analyzeWindowNodes(
+      rank({
+        RankMode: "Ordinal",
+        GroupColumns: [],
+        RetainRowOrder: true,
+        RankAsLong: true,
+      })
+    );
+    expect(sqlPerDialect(analysis, 3)).toMatchSnapshot();
+  });
+
+  it("rejects unknown rank modes", async () => {
+    const analysis = await analyzeWindowNodes(rank({ RankMode: "Fractional" }));
+    expect(convertNode(analysis, 4).errors).toEqual([
+      'The rank mode "Fractional" is not supported.',
+    ]);
+  });
+});
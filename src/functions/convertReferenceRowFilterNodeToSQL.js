@@ -0,0 +1,137 @@
+// src/functions/convertReferenceRowFilterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { conversionError, createConversionResult } from "./conversionResult";
+
+export const REFERENCE_ROW_FILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.rowref.RowFilterRefTableNodeFactory";
+
+const EXCLUDE_MODE = "Exclude rows from reference table";
+
+/**
+ * Reads a column selection that may be the row ID ("useRowID" and "columnName").
+ * @param {object|null} columnNode - The column config.
+ * @returns {{column: string|null, useRowId: boolean}} - The selection.
+ */
+const getColumnSelection = (columnNode) => ({
+  column: getEntryValue(columnNode?.entry, "columnName"),
+  useRowId: getEntryValue(columnNode?.entry, "useRowID") === true,
+});
+
+/**
+ * Reads the settings of a Reference Row Filter node: the compared columns of the data
+ * and the reference table ("dataTableColumn", "referenceTableColumn") and whether the
+ * matching rows are kept or removed ("inexclude").
+ * @param {object} modelNode - The model config.
+ * @returns {{dataColumn: object, referenceColumn: object, exclude: boolean}} - The
+ * settings; the columns as returned by getColumnSelection.
+ */
+export const getReferenceRowFilterSettings = (modelNode) => ({
+  dataColumn: getColumnSelection(
+    findConfigByKey(modelNode.config, "dataTableColumn")
+  ),
+  referenceColumn: getColumnSelection(
+    findConfigByKey(modelNode.config, "referenceTableColumn")
+  ),
+  exclude: getEntryValue(modelNode.entry, "inexclude") === EXCLUDE_MODE,
+});
+
+/**
+ * Converts a KNIME Reference Row Filter node to a semi-join (EXISTS) that keeps the
+ * rows of the data table whose value occurs in the reference table, or an anti-join
+ * (NOT EXISTS) that removes them. Missing values match each other, as in KNIME.
+ * A row ID is compared as a "RowID" column, as in the Joiner.
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} [dataInputName="data_input"] - The name of the data table (port 1).
+ * @param {string} [referenceInputName="reference_input"] - The name of the reference
+ * table (port 2).
+ * @param {string[]} [dataColumnNames=[]] - The columns of the data table, if known.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertReferenceRowFilterNodeToSQL(
+  nodeConfig,
+  dataInputName = "data_input",
+  referenceInputName = "reference_input",
+  dataColumnNames = [],
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== REFERENCE_ROW_FILTER_FACTORY) {
+    return conversionError(
+      `Expected Reference Row Filter node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Reference Row Filter node."
+    );
+  }
+  const { dataColumn, referenceColumn, exclude } =
+    getReferenceRowFilterSettings(modelNode);
+
+  const warnings = [];
+  let approximate = false;
+  const resolveColumn = (selection, table) => {
+    if (!selection.useRowId) return selection.column;
+    approximate = true;
+    warnings.push(
+      `Comparing the ${table} RowID assumes a column ${dialect.quoteIdentifier(
+        "RowID"
+      )} in the ${table} input.`
+    );
+    return "RowID";
+  };
+  const dataKey = resolveColumn(dataColumn, "data");
+  const referenceKey = resolveColumn(referenceColumn, "reference");
+  if (!dataKey || !referenceKey) {
+    return conversionError("The data or reference column is not set.", {
+      warnings,
+    });
+  }
+  if (
+    !dataColumn.useRowId &&
+    dataColumnNames.length > 0 &&
+    !dataColumnNames.includes(dataKey)
+  ) {
+    return conversionError(`Column "${dataKey}" not found in the data table.`, {
+      warnings,
+    });
+  }
+
+  // Aliases keep the tables apart if the data table is its own reference
+  const dataAlias = dialect.quoteIdentifier("data_rows");
+  const referenceAlias = dialect.quoteIdentifier("reference_rows");
+  const dataValue = `${dataAlias}.${dialect.quoteIdentifier(dataKey)}`;
+  const referenceValue = `${referenceAlias}.${dialect.quoteIdentifier(
+    referenceKey
+  )}`;
+  const selectClause =
+    dataColumnNames.length > 0
+      ? dataColumnNames
+          .map((col) => `${dataAlias}.${dialect.quoteIdentifier(col)}`)
+          .join(",\n  ")
+      : `${dataAlias}.*`;
+  const sqlQuery = `
+SELECT
+  ${selectClause}
+FROM ${dialect.quoteIdentifier(dataInputName)} AS ${dataAlias}
+WHERE ${exclude ? "NOT EXISTS" : "EXISTS"} (
+  SELECT 1
+  FROM ${dialect.quoteIdentifier(referenceInputName)} AS ${referenceAlias}
+  WHERE ${referenceValue} = ${dataValue}
+    OR (${referenceValue} IS NULL AND ${dataValue} IS NULL)
+);
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: dataColumnNames.length > 0 ? [...dataColumnNames] : null,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const REFERENCE_ROW_FILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.rowref.RowFilterRefTableNodeFactory";
+
+const dataReader = csvReader(
+  [
+    ["k", KNIME_TYPES.STRING],
+    ["amount", KNIME_TYPES.DOUBLE],
+    ["name", KNIME_TYPES.STRING],
+  ],
+  "a.csv"
+);
+const referenceReader = csvReader(
+  [
+    ["code", KNIME_TYPES.STRING],
+    ["name", KNIME_TYPES.STRING],
+    ["name (#1)", KNIME_TYPES.INT],
+  ],
+  "b.csv"
+);
+
+const referenceRowFilter = (settings) =>
+  knimeNode(
+    REFERENCE_ROW_FILTER_FACTORY,
+    {
+      dataTableColumn: { useRowID: false, columnName: "k" },
+      referenceTableColumn: { useRowID: false, columnName: "code" },
+      inexclude: "Include rows from reference table",
+      ...settings,
+    },
+    { name: "Reference Row Filter" }
+  );
+
+// The data table goes to the first input port, the reference table to the second
+const analyzeReferenceRowFilter = (node) =>
+  analyzeTestWorkflow({ 1: dataReader, 2: referenceReader, 3: node }, [
+    [1, 3, 1, 1],
+    [2, 3, 1, 2],
+  ]);
+
+describe("convertReferenceRowFilterNodeToSQL", () => {
+  it("keeps the rows found in the reference table", async () => {
+    const analysis = await analyzeReferenceRowFilter(referenceRowFilter({}));
+    expect(sqlPerDialect(analysis, 3)).toMatchSnapshot();
+    expect(convertNode(analysis, 3).columns).toEqual(["k", "amount", "name"]);
+  });
+
+  it("excludes the rows found in the reference table", async () => {
+    const analysis = await analyzeReferenceRowFilter(
+      referenceRowFilter({ inexclude: "Exclude rows from reference table" })
+    );
+    expect(convertNode(analysis, 3).sql).toMatchSnapshot();
+  });
+
+  it("compares a row ID as a RowID column", async () => {
+    const analysis = await analyzeReferenceRowFilter(
+      referenceRowFilter({
+        dataTableColumn: { useRowID: true, columnName: null },
+      })
+    );
+    const result = convertNode(analysis, 3);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.warnings).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,166 @@
+// src/functions/convertRegexSplitNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { countRegexGroups } from "../dialects/regexPatterns";
+import { findInputNodes } from "./findInputNodes";
+import { conversionError, createConversionResult } from "./conversionResult";
+
+export const REGEX_SPLIT_FACTORY =
+  "org.knime.base.node.preproc.regexsplit.RegexSplitNodeFactory";
+
+// Pattern flags the translation cannot honour
+const UNSUPPORTED_FLAGS = {
+  isMultiLine: "multiline",
+  isDotAll: "dot all",
+  isComments: "comments",
+  isLiteral: "literal",
+  isCanonEQ: "canonical equivalence",
+};
+
+// The databases match case insensitively on their own, and fold Unicode case like Java
+// does with isUnicodeCase
+const PATTERN_FLAGS = [
+  "isCaseInsensitive",
+  "isUnicodeCase",
+  ...Object.keys(UNSUPPORTED_FLAGS),
+];
+
+/**
+ * Names the column of a capture group like KNIME, e.g. "split_0".
+ * @param {number} index - The 0-based index of the group.
+ * @returns {string} - The column name.
+ */
+export const getRegexSplitColumnName = (index) => `split_${index}`;
+
+/**
+ * Reads the settings of a Regex Split node: the split "column", the "pattern" and its
+ * flags (e.g. "isCaseInsensitive").
+ * @param {object} modelNode - The model config.
+ * @returns {{column: string|null, pattern: string|null, flags: string[]}} - The
+ * settings; flags lists the names of the flags that are set.
+ */
+export const getRegexSplitSettings = (modelNode) => ({
+  column: getEntryValue(modelNode.entry, "column"),
+  pattern: getEntryValue(modelNode.entry, "pattern"),
+  flags: PATTERN_FLAGS.filter(
+    (flag) => getEntryValue(modelNode.entry, flag) === true
+  ),
+});
+
+/**
+ * Returns the number of columns the Regex Split node appends, one per capture group.
+ * @param {object} modelNode - The model config.
+ * @returns {number} - The number of columns.
+ */
+export const getRegexSplitColumnCount = (modelNode) =>
+  countRegexGroups(getRegexSplitSettings(modelNode).pattern || "");
+
+/**
+ * Converts a KNIME Regex Split node to one regex extraction per capture group, appended
+ * as "split_0", "split_1", ... The pattern must match the whole value; values that do
+ * not match give missing values. The dialect translates the pattern for its engine and
+ * fails for constructs the engine lacks (see translateRegexPattern).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertRegexSplitNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== REGEX_SPLIT_FACTORY) {
+    return conversionError(
+      `Expected Regex Split node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in Regex Split node."
+    );
+  }
+  const { column, pattern, flags } = getRegexSplitSettings(modelNode);
+  if (!column || !pattern) {
+    return conversionError("The column or the pattern is not set.");
+  }
+  const groupCount = countRegexGroups(pattern);
+  if (groupCount === 0) {
+    return conversionError("The pattern has no capture groups.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  if (inputColumnNames.length > 0 && !inputColumnNames.includes(column)) {
+    return conversionError(`Column "${column}" not found in the input.`, {
+      warnings,
+    });
+  }
+  const newColumns = Array.from({ length: groupCount }, (_, index) =>
+    getRegexSplitColumnName(index)
+  );
+  const clashes = newColumns.filter((col) => inputColumnNames.includes(col));
+  if (clashes.length > 0) {
+    return conversionError(
+      `The split columns already exist in the input: ${clashes.join(", ")}.`,
+      { warnings }
+    );
+  }
+
+  const ignoredFlags = flags.filter((flag) => UNSUPPORTED_FLAGS[flag]);
+  let approximate = false;
+  if (ignoredFlags.length > 0) {
+    approximate = true;
+    warnings.push(
+      `The pattern flags are ignored: ${ignoredFlags
+        .map((flag) => UNSUPPORTED_FLAGS[flag])
+        .join(", ")}.`
+    );
+  }
+  const caseSensitive = !flags.includes("isCaseInsensitive");
+
+  const quoted = dialect.quoteIdentifier(column);
+  const wholeMatch = `^(?:${pattern})$`;
+  const selectParts = [
+    ...(inputColumnNames.length > 0
+      ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
+      : ["*"]),
+    ...newColumns.map(
+      (name, index) =>
+        `${dialect.regexExtract(
+          quoted,
+          wholeMatch,
+          index + 1,
+          caseSensitive
+        )} AS ${dialect.quoteIdentifier(name)}`
+    ),
+  ];
+  const sqlQuery = `
+SELECT
+  ${selectParts.join(",\n  ")}
+FROM ${dialect.quoteIdentifier(previousNodeName)};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns:
+      inputColumnNames.length > 0 ? [...inputColumnNames, ...newColumns] : null,
+    warnings,
+    approximate,
+  });
+}
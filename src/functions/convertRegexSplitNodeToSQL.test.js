@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const REGEX_SPLIT_FACTORY =
+  "org.knime.base.node.preproc.regexsplit.RegexSplitNodeFactory";
+
+const regexSplit = (pattern, flags = {}) =>
+  knimeNode(
+    REGEX_SPLIT_FACTORY,
+    {
+      column: "name",
+      pattern,
+      isCaseInsensitive: false,
+      isMultiLine: false,
+      ...flags,
+    },
+    { name: "Regex Split" }
+  );
+
+const analyzeRegexSplit = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertRegexSplitNodeToSQL", () => {
+  it("appends a column per capture group", async () => {
+    const analysis = await analyzeRegexSplit(regexSplit("(\\w+) (\\w+)"));
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "name",
+      "qty",
+      "split_0",
+      "split_1",
+    ]);
+  });
+
+  it("counts only the capturing groups", async () => {
+    const analysis = await analyzeRegexSplit(
+      regexSplit("(\\w+)\\s+(?:van\\s+)?(?<last>[a-z(]+)\\(x\\)")
+    );
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "name",
+      "qty",
+      "split_0",
+      "split_1",
+    ]);
+  });
+
+  it("numbers the groups like each dialect's regular expressions", async () => {
+    const analysis = await analyzeRegexSplit(
+      regexSplit("(?<first>\\w+) (?:van )?(\\w+)")
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("rejects constructs the dialect's regular expressions lack", async () => {
+    const analysis = await analyzeRegexSplit(regexSplit("(\\w+)(?= )"));
+    expect(convertNode(analysis, 2, "duckdb").errors).toEqual([
+      "Regex Split converter failed: DuckDB does not support lookahead and lookbehind in regular expressions: ^(?:(\\w+)(?= ))$",
+    ]);
+    expect(convertNode(analysis, 2, "postgres").errors).toEqual([]);
+  });
+
+  it("matches case insensitively and warns about the other flags", async () => {
+    const analysis = await analyzeRegexSplit(
+      regexSplit("([a-z]+)", {
+        isCaseInsensitive: true,
+        isUnicodeCase: true,
+        isMultiLine: true,
+      })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2)).toMatchObject({
+      approximate: true,
+      warnings: ["The pattern flags are ignored: multiline."],
+    });
+  });
+
+  it("rejects a pattern without capture groups", async () => {
+    const analysis = await analyzeRegexSplit(regexSplit("\\w+ \\(x\\)"));
+    expect(convertNode(analysis, 2).errors).toEqual([
+      "The pattern has no capture groups.",
+    ]);
+  });
+});
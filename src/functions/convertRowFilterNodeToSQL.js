@@ -3,7 +3,21 @@
 // Assuming these helper functions are available in your project's common directory
 import { getEntryValue } from "../common/getEntryValue";
 import { findConfigByKey } from "../common/findConfigByKey";
-import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig"; // May be needed for IN/NOT IN
+import { findNestedEntry, getChildConfigs } from "../common/findNestedEntry";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getCteName } from "./getCteName";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import {
+  KNIME_TYPES,
+  createColumn,
+  findSchemaColumn,
+  getNodeSchema,
+  isNumericType,
+  isStringType,
+} from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { wildcardToLikePattern } from "./wildcardToLikePattern";
 
 /**
  * Finds the direct predecessor node details for a given node ID.
@@ -11,10 +25,13 @@ import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig"; /
  * (User-provided version)
  *
  * @param {string | number} currentNodeId - The ID of the current node (passed as argument).
- * @param {Array<object>} allProcessedNodes - Array of processed nodes with 'id', 'nodeName' (used as sqlAlias), 'nodes', 'nextNodes' (assumed array of strings).
+ * @param {Array<object>} allProcessedNodes - Array of processed nodes with 'id', 'nodeName' (used as sqlAlias), 'nodes', 'nextConnections'/'nextNodes'.
  * @returns {object | null} - Object containing details for the predecessor, or null/error if issues occur.
  */
-const findSinglePredecessorDetails = (currentNodeId, allProcessedNodes) => {
+export const findSinglePredecessorDetails = (
+  currentNodeId,
+  allProcessedNodes
+) => {
   // --- User Provided Version ---
   if (!Array.isArray(allProcessedNodes)) {
     console.error(
@@ -22,23 +39,8 @@ const findSinglePredecessorDetails = (currentNodeId, allProcessedNodes) => {
     );
     return null;
   }
-  const currentIdStr = String(currentNodeId);
-
-  // Filter nodes where *any* entry in nextNodes matches the currentNodeId (as a string)
-  const predecessors = allProcessedNodes.filter(
-    (node) =>
-      node &&
-      Array.isArray(node.nextNodes) &&
-      node.nextNodes.some((conn) => {
-        // console.log(conn, "conn - checking connection to:", currentIdStr); // Debug log
-        // Assumes 'conn' is a simple string ID based on user code.
-        // If 'conn' is an object like { targetNodeId: ... }, this check needs modification.
-        return (
-          conn !== null && conn !== undefined && String(conn) === currentIdStr
-        );
-      })
-  );
-  // console.log(predecessors, "predecessors found for node:", currentIdStr); // Debug log
+  // Upstream nodes of the data input (flow variable connections are ignored)
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
 
   // --- Added Checks for Robustness ---
   if (predecessors.length === 0) {
@@ -77,49 +79,375 @@ const findSinglePredecessorDetails = (currentNodeId, allProcessedNodes) => {
   }
   // --- End Added Checks ---
 
-  // Return details using nodeName as sqlAlias as per user's code
+  // The predecessor's output is referenced by its CTE name
   return {
     id: fullNodeDetail.id,
-    sqlAlias: fullNodeDetail.nodeName, // Using nodeName as the SQL alias
-    columns: fullNodeDetail.nodes, // Schema
+    sqlAlias: getCteName(fullNodeDetail.id),
+    columns: fullNodeDetail.nodes, // Column names
+    schema: getNodeSchema(fullNodeDetail), // Typed columns
   };
   // --- End User Provided Version ---
 };
 
+// Cell classes of predicate values whose type is not stored, by settings entry type
+const ENTRY_TYPE_CELLS = {
+  xint: KNIME_TYPES.INT,
+  xlong: KNIME_TYPES.LONG,
+  xdouble: KNIME_TYPES.DOUBLE,
+  xboolean: KNIME_TYPES.BOOLEAN,
+  xstring: KNIME_TYPES.STRING,
+};
+
+// Column selections of the Row Filter that refer to the row number and the RowID
+export const ROW_NUMBERS_COLUMN = "<row-numbers>";
+export const ROW_ID_COLUMN = "<row-keys>";
+
+// Columns added to number the input rows (1-based, like KNIME's row numbers)
+export const ROW_NUMBER_ALIAS = "knime_row_number";
+export const ROW_COUNT_ALIAS = "knime_row_count";
+
+// Comparison operators of the Row Filter and their SQL counterparts
+const COMPARISON_OPERATORS = {
+  EQ: "=",
+  NEQ: "<>",
+  NEQ_MISS: "<>",
+  LT: "<",
+  LTE: "<=",
+  GT: ">",
+  GTE: ">=",
+};
+
+/**
+ * Reads the typed values of a predicate (predicateValues/values). A value config holds
+ * the value, optionally its cell class and, for strings, the case matching setting.
+ * @param {object} predicateConfig - The config of a single predicate.
+ * @returns {Array<{value: string|null, type: string|null, caseSensitive: boolean}>} - The
+ * values in order; value is null for a missing value.
+ */
+const readPredicateValues = (predicateConfig) => {
+  const valuesNode = findConfigByKey(
+    findConfigByKey(predicateConfig.config, "predicateValues")?.config,
+    "values"
+  );
+  return getChildConfigs(valuesNode)
+    .filter((valueConfig) => /^\d+$/.test(valueConfig._attributes?.key))
+    .sort((a, b) => a._attributes.key - b._attributes.key)
+    .map((valueConfig) => {
+      const valueEntry = findNestedEntry(valueConfig, "value");
+      const typeEntry =
+        findNestedEntry(valueConfig, "cell_class") ||
+        findNestedEntry(valueConfig, "preferredValueClass");
+      const caseEntry = findNestedEntry(valueConfig, "caseMatching");
+      const attributes = valueEntry?._attributes;
+      return {
+        value:
+          !attributes || attributes.isnull === "true" ? null : attributes.value,
+        type:
+          typeEntry?._attributes?.value ||
+          ENTRY_TYPE_CELLS[attributes?.type] ||
+          null,
+        caseSensitive: caseEntry?._attributes?.value !== "CASEINSENSITIVE",
+      };
+    });
+};
+
+/**
+ * Formats a predicate value as an SQL literal of the given type.
+ * @param {string} value - The value as stored in the settings.
+ * @param {string|null} type - The KNIME cell class of the value or column.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {string} - The SQL literal.
+ */
+export const toSQLLiteral = (value, type, dialect) => {
+  if (isNumericType(type) && value.trim() !== "" && !isNaN(Number(value))) {
+    return String(Number(value));
+  }
+  const typeKey = getKnimeTypeKey(type);
+  if (typeKey === "boolean") {
+    return dialect.booleanLiteral(String(value).toLowerCase() === "true");
+  }
+  if (!typeKey || typeKey === "string" || isNumericType(type)) {
+    return dialect.quoteString(value);
+  }
+  // Dates and times are stored in ISO format, which the casts accept
+  return dialect.cast(dialect.quoteString(value), dialect.typeName(type));
+};
+
+/**
+ * Reads the selected column and the operator of a predicate.
+ * @param {object} predicateConfig - The config of a single predicate.
+ * @returns {{columnName: string|null, operator: string|null}} - The settings.
+ */
+const getPredicateSettings = (predicateConfig) => ({
+  columnName: getEntryValue(
+    findConfigByKey(predicateConfig.config, "column")?.entry,
+    "selected"
+  ),
+  operator: getEntryValue(predicateConfig.entry, "operator"),
+});
+
+/**
+ * Resolves the column a predicate filters on to an SQL expression. The row number
+ * and the RowID are computed from the generated row number column; RowIDs follow the
+ * "Row0", "Row1", ... scheme of the KNIME readers.
+ * @param {string} columnName - The selected column.
+ * @param {Array<object>} inputSchema - The typed input columns.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {{expr: string, column: object|undefined}} - The expression and the typed
+ * column, if known.
+ */
+export const resolvePredicateColumn = (columnName, inputSchema, dialect) => {
+  const rowNumber = dialect.quoteIdentifier(ROW_NUMBER_ALIAS);
+  if (columnName === ROW_NUMBERS_COLUMN) {
+    return {
+      expr: rowNumber,
+      column: createColumn(columnName, KNIME_TYPES.LONG, false),
+    };
+  }
+  if (columnName === ROW_ID_COLUMN) {
+    return {
+      expr: dialect.concat([
+        dialect.quoteString("Row"),
+        dialect.cast(`${rowNumber} - 1`, dialect.typeName(KNIME_TYPES.STRING)),
+      ]),
+      column: createColumn(columnName, KNIME_TYPES.STRING, false),
+    };
+  }
+  return {
+    expr: dialect.quoteIdentifier(columnName),
+    column: findSchemaColumn(inputSchema, columnName),
+  };
+};
+
+/**
+ * Determines the range of row numbers selected by row number predicates that are
+ * combined with AND, so the filter can be written as LIMIT/OFFSET.
+ * @param {Array<object>} predicateConfigs - The predicate configs.
+ * @returns {{from: number, to: number}|null} - The first and last row number (1-based),
+ * or null if the predicates do not select a bounded range of row numbers.
+ */
+const getRowNumberRange = (predicateConfigs) => {
+  let from = 1;
+  let to = Infinity;
+  for (const predicateConfig of predicateConfigs) {
+    const { columnName, operator } = getPredicateSettings(predicateConfig);
+    const numbers = readPredicateValues(predicateConfig).map((v) =>
+      Number(v.value)
+    );
+    if (
+      columnName !== ROW_NUMBERS_COLUMN ||
+      numbers.length === 0 ||
+      !numbers.every(Number.isInteger)
+    ) {
+      return null;
+    }
+    const [n, m] = numbers;
+    switch (operator) {
+      case "FIRST_N_ROWS":
+      case "LTE":
+        to = Math.min(to, n);
+        break;
+      case "LT":
+        to = Math.min(to, n - 1);
+        break;
+      case "GT":
+        from = Math.max(from, n + 1);
+        break;
+      case "GTE":
+        from = Math.max(from, n);
+        break;
+      case "EQ":
+        from = Math.max(from, n);
+        to = Math.min(to, n);
+        break;
+      case "BETWEEN":
+        if (m === undefined) return null;
+        from = Math.max(from, n);
+        to = Math.min(to, m);
+        break;
+      default:
+        return null;
+    }
+  }
+  return Number.isFinite(to) ? { from, to: Math.max(to, from - 1) } : null;
+};
+
 /**
  * Translates a single KNIME Row Filter predicate config to an SQL condition string.
+ * Comparisons on a missing cell are false in KNIME (only "not equal nor missing" and
+ * "is missing" match it); with guardMissing, conditions are written so they are false
+ * rather than NULL for missing cells, which matters once they are negated.
  *
- * @param {object} predicateConfig - The config object for a single predicate,
- * which contains an 'entry' array with keys like 'operator'.
+ * @param {object} predicateConfig - The config object for a single predicate, with the
+ * 'column', 'operator' and 'predicateValues' settings.
+ * @param {Array<object>} inputSchema - The typed input columns.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {string[]} warnings - Collects a warning if the operator is not supported.
+ * @param {boolean} [guardMissing=false] - Make the condition false for missing cells.
  * @returns {string | null} - The SQL condition string or null if conversion fails.
  */
-const translatePredicateToSQL = (predicateConfig) => {
-  console.log(predicateConfig, "predicateConfig");
-  // Correctly get column name from within predicateConfig.column.entry
-  const columnName = getEntryValue(predicateConfig.config[0].entry, "selected");
+const translatePredicateToSQL = (
+  predicateConfig,
+  inputSchema,
+  dialect,
+  warnings,
+  guardMissing = false
+) => {
+  const { columnName, operator } = getPredicateSettings(predicateConfig);
+  if (!columnName) {
+    warnings.push(
+      `Row Filter predicate with operator ${operator} has no column; the condition is ignored.`
+    );
+    return null;
+  }
 
-  // *** THIS LINE WAS CORRECTED in the previous update ***
-  // Get operator from within predicateConfig.entry (the array of entries)
-  const operator = getEntryValue(predicateConfig.entry, "operator");
+  const { expr: quotedColName, column } = resolvePredicateColumn(
+    columnName,
+    inputSchema,
+    dialect
+  );
+  const values = readPredicateValues(predicateConfig);
+  const [first, second] = values;
+  const valueType = (value) => column?.type || value.type;
+  // Patterns are matched against the string representation of other types
+  const textColumn =
+    column?.type && !isStringType(column.type)
+      ? dialect.cast(quotedColName, dialect.typeName(KNIME_TYPES.STRING))
+      : quotedColName;
+  const guard = (condition) =>
+    guardMissing && column?.nullable !== false
+      ? `${quotedColName} IS NOT NULL AND ${condition}`
+      : condition;
+
+  const requireValues = (count) => {
+    if (
+      values.length >= count &&
+      values.slice(0, count).every((v) => v.value !== null)
+    ) {
+      return true;
+    }
+    warnings.push(
+      `Row Filter operator ${operator} on column ${columnName} needs ${count} value(s); the condition is ignored.`
+    );
+    return false;
+  };
 
-  console.log(columnName, operator, "kk");
+  if (
+    (operator === "FIRST_N_ROWS" || operator === "LAST_N_ROWS") &&
+    columnName === ROW_NUMBERS_COLUMN
+  ) {
+    if (!requireValues(1)) return null;
+    const count = parseInt(first.value, 10);
+    return operator === "FIRST_N_ROWS"
+      ? `${quotedColName} <= ${count}`
+      : `${dialect.quoteIdentifier(
+          ROW_COUNT_ALIAS
+        )} - ${quotedColName} < ${count}`;
+  }
 
-  const quotedColName = `"${columnName.replace(/"/g, '""')}"`;
+  if (COMPARISON_OPERATORS[operator]) {
+    if (!requireValues(1)) return null;
+    const type = valueType(first);
+    // Case insensitive matching only applies to strings
+    const ignoreCase = !first.caseSensitive && (!type || isStringType(type));
+    const left = ignoreCase ? `LOWER(${quotedColName})` : quotedColName;
+    const right = ignoreCase
+      ? dialect.quoteString(first.value.toLowerCase())
+      : toSQLLiteral(first.value, type, dialect);
+    const comparison = `${left} ${COMPARISON_OPERATORS[operator]} ${right}`;
+    return operator === "NEQ_MISS"
+      ? `${quotedColName} IS NULL OR ${comparison}`
+      : guard(comparison);
+  }
 
-  // Translate based on the operator
   switch (operator) {
     case "IS_NOT_MISSING":
       return `${quotedColName} IS NOT NULL`;
     case "IS_MISSING":
       return `${quotedColName} IS NULL`;
-    // Add more cases here for other operators (EQUALS, GREATER, IN, LIKE, etc.)
-    // Remember to parse values from predicateConfig.predicateValues.values when needed
+    case "BETWEEN": {
+      if (!requireValues(2)) return null;
+      return guard(
+        `${quotedColName} BETWEEN ${toSQLLiteral(
+          first.value,
+          valueType(first),
+          dialect
+        )} AND ${toSQLLiteral(second.value, valueType(second), dialect)}`
+      );
+    }
+    case "WILDCARD":
+      if (!requireValues(1)) return null;
+      return guard(
+        dialect.like(
+          textColumn,
+          wildcardToLikePattern(first.value),
+          first.caseSensitive
+        )
+      );
+    case "REGEX":
+      if (!requireValues(1)) return null;
+      return guard(
+        dialect.regexMatch(textColumn, first.value, first.caseSensitive)
+      );
+    case "IS_TRUE":
+    case "IS_FALSE":
+      return guard(
+        `${quotedColName} = ${dialect.booleanLiteral(operator === "IS_TRUE")}`
+      );
     default:
-      console.warn(`Unsupported Row Filter operator: ${operator}`);
+      warnings.push(
+        `Unsupported Row Filter operator ${operator} on column ${columnName}; the condition is ignored.`
+      );
       return null; // Return null for unsupported operators
   }
 };
 
+/**
+ * Builds a query that numbers the input rows (the ROW_NUMBER_ALIAS column, and the
+ * ROW_COUNT_ALIAS column if the condition uses it) and keeps the rows matching a
+ * condition on them. The numbering columns are dropped again if the input columns are
+ * known.
+ * @param {object} predecessor - The input (see findSinglePredecessorDetails).
+ * @param {string} whereClause - The filter condition.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {string[]} warnings - Collects a warning if the input columns are unknown.
+ * @returns {{sql: string, columns: string[]|null}} - The query and its output columns.
+ */
+export const filterNumberedRows = (
+  predecessor,
+  whereClause,
+  dialect,
+  warnings
+) => {
+  const numberingColumns = [
+    `${dialect.rowNumber()} AS ${dialect.quoteIdentifier(ROW_NUMBER_ALIAS)}`,
+    ...(whereClause.includes(dialect.quoteIdentifier(ROW_COUNT_ALIAS))
+      ? [`COUNT(*) OVER () AS ${dialect.quoteIdentifier(ROW_COUNT_ALIAS)}`]
+      : []),
+  ];
+  const knownColumns = predecessor.columns.length > 0;
+  if (!knownColumns) {
+    warnings.push(
+      `The input columns are unknown; the output also has the ${ROW_NUMBER_ALIAS} column.`
+    );
+  }
+  const selectList = knownColumns
+    ? predecessor.columns.map((col) => dialect.quoteIdentifier(col)).join(", ")
+    : "*";
+  const sqlQuery = `
+SELECT ${selectList}
+FROM (
+  SELECT *, ${numberingColumns.join(", ")}
+  FROM ${dialect.quoteIdentifier(predecessor.sqlAlias)}
+) AS ${dialect.quoteIdentifier("numbered_rows")}
+WHERE ${whereClause};
+`;
+  return {
+    sql: sqlQuery.trim(),
+    columns: knownColumns ? [...predecessor.columns] : null,
+  };
+};
+
 /**
  * Converts a KNIME Row Filter (RowFilterNodeFactory) node configuration to an SQL query.
  *
@@ -127,33 +455,36 @@ const translatePredicateToSQL = (predicateConfig) => {
  * @param {string | number} currentNodeId - The unique ID of the Row Filter node being processed.
  * @param {Array<object>} allProcessedNodes - Array of all previously processed nodes. Each object
  * MUST have 'id', 'nodeName' (used as sqlAlias), 'nodes' (schema), and 'nextNodes' (assumed array of strings).
- * @returns {string} - The generated SQL query (SELECT ... FROM ... WHERE ...).
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult) with a
+ * SELECT ... FROM ... WHERE ... query.
  */
 export function convertRowFilterNodeToSQL(
   nodeConfigJson,
   currentNodeId,
-  allProcessedNodes
+  allProcessedNodes,
+  dialect = getDialect()
 ) {
   if (currentNodeId === undefined || currentNodeId === null) {
-    console.error(
-      "convertRowFilterNodeToSQL: currentNodeId parameter is missing.",
-      nodeConfigJson
+    return conversionError(
+      "Node ID was not provided to the conversion function."
     );
-    return "Error: Node ID was not provided to the conversion function.";
   }
 
   const factory = getEntryValue(nodeConfigJson?.entry, "factory");
   const ROWFILTER_FACTORY =
     "org.knime.base.node.preproc.filter.row3.RowFilterNodeFactory";
   if (factory !== ROWFILTER_FACTORY) {
-    return `Error: Expected Row Filter node factory (${ROWFILTER_FACTORY}), but got ${
-      factory || "N/A"
-    }.`;
+    return conversionError(
+      `Expected Row Filter node factory (${ROWFILTER_FACTORY}), but got ${
+        factory || "N/A"
+      }.`
+    );
   }
 
   const modelNode = findConfigByKey(nodeConfigJson.config, "model");
   if (!modelNode) {
-    return `Error: Node ${currentNodeId} (RowFilter): Model configuration not found.`;
+    return conversionError("Model configuration not found.");
   }
 
   // --- Get Predecessor Details ---
@@ -162,61 +493,119 @@ export function convertRowFilterNodeToSQL(
     allProcessedNodes
   );
   if (!predecessor) {
-    return `Error: Node ${currentNodeId} (RowFilter): Could not find valid predecessor details. Check console warnings and workflow parsing / 'allProcessedNodes' structure (expecting 'nodeName' as sqlAlias, 'nodes' as schema, and string IDs in 'nextNodes').`;
+    return conversionError(
+      "Could not find valid predecessor details. Check the workflow connections of the node."
+    );
   }
 
   // --- Parse Filter Logic ---
-  const matchCriteria = getEntryValue(modelNode.entry, "matchCriteria"); // AND or OR
-  const outputMode = getEntryValue(modelNode.entry, "outputMode"); // MATCHING or NON_MATCHING
+  const matchCriteria =
+    getEntryValue(modelNode.entry, "matchCriteria") === "OR" ? "OR" : "AND";
+  // MATCHING/NON_MATCHING (older settings: INCLUDE/EXCLUDE)
+  const outputMode = getEntryValue(modelNode.entry, "outputMode");
+  const excludeMatches = ["NON_MATCHING", "EXCLUDE"].includes(outputMode);
+  if (!excludeMatches && !["MATCHING", "INCLUDE", null].includes(outputMode)) {
+    return conversionError(`Unsupported outputMode: ${outputMode}`);
+  }
   const predicatesNode = findConfigByKey(modelNode.config, "predicates");
   const sqlConditions = [];
+  const warnings = [];
+
+  const predicateConfigs = !predicatesNode?.config
+    ? []
+    : Array.isArray(predicatesNode.config)
+    ? predicatesNode.config
+    : [predicatesNode.config];
+  const quotedPredecessorName = dialect.quoteIdentifier(predecessor.sqlAlias);
 
-  if (predicatesNode && predicatesNode.config) {
-    const predicateConfigs = Array.isArray(predicatesNode.config)
-      ? predicatesNode.config
-      : [predicatesNode.config];
-    console.log(predicateConfigs, "predicateConfigs");
-    predicateConfigs.forEach((conf) => {
-      // Call the corrected translatePredicateToSQL
-      const sqlCondition = translatePredicateToSQL(conf);
-      if (sqlCondition) {
-        sqlConditions.push(`(${sqlCondition})`);
-      } else {
-        // Log warning and use fallback ONLY if translation failed for a specific reason
-        console.warn(
-          `Node ${currentNodeId} (RowFilter): Failed to translate predicate (check details above):`,
-          conf
-        );
-        // Consider if '1=1' is the right fallback or if an error should be thrown
-        sqlConditions.push("1 = 1"); // Fallback to TRUE (no filter for this condition)
-      }
+  // Row numbers and RowIDs depend on the order of the input rows
+  const predicateColumns = predicateConfigs.map(
+    (conf) => getPredicateSettings(conf).columnName
+  );
+  const usesRowNumbers = predicateColumns.some(
+    (name) => name === ROW_NUMBERS_COLUMN || name === ROW_ID_COLUMN
+  );
+  if (usesRowNumbers) {
+    warnings.push(
+      "Row numbers and RowIDs follow the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order."
+    );
+  }
+  if (predicateColumns.includes(ROW_ID_COLUMN)) {
+    warnings.push(
+      'RowIDs are generated as "Row0", "Row1", ... like the KNIME readers assign them; RowIDs set by other nodes differ.'
+    );
+  }
+
+  // A range of row numbers is a plain LIMIT/OFFSET
+  const rowNumberRange =
+    !excludeMatches &&
+    (matchCriteria === "AND" || predicateConfigs.length === 1)
+      ? getRowNumberRange(predicateConfigs)
+      : null;
+  if (rowNumberRange) {
+    const { from, to } = rowNumberRange;
+    return createConversionResult({
+      sql: `SELECT *\nFROM ${quotedPredecessorName}\n${dialect.limitOffset(
+        to - from + 1,
+        from - 1
+      )};`,
+      columns: [...predecessor.columns],
+      warnings,
+      approximate: true,
     });
   }
 
+  predicateConfigs.forEach((conf) => {
+    const sqlCondition = translatePredicateToSQL(
+      conf,
+      predecessor.schema,
+      dialect,
+      warnings,
+      excludeMatches
+    );
+    if (sqlCondition) {
+      sqlConditions.push(`(${sqlCondition})`);
+    } else {
+      // The warning was collected by translatePredicateToSQL. The ignored condition
+      // is neutral: true in an AND, false in an OR combination.
+      sqlConditions.push(matchCriteria === "OR" ? "1 = 0" : "1 = 1");
+    }
+  });
+
   if (sqlConditions.length === 0) {
-    return `SELECT * FROM "${predecessor.sqlAlias.replace(
-      /"/g,
-      '""'
-    )}"; -- Node ID: ${currentNodeId} (RowFilter - No valid conditions found)`;
+    return createConversionResult({
+      sql: `SELECT * FROM ${dialect.quoteIdentifier(
+        predecessor.sqlAlias
+      )}; -- Node ID: ${currentNodeId} (RowFilter - No valid conditions found)`,
+      columns: [...predecessor.columns],
+      warnings: [...warnings, "No filter conditions found; all rows are kept."],
+      approximate: true,
+    });
   }
 
   const combinedConditions = sqlConditions.join(` ${matchCriteria} `);
-  let whereClause = "";
-  if (outputMode === "MATCHING") {
-    whereClause = combinedConditions;
-  } else if (outputMode === "NON_MATCHING") {
-    whereClause = `NOT (${combinedConditions})`;
-  } else {
-    return `Error: Node ${currentNodeId} (RowFilter): Unsupported outputMode: ${outputMode}`;
-  }
+  const whereClause = excludeMatches
+    ? `NOT (${combinedConditions})`
+    : combinedConditions;
 
   // --- Assemble Final Query ---
-  const quotedPredecessorName = `"${predecessor.sqlAlias.replace(/"/g, '""')}"`;
-  const sqlQuery = `
+  if (!usesRowNumbers) {
+    const sqlQuery = `
 SELECT *
 FROM ${quotedPredecessorName}
 WHERE ${whereClause};
 `;
+    return createConversionResult({
+      sql: sqlQuery.trim(),
+      columns: [...predecessor.columns],
+      warnings,
+      approximate: warnings.length > 0, // Unsupported conditions were ignored
+    });
+  }
 
-  return sqlQuery.trim();
+  return createConversionResult({
+    ...filterNumberedRows(predecessor, whereClause, dialect, warnings),
+    warnings,
+    approximate: true, // The row order is not guaranteed
+  });
 }
@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const ROW_FILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.row3.RowFilterNodeFactory";
+
+const value = (data, type, caseMatching) => ({
+  typeIdentifier: { cell_class: type },
+  value: { value: data },
+  ...(caseMatching ? { stringCaseMatchingSettings: { caseMatching } } : {}),
+});
+
+const predicate = (column, operator, ...values) => ({
+  column: { selected: column },
+  operator,
+  predicateValues: { values: { ...values } },
+});
+
+const rowFilter = (outputMode, matchCriteria, predicates) =>
+  knimeNode(ROW_FILTER_FACTORY, {
+    matchCriteria,
+    outputMode,
+    predicates: { ...predicates },
+  });
+
+const reader = csvReader([
+  ["name", KNIME_TYPES.STRING],
+  ["amount", KNIME_TYPES.DOUBLE],
+  ["qty", KNIME_TYPES.INT],
+  ["ok", KNIME_TYPES.BOOLEAN],
+  ["day", KNIME_TYPES.LOCAL_DATE],
+]);
+
+const analyzeRowFilter = (node) =>
+  analyzeTestWorkflow({ 1: reader, 2: node }, [[1, 2]]);
+
+describe("convertRowFilterNodeToSQL", () => {
+  it("translates the operators with typed values", async () => {
+    const analysis = await analyzeRowFilter(
+      rowFilter("MATCHING", "AND", [
+        predicate(
+          "name",
+          "EQ",
+          value("Ann", KNIME_TYPES.STRING, "CASEINSENSITIVE")
+        ),
+        predicate("amount", "GT", value(10.5, KNIME_TYPES.DOUBLE)),
+        predicate(
+          "qty",
+          "BETWEEN",
+          value(1, KNIME_TYPES.INT),
+          value(5, KNIME_TYPES.INT)
+        ),
+        predicate(
+          "name",
+          "WILDCARD",
+          value("A*_x?", KNIME_TYPES.STRING, "CASESENSITIVE")
+        ),
+        predicate(
+          "name",
+          "REGEX",
+          value("[A-Z]+\\d", KNIME_TYPES.STRING, "CASEINSENSITIVE")
+        ),
+        predicate("ok", "IS_TRUE"),
+        predicate("day", "GTE", value("2024-01-01", KNIME_TYPES.LOCAL_DATE)),
+        predicate("qty", "NEQ_MISS", value(3, KNIME_TYPES.INT)),
+      ])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("keeps missing values when the matches are excluded", async () => {
+    const analysis = await analyzeRowFilter(
+      rowFilter("NON_MATCHING", "OR", [
+        predicate("name", "EQ", value("Bob", KNIME_TYPES.STRING)),
+        predicate("ok", "IS_FALSE"),
+        predicate("qty", "IS_MISSING"),
+      ])
+    );
+    expect(convertNode(analysis, 2).sql).toBe(
+      `SELECT *
+FROM "Node_1"
+WHERE NOT (("name" IS NOT NULL AND "name" = 'Bob') OR ("ok" IS NOT NULL AND "ok" = FALSE) OR ("qty" IS NULL));`
+    );
+  });
+
+  it("ignores conditions it cannot translate as neutral terms", async () => {
+    const analysis = await analyzeRowFilter(
+      rowFilter("MATCHING", "OR", [
+        predicate("qty", "LT", value(2, KNIME_TYPES.INT)),
+        predicate("name", "UNKNOWN_OPERATOR", value("x", KNIME_TYPES.STRING)),
+        predicate("amount", "BETWEEN", value(1, KNIME_TYPES.DOUBLE)),
+      ])
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBe(
+      `SELECT *
+FROM "Node_1"
+WHERE ("qty" < 2) OR 1 = 0 OR 1 = 0;`
+    );
+    expect(result.approximate).toBe(true);
+    expect(result.warnings).toEqual([
+      "Unsupported Row Filter operator UNKNOWN_OPERATOR on column name; the condition is ignored.",
+      "Row Filter operator BETWEEN on column amount needs 2 value(s); the condition is ignored.",
+    ]);
+  });
+
+  it("turns a range of row numbers into LIMIT/OFFSET", async () => {
+    const analysis = await analyzeRowFilter(
+      rowFilter("MATCHING", "AND", [
+        predicate("<row-numbers>", "GTE", value(5, KNIME_TYPES.LONG)),
+        predicate("<row-numbers>", "LTE", value(8, KNIME_TYPES.LONG)),
+      ])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("numbers the rows to match row numbers and RowIDs otherwise", async () => {
+    const analysis = await analyzeRowFilter(
+      rowFilter("NON_MATCHING", "OR", [
+        predicate("<row-numbers>", "LAST_N_ROWS", value(3, KNIME_TYPES.LONG)),
+        predicate(
+          "<row-keys>",
+          "WILDCARD",
+          value("Row1*", KNIME_TYPES.STRING, "CASESENSITIVE")
+        ),
+      ])
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2)).toMatchObject({
+      approximate: true,
+      columns: ["name", "amount", "qty", "ok", "day"],
+    });
+  });
+});
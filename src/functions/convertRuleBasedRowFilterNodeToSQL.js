@@ -0,0 +1,130 @@
+// src/functions/convertRuleBasedRowFilterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import { conversionError, createConversionResult } from "./conversionResult";
+import { findSinglePredecessorDetails } from "./convertRowFilterNodeToSQL";
+import { parseKnimeRuleToSQLParts } from "./convertRuleEngineNodeToSQL";
+import { RuleSyntaxError, isRuleComment } from "./parseKnimeRule";
+
+const RULE_FILTER_FACTORY =
+  "org.knime.base.node.rules.engine.RuleEngineFilterNodeFactory";
+
+/**
+ * Converts a KNIME Rule-based Row Filter node configuration to an SQL query. As in the
+ * Rule Engine, the first rule whose condition holds decides: a row matches if that
+ * rule's outcome is TRUE. Rows without a matching rule do not match. Matching rows are
+ * kept, or removed if the node is set to exclude them.
+ *
+ * @param {object} nodeConfigJson - The node configuration JSON object from settings.xml.
+ * @param {string | number} currentNodeId - The unique ID of the node.
+ * @param {Array<object>} allProcessedNodes - Array of all previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertRuleBasedRowFilterNodeToSQL(
+  nodeConfigJson,
+  currentNodeId,
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeConfigJson?.entry, "factory");
+  if (factory !== RULE_FILTER_FACTORY) {
+    return conversionError(
+      `Expected Rule-based Row Filter node factory, but got ${
+        factory || "N/A"
+      }.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeConfigJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found.");
+  }
+
+  const predecessor = findSinglePredecessorDetails(
+    currentNodeId,
+    allProcessedNodes
+  );
+  if (!predecessor) {
+    return conversionError(
+      "Could not find valid predecessor details. Check the workflow connections of the node."
+    );
+  }
+
+  const ruleStrings = getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "rules")
+  );
+  const include = getEntryValue(modelNode.entry, "include") !== false;
+
+  const parsedRules = [];
+  const errors = [];
+  ruleStrings.forEach((ruleStr, index) => {
+    if (isRuleComment(ruleStr)) return; // Blank lines and // comments are not rules
+    try {
+      const parsed = parseKnimeRuleToSQLParts(ruleStr, dialect, index + 1);
+      if (parsed.outcome.type !== "boolean") {
+        throw new RuleSyntaxError(
+          `Rule outcome must be TRUE or FALSE, found ${parsed.resultStr}.`,
+          parsed.outcome.line,
+          parsed.outcome.column
+        );
+      }
+      parsedRules.push({ ...parsed, matches: parsed.outcome.value });
+    } catch (error) {
+      if (!(error instanceof RuleSyntaxError)) throw error;
+      errors.push(error.message);
+    }
+  });
+  if (errors.length > 0) {
+    return createConversionResult({ errors });
+  }
+
+  const quotedPredecessorName = dialect.quoteIdentifier(predecessor.sqlAlias);
+  if (parsedRules.length === 0) {
+    // Without rules no row matches
+    return createConversionResult({
+      sql: include
+        ? `SELECT *\nFROM ${quotedPredecessorName}\nWHERE 1 = 0;`
+        : `SELECT * FROM ${quotedPredecessorName};`,
+      columns: [...predecessor.columns],
+      warnings: ["No rules found."],
+    });
+  }
+
+  // Rules after the first default rule (TRUE => ...) are never reached
+  const defaultIndex = parsedRules.findIndex((rule) => rule.isDefault);
+  const reachableRules =
+    defaultIndex >= 0 ? parsedRules.slice(0, defaultIndex + 1) : parsedRules;
+
+  let whereClause;
+  if (include && reachableRules.every((rule) => rule.matches)) {
+    // Only TRUE outcomes: a row matches if any condition holds
+    whereClause = reachableRules.some((rule) => rule.isDefault)
+      ? "1 = 1"
+      : reachableRules.map((rule) => `(${rule.conditionSQL})`).join(" OR ");
+  } else {
+    // The first rule that holds decides; the CASE is never NULL, so it can be negated
+    const clauses = reachableRules.map((rule) =>
+      rule.isDefault
+        ? `ELSE ${rule.matches ? 1 : 0}`
+        : `WHEN ${rule.conditionSQL} THEN ${rule.matches ? 1 : 0}`
+    );
+    if (defaultIndex < 0) clauses.push("ELSE 0");
+    whereClause = `CASE\n    ${clauses.join("\n    ")}\n  END = ${
+      include ? 1 : 0
+    }`;
+  }
+
+  const sqlQuery = `
+SELECT *
+FROM ${quotedPredecessorName}
+WHERE ${whereClause};
+`;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: [...predecessor.columns],
+  });
+}
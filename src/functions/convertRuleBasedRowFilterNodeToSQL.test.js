@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const RULE_FILTER_FACTORY =
+  "org.knime.base.node.rules.engine.RuleEngineFilterNodeFactory";
+
+const analyzeRuleFilter = (rules, include) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: knimeNode(
+        RULE_FILTER_FACTORY,
+        { rules, include },
+        { name: "Rule-based Row Filter" }
+      ),
+    },
+    [[1, 2]]
+  );
+
+describe("convertRuleBasedRowFilterNodeToSQL", () => {
+  it("keeps the rows whose first matching rule is TRUE", async () => {
+    const analysis = await analyzeRuleFilter(
+      ["// keep Ann", '$name$ = "Ann" => TRUE', "$qty$ = 3 => TRUE"],
+      true
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("removes the matching rows in exclude mode", async () => {
+    const analysis = await analyzeRuleFilter(
+      ['$name$ = "Bob" => FALSE', "$qty$ = 3 => TRUE", "TRUE => FALSE"],
+      false
+    );
+    expect(convertNode(analysis, 2).sql).toMatchSnapshot();
+  });
+});
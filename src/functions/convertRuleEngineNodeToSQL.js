@@ -1,169 +1,90 @@
 // src/functions/convertRuleEngineNodeToSQL.js
 
-// Assume these helper functions are correctly imported or defined elsewhere
-// import { findConfigByKey } from "../common/findConfigByKey";
-// import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
-// import { getEntryValue } from "../common/getEntryValue";
-
-// --- Mock/Example Helper Functions (Replace with your actual imports) ---
-// Mock implementation for demonstration if imports are not set up
-const findConfigByKey = (config, key) => {
-  if (!config) return null;
-  if (Array.isArray(config)) {
-    return config.find(
-      (node) => node._attributes && node._attributes.key === key
-    );
-  } else if (config._attributes && config._attributes.key === key) {
-    return config;
-  }
-  // Look in nested config if top-level isn't an array and doesn't match
-  if (config.config) {
-    return findConfigByKey(config.config, key);
-  }
-  return null;
-};
-
-const getArrayValuesFromConfig = (entryArray, keyPrefix = "") => {
-  if (!entryArray) return [];
-  const entries = Array.isArray(entryArray) ? entryArray : [entryArray];
-  const values = [];
-  entries.forEach((entry) => {
-    if (
-      entry &&
-      entry._attributes &&
-      entry._attributes.key !== "array-size" &&
-      entry._attributes.key.startsWith(keyPrefix)
-    ) {
-      values.push(entry._attributes.value);
-    }
-  });
-  return values;
-};
-
-const getEntryValue = (entryArray, key) => {
-  if (!entryArray) return "";
-  const entries = Array.isArray(entryArray) ? entryArray : [entryArray];
-  const entry = entries.find(
-    (e) => e && e._attributes && e._attributes.key === key
-  );
-  return entry?._attributes?.value || "";
-};
-// --- End Mock Helper Functions ---
-
-/**
- * Finds the direct predecessor node(s) for a given node ID from a list of processed nodes.
- * @param {number} currentNodeId - The ID of the current node.
- * @param {Array<object>} allProcessedNodes - An array of node objects that have already been processed.
- * @returns {Array<object>} - An array of predecessor node objects.
- */
-const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
-  // Ensure allProcessedNodes is an array before filtering
-  if (!Array.isArray(allProcessedNodes)) return [];
-  // Filter nodes that list currentNodeId in their nextNodes array
-  return allProcessedNodes.filter(
-    (node) =>
-      node && // Check if node exists
-      Array.isArray(node.nextNodes) && // Check if nextNodes is an array
-      node.nextNodes.includes(currentNodeId) // Check if currentNodeId is included
-  );
-};
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import {
+  findSchemaColumn,
+  getCommonType,
+  getNodeSchema,
+  getTypeLabel,
+  isNumericType,
+  isStringType,
+} from "./columnSchema";
+import {
+  RuleSyntaxError,
+  getRuleValueType,
+  isRuleComment,
+  parseRule,
+  ruleConditionToSQL,
+  ruleUsesRowVariables,
+  ruleValueToSQL,
+} from "./parseKnimeRule";
+import { conversionError, createConversionResult } from "./conversionResult";
 
 /**
- * Parses a KNIME expression snippet used in Rule Engine conditions or results.
- * Handles: $ColumnName$, "String Literal", NumericLiteral, TRUE
- * Limited support for operators, currently handles '=' comparison.
- * @param {string} expression - The KNIME expression snippet.
- * @returns {string} - The SQL equivalent snippet or an error string.
+ * Parses a single KNIME rule (CONDITION => RESULT) into SQL parts.
+ * @param {string} ruleString - The rule string, e.g., "$State$ = \"CA\" => \"California\"".
+ * @param {object} dialect - The target SQL dialect.
+ * @param {number} [line=1] - The line of the rule, for error positions.
+ * @param {object} [options={}] - Conversion options (see ruleValueToSQL).
+ * @returns {object} - Object with { conditionStr, resultStr, conditionSQL, resultSQL,
+ * isDefault, condition, outcome }; condition and outcome are the syntax trees.
+ * @throws {RuleSyntaxError} - If the rule is not valid or cannot be converted.
  */
-function parseKnimeRuleExpressionToSQL(expression) {
-  const trimmedExpr = expression.trim();
-
-  // Handle TRUE keyword (case-insensitive)
-  if (trimmedExpr.toUpperCase() === "TRUE") {
-    return "TRUE"; // Special value handled later for ELSE clause
-  }
-
-  // Handle simple equality comparison: $Column$ = "Value" or $Col$ = 123
-  const equalityRegex = /^\$(.+?)\$\s*=\s*(.*)$/; // Regex to capture column name and value part
-  const equalityMatch = trimmedExpr.match(equalityRegex);
-  if (equalityMatch) {
-    const columnName = equalityMatch[1].trim().replace(/""/g, '"'); // Extract column name, handle escaped quotes
-    const valuePart = equalityMatch[2].trim(); // Extract the value part
-    // Parse the value part recursively to handle literals or other columns
-    const sqlValue = parseKnimeRuleExpressionToSQL(valuePart);
-    // If parsing the value part resulted in an error, propagate it
-    if (sqlValue.startsWith("Error:")) return sqlValue;
-    // Construct the SQL equality expression, quoting the column name
-    return `"${columnName.replace(/"/g, '""')}" = ${sqlValue}`;
-  }
-
-  // Handle column reference: $ColumnName$
-  const columnRefRegex = /^\$(.+?)\$$/; // Regex to capture column name within $...$
-  const columnRefMatch = trimmedExpr.match(columnRefRegex);
-  if (columnRefMatch) {
-    const columnName = columnRefMatch[1].trim().replace(/""/g, '"'); // Extract column name
-    // Return the SQL-quoted column name
-    return `"${columnName.replace(/"/g, '""')}"`;
-  }
-
-  // Handle string literal: "Value"
-  const stringLiteralRegex = /^"((?:\\"|[^"])*)"$/; // Regex to capture content within "...", handling escaped \"
-  const stringLiteralMatch = trimmedExpr.match(stringLiteralRegex);
-  if (stringLiteralMatch) {
-    const literalValue = stringLiteralMatch[1].replace(/\\"/g, '"'); // Unescape KNIME's \" to "
-    // Return SQL single-quoted string, escaping internal single quotes ' -> ''
-    return `'${literalValue.replace(/'/g, "''")}'`;
-  }
-
-  // Handle numeric literal (integer or decimal)
-  const numericLiteralRegex = /^[+-]?\d+(\.\d+)?$/;
-  if (numericLiteralRegex.test(trimmedExpr)) {
-    return trimmedExpr; // Return numeric literals as they are
-  }
-
-  // Placeholder comment: Add parsing for more operators (LIKE, IN, >, <, AND, OR) here if needed
-
-  // If none of the above patterns match, return an error
-  return `Error: Unsupported expression syntax: "${trimmedExpr}"`;
+export function parseKnimeRuleToSQLParts(
+  ruleString,
+  dialect,
+  line = 1,
+  options = {}
+) {
+  const { condition, outcome } = parseRule(ruleString, line);
+  return {
+    conditionStr: condition.text,
+    resultStr: outcome.text,
+    conditionSQL: ruleConditionToSQL(condition, dialect, options),
+    resultSQL: ruleValueToSQL(outcome, dialect, options),
+    // A rule with the condition TRUE matches all remaining rows
+    isDefault: condition.type === "boolean" && condition.value,
+    condition,
+    outcome,
+  };
 }
 
 /**
- * Parses a single KNIME rule string (CONDITION => RESULT) into SQL parts.
- * @param {string} ruleString - The rule string, e.g., "$State$ = \"CA\" => \"California\"".
- * @returns {object|null} - Object with { conditionSQL, resultSQL, isDefault } or null if parsing fails.
+ * Lists the comparisons of a rule condition that compare a numeric column with a
+ * string value or a string column with a numeric value.
+ * @param {object} condition - The condition syntax tree.
+ * @param {Array<object>} inputSchema - The typed input columns.
+ * @returns {string[]} - A warning per mismatching comparison.
  */
-function parseKnimeRuleToSQLParts(ruleString) {
-  // Split the rule string by the '=>' delimiter
-  const parts = ruleString.split("=>");
-  // A valid rule must have exactly two parts (condition and result)
-  if (parts.length !== 2) {
-    console.error(
-      `Invalid rule format (missing or too many '=>'): "${ruleString}"`
+function getConditionTypeWarnings(condition, inputSchema) {
+  if (condition.type === "logical") {
+    return [condition.left, condition.right].flatMap((child) =>
+      getConditionTypeWarnings(child, inputSchema)
     );
-    return null; // Indicate failure
   }
-
-  // Trim whitespace from condition and result strings
-  const conditionStr = parts[0].trim();
-  const resultStr = parts[1].trim();
-
-  // Parse the condition and result strings into SQL snippets
-  const conditionSQL = parseKnimeRuleExpressionToSQL(conditionStr);
-  const resultSQL = parseKnimeRuleExpressionToSQL(resultStr);
-
-  // Check if either parsing step resulted in an error
-  if (conditionSQL.startsWith("Error:") || resultSQL.startsWith("Error:")) {
-    console.error(
-      `Error parsing rule "${ruleString}": Condition Error: ${conditionSQL}, Result Error: ${resultSQL}`
-    );
-    return null; // Indicate failure
+  if (condition.type === "not") {
+    return getConditionTypeWarnings(condition.operand, inputSchema);
   }
-
-  // Determine if this is the default rule (condition is TRUE)
-  const isDefault = conditionSQL === "TRUE";
-
-  // Return the parsed SQL parts and default status
-  return { conditionSQL, resultSQL, isDefault };
+  if (condition.type !== "comparison" || condition.left.type !== "column") {
+    return [];
+  }
+  const columnType = findSchemaColumn(inputSchema, condition.left.value)?.type;
+  const valueType = getRuleValueType(condition.right, inputSchema);
+  if (
+    (isNumericType(columnType) && isStringType(valueType)) ||
+    (isStringType(columnType) && isNumericType(valueType))
+  ) {
+    return [
+      `${condition.text} compares a ${getTypeLabel(
+        columnType
+      )} column with a ${getTypeLabel(valueType)} value.`,
+    ];
+  }
+  return [];
 }
 
 /**
@@ -175,229 +96,284 @@ function parseKnimeRuleToSQLParts(ruleString) {
  * @param {string} previousNodeName - The name of the table/view providing input to this node.
  * @param {Array<object>} allProcessedNodes - Array of all previously processed node objects in the workflow,
  * used to determine input columns for the current node.
- * @returns {string} - The generated SQL query string, or an error message string starting with '-- Error:'.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertRuleEngineNodeToSQL(
   nodeSettingsJson,
   currentNodeId,
   previousNodeName = "input_table", // Default input table name if not specified
-  allProcessedNodes // Context of previously processed nodes is required
+  allProcessedNodes, // Context of previously processed nodes is required
+  dialect = getDialect()
 ) {
-  try {
-    // 1. Verify Node Type: Ensure the factory attribute matches the Rule Engine node factory.
-    const factory = getEntryValue(nodeSettingsJson.entry, "factory");
-    const RULE_ENGINE_FACTORY =
-      "org.knime.base.node.rules.engine.RuleEngineNodeFactory";
-    if (factory !== RULE_ENGINE_FACTORY) {
-      // Return an error comment and default query if the node type is incorrect
-      return `-- Error: Expected Rule Engine node factory, but got ${
-        factory || "N/A"
-      }.\nSELECT * FROM "${previousNodeName.replace(/"/g, '""')}";`;
-    }
+  // 1. Verify Node Type: Ensure the factory attribute matches the Rule Engine node factory.
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  const RULE_ENGINE_FACTORY =
+    "org.knime.base.node.rules.engine.RuleEngineNodeFactory";
+  if (factory !== RULE_ENGINE_FACTORY) {
+    return conversionError(
+      `Expected Rule Engine node factory, but got ${factory || "N/A"}.`
+    );
+  }
 
-    // 2. Locate Model Configuration and Extract Settings: Find the 'model' config and get rules, output mode, etc.
-    const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
-    // Check if modelNode exists and contains necessary sub-configurations or entries
-    if (!modelNode || (!modelNode.config && !modelNode.entry)) {
-      return `-- Error: Model configuration not found or invalid in Rule Engine node.\nSELECT * FROM "${previousNodeName.replace(
-        /"/g,
-        '""'
-      )}";`;
-    }
+  // 2. Locate Model Configuration and Extract Settings: Find the 'model' config and get rules, output mode, etc.
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  // Check if modelNode exists and contains necessary sub-configurations or entries
+  if (!modelNode || (!modelNode.config && !modelNode.entry)) {
+    return conversionError(
+      "Model configuration not found or invalid in Rule Engine node."
+    );
+  }
 
-    const rulesConfig = findConfigByKey(modelNode.config, "rules");
-    // Extract the array of rule strings from the configuration
-    const ruleStrings =
-      rulesConfig && rulesConfig.entry
-        ? getArrayValuesFromConfig(rulesConfig.entry, "")
-        : [];
+  // Extract the array of rule strings from the configuration
+  const ruleStrings = getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "rules")
+  );
 
-    // If no rules are defined, there's nothing to convert, return SELECT *
-    if (ruleStrings.length === 0) {
-      return `-- Warning: No rules found in Rule Engine node ${currentNodeId}. Returning SELECT *.\nSELECT * FROM "${previousNodeName.replace(
-        /"/g,
-        '""'
-      )}";`;
-    }
+  // If no rules are defined, there's nothing to convert, return SELECT *
+  if (ruleStrings.length === 0) {
+    return createConversionResult({
+      sql: `SELECT * FROM ${dialect.quoteIdentifier(previousNodeName)};`,
+      warnings: ["No rules found; the input is passed on."],
+      approximate: true,
+    });
+  }
 
-    // Determine operation mode: append new column or replace existing one
-    const appendColumn =
-      getEntryValue(modelNode.entry, "append-column") === "true";
-    const newColumnName = getEntryValue(modelNode.entry, "new-column-name"); // Name for the new column if appending
-    const replaceColumnName = getEntryValue(
-      modelNode.entry,
-      "replace-column-name"
-    ); // Name of the column to replace if not appending
+  // Determine operation mode: append new column or replace existing one
+  const appendColumn = getEntryValue(modelNode.entry, "append-column") === true;
+  const newColumnName = getEntryValue(modelNode.entry, "new-column-name"); // Name for the new column if appending
+  const replaceColumnName = getEntryValue(
+    modelNode.entry,
+    "replace-column-name"
+  ); // Name of the column to replace if not appending
+
+  let outputColumnAlias = ""; // This will be the SQL alias for the generated CASE statement
+  if (appendColumn) {
+    // If appending, check if the new column name is provided
+    if (!newColumnName)
+      return conversionError(
+        "Rule Engine is set to append, but 'new-column-name' is missing."
+      );
+    // Set the alias, ensuring it's quoted for SQL
+    outputColumnAlias = dialect.quoteIdentifier(newColumnName);
+  } else {
+    // **** THIS LOGIC HANDLES THE REPLACE SCENARIO ****
+    // If replacing, check if the column name to replace is provided
+    if (!replaceColumnName)
+      return conversionError(
+        "Rule Engine is set to replace, but 'replace-column-name' is missing."
+      );
+    // Set the alias to the name of the column being replaced, ensuring it's quoted
+    outputColumnAlias = dialect.quoteIdentifier(replaceColumnName);
+  }
 
-    let outputColumnAlias = ""; // This will be the SQL alias for the generated CASE statement
-    if (appendColumn) {
-      // If appending, check if the new column name is provided
-      if (!newColumnName)
-        return "-- Error: Rule Engine is set to append, but 'new-column-name' is missing.";
-      // Set the alias, ensuring it's quoted for SQL
-      outputColumnAlias = `"${newColumnName.replace(/"/g, '""')}"`;
-    } else {
-      // **** THIS LOGIC HANDLES THE REPLACE SCENARIO ****
-      // If replacing, check if the column name to replace is provided
-      if (!replaceColumnName)
-        return "-- Error: Rule Engine is set to replace, but 'replace-column-name' is missing.";
-      // Set the alias to the name of the column being replaced, ensuring it's quoted
-      outputColumnAlias = `"${replaceColumnName.replace(/"/g, '""')}"`;
-    }
+  // 3. Determine Input Columns: Find the predecessor node(s) to get the list of input columns.
+  // This is crucial for constructing the SELECT list correctly, especially when replacing a column.
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  let inputColumnNames = []; // Initialize empty array for input column names
+  let inputSchema = []; // Typed input columns, used to check the rule types
+  const warnings = [];
+  let approximate = false;
+  if (predecessors.length === 0) {
+    // Warn if no predecessors are found (input schema unknown)
+    warnings.push(
+      `No predecessors found. Input column list unknown. SELECT * will be used if appending, but replacing might be inaccurate.`
+    );
+  } else if (predecessors.length > 1) {
+    // Warn if multiple predecessors are found (using the first one)
+    warnings.push(
+      `Multiple predecessors found. Using columns from the first one: ${predecessors[0].id}.`
+    );
+    inputColumnNames = predecessors[0].nodes || []; // Get columns from the first predecessor
+    inputSchema = getNodeSchema(predecessors[0]);
+  } else {
+    // Get columns from the single predecessor
+    inputColumnNames = predecessors[0].nodes || [];
+    inputSchema = getNodeSchema(predecessors[0]);
+  }
 
-    // 3. Determine Input Columns: Find the predecessor node(s) to get the list of input columns.
-    // This is crucial for constructing the SELECT list correctly, especially when replacing a column.
-    const predecessors = findPredecessorNodes(currentNodeId, allProcessedNodes);
-    let inputColumnNames = []; // Initialize empty array for input column names
-    if (predecessors.length === 0) {
-      // Log a warning if no predecessors are found (input schema unknown)
-      console.warn(
-        `Node ${currentNodeId} (Rule Engine): No predecessors found. Input column list unknown. SELECT * will be used if appending, but replacing might be inaccurate.`
+  // 4. Parse Rules and Build SQL CASE Statement: Convert each KNIME rule into a part of the CASE statement.
+  let caseClauses = []; // Array to store "WHEN condition THEN result" parts
+  let elseClause = null; // Variable to store the "ELSE result" part
+  let parseErrors = []; // Array to collect any errors encountered during rule parsing
+
+  const parsedRules = [];
+  ruleStrings.forEach((ruleStr, index) => {
+    if (isRuleComment(ruleStr)) return; // Blank lines and // comments are not rules
+    try {
+      // Row variables become window functions over the input rows
+      parsedRules.push(
+        parseKnimeRuleToSQLParts(ruleStr, dialect, index + 1, {
+          allowRowVariables: true,
+        })
       );
-    } else if (predecessors.length > 1) {
-      // Log a warning if multiple predecessors are found (using the first one)
-      console.warn(
-        `Node ${currentNodeId} (Rule Engine): Multiple predecessors found. Using columns from the first one: ${predecessors[0].id}.`
-      );
-      inputColumnNames = predecessors[0].nodes || []; // Get columns from the first predecessor
-    } else {
-      // Get columns from the single predecessor
-      inputColumnNames = predecessors[0].nodes || [];
+    } catch (error) {
+      if (!(error instanceof RuleSyntaxError)) throw error;
+      // If parsing failed, add the positioned error message to the collection
+      parseErrors.push(error.message);
     }
+  });
 
-    // 4. Parse Rules and Build SQL CASE Statement: Convert each KNIME rule into a part of the CASE statement.
-    let caseClauses = []; // Array to store "WHEN condition THEN result" parts
-    let elseClause = null; // Variable to store the "ELSE result" part
-    let parseErrors = []; // Array to collect any errors encountered during rule parsing
+  if (
+    parsedRules.some(
+      (parsed) =>
+        ruleUsesRowVariables(parsed.condition) ||
+        ruleUsesRowVariables(parsed.outcome)
+    )
+  ) {
+    approximate = true;
+    warnings.push(
+      "$$ROWINDEX$$ and $$ROWID$$ follow the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order."
+    );
+  }
 
-    ruleStrings.forEach((ruleStr) => {
-      const parsed = parseKnimeRuleToSQLParts(ruleStr); // Attempt to parse the rule
-      if (parsed) {
-        // If parsing succeeded
-        if (parsed.isDefault) {
-          // Check if it's the default rule (condition is TRUE)
-          // Handle multiple default rules (use the last one found)
-          if (elseClause)
-            console.warn(
-              `Rule Engine Node ${currentNodeId}: Multiple default (TRUE => ...) rules found. Using the last one.`
-            );
-          // Set the ELSE clause using the parsed result SQL
-          elseClause = `ELSE ${parsed.resultSQL}`;
-        } else {
-          // Add the standard "WHEN condition THEN result" clause
-          caseClauses.push(
-            `WHEN ${parsed.conditionSQL} THEN ${parsed.resultSQL}`
-          );
-        }
-      } else {
-        // If parsing failed, add an error message to the collection
-        parseErrors.push(`Failed to parse rule: "${ruleStr}"`);
+  // Outcomes of different types (e.g. strings and numbers) are cast to a common type,
+  // as KNIME gives the output column a single type.
+  warnings.push(
+    ...parsedRules.flatMap((parsed) =>
+      getConditionTypeWarnings(parsed.condition, inputSchema)
+    )
+  );
+  const outcomeTypes = parsedRules.map((parsed) =>
+    getRuleValueType(parsed.outcome, inputSchema)
+  );
+  const knownOutcomeTypes = [...new Set(outcomeTypes.filter(Boolean))];
+  if (knownOutcomeTypes.length > 1) {
+    const outputType = getCommonType(knownOutcomeTypes);
+    warnings.push(
+      `Rule outcomes have different types (${knownOutcomeTypes
+        .map(getTypeLabel)
+        .join(", ")}); they are cast to ${getTypeLabel(outputType)}.`
+    );
+    parsedRules.forEach((parsed, index) => {
+      if (outcomeTypes[index] !== outputType) {
+        parsed.resultSQL = dialect.cast(
+          parsed.resultSQL,
+          dialect.typeName(outputType)
+        );
       }
     });
+  }
 
-    // If any errors occurred during parsing, return an error message immediately
-    if (parseErrors.length > 0) {
-      return `-- Error parsing rules in Rule Engine Node ${currentNodeId}:\n-- ${parseErrors.join(
-        "\n-- "
-      )}\nSELECT * FROM "${previousNodeName.replace(/"/g, '""')}";`;
-    }
-
-    // Ensure an ELSE clause exists (required by standard SQL CASE statements)
-    if (!elseClause) {
-      // If no 'TRUE => ...' rule was found in KNIME, default the SQL ELSE to NULL
-      elseClause = "ELSE NULL";
-      console.warn(
-        `Rule Engine Node ${currentNodeId}: No default rule (TRUE => ...) found. SQL CASE statement will default to NULL.`
+  parsedRules.forEach((parsed) => {
+    if (elseClause) {
+      // The first matching rule wins, so rules after a default rule are never reached
+      warnings.push(
+        `Rule "${parsed.conditionStr} => ${parsed.resultStr}" follows a default (TRUE => ...) rule and is never reached.`
       );
+    } else if (parsed.isDefault) {
+      // Set the ELSE clause using the parsed result SQL
+      elseClause = `ELSE ${parsed.resultSQL}`;
+    } else {
+      // Add the standard "WHEN condition THEN result" clause
+      caseClauses.push(`WHEN ${parsed.conditionSQL} THEN ${parsed.resultSQL}`);
     }
+  });
+
+  // If any errors occurred during parsing, return them immediately
+  if (parseErrors.length > 0) {
+    return createConversionResult({ errors: parseErrors, warnings });
+  }
+
+  // Ensure an ELSE clause exists (required by standard SQL CASE statements)
+  if (!elseClause) {
+    // If no 'TRUE => ...' rule was found in KNIME, default the SQL ELSE to NULL
+    elseClause = "ELSE NULL";
+    warnings.push(
+      `No default rule (TRUE => ...) found. SQL CASE statement will default to NULL.`
+    );
+  }
 
-    // Construct the complete CASE statement string with indentation
-    const caseStatement = `CASE\n    ${caseClauses.join(
-      "\n    "
-    )}\n    ${elseClause}\n  END`;
+  // Construct the complete CASE statement string with indentation
+  const caseStatement = `CASE\n    ${caseClauses.join(
+    "\n    "
+  )}\n    ${elseClause}\n  END`;
 
-    // 5. Build Final SELECT Statement: Construct the SELECT clause based on input columns and operation mode.
-    const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`; // Quote the FROM table name
-    let selectParts = []; // Array to hold the final list of selected columns/expressions
+  // 5. Build Final SELECT Statement: Construct the SELECT clause based on input columns and operation mode.
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName); // Quote the FROM table name
+  let selectParts = []; // Array to hold the final list of selected columns/expressions
 
-    if (inputColumnNames.length === 0) {
-      // Fallback logic if input column names could not be determined
-      selectParts.push("*"); // Default to selecting all columns
-      if (appendColumn) {
-        // If appending, add the CASE statement as a new column
+  if (inputColumnNames.length === 0) {
+    // Fallback logic if input column names could not be determined
+    selectParts.push("*"); // Default to selecting all columns
+    if (appendColumn) {
+      // If appending, add the CASE statement as a new column
+      selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
+    } else {
+      // If replacing, we can't accurately replace within SELECT *, so the result is approximate.
+      approximate = true;
+      warnings.push(
+        `Replacing column ${outputColumnAlias} but input columns unknown. Result includes '*' which has the original column; the CASE statement is not explicitly replacing it.`
+      );
+      // Optionally, add the CASE statement anyway, resulting in both the original column (via *) and the aliased CASE result.
+      // selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
+    }
+  } else {
+    // Build the SELECT list explicitly using the known input column names
+    inputColumnNames.forEach((col) => {
+      const quotedCol = dialect.quoteIdentifier(col); // Quote the current input column name
+      // **** THIS LOGIC HANDLES REPLACEMENT ****
+      // Check if we are replacing AND if the current column is the one to be replaced
+      if (!appendColumn && quotedCol === outputColumnAlias) {
+        // If yes, use the CASE statement instead of the original column, aliased correctly
         selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
       } else {
-        // If replacing, we can't accurately replace within SELECT *, so log a warning.
-        console.warn(
-          `Node ${currentNodeId} (Rule Engine): Replacing column ${outputColumnAlias} but input columns unknown. Result includes '*' which has the original column; the CASE statement is not explicitly replacing it.`
-        );
-        // Optionally, add the CASE statement anyway, resulting in both the original column (via *) and the aliased CASE result.
-        // selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
+        // Otherwise (either appending or not the column to replace), keep the original column
+        selectParts.push(quotedCol);
       }
-    } else {
-      // Build the SELECT list explicitly using the known input column names
-      inputColumnNames.forEach((col) => {
-        const quotedCol = `"${col.replace(/"/g, '""')}"`; // Quote the current input column name
-        // **** THIS LOGIC HANDLES REPLACEMENT ****
-        // Check if we are replacing AND if the current column is the one to be replaced
-        if (!appendColumn && quotedCol === outputColumnAlias) {
-          // If yes, use the CASE statement instead of the original column, aliased correctly
-          selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
-        } else {
-          // Otherwise (either appending or not the column to replace), keep the original column
-          selectParts.push(quotedCol);
-        }
-      });
+    });
 
-      // Handle appending the new column if necessary
-      if (appendColumn) {
-        // Check if the new column name conflicts with an existing input column name
-        const conflictingInputCol = inputColumnNames
-          .map((c) => `"${c.replace(/"/g, '""')}"`)
-          .includes(outputColumnAlias);
-        if (conflictingInputCol) {
-          // If conflict, log warning and effectively replace the existing column in the list
-          console.warn(
-            `Node ${currentNodeId} (Rule Engine): Appending column ${outputColumnAlias} which conflicts with an existing input column name. The CASE statement will effectively replace it in the output.`
-          );
-          selectParts = selectParts.map((part) =>
-            part === outputColumnAlias
-              ? `${caseStatement} AS ${outputColumnAlias}`
-              : part
-          );
-        } else {
-          // If no conflict, simply add the CASE statement as a new column
-          selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
-        }
-      }
-      // Handle case where the column intended for replacement wasn't found in the input
-      else if (
-        !inputColumnNames
-          .map((c) => `"${c.replace(/"/g, '""')}"`)
-          .includes(outputColumnAlias)
-      ) {
-        // This can happen if 'replace-column-name' refers to a column not present in the input stream
-        // derived from the predecessor. Log a warning and add the CASE statement anyway.
-        console.warn(
-          `Node ${currentNodeId} (Rule Engine): Column to replace ${outputColumnAlias} not found in derived input columns. Adding CASE statement as ${outputColumnAlias}.`
+    // Handle appending the new column if necessary
+    if (appendColumn) {
+      // Check if the new column name conflicts with an existing input column name
+      const conflictingInputCol = inputColumnNames
+        .map((c) => dialect.quoteIdentifier(c))
+        .includes(outputColumnAlias);
+      if (conflictingInputCol) {
+        // If conflict, log warning and effectively replace the existing column in the list
+        warnings.push(
+          `Appending column ${outputColumnAlias} which conflicts with an existing input column name. The CASE statement will effectively replace it in the output.`
         );
+        selectParts = selectParts.map((part) =>
+          part === outputColumnAlias
+            ? `${caseStatement} AS ${outputColumnAlias}`
+            : part
+        );
+      } else {
+        // If no conflict, simply add the CASE statement as a new column
         selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
       }
     }
-
-    // Construct the final SQL query string
-    // Join the select parts with commas and newlines for readability
-    const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
-    // Combine SELECT clause and FROM clause
-    const sqlQuery = `${selectClause}\nFROM ${quotedPreviousNodeName};`;
-    // Return the final, trimmed SQL query
-    return sqlQuery.trim();
-  } catch (error) {
-    // Catch any unexpected errors during the conversion process
-    console.error("Error converting Rule Engine node to SQL:", error);
-    // Return an error comment and a default SELECT * query
-    return `-- Error processing Rule Engine node: ${
-      error.message
-    }\nSELECT * FROM "${previousNodeName.replace(/"/g, '""')}";`;
+    // Handle case where the column intended for replacement wasn't found in the input
+    else if (
+      !inputColumnNames
+        .map((c) => dialect.quoteIdentifier(c))
+        .includes(outputColumnAlias)
+    ) {
+      // This can happen if 'replace-column-name' refers to a column not present in the input stream
+      // derived from the predecessor. Log a warning and add the CASE statement anyway.
+      warnings.push(
+        `Column to replace ${outputColumnAlias} not found in derived input columns. Adding CASE statement as ${outputColumnAlias}.`
+      );
+      selectParts.push(`${caseStatement} AS ${outputColumnAlias}`);
+    }
   }
+
+  // Construct the final SQL query string
+  // Join the select parts with commas and newlines for readability
+  const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
+  // Combine SELECT clause and FROM clause
+  const sqlQuery = `${selectClause}\nFROM ${quotedPreviousNodeName};`;
+  const outputName = appendColumn ? newColumnName : replaceColumnName;
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns:
+      inputColumnNames.length === 0
+        ? null
+        : inputColumnNames.includes(outputName)
+        ? [...inputColumnNames]
+        : [...inputColumnNames, outputName],
+    warnings,
+    approximate,
+  });
 }
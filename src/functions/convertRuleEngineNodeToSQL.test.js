@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const RULE_ENGINE_FACTORY =
+  "org.knime.base.node.rules.engine.RuleEngineNodeFactory";
+
+const analyzeRuleEngine = (rules) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: knimeNode(
+        RULE_ENGINE_FACTORY,
+        {
+          rules,
+          "append-column": true,
+          "new-column-name": "out",
+          "replace-column-name": "",
+        },
+        { name: "Rule Engine" }
+      ),
+    },
+    [[1, 2]]
+  );
+
+describe("convertRuleEngineNodeToSQL", () => {
+  it("turns the rules into a CASE expression", async () => {
+    const analysis = await analyzeRuleEngine([
+      "// comment",
+      '$name$ LIKE "A*" XOR $qty$ > 3 => "x"',
+      'NOT ($name$ MATCHES "B.*" OR $qty$ IN (1, 2, 3)) => "y => z"',
+      'MISSING $amount$ => "w"',
+      'TRUE => "rest"',
+    ]);
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "name",
+      "amount",
+      "qty",
+      "out",
+    ]);
+  });
+
+  it("reports the rules it cannot parse with their line", async () => {
+    const analysis = await analyzeRuleEngine([
+      "$qty$ = 1 => 1",
+      "$qty$ > 1 AND => 3",
+    ]);
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
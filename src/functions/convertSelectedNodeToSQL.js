@@ -0,0 +1,109 @@
+// src/functions/convertSelectedNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getCteName } from "./getCteName";
+import { getConverter } from "../converters";
+import { conversionError, toConversionResult } from "./conversionResult";
+
+export { isSupportedNodeFactory } from "../converters";
+
+/**
+ * Finds the upstream nodes of a node's data inputs, ordered by input port
+ * (e.g. a Joiner's left input first).
+ * @param {number|string} currentNodeId - The ID of the current node.
+ * @param {Array<object>} allNodes - The nodes to search.
+ * @returns {Array<object>} - The upstream nodes.
+ */
+export const findAllPreviousNodes = (currentNodeId, allNodes) =>
+  findInputNodes(currentNodeId, allNodes);
+
+/**
+ * Converts a node to SQL with the converter registered for its factory (see
+ * src/converters).
+ * @returns {object} - The conversion result (see createConversionResult). Output columns
+ * the converter does not report are taken from the node's derived columns.
+ */
+export function convertSelectedNodeToSQL(
+  nodeConfig, // Should include 'id' property
+  predecessorNames = [], // Still useful for deriving previousNodeName easily
+  allProcessedNodes = [],
+  selectedNode, // Context of nodes processed *before* the current one
+  dialect = getDialect() // Target SQL dialect (see src/dialects)
+) {
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (!factory) {
+    return conversionError(
+      "Invalid node configuration: missing factory value."
+    );
+  }
+
+  const converter = getConverter(factory);
+  if (!converter) {
+    const nodeTypeName = factory.split(".").pop() || "Unknown Type";
+    return conversionError(
+      `Conversion for node type "${nodeTypeName}" is not supported.`
+    );
+  }
+
+  let result;
+  try {
+    result = toConversionResult(
+      converter.toSQL({
+        config: nodeConfig,
+        node: selectedNode,
+        nodeId: selectedNode?.id ?? nodeConfig.id,
+        inputNames: predecessorNames,
+        processedNodes: allProcessedNodes,
+        dialect,
+      })
+    );
+  } catch (error) {
+    return conversionError(
+      `${converter.name || nodeConfig.id} converter failed: ${error.message}`
+    );
+  }
+  if (result.sql && !result.columns && Array.isArray(selectedNode?.nodes)) {
+    result.columns = selectedNode.nodes;
+  }
+  return result;
+}
+
+/**
+ * Converts a single processed node to SQL using the rest of the processed workflow
+ * as context: predecessor CTE names for the FROM clause and the nodes executed before it.
+ *
+ * @param {object} node - A processed node (as returned by processWorkflowData).
+ * @param {Array<object>} processedNodes - All processed nodes of the workflow.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult), with the
+ * warnings of the node's column analysis first.
+ */
+export function convertNodeInWorkflow(
+  node,
+  processedNodes,
+  dialect = getDialect()
+) {
+  // Upstream nodes are referenced by their CTE names (see generateCombinedSQL)
+  const predecessorNames = findAllPreviousNodes(node.id, processedNodes).map(
+    (n) => getCteName(n.id)
+  );
+
+  // Nodes with order < node.order are considered processed before it.
+  const contextForSQL = processedNodes.filter(
+    (n) =>
+      n.order !== undefined && node.order !== undefined && n.order < node.order
+  );
+
+  const result = convertSelectedNodeToSQL(
+    node.config,
+    predecessorNames,
+    contextForSQL,
+    node,
+    dialect
+  );
+  return node.warnings?.length > 0
+    ? { ...result, warnings: [...node.warnings, ...result.warnings] }
+    : result;
+}
@@ -0,0 +1,142 @@
+// src/functions/convertSorterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { conversionError, createConversionResult } from "./conversionResult";
+
+export const SORTER_FACTORY =
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory";
+
+// Entry of the sort columns that stands for the row ID
+const ROW_KEY = "-ROWKEY -";
+
+/**
+ * Reads the settings of a Sorter node: the sort columns "incllist", their directions
+ * "sortOrder" (true for ascending), "missingToEnd" (whether missing values always come
+ * last) and "alphaNumStringComp" (natural string order).
+ * @param {object} modelNode - The model config.
+ * @returns {{keys: Array<{column: string, ascending: boolean}>, missingToEnd: boolean, alphanumeric: boolean}}
+ * - The settings.
+ */
+export const getSorterSettings = (modelNode) => {
+  const columns = getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "incllist")
+  );
+  const ascending = getArrayValuesFromConfig(
+    findConfigByKey(modelNode.config, "sortOrder")
+  );
+  return {
+    keys: columns.map((column, index) => ({
+      column,
+      ascending: ascending[index] !== "false",
+    })),
+    missingToEnd: getEntryValue(modelNode.entry, "missingToEnd") === true,
+    alphanumeric: getEntryValue(modelNode.entry, "alphaNumStringComp") === true,
+  };
+};
+
+/**
+ * Turns the sort columns of a Sorter node into sort keys for dialect.orderBy. Missing
+ * values are the smallest values in KNIME, so they come first in ascending and last in
+ * descending order, unless they are moved to the end. The row ID is skipped.
+ * @param {object} modelNode - The model config.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {Array<{expr: string, descending: boolean, nullsLast: boolean}>} - The keys.
+ */
+export const getSorterOrderKeys = (modelNode, dialect) => {
+  const { keys, missingToEnd } = getSorterSettings(modelNode);
+  return keys
+    .filter(({ column }) => column !== ROW_KEY)
+    .map(({ column, ascending }) => ({
+      expr: dialect.quoteIdentifier(column),
+      descending: !ascending,
+      nullsLast: missingToEnd || !ascending,
+    }));
+};
+
+/**
+ * Converts a KNIME Sorter node to ORDER BY (see getSorterOrderKeys).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertSorterNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== SORTER_FACTORY) {
+    return conversionError(
+      `Expected Sorter node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found in Sorter node.");
+  }
+  const { keys, alphanumeric } = getSorterSettings(modelNode);
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+
+  let approximate = false;
+  const columnKeys = keys.filter(({ column }) => column !== ROW_KEY);
+  if (columnKeys.length < keys.length) {
+    approximate = true;
+    warnings.push(
+      "Sorting by row ID is not supported; the row ID is skipped as a sort key."
+    );
+  }
+  if (inputColumnNames.length > 0) {
+    const missing = columnKeys
+      .map(({ column }) => column)
+      .filter((col) => !inputColumnNames.includes(col));
+    if (missing.length > 0) {
+      return conversionError(
+        `Sort columns not found in the input: ${missing.join(", ")}.`,
+        { warnings }
+      );
+    }
+  }
+  if (columnKeys.length === 0) {
+    return createConversionResult({
+      sql: `SELECT * FROM ${quotedPreviousNodeName};`,
+      warnings: [...warnings, "No sort columns; the input is passed on."],
+      approximate,
+    });
+  }
+  if (alphanumeric) {
+    approximate = true;
+    warnings.push(
+      "Strings are sorted by the database collation, not in KNIME's alphanumeric order."
+    );
+  }
+  warnings.push(
+    "The database only guarantees the row order of the final query; later steps may reorder the rows."
+  );
+
+  const orderBy = dialect.orderBy(getSorterOrderKeys(modelNode, dialect));
+  return createConversionResult({
+    sql: `SELECT *\nFROM ${quotedPreviousNodeName}\n${orderBy};`,
+    warnings,
+    approximate,
+  });
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const SORTER_FACTORY = "org.knime.base.node.preproc.sorter.SorterNodeFactory";
+
+const sorter = (columns, ascending, missingToEnd) =>
+  knimeNode(SORTER_FACTORY, {
+    incllist: columns,
+    sortOrder: ascending,
+    missingToEnd,
+    sortinmemory: false,
+  });
+
+const analyzeSorter = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertSorterNodeToSQL", () => {
+  it("puts missing values where KNIME does", async () => {
+    const analysis = await analyzeSorter(
+      sorter(["amount", "name"], [false, true], false)
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("moves missing values to the end", async () => {
+    const analysis = await analyzeSorter(sorter(["qty"], [true], true));
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("skips the row ID as a sort key", async () => {
+    const analysis = await analyzeSorter(
+      sorter(["qty", "-ROWKEY -"], [true, true], false)
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBe(`SELECT *
+FROM "Node_1"
+ORDER BY "qty" ASC NULLS FIRST;`);
+    expect(result.approximate).toBe(true);
+  });
+
+  it("rejects unknown sort columns", async () => {
+    const analysis = await analyzeSorter(sorter(["gone"], [true], false));
+    expect(convertNode(analysis, 2).errors).toEqual([
+      "Sort columns not found in the input: gone.",
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+// src/functions/convertStringManipulationMultiColumnNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getSelectedColumns } from "../common/getSelectedColumns";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getNodeSchema } from "./columnSchema";
+import { conversionError } from "./conversionResult";
+import { buildMultiColumnSQL } from "./buildMultiColumnSQL";
+import { translateStringManipulation } from "./parseStringManipulation";
+
+export const STRING_MANIPULATION_MULTI_COLUMN_FACTORY =
+  "org.knime.base.node.preproc.stringmanipulation.multicolumn.StringManipulationMultiColumnNodeFactory";
+
+/**
+ * Reads the settings of a String Manipulation (Multi Column) node: the column filter
+ * "columns", the "expression", "appendOrReplace" (REPLACE, or APPEND_WITH_SUFFIX) and
+ * the "suffix" of appended columns.
+ * @param {object} modelNode - The model config.
+ * @returns {{columns: string[], expression: string|null, append: boolean, suffix: string}}
+ * - The settings.
+ */
+export const getStringManipulationMultiColumnSettings = (modelNode) => ({
+  columns: getSelectedColumns(findConfigByKey(modelNode.config, "columns")),
+  expression: getEntryValue(modelNode.entry, "expression"),
+  append: /^APPEND/.test(getEntryValue(modelNode.entry, "appendOrReplace")),
+  suffix: getEntryValue(modelNode.entry, "suffix") ?? "",
+});
+
+/**
+ * Converts a KNIME String Manipulation (Multi Column) node to SQL. The expression is
+ * translated once per selected column, with $$CURRENTCOLUMN$$ referring to that column
+ * (see translateStringManipulation and buildMultiColumnSQL).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertStringManipulationMultiColumnNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== STRING_MANIPULATION_MULTI_COLUMN_FACTORY) {
+    return conversionError(
+      `Expected String Manipulation (Multi Column) node factory, but got ${
+        factory || "N/A"
+      }.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return conversionError(
+      "Model configuration not found in String Manipulation (Multi Column) node."
+    );
+  }
+  const { columns, expression, append, suffix } =
+    getStringManipulationMultiColumnSettings(modelNode);
+  if (!expression) {
+    return conversionError("Missing 'expression' in the node configuration.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputSchema = getNodeSchema(predecessors[0]);
+
+  return buildMultiColumnSQL({
+    columns,
+    translate: (currentColumn) =>
+      translateStringManipulation(expression, dialect, {
+        inputSchema,
+        currentColumn,
+      }),
+    append,
+    suffix,
+    inputColumnNames: predecessors[0]?.nodes || [],
+    previousNodeName,
+    dialect,
+    warnings,
+  });
+}
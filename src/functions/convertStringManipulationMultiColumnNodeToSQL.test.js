@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const FACTORY =
+  "org.knime.base.node.preproc.stringmanipulation.multicolumn.StringManipulationMultiColumnNodeFactory";
+
+const stringManipulationMultiColumn = (expression, selected, mode, suffix) =>
+  knimeNode(
+    FACTORY,
+    {
+      columns: {
+        mode: "MANUAL",
+        manualFilter: {
+          manuallySelected: selected,
+          manuallyDeselected: [],
+          includeUnknownColumns: false,
+        },
+        selected,
+      },
+      expression,
+      appendOrReplace: mode,
+      suffix,
+    },
+    { name: "String Manipulation (Multi Column)" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["qty", KNIME_TYPES.INT],
+        ["code", KNIME_TYPES.STRING],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertStringManipulationMultiColumnNodeToSQL", () => {
+  it("replaces each selected column", async () => {
+    const analysis = await analyzeNode(
+      stringManipulationMultiColumn(
+        "upperCase(strip($$CURRENTCOLUMN$$))",
+        ["name", "code"],
+        "REPLACE",
+        ""
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+
+  it("appends a column with a suffix for each selected column", async () => {
+    const analysis = await analyzeNode(
+      stringManipulationMultiColumn(
+        'join($$CURRENTCOLUMN$$, "-", $code$)',
+        ["name", "code"],
+        "APPEND_WITH_SUFFIX",
+        "_j"
+      )
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toMatchSnapshot();
+    expect(result.columns).toEqual(["name", "qty", "code", "name_j", "code_j"]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const STRING_MANIPULATION_FACTORY =
+  "org.knime.base.node.preproc.stringmanipulation.StringManipulationNodeFactory";
+
+const stringManipulation = (expression, column, replace) =>
+  knimeNode(
+    STRING_MANIPULATION_FACTORY,
+    { expression, replaced_column: column, append_column: replace },
+    { name: "String Manipulation" }
+  );
+
+const analyzeStringManipulation = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["name", KNIME_TYPES.STRING],
+        ["qty", KNIME_TYPES.INT],
+        ["code", KNIME_TYPES.STRING],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertStringManipulationNodeToSQL", () => {
+  it("appends a column computed with nested functions", async () => {
+    const analysis = await analyzeStringManipulation(
+      stringManipulation(
+        'join(upperCase(strip($name$)), " - ", padLeft(string($qty$), 5, "0"))',
+        "label",
+        false
+      )
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "name",
+      "qty",
+      "code",
+      "label",
+    ]);
+    expect(convertNode(analysis, 2, "tsql").errors).toMatchSnapshot();
+  });
+
+  it("replaces a column", async () => {
+    const analysis = await analyzeStringManipulation(
+      stringManipulation("capitalize(lowerCase($name$))", "name", true)
+    );
+    expect(convertNode(analysis, 2).sql).toMatchSnapshot();
+  });
+
+  it("rejects arguments of the wrong type", async () => {
+    const analysis = await analyzeStringManipulation(
+      stringManipulation("lowerCase($qty$)", "bad", false)
+    );
+    const result = convertNode(analysis, 2);
+    expect(result.sql).toBeNull();
+    expect(result.errors).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,111 @@
+// src/functions/convertStringToDateTimeNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import { getNodeSchema, isStringType } from "./columnSchema";
+import { conversionError } from "./conversionResult";
+import { buildMultiColumnSQL } from "./buildMultiColumnSQL";
+import {
+  DATE_TIME_TYPES,
+  checkColumnTypes,
+  getDateNameWarning,
+  getDateTimeColumnSelection,
+} from "./dateTimeSettings";
+
+export const STRING_TO_DATE_TIME_FACTORY =
+  "org.knime.time.node.convert.stringtodatetime.StringToDateTimeNodeFactory";
+
+/**
+ * Reads the settings of a String to Date&Time node: the column selection (see
+ * getDateTimeColumnSelection), the "date_format" pattern, the target "typeEnum", the
+ * "locale" and "cancel_on_fail".
+ * @param {object} modelNode - The model config.
+ * @returns {{columns: string[], append: boolean, suffix: string, pattern: string|null, type: string|null, locale: string|null, failOnError: boolean}}
+ * - The settings; type is the KNIME cell class.
+ */
+export const getStringToDateTimeSettings = (modelNode) => ({
+  ...getDateTimeColumnSelection(modelNode),
+  pattern: getEntryValue(modelNode.entry, "date_format"),
+  type: DATE_TIME_TYPES[getEntryValue(modelNode.entry, "typeEnum")] || null,
+  locale: getEntryValue(modelNode.entry, "locale"),
+  failOnError: getEntryValue(modelNode.entry, "cancel_on_fail") === true,
+});
+
+/**
+ * Converts a KNIME String to Date&Time node to SQL that parses the selected string
+ * columns with the node's pattern (see dialect.parseDateTime).
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertStringToDateTimeNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== STRING_TO_DATE_TIME_FACTORY) {
+    return conversionError(
+      `Expected String to Date&Time node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError(
+      "Model configuration not found in String to Date&Time node."
+    );
+  }
+  const { columns, append, suffix, pattern, type, locale, failOnError } =
+    getStringToDateTimeSettings(modelNode);
+  if (!pattern || !type) {
+    return conversionError("The date format or the target type is not set.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const typeErrors = checkColumnTypes(
+    columns,
+    getNodeSchema(predecessors[0]),
+    isStringType,
+    "a string column"
+  );
+  if (typeErrors.length > 0) {
+    return conversionError(typeErrors.join(" "), { warnings });
+  }
+  const nameWarning = getDateNameWarning(pattern, locale);
+  if (nameWarning) warnings.push(nameWarning);
+  if (!failOnError) {
+    warnings.push(
+      "Values that do not match the format make the query fail, while KNIME turns them into missing values."
+    );
+  }
+
+  return buildMultiColumnSQL({
+    columns,
+    translate: (col) => ({
+      sql: dialect.parseDateTime(dialect.quoteIdentifier(col), pattern, type),
+      warnings: [],
+      approximate: Boolean(nameWarning) || !failOnError,
+    }),
+    append,
+    suffix,
+    inputColumnNames: predecessors[0]?.nodes || [],
+    previousNodeName,
+    dialect,
+    warnings,
+  });
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const STRING_TO_DATE_TIME_FACTORY =
+  "org.knime.time.node.convert.stringtodatetime.StringToDateTimeNodeFactory";
+
+const reader = csvReader([
+  ["sdate", KNIME_TYPES.STRING],
+  ["when", KNIME_TYPES.LOCAL_DATE_TIME],
+  ["day", KNIME_TYPES.LOCAL_DATE],
+  ["n", KNIME_TYPES.INT],
+  ["other", KNIME_TYPES.LOCAL_DATE_TIME],
+]);
+
+const columnSelection = (columns, append, suffix = "(new)") => ({
+  col_select: {
+    "filter-type": "STANDARD",
+    included_names: columns,
+    excluded_names: [],
+  },
+  replace_or_append: append
+    ? "Append selected columns"
+    : "Replace selected columns",
+  suffix,
+});
+
+const stringToDateTime = (settings) =>
+  knimeNode(
+    STRING_TO_DATE_TIME_FACTORY,
+    {
+      ...columnSelection(["sdate"], true, "_d"),
+      locale: "en-US",
+      cancel_on_fail: true,
+      ...settings,
+    },
+    { name: "String to Date&Time" }
+  );
+
+const analyzeNode = (node) =>
+  analyzeTestWorkflow({ 1: reader, 2: node }, [[1, 2]]);
+
+describe("convertStringToDateTimeNodeToSQL", () => {
+  it("parses the strings with the translated date pattern", async () => {
+    const analysis = await analyzeNode(
+      stringToDateTime({
+        date_format: "dd.MM.yyyy 'um' HH:mm",
+        typeEnum: "LOCAL_DATE_TIME",
+      })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "sdate",
+      "when",
+      "day",
+      "n",
+      "other",
+      "sdate_d",
+    ]);
+  });
+
+  it("parses dates", async () => {
+    const analysis = await analyzeNode(
+      stringToDateTime({ date_format: "yyyy-MM-dd", typeEnum: "LOCAL_DATE" })
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+  });
+});
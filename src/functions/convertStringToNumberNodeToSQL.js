@@ -4,46 +4,37 @@
 import { getEntryValue } from "../common/getEntryValue"; // [cite: uploaded:src/common/getEntryValue.js]
 import { findConfigByKey } from "../common/findConfigByKey"; // [cite: uploaded:src/common/findConfigByKey.js]
 import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig"; // [cite: uploaded:src/common/getArrayValuesFromConfig.js]
+import { getDialect } from "../dialects";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import { findInputNodes } from "./findInputNodes";
+import {
+  conversionError,
+  createConversionResult,
+} from "./conversionResult";
+import {
+  findSchemaColumn,
+  getNodeSchema,
+  getTypeLabel,
+  isStringType,
+} from "./columnSchema";
 
 /**
- * Maps KNIME cell class strings to corresponding SQL data types.
+ * Maps KNIME cell class strings to the corresponding SQL data type of the dialect.
  * @param {string} knimeCellClass - The cell class string (e.g., "org.knime.core.data.def.DoubleCell").
- * @returns {string} - The corresponding SQL data type (e.g., "DOUBLE PRECISION"). Returns "VARCHAR" as fallback.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {string[]} warnings - Collects a warning if the type is not numeric.
+ * @returns {string} - The corresponding SQL data type (e.g., "DOUBLE PRECISION"). Falls back to the dialect's string type.
  */
-const mapKnimeTypeToSQL = (knimeCellClass) => {
-  if (!knimeCellClass) return "VARCHAR"; // Default fallback
-
-  if (knimeCellClass.includes("DoubleCell")) {
-    return "DOUBLE PRECISION"; // Or NUMERIC, FLOAT depending on dialect/precision needs
-  } else if (knimeCellClass.includes("IntCell")) {
-    return "INTEGER";
-  } else if (knimeCellClass.includes("LongCell")) {
-    return "BIGINT";
-  }
-  // Add mappings for other numeric types if needed (e.g., BigDecimalCell -> NUMERIC(p,s))
-  else {
-    console.warn(
-      `Unsupported KNIME cell class for numeric conversion: ${knimeCellClass}. Defaulting to VARCHAR.`
+const mapKnimeTypeToSQL = (knimeCellClass, dialect, warnings) => {
+  const typeKey = getKnimeTypeKey(knimeCellClass);
+  if (!["double", "int", "long"].includes(typeKey)) {
+    // Add mappings for other numeric types if needed (e.g., BigDecimalCell -> NUMERIC(p,s))
+    warnings.push(
+      `Unsupported KNIME cell class for numeric conversion: ${knimeCellClass}. Defaulting to ${dialect.types.string}.`
     );
-    return "VARCHAR"; // Fallback if it's not a recognized numeric type
+    return dialect.types.string; // Fallback if it's not a recognized numeric type
   }
-};
-
-/**
- * Finds the direct predecessor node(s) for a given node ID from a list of processed nodes.
- * @param {number} currentNodeId - The ID of the current node.
- * @param {Array<object>} allProcessedNodes - An array of node objects that have already been processed,
- * each expected to have an 'id' and 'nextNodes' property.
- * @returns {Array<object>} - An array of predecessor node objects.
- */
-const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
-  if (!Array.isArray(allProcessedNodes)) return [];
-  return allProcessedNodes.filter(
-    (node) =>
-      node &&
-      Array.isArray(node.nextNodes) &&
-      node.nextNodes.includes(currentNodeId)
-  );
+  return dialect.typeName(knimeCellClass);
 };
 
 /**
@@ -56,33 +47,33 @@ const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
  * (often derived from the predecessor node's name or ID).
  * @param {Array<object>} allProcessedNodes - An array containing the processed data of all nodes
  * executed *before* this one. Each object should include at least 'id', 'nextNodes', and 'nodes' (output columns).
- * @returns {string} - The generated SQL query or an error message.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
  */
 export function convertStringToNumberNodeToSQL(
   nodeConfig,
   previousNodeName = "input_table",
-  allProcessedNodes // Expects array of processed nodes {id: number, nextNodes: number[], nodes: string[]}
+  allProcessedNodes, // Expects array of processed nodes {id: number, nextNodes: number[], nodes: string[]}
+  dialect = getDialect()
 ) {
-  console.log(nodeConfig, "nodeConfig");
   // Step 1: Verify node type and get current node ID
   const factory = getEntryValue(nodeConfig?.entry, "factory");
   const currentNodeId = nodeConfig?.id; // Assuming nodeConfig has the ID added during processing
 
   // Step 1.5: Find Predecessor and derive Input Columns
-  const predecessors = findPredecessorNodes(currentNodeId, allProcessedNodes);
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
   let inputColumnNames = null;
+  const warnings = [];
 
   if (predecessors.length === 0) {
     // This might happen for nodes directly after a reader or if context is incomplete
-    console.warn(
-      `Node ${currentNodeId} (String to Number): No predecessors found in provided context. Cannot determine input columns accurately.`
+    return conversionError(
+      "No predecessors found. Cannot determine input columns."
     );
-    // Depending on strictness, could return error or proceed assuming no input columns (unlikely for this node)
-    return `Error: Node ${currentNodeId} (String to Number): No predecessors found. Cannot determine input columns.`;
   } else if (predecessors.length > 1) {
     // String to Number typically has only one input port
-    console.warn(
-      `Node ${currentNodeId} (String to Number): Found multiple predecessors (${predecessors
+    warnings.push(
+      `Found multiple predecessors (${predecessors
         .map((p) => p.id)
         .join(", ")}). Using columns from the first one found (${
         predecessors[0].id
@@ -96,13 +87,18 @@ export function convertStringToNumberNodeToSQL(
   }
 
   if (!Array.isArray(inputColumnNames) || inputColumnNames.length === 0) {
-    return `Error: Node ${currentNodeId} (String to Number): Predecessor node ${predecessors[0]?.id} has no output columns defined in the provided context.`;
+    return conversionError(
+      `Predecessor node ${predecessors[0]?.id} has no output columns defined in the provided context.`,
+      { warnings }
+    );
   }
 
   // Step 2: Locate the model node
   const modelNode = findConfigByKey(nodeConfig.config, "model");
   if (!modelNode || !modelNode.config || !modelNode.entry) {
-    return "Error: Model configuration not found or invalid.";
+    return conversionError("Model configuration not found or invalid.", {
+      warnings,
+    });
   }
 
   // Step 3: Extract parameters
@@ -121,7 +117,10 @@ export function convertStringToNumberNodeToSQL(
   }
 
   if (!columnFilterConfig) {
-    return "Error: Could not find the column filter configuration within the model.";
+    return conversionError(
+      "Could not find the column filter configuration within the model.",
+      { warnings }
+    );
   }
 
   const includedNamesNode = findConfigByKey(
@@ -131,33 +130,54 @@ export function convertStringToNumberNodeToSQL(
   const columnsToConvert = getArrayValuesFromConfig(includedNamesNode);
 
   if (!columnsToConvert || columnsToConvert.length === 0) {
-    return "Error: No columns specified for conversion in 'included_names'.";
+    return conversionError(
+      "No columns specified for conversion in 'included_names'.",
+      { warnings }
+    );
   }
 
   const parseTypeNode = findConfigByKey(modelNode.config, "parse_type");
   const knimeTargetType = getEntryValue(parseTypeNode?.entry, "cell_class");
 
   if (!knimeTargetType) {
-    return "Error: Could not determine target data type from 'parse_type' configuration.";
+    return conversionError(
+      "Could not determine target data type from 'parse_type' configuration.",
+      { warnings }
+    );
   }
 
   // Step 4: Determine SQL Type and Cast Function
-  const sqlTargetType = mapKnimeTypeToSQL(knimeTargetType);
-  const castFunction = failOnError ? "CAST" : "TRY_CAST";
+  // Failing on errors maps to a plain CAST, otherwise the dialect's NULL-on-error cast.
+  const sqlTargetType = mapKnimeTypeToSQL(knimeTargetType, dialect, warnings);
+  const castExpression = (expr) =>
+    failOnError
+      ? dialect.cast(expr, sqlTargetType)
+      : dialect.safeCast(expr, sqlTargetType);
+
+  // Step 4.5: Check the input types; KNIME only converts string columns
+  const inputSchema = getNodeSchema(predecessors[0]);
+  columnsToConvert
+    .map((col) => findSchemaColumn(inputSchema, col))
+    .filter((column) => column && column.type && !isStringType(column.type))
+    .forEach((column) =>
+      warnings.push(
+        `Column ${column.name} is a ${getTypeLabel(
+          column.type
+        )}, not a string column; it is cast anyway.`
+      )
+    );
 
   // Step 5: Build the SELECT clause (Now requires derived inputColumnNames)
   const selectParts = [];
   const columnsToConvertSet = new Set(columnsToConvert);
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
 
   // Iterate through the derived input columns
   inputColumnNames.forEach((col) => {
-    const quotedCol = `"${col.replace(/"/g, '""')}"`;
+    const quotedCol = dialect.quoteIdentifier(col);
     if (columnsToConvertSet.has(col)) {
       // This column needs conversion
-      selectParts.push(
-        `${castFunction}(${quotedCol} AS ${sqlTargetType}) AS ${quotedCol}`
-      );
+      selectParts.push(`${castExpression(quotedCol)} AS ${quotedCol}`);
     } else {
       // This column is passed through
       selectParts.push(quotedCol);
@@ -165,7 +185,10 @@ export function convertStringToNumberNodeToSQL(
   });
 
   if (selectParts.length === 0) {
-    return `Error: Node ${currentNodeId} (String to Number): Failed to generate SELECT clause. Input columns might be empty or invalid.`;
+    return conversionError(
+      "Failed to generate SELECT clause. Input columns might be empty or invalid.",
+      { warnings }
+    );
   }
 
   const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
@@ -177,11 +200,15 @@ FROM ${quotedPreviousNodeName};
 -- Node ID: ${currentNodeId}
 -- Converted columns: ${columnsToConvert.join(
     ", "
-  )} to ${sqlTargetType} using ${castFunction}
+  )} to ${sqlTargetType} using ${failOnError ? "CAST" : "a safe cast"}
 -- Input columns derived from predecessor(s): ${predecessors
     .map((p) => p.id)
     .join(", ")}
 `;
 
-  return sqlQuery.trim();
+  return createConversionResult({
+    sql: sqlQuery.trim(),
+    columns: [...inputColumnNames],
+    warnings,
+  });
 }
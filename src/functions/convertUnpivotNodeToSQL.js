@@ -0,0 +1,148 @@
+// src/functions/convertUnpivotNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getSelectedColumns } from "../common/getSelectedColumns";
+import { getDialect } from "../dialects";
+import { findInputNodes } from "./findInputNodes";
+import {
+  KNIME_TYPES,
+  findSchemaColumn,
+  getCommonType,
+  getNodeSchema,
+} from "./columnSchema";
+import { conversionError, createConversionResult } from "./conversionResult";
+
+export const UNPIVOT_FACTORY =
+  "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory";
+
+/** The columns the Unpivoting node creates, before the retained columns. */
+export const UNPIVOT_COLUMNS = ["RowIDs", "ColumnNames", "ColumnValues"];
+
+/**
+ * Reads the settings of an Unpivoting node: the column filters "value_columns" and
+ * "retained_columns", and "missing_values" (whether to skip rows with a missing value).
+ * @param {object} modelNode - The model config.
+ * @returns {{valueColumns: string[], retainedColumns: string[], skipMissing: boolean}}
+ * - The settings.
+ */
+export const getUnpivotSettings = (modelNode) => ({
+  valueColumns: getSelectedColumns(
+    findConfigByKey(modelNode.config, "value_columns")
+  ),
+  retainedColumns: getSelectedColumns(
+    findConfigByKey(modelNode.config, "retained_columns")
+  ),
+  skipMissing: getEntryValue(modelNode.entry, "missing_values") === true,
+});
+
+/**
+ * Converts a KNIME Unpivoting node to a UNION ALL of one SELECT per value column. Each
+ * output row has the input row's ID, the name and value of the value column and the
+ * retained columns.
+ *
+ * @param {object} nodeSettingsJson - JSON from settings.xml.
+ * @param {number} currentNodeId - ID of the current node.
+ * @param {string} previousNodeName - Name of the input table/view.
+ * @param {Array<object>} allProcessedNodes - Array of previously processed nodes.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @returns {object} - The conversion result (see createConversionResult).
+ */
+export function convertUnpivotNodeToSQL(
+  nodeSettingsJson,
+  currentNodeId,
+  previousNodeName = "input_table",
+  allProcessedNodes,
+  dialect = getDialect()
+) {
+  const factory = getEntryValue(nodeSettingsJson?.entry, "factory");
+  if (factory !== UNPIVOT_FACTORY) {
+    return conversionError(
+      `Expected Unpivoting node factory, but got ${factory || "N/A"}.`
+    );
+  }
+
+  const modelNode = findConfigByKey(nodeSettingsJson.config, "model");
+  if (!modelNode) {
+    return conversionError("Model configuration not found in Unpivoting node.");
+  }
+  const { valueColumns, retainedColumns, skipMissing } =
+    getUnpivotSettings(modelNode);
+  if (valueColumns.length === 0) {
+    return conversionError("No value columns are selected.");
+  }
+
+  const predecessors = findInputNodes(currentNodeId, allProcessedNodes);
+  const warnings = [];
+  if (predecessors.length === 0) {
+    warnings.push(
+      "No predecessors found. Input column list might be incomplete."
+    );
+  }
+  const inputColumnNames = predecessors[0]?.nodes || [];
+  const inputSchema = getNodeSchema(predecessors[0]);
+  if (inputColumnNames.length > 0) {
+    const missing = [...valueColumns, ...retainedColumns].filter(
+      (col) => !inputColumnNames.includes(col)
+    );
+    if (missing.length > 0) {
+      return conversionError(
+        `Columns not found in the input: ${missing.join(", ")}.`,
+        { warnings }
+      );
+    }
+  }
+  const clashes = retainedColumns.filter((col) =>
+    UNPIVOT_COLUMNS.includes(col)
+  );
+  if (clashes.length > 0) {
+    return conversionError(
+      `Retained columns clash with the created columns: ${clashes.join(", ")}.`,
+      { warnings }
+    );
+  }
+
+  // All values go into one column; differing types are cast to their common type
+  const valueTypes = valueColumns.map(
+    (col) => findSchemaColumn(inputSchema, col)?.type || null
+  );
+  const valueType = getCommonType(valueTypes);
+  const needsCast =
+    valueTypes.some((type) => type !== valueType) && valueType !== null;
+
+  const rowIndex = `(${dialect.rowNumber()} - 1)`;
+  const rowId = dialect.concat([
+    dialect.quoteString("Row"),
+    dialect.cast(rowIndex, dialect.typeName(KNIME_TYPES.STRING)),
+  ]);
+  const retained = retainedColumns.map((col) => dialect.quoteIdentifier(col));
+  const selects = valueColumns.map((col, index) => {
+    const quoted = dialect.quoteIdentifier(col);
+    const value =
+      needsCast && valueTypes[index] !== valueType
+        ? dialect.cast(quoted, dialect.typeName(valueType))
+        : quoted;
+    const selectParts = [
+      `${rowId} AS ${dialect.quoteIdentifier(UNPIVOT_COLUMNS[0])}`,
+      `${dialect.quoteString(col)} AS ${dialect.quoteIdentifier(
+        UNPIVOT_COLUMNS[1]
+      )}`,
+      `${value} AS ${dialect.quoteIdentifier(UNPIVOT_COLUMNS[2])}`,
+      ...retained,
+    ];
+    const where = skipMissing ? `\nWHERE ${quoted} IS NOT NULL` : "";
+    return `SELECT\n  ${selectParts.join(
+      ",\n  "
+    )}\nFROM ${dialect.quoteIdentifier(previousNodeName)}${where}`;
+  });
+
+  warnings.push(
+    "Row IDs are numbered in the order in which the database returns the input rows, and the rows are grouped by value column instead of by input row."
+  );
+  return createConversionResult({
+    sql: `${selects.join("\nUNION ALL\n")};`,
+    columns: [...UNPIVOT_COLUMNS, ...retainedColumns],
+    warnings,
+    approximate: true,
+  });
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeTestWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+  sqlPerDialect,
+} from "../test/knimeWorkflow";
+
+const UNPIVOT_FACTORY =
+  "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory";
+
+const unpivot = (valueColumns, retainedColumns, skipMissing) =>
+  knimeNode(
+    UNPIVOT_FACTORY,
+    {
+      value_columns: {
+        "filter-type": "STANDARD",
+        included_names: valueColumns,
+        excluded_names: [],
+      },
+      retained_columns: {
+        "filter-type": "STANDARD",
+        included_names: retainedColumns,
+        excluded_names: [],
+      },
+      missing_values: skipMissing,
+    },
+    { name: "Unpivoting" }
+  );
+
+const analyzeUnpivot = (node) =>
+  analyzeTestWorkflow(
+    {
+      1: csvReader([
+        ["region", KNIME_TYPES.STRING],
+        ["month", KNIME_TYPES.STRING],
+        ["amount", KNIME_TYPES.DOUBLE],
+        ["qty", KNIME_TYPES.INT],
+      ]),
+      2: node,
+    },
+    [[1, 2]]
+  );
+
+describe("convertUnpivotNodeToSQL", () => {
+  it("turns the value columns into rows", async () => {
+    const analysis = await analyzeUnpivot(
+      unpivot(["amount", "qty"], ["region", "month"], false)
+    );
+    expect(sqlPerDialect(analysis, 2)).toMatchSnapshot();
+    expect(convertNode(analysis, 2).columns).toEqual([
+      "RowIDs",
+      "ColumnNames",
+      "ColumnValues",
+      "region",
+      "month",
+    ]);
+  });
+
+  it("skips missing values", async () => {
+    const analysis = await analyzeUnpivot(
+      unpivot(["amount", "qty"], ["region"], true)
+    );
+    expect(convertNode(analysis, 2).sql).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,85 @@
+// src/functions/dateTimeSettings.js
+
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getSelectedColumns } from "../common/getSelectedColumns";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import { KNIME_TYPES, findSchemaColumn, getTypeLabel } from "./columnSchema";
+
+/** KNIME cell classes of the Date&Time types, keyed by their setting value. */
+export const DATE_TIME_TYPES = {
+  LOCAL_DATE: KNIME_TYPES.LOCAL_DATE,
+  LOCAL_TIME: KNIME_TYPES.LOCAL_TIME,
+  LOCAL_DATE_TIME: KNIME_TYPES.LOCAL_DATE_TIME,
+  ZONED_DATE_TIME: KNIME_TYPES.ZONED_DATE_TIME,
+};
+
+/**
+ * Units of the Date&Time nodes' "granularity" setting, keyed by its value (see
+ * dialect.dateAdd).
+ */
+export const DATE_TIME_UNITS = {
+  Year: "year",
+  Month: "month",
+  Week: "week",
+  Day: "day",
+  Hour: "hour",
+  Minute: "minute",
+  Second: "second",
+  Millisecond: "millisecond",
+};
+
+/**
+ * @param {string|null} type - The KNIME cell class.
+ * @returns {boolean} - True for the Date&Time types.
+ */
+export const isDateTimeType = (type) =>
+  ["date", "time", "datetime", "zonedDatetime"].includes(getKnimeTypeKey(type));
+
+/**
+ * Reads the column selection shared by the Date&Time nodes that convert or shift
+ * columns: the column filter "col_select", "replace_or_append" and the "suffix" of
+ * appended columns.
+ * @param {object} modelNode - The model config.
+ * @returns {{columns: string[], append: boolean, suffix: string}} - The selection.
+ */
+export const getDateTimeColumnSelection = (modelNode) => ({
+  columns: getSelectedColumns(findConfigByKey(modelNode.config, "col_select")),
+  append:
+    getEntryValue(modelNode.entry, "replace_or_append") ===
+    "Append selected columns",
+  suffix: getEntryValue(modelNode.entry, "suffix") ?? "",
+});
+
+/**
+ * Lists the selected columns whose type is known and does not pass a check, as messages.
+ * @param {string[]} columns - The selected columns.
+ * @param {Array<object>} inputSchema - The typed input schema.
+ * @param {function(string|null): boolean} isValid - Checks a column type.
+ * @param {string} expected - The expected type, for the message.
+ * @returns {string[]} - The messages.
+ */
+export const checkColumnTypes = (columns, inputSchema, isValid, expected) =>
+  columns
+    .map((col) => findSchemaColumn(inputSchema, col))
+    .filter((column) => column?.type && !isValid(column.type))
+    .map(
+      (column) =>
+        `Column "${column.name}" is a ${getTypeLabel(
+          column.type
+        )}, not ${expected}.`
+    );
+
+/**
+ * Warns if a date pattern has month or day names, which the database writes and reads
+ * in its own language rather than in the node's locale.
+ * @param {string} pattern - The Java date pattern.
+ * @param {string|null} locale - The node's locale, e.g. "de-DE".
+ * @returns {string|null} - The warning, or null.
+ */
+export const getDateNameWarning = (pattern, locale) =>
+  /MMM|E|a/.test(pattern.replace(/'[^']*'/g, "")) &&
+  locale &&
+  !/^en\b/.test(locale)
+    ? `Month and day names are in the database's language, not in the locale ${locale}.`
+    : null;
@@ -0,0 +1,343 @@
+// src/functions/expressionFunctions.js
+
+import { KNIME_TYPES, getCommonType, isStringType } from "./columnSchema";
+
+const { STRING, LONG, DOUBLE, BOOLEAN } = KNIME_TYPES;
+
+/**
+ * Reads a string literal argument, e.g. a regular expression that is inlined into
+ * the SQL.
+ * @param {object} arg - The translated argument.
+ * @param {string} description - What the argument is, for the error message.
+ * @returns {string} - The literal value.
+ * @throws {Error} - If the argument is not a string literal.
+ */
+export const stringLiteral = (arg, description) => {
+  if (typeof arg.literal !== "string") {
+    throw new Error(`The ${description} must be a string literal.`);
+  }
+  return arg.literal;
+};
+
+/**
+ * Reads an integer literal argument.
+ * @param {object} arg - The translated argument.
+ * @param {string} description - What the argument is, for the error message.
+ * @returns {number} - The literal value.
+ * @throws {Error} - If the argument is not an integer literal.
+ */
+const integerLiteral = (arg, description) => {
+  if (!Number.isInteger(arg.literal)) {
+    throw new Error(`The ${description} must be an integer literal.`);
+  }
+  return arg.literal;
+};
+
+/**
+ * Checks the optional modifiers argument of the string matching functions; only "i"
+ * (ignore case) is supported.
+ * @param {object|undefined} modifiers - The translated argument, if given.
+ * @returns {boolean} - True if the match is case-insensitive.
+ * @throws {Error} - For other modifiers.
+ */
+export const ignoresCase = (modifiers) => {
+  if (!modifiers) return false;
+  const value = stringLiteral(modifiers, "modifiers argument");
+  if (/[^i]/.test(value)) {
+    throw new Error(`Unsupported modifiers "${value}"; only "i" is supported.`);
+  }
+  return value.includes("i");
+};
+
+/**
+ * Applies LOWER to both operands of a case-insensitive comparison.
+ * @param {Array<string>} exprs - The SQL expressions.
+ * @param {boolean} ignoreCase - Whether the comparison ignores case.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {Array<string>} - The expressions to compare.
+ */
+export const foldCase = (exprs, ignoreCase, dialect) =>
+  ignoreCase
+    ? exprs.map((expr) => dialect.callFunction("LOWER", [expr]))
+    : exprs;
+
+/**
+ * A function mapped one to one onto an SQL function.
+ * @param {string} sqlName - The SQL function's default name (see callFunction).
+ * @param {Array<string>} params - The parameter kinds (see EXPRESSION_FUNCTIONS).
+ * @param {string|function} returns - The result type, or a function of the argument types.
+ * @returns {object} - The function definition.
+ */
+export const sqlFunction = (sqlName, params, returns) => ({
+  params,
+  returns,
+  toSQL: (args, dialect) =>
+    dialect.callFunction(
+      sqlName,
+      args.map((arg) => arg.sql)
+    ),
+});
+
+/**
+ * Pads a string to a length unless it is longer already (LPAD and RPAD would cut it).
+ * @param {string} sqlName - LPAD or RPAD.
+ * @returns {object} - The function definition.
+ */
+export const padFunction = (sqlName) => ({
+  params: ["string", "integer", "string?"],
+  returns: STRING,
+  toSQL: ([string, length, padding], dialect) =>
+    `CASE WHEN ${dialect.callFunction("LENGTH", [string.sql])} >= ${
+      length.sql
+    } THEN ${string.sql} ELSE ${dialect.callFunction(sqlName, [
+      string.sql,
+      length.sql,
+      padding ? padding.sql : dialect.quoteString(" "),
+    ])} END`,
+});
+
+/**
+ * Extracts a field of a date, time or date and time.
+ * @param {string} part - The field (year, month, day, hour, minute or second).
+ * @returns {object} - The function definition.
+ */
+const datePartFunction = (part) => ({
+  params: ["temporal"],
+  returns: LONG,
+  toSQL: ([value], dialect) => dialect.datePart(part, value.sql),
+});
+
+/**
+ * Parses an ISO formatted string to a date or time type.
+ * @param {string} type - The KNIME cell class of the result.
+ * @returns {object} - The function definition.
+ */
+const parseTemporalFunction = (type) => ({
+  params: ["string", "string?"],
+  returns: type,
+  toSQL: ([value, format], dialect) => {
+    if (format) {
+      throw new Error("Custom formats are not supported; use ISO strings.");
+    }
+    return dialect.cast(value.sql, dialect.typeName(type));
+  },
+});
+
+/** Converts a value of any type to a string. */
+export const toStringFunction = {
+  params: ["any"],
+  returns: STRING,
+  toSQL: ([value], dialect) =>
+    isStringType(value.type)
+      ? value.sql
+      : dialect.cast(value.sql, dialect.typeName(STRING)),
+};
+
+/**
+ * The functions of the KNIME Expression language that have an SQL equivalent, keyed by
+ * name. Each has its parameter kinds ("string", "number", "integer", "boolean",
+ * "temporal" or "any"; a trailing "?" marks an optional, a trailing "..." a repeated
+ * parameter), its result type (a KNIME cell class, or a function of the argument
+ * types) and toSQL(args, dialect). The arguments are {sql, type, literal}, where
+ * literal is the value of string and number literals. Boolean results are conditions
+ * (see booleanCondition in src/dialects).
+ */
+export const EXPRESSION_FUNCTIONS = {
+  // --- String ---
+  lower_case: sqlFunction("LOWER", ["string"], STRING),
+  upper_case: sqlFunction("UPPER", ["string"], STRING),
+  capitalize: sqlFunction("INITCAP", ["string"], STRING),
+  length: sqlFunction("LENGTH", ["string"], LONG),
+  strip: sqlFunction("TRIM", ["string"], STRING),
+  strip_start: sqlFunction("LTRIM", ["string"], STRING),
+  strip_end: sqlFunction("RTRIM", ["string"], STRING),
+  reverse: sqlFunction("REVERSE", ["string"], STRING),
+  replace: sqlFunction("REPLACE", ["string", "string", "string"], STRING),
+  first_chars: sqlFunction("LEFT", ["string", "integer"], STRING),
+  last_chars: sqlFunction("RIGHT", ["string", "integer"], STRING),
+  join: sqlFunction("CONCAT_WS", ["string", "string..."], STRING),
+  pad_start: padFunction("LPAD"),
+  pad_end: padFunction("RPAD"),
+  substr: {
+    params: ["string", "integer", "integer?"],
+    returns: STRING,
+    toSQL: ([string, start, length], dialect) =>
+      dialect.substring(string.sql, start.sql, length?.sql),
+  },
+  contains: {
+    params: ["string", "string", "string?"],
+    returns: BOOLEAN,
+    toSQL: ([string, search, modifiers], dialect) => {
+      const [expr, term] = foldCase(
+        [string.sql, search.sql],
+        ignoresCase(modifiers),
+        dialect
+      );
+      return `${dialect.position(expr, term)} > 0`;
+    },
+  },
+  starts_with: {
+    params: ["string", "string", "string?"],
+    returns: BOOLEAN,
+    toSQL: ([string, prefix, modifiers], dialect) => {
+      const [expr, term] = foldCase(
+        [string.sql, prefix.sql],
+        ignoresCase(modifiers),
+        dialect
+      );
+      return `${dialect.callFunction("LEFT", [
+        expr,
+        dialect.callFunction("LENGTH", [term]),
+      ])} = ${term}`;
+    },
+  },
+  ends_with: {
+    params: ["string", "string", "string?"],
+    returns: BOOLEAN,
+    toSQL: ([string, suffix, modifiers], dialect) => {
+      const [expr, term] = foldCase(
+        [string.sql, suffix.sql],
+        ignoresCase(modifiers),
+        dialect
+      );
+      return `${dialect.callFunction("RIGHT", [
+        expr,
+        dialect.callFunction("LENGTH", [term]),
+      ])} = ${term}`;
+    },
+  },
+  like: {
+    params: ["string", "string", "string?"],
+    returns: BOOLEAN,
+    toSQL: ([string, pattern, modifiers], dialect) =>
+      dialect.like(
+        string.sql,
+        stringLiteral(pattern, "LIKE pattern"),
+        !ignoresCase(modifiers)
+      ),
+  },
+  regex_match: {
+    params: ["string", "string", "string?"],
+    returns: BOOLEAN,
+    toSQL: ([string, pattern, modifiers], dialect) =>
+      dialect.regexMatch(
+        string.sql,
+        stringLiteral(pattern, "regular expression"),
+        !ignoresCase(modifiers)
+      ),
+  },
+  regex_replace: {
+    params: ["string", "string", "string"],
+    returns: STRING,
+    toSQL: ([string, pattern, replacement], dialect) =>
+      dialect.regexReplace(
+        string.sql,
+        stringLiteral(pattern, "regular expression"),
+        stringLiteral(replacement, "replacement")
+      ),
+  },
+  regex_extract: {
+    params: ["string", "string", "integer"],
+    returns: STRING,
+    toSQL: ([string, pattern, group], dialect) =>
+      dialect.regexExtract(
+        string.sql,
+        stringLiteral(pattern, "regular expression"),
+        integerLiteral(group, "group")
+      ),
+  },
+  to_string: toStringFunction,
+  string: toStringFunction,
+  parse_int: {
+    params: ["string"],
+    returns: LONG,
+    toSQL: ([string], dialect) =>
+      dialect.safeCast(string.sql, dialect.typeName(LONG)),
+  },
+  parse_float: {
+    params: ["string"],
+    returns: DOUBLE,
+    toSQL: ([string], dialect) =>
+      dialect.safeCast(string.sql, dialect.typeName(DOUBLE)),
+  },
+  empty_to_missing: {
+    params: ["string"],
+    returns: STRING,
+    toSQL: ([string], dialect) =>
+      dialect.callFunction("NULLIF", [string.sql, dialect.quoteString("")]),
+  },
+  missing_to_empty: {
+    params: ["string"],
+    returns: STRING,
+    toSQL: ([string], dialect) =>
+      dialect.callFunction("COALESCE", [string.sql, dialect.quoteString("")]),
+  },
+
+  // --- Math ---
+  abs: sqlFunction("ABS", ["number"], ([type]) => type),
+  ceil: sqlFunction("CEIL", ["number"], LONG),
+  floor: sqlFunction("FLOOR", ["number"], LONG),
+  round: {
+    params: ["number", "integer?"],
+    returns: (types) => (types.length > 1 ? DOUBLE : LONG),
+    toSQL: (args, dialect) =>
+      dialect.callFunction(
+        "ROUND",
+        args.map((arg) => arg.sql)
+      ),
+  },
+  sqrt: sqlFunction("SQRT", ["number"], DOUBLE),
+  exp: sqlFunction("EXP", ["number"], DOUBLE),
+  ln: sqlFunction("LN", ["number"], DOUBLE),
+  log10: sqlFunction("LOG10", ["number"], DOUBLE),
+  log2: {
+    params: ["number"],
+    returns: DOUBLE,
+    toSQL: ([value], dialect) =>
+      `${dialect.callFunction("LN", [value.sql])} / ${dialect.callFunction(
+        "LN",
+        ["2"]
+      )}`,
+  },
+  pow: sqlFunction("POWER", ["number", "number"], DOUBLE),
+  mod: {
+    params: ["number", "number"],
+    returns: getCommonType,
+    toSQL: ([dividend, divisor], dialect) =>
+      dialect.modulo(dividend.sql, divisor.sql),
+  },
+  sin: sqlFunction("SIN", ["number"], DOUBLE),
+  cos: sqlFunction("COS", ["number"], DOUBLE),
+  tan: sqlFunction("TAN", ["number"], DOUBLE),
+  asin: sqlFunction("ASIN", ["number"], DOUBLE),
+  acos: sqlFunction("ACOS", ["number"], DOUBLE),
+  atan: sqlFunction("ATAN", ["number"], DOUBLE),
+  atan2: sqlFunction("ATAN2", ["number", "number"], DOUBLE),
+  degrees: sqlFunction("DEGREES", ["number"], DOUBLE),
+  radians: sqlFunction("RADIANS", ["number"], DOUBLE),
+  sign: sqlFunction("SIGN", ["number"], LONG),
+  max: sqlFunction("GREATEST", ["number", "number..."], getCommonType),
+  min: sqlFunction("LEAST", ["number", "number..."], getCommonType),
+  average: {
+    params: ["number", "number..."],
+    returns: DOUBLE,
+    toSQL: (args) =>
+      `(${args.map((arg) => arg.sql).join(" + ")}) / ${args.length}.0`,
+  },
+
+  // --- Date and time (ISO strings only) ---
+  make_date: sqlFunction(
+    "MAKE_DATE",
+    ["integer", "integer", "integer"],
+    KNIME_TYPES.LOCAL_DATE
+  ),
+  parse_date: parseTemporalFunction(KNIME_TYPES.LOCAL_DATE),
+  parse_time: parseTemporalFunction(KNIME_TYPES.LOCAL_TIME),
+  parse_datetime: parseTemporalFunction(KNIME_TYPES.LOCAL_DATE_TIME),
+  extract_year: datePartFunction("year"),
+  extract_month: datePartFunction("month"),
+  extract_day_of_month: datePartFunction("day"),
+  extract_hour: datePartFunction("hour"),
+  extract_minute: datePartFunction("minute"),
+  extract_second: datePartFunction("second"),
+};
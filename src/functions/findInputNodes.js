@@ -0,0 +1,96 @@
+// src/functions/findInputNodes.js
+
+/**
+ * Port 0 of a native KNIME node is its (hidden) flow variable port; data ports
+ * start at 1 (e.g. Joiner: 1 = left table, 2 = right table).
+ */
+export const FLOW_VARIABLE_PORT = 0;
+
+/**
+ * Returns the outgoing connections of a node. Nodes without port information
+ * (e.g. built by older callers with only 'nextNodes') get connections without ports.
+ * @param {object} node - A raw or processed node.
+ * @returns {Array<{destID: number|string, sourcePort: number|null, destPort: number|null}>}
+ */
+export const getNextConnections = (node) =>
+  Array.isArray(node?.nextConnections)
+    ? node.nextConnections
+    : (node?.nextNodes || []).map((destID) => ({
+        destID,
+        sourcePort: null,
+        destPort: null,
+      }));
+
+/**
+ * Finds the nodes connected to the data input ports of a node, ordered by input port.
+ * Flow variable connections are ignored.
+ *
+ * @param {number|string} currentNodeId - The ID of the current node.
+ * @param {Array<object>} allProcessedNodes - Nodes to search (typically those executed before
+ * the current node), each with 'id' and 'nextConnections' or 'nextNodes'.
+ * @returns {Array<{node: object, port: number|null, sourcePort: number|null}>} - One entry per
+ * connection: the upstream node, the input port of the current node it is connected to and
+ * the output port of the upstream node it comes from.
+ */
+export function findInputs(currentNodeId, allProcessedNodes) {
+  if (!Array.isArray(allProcessedNodes)) return [];
+  const currentIdStr = String(currentNodeId);
+
+  const inputs = [];
+  allProcessedNodes.forEach((node) => {
+    if (!node || String(node.id) === currentIdStr) return;
+    getNextConnections(node).forEach((conn) => {
+      if (
+        String(conn.destID) === currentIdStr &&
+        conn.destPort !== FLOW_VARIABLE_PORT
+      ) {
+        inputs.push({
+          node,
+          port: conn.destPort,
+          sourcePort: conn.sourcePort,
+        });
+      }
+    });
+  });
+
+  // Connections without port information keep their order, after the known ports
+  return inputs
+    .map((input, index) => ({ input, index }))
+    .sort(
+      (a, b) =>
+        (a.input.port ?? Infinity) - (b.input.port ?? Infinity) ||
+        a.index - b.index
+    )
+    .map(({ input }) => input);
+}
+
+/**
+ * Finds the upstream nodes of a node's data inputs, ordered by input port.
+ * @param {number|string} currentNodeId - The ID of the current node.
+ * @param {Array<object>} allProcessedNodes - Nodes to search.
+ * @returns {Array<object>} - The upstream nodes (a node connected twice is listed once).
+ */
+export const findInputNodes = (currentNodeId, allProcessedNodes) => [
+  ...new Set(
+    findInputs(currentNodeId, allProcessedNodes).map((input) => input.node)
+  ),
+];
+
+/**
+ * Finds the input connected to a specific input port of a node.
+ * If the workflow has no port information, the n-th input (in connection order) is
+ * used for data port n.
+ * @param {number|string} currentNodeId - The ID of the current node.
+ * @param {number} port - The input port (1 = first data port).
+ * @param {Array<object>} allProcessedNodes - Nodes to search.
+ * @returns {{node: object, port: number|null, sourcePort: number|null}|null} - The input or null.
+ */
+export function findInputByPort(currentNodeId, port, allProcessedNodes) {
+  const inputs = findInputs(currentNodeId, allProcessedNodes);
+  const exact = inputs.find((input) => input.port === port);
+  if (exact) return exact;
+  if (inputs.every((input) => input.port === null)) {
+    return inputs[port - 1] || null;
+  }
+  return null;
+}
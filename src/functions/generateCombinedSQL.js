@@ -0,0 +1,142 @@
+// src/functions/generateCombinedSQL.js
+
+import {
+  convertNodeInWorkflow,
+  isSupportedNodeFactory,
+} from "./convertSelectedNodeToSQL";
+import {
+  FLOW_VARIABLE_PORT,
+  findInputNodes,
+  getNextConnections,
+} from "./findInputNodes";
+import { getCteName } from "./getCteName";
+import { getDialect } from "../dialects";
+
+/**
+ * Turns a converter's query into a CTE body: strips the statement terminator (keeping
+ * any trailing comment lines) and indents it. Warnings and the approximation flag of
+ * the conversion become comments above the query.
+ * @param {object} result - The conversion result.
+ * @returns {string} - The CTE body.
+ */
+const toCteBody = ({ sql, warnings, approximate }) =>
+  [
+    ...(approximate
+      ? ["-- APPROXIMATE: the result may differ from KNIME's output."]
+      : []),
+    ...warnings.map((warning) => `-- Warning: ${warning}`),
+    sql.trim(),
+  ]
+    .join("\n")
+    .replace(/;((\s*--[^\n]*)*)$/, "$1")
+    .split("\n")
+    .map((line) => `  ${line}`)
+    .join("\n");
+
+/**
+ * Builds the body of a pass-through CTE for a node that could not be converted:
+ * its first input is passed on unchanged, so downstream nodes still resolve.
+ * @param {object} node - The processed node.
+ * @param {string} reason - Why the node was not converted.
+ * @param {Array<object>} inputs - The node's upstream nodes in input port order.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {string} - The CTE body.
+ */
+const passThroughCteBody = (node, reason, inputs, dialect) => {
+  const nodeType = (node.nodeType || "unknown factory").split(".").pop();
+  const header = `  -- PASS-THROUGH: node ${node.id} "${node.nodeName}" (${nodeType}) ${reason}`;
+  if (inputs.length === 0) {
+    // A source node without SQL: expect its data in a table named after the node
+    const table = dialect.quoteIdentifier(node.nodeName);
+    return `${header}\n  -- Provide its output as the table ${table}.\n  SELECT * FROM ${table}`;
+  }
+  const ignoredInputs =
+    inputs.length > 1
+      ? `\n  -- Only the first input is passed on; ignored: ${inputs
+          .slice(1)
+          .map((input) => getCteName(input.id))
+          .join(", ")}.`
+      : "";
+  return `${header}\n  -- Rows and columns of the input are passed on unchanged.${ignoredInputs}\n  SELECT * FROM ${dialect.quoteIdentifier(
+    getCteName(inputs[0].id)
+  )}`;
+};
+
+/**
+ * Combines the SQL of every processed node into a single WITH ... SELECT statement,
+ * one CTE per node in execution order. Each CTE is named after its node (see getCteName)
+ * and reads from the CTEs of its upstream nodes. Nodes that cannot be converted become
+ * marked pass-through CTEs, and the final SELECT reads from the workflow's sink node.
+ *
+ * @param {Array<object>} processedNodes - Processed nodes in execution order.
+ * @param {object} [dialect] - The target SQL dialect (see src/dialects).
+ * @param {Map<string, object>} [results] - Conversion results by node ID that were
+ * already computed for this dialect; the other nodes are converted here.
+ * @returns {string} - The combined SQL, or an empty string if there are no nodes.
+ */
+export function generateCombinedSQL(
+  processedNodes,
+  dialect = getDialect(),
+  results = new Map()
+) {
+  const cteParts = [];
+  // Iterate in execution order (already sorted in processedNodes)
+  for (const node of processedNodes) {
+    const result =
+      results.get(node.id) ??
+      convertNodeInWorkflow(node, processedNodes, dialect);
+    const cteName = dialect.quoteIdentifier(getCteName(node.id));
+
+    let body;
+    if (result.sql) {
+      body = toCteBody(result);
+    } else {
+      const reason = isSupportedNodeFactory(node.nodeType)
+        ? `could not be converted: ${String(
+            result.errors[0] || "no SQL generated"
+          )
+            .split("\n")[0]
+            .trim()}`
+        : "is not supported.";
+      body = passThroughCteBody(
+        node,
+        reason,
+        findInputNodes(node.id, processedNodes),
+        dialect
+      );
+    }
+    cteParts.push(`${cteName} AS (\n${body}\n)`);
+  }
+
+  if (cteParts.length === 0) {
+    return "";
+  }
+
+  // Sinks are nodes whose data output is not used by another node; the last one in
+  // execution order is the workflow result.
+  const nodeIds = new Set(processedNodes.map((node) => String(node.id)));
+  const sinks = processedNodes.filter(
+    (node) =>
+      !getNextConnections(node).some(
+        (conn) =>
+          conn.destPort !== FLOW_VARIABLE_PORT &&
+          nodeIds.has(String(conn.destID))
+      )
+  );
+  const resultNode = sinks.length
+    ? sinks[sinks.length - 1]
+    : processedNodes[processedNodes.length - 1];
+  const otherSinks = sinks
+    .filter((node) => node !== resultNode)
+    .map((node) => dialect.quoteIdentifier(getCteName(node.id)));
+  const otherSinksComment = otherSinks.length
+    ? `\n-- Other workflow outputs: ${otherSinks.join(", ")}`
+    : "";
+
+  const resultCte = dialect.quoteIdentifier(getCteName(resultNode.id));
+  const resultComment = `-- Result of node ${resultNode.id} "${resultNode.nodeName}"${otherSinksComment}`;
+
+  return `WITH\n${cteParts.join(
+    ",\n\n"
+  )}\n\n${resultComment}\nSELECT * FROM ${resultCte};`;
+}
@@ -0,0 +1,13 @@
+// src/functions/getCteName.js
+
+/**
+ * Builds the name under which a node's output is available in the generated SQL:
+ * the CTE of the node in the combined query. Converters use it to reference their
+ * upstream nodes, so per-node SQL and the combined query use the same names.
+ * Nested node IDs ("9:3") become "Node_9_3".
+ *
+ * @param {number|string} nodeId - The node ID.
+ * @returns {string} - The CTE name (unquoted).
+ */
+export const getCteName = (nodeId) =>
+  `Node_${String(nodeId).replace(/:/g, "_")}`;
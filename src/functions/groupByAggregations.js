@@ -0,0 +1,218 @@
+// src/functions/groupByAggregations.js
+
+import { KNIME_TYPES } from "./columnSchema";
+import { getKnimeTypeKey } from "../dialects/createDialect";
+
+const { STRING, INT, DOUBLE } = KNIME_TYPES;
+
+/**
+ * The type of a sum: integer columns keep their type, others give a double.
+ * @param {string|null} inputType - The KNIME type of the aggregated column.
+ * @returns {string} - The KNIME type of the result.
+ */
+const sumType = (inputType) =>
+  ["int", "long"].includes(getKnimeTypeKey(inputType)) ? inputType : DOUBLE;
+
+/**
+ * Casts a column to a string unless it already is one.
+ * @param {string} value - The quoted column.
+ * @param {string|null} inputType - Its KNIME type.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {string} - The string expression.
+ */
+const toText = (value, inputType, dialect) =>
+  getKnimeTypeKey(inputType) === "string"
+    ? value
+    : dialect.cast(value, dialect.typeName(STRING));
+
+/**
+ * Counts the aggregated rows.
+ * @param {string|null} rowCondition - The condition selecting them, or null for all.
+ * @returns {string} - The SQL aggregate.
+ */
+const countRows = (rowCondition) =>
+  rowCondition ? `COUNT(CASE WHEN ${rowCondition} THEN 1 END)` : "COUNT(*)";
+
+/**
+ * Counts the rows for which a condition holds.
+ * @param {string} condition - The SQL condition.
+ * @returns {string} - The SQL aggregate.
+ */
+const countIf = (condition) => `SUM(CASE WHEN ${condition} THEN 1 ELSE 0 END)`;
+
+/**
+ * The aggregation methods of the KNIME GroupBy node that have an SQL equivalent, keyed
+ * by the method ID stored in the settings. Each has:
+ * - label: the name used in the output column name, e.g. "Sum" in "Sum(amount)".
+ * - type(inputType): the KNIME type of the result, or null if it has no SQL equivalent
+ *   (collections).
+ * - toSQL(value, options): the SQL aggregate of the quoted column, with the options
+ *   { dialect, inputType, includeMissing, separator, rowCondition }. A rowCondition
+ *   restricts the aggregated rows (e.g. to one pivot value); the value is then NULL
+ *   for the other rows.
+ * - countsMissing: whether the method handles missing values itself; SQL aggregates of
+ *   other methods always skip them.
+ * - orderDependent: whether the result depends on the row order.
+ * - window: whether the SQL is a single aggregate that also works as a window function
+ *   (followed by OVER).
+ */
+export const AGGREGATION_METHODS = {
+  "Sum_V2.5.2": {
+    label: "Sum",
+    type: sumType,
+    toSQL: (value) => `SUM(${value})`,
+    window: true,
+  },
+  // Before KNIME 2.5.2 every sum was a double
+  Sum: {
+    label: "Sum",
+    type: () => DOUBLE,
+    toSQL: (value, { dialect }) =>
+      `SUM(${dialect.cast(value, dialect.typeName(DOUBLE))})`,
+    window: true,
+  },
+  Mean: {
+    label: "Mean",
+    type: () => DOUBLE,
+    // Some databases average integers to an integer
+    toSQL: (value, { dialect, inputType }) =>
+      `AVG(${
+        getKnimeTypeKey(inputType) === "double"
+          ? value
+          : dialect.cast(value, dialect.typeName(DOUBLE))
+      })`,
+    window: true,
+  },
+  Median: {
+    label: "Median",
+    type: () => DOUBLE,
+    toSQL: (value, { dialect }) => dialect.callFunction("MEDIAN", [value]),
+  },
+  Minimum: {
+    label: "Min*",
+    type: (inputType) => inputType,
+    toSQL: (value) => `MIN(${value})`,
+    window: true,
+  },
+  Maximum: {
+    label: "Max*",
+    type: (inputType) => inputType,
+    toSQL: (value) => `MAX(${value})`,
+    window: true,
+  },
+  Mode: {
+    label: "Mode",
+    type: (inputType) => inputType,
+    toSQL: (value, { dialect }) => dialect.callFunction("MODE", [value]),
+  },
+  "Standard deviation": {
+    label: "Standard deviation",
+    type: () => DOUBLE,
+    toSQL: (value, { dialect }) => dialect.callFunction("STDDEV_SAMP", [value]),
+    window: true,
+  },
+  Variance: {
+    label: "Variance",
+    type: () => DOUBLE,
+    toSQL: (value, { dialect }) => dialect.callFunction("VAR_SAMP", [value]),
+    window: true,
+  },
+  Range: {
+    label: "Range",
+    type: () => DOUBLE,
+    toSQL: (value) => `MAX(${value}) - MIN(${value})`,
+  },
+  Count: {
+    label: "Count",
+    type: () => INT,
+    toSQL: (value, { includeMissing, rowCondition }) =>
+      includeMissing ? countRows(rowCondition) : `COUNT(${value})`,
+    countsMissing: true,
+    window: true,
+  },
+  "Unique count": {
+    label: "Unique count",
+    type: () => INT,
+    // COUNT(DISTINCT) skips missing values; they count as one more value if included
+    toSQL: (value, { includeMissing, rowCondition }) =>
+      includeMissing
+        ? `COUNT(DISTINCT ${value}) + MAX(CASE WHEN ${
+            rowCondition ? `${rowCondition} AND ` : ""
+          }${value} IS NULL THEN 1 ELSE 0 END)`
+        : `COUNT(DISTINCT ${value})`,
+    countsMissing: true,
+  },
+  "Missing value count": {
+    label: "Missing value count",
+    type: () => INT,
+    toSQL: (value, { rowCondition }) =>
+      `${countRows(rowCondition)} - COUNT(${value})`,
+    countsMissing: true,
+  },
+  "True count": {
+    label: "True count",
+    type: () => INT,
+    toSQL: (value, { dialect }) => countIf(dialect.booleanCondition(value)),
+    countsMissing: true,
+    window: true,
+  },
+  "False count": {
+    label: "False count",
+    type: () => INT,
+    toSQL: (value, { dialect }) =>
+      countIf(`NOT (${dialect.booleanCondition(value)})`),
+    countsMissing: true,
+    window: true,
+  },
+  First: {
+    label: "First",
+    type: (inputType) => inputType,
+    toSQL: (value, { dialect }) => dialect.firstValue(value),
+    orderDependent: true,
+  },
+  Last: {
+    label: "Last",
+    type: (inputType) => inputType,
+    toSQL: (value, { dialect }) => dialect.firstValue(value, true),
+    orderDependent: true,
+  },
+  Concatenate: {
+    label: "Concatenate",
+    type: () => STRING,
+    toSQL: (value, { dialect, inputType, separator }) =>
+      dialect.stringAggregate(toText(value, inputType, dialect), separator),
+    orderDependent: true,
+  },
+  "Unique concatenate": {
+    label: "Unique concatenate",
+    type: () => STRING,
+    toSQL: (value, { dialect, inputType, separator }) =>
+      dialect.stringAggregate(
+        toText(value, inputType, dialect),
+        separator,
+        true
+      ),
+    orderDependent: true,
+  },
+  List: {
+    label: "List",
+    type: () => null,
+    toSQL: (value, { dialect }) => dialect.callFunction("ARRAY_AGG", [value]),
+    orderDependent: true,
+  },
+  Set: {
+    label: "Set",
+    type: () => null,
+    toSQL: (value, { dialect }) =>
+      dialect.callFunction("ARRAY_AGG", [`DISTINCT ${value}`]),
+  },
+};
+
+/**
+ * Returns the output type of an aggregation.
+ * @param {string} method - The method ID.
+ * @param {string|null} inputType - The KNIME type of the aggregated column.
+ * @returns {string|null} - The KNIME type, or null if unknown.
+ */
+export const getAggregationType = (method, inputType) =>
+  AGGREGATION_METHODS[method]?.type(inputType || null) || null;
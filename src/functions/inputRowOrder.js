@@ -0,0 +1,38 @@
+// src/functions/inputRowOrder.js
+
+import { findConfigByKey } from "../common/findConfigByKey";
+import { SORTER_FACTORY, getSorterOrderKeys } from "./convertSorterNodeToSQL";
+
+/**
+ * Finds the row order of a node's input for window functions (LAG, running
+ * aggregates, row numbers). The database does not keep the order of a query it reads
+ * from, so the order is only defined if a Sorter feeds the node directly; its sort keys
+ * are then repeated in the window. Otherwise the rows are taken in the order the
+ * database reads them, which some dialects cannot express (see dialect.rowOrder).
+ * @param {object|undefined} inputNode - The processed input node.
+ * @param {object} dialect - The target SQL dialect.
+ * @returns {{keys: Array<object>, order: string|null, warning: string|null, error: string|null}}
+ * - The sort keys (empty if the order is not defined), the window ORDER BY clause for
+ * them (see dialect.windowOrderBy), a warning if the order is not defined and an error
+ * if the dialect has no window order without the keys.
+ */
+export const getInputRowOrder = (inputNode, dialect) => {
+  const modelNode =
+    inputNode?.nodeType === SORTER_FACTORY
+      ? findConfigByKey(inputNode.config?.config, "model")
+      : null;
+  const keys = modelNode ? getSorterOrderKeys(modelNode, dialect) : [];
+  const order = dialect.windowOrderBy(keys);
+  return {
+    keys,
+    order,
+    warning:
+      keys.length > 0
+        ? null
+        : "The input has no defined row order, so the rows are taken in the order the database reads them, which may differ from KNIME; put a Sorter right before this node to fix the order.",
+    error:
+      order === null
+        ? `${dialect.label} needs a defined row order here; put a Sorter right before this node.`
+        : null,
+  };
+};
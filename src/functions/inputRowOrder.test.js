@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { getInputRowOrder } from "./inputRowOrder";
+import { SORTER_FACTORY } from "./convertSorterNodeToSQL";
+import { getDialect } from "../dialects";
+
+const entry = (key, value, type = "xstring") => ({
+  _attributes: { key, type, value },
+});
+
+// A processed Sorter node that sorts by "a" ascending and "b" descending
+const sorterNode = {
+  id: 1,
+  nodeType: SORTER_FACTORY,
+  config: {
+    entry: [entry("factory", SORTER_FACTORY)],
+    config: [
+      {
+        _attributes: { key: "model" },
+        entry: [entry("missingToEnd", "false", "xboolean")],
+        config: [
+          {
+            _attributes: { key: "incllist" },
+            entry: [
+              entry("array-size", "2", "xint"),
+              entry("0", "a"),
+              entry("1", "b"),
+            ],
+          },
+          {
+            _attributes: { key: "sortOrder" },
+            entry: [
+              entry("array-size", "2", "xint"),
+              entry("0", "true", "xboolean"),
+              entry("1", "false", "xboolean"),
+            ],
+          },
+        ],
+      },
+    ],
+  },
+};
+
+const otherNode = { id: 2, nodeType: "org.example.OtherNodeFactory" };
+
+describe("getInputRowOrder", () => {
+  it("repeats the sort keys of a Sorter input", () => {
+    expect(getInputRowOrder(sorterNode, getDialect())).toEqual({
+      keys: [
+        { expr: '"a"', descending: false, nullsLast: false },
+        { expr: '"b"', descending: true, nullsLast: true },
+      ],
+      order: 'ORDER BY "a" ASC NULLS FIRST, "b" DESC NULLS LAST',
+      warning: null,
+      error: null,
+    });
+  });
+
+  it("warns that other inputs are taken in the read order", () => {
+    const rowOrder = getInputRowOrder(otherNode, getDialect("snowflake"));
+    expect(rowOrder.order).toBe("ORDER BY SEQ8()");
+    expect(rowOrder.warning).toMatch(/no defined row order/);
+    expect(rowOrder.error).toBeNull();
+  });
+
+  it("fails without a Sorter on dialects without a read order", () => {
+    const rowOrder = getInputRowOrder(otherNode, getDialect("bigquery"));
+    expect(rowOrder.order).toBeNull();
+    expect(rowOrder.error).toBe(
+      "BigQuery needs a defined row order here; put a Sorter right before this node."
+    );
+    expect(
+      getInputRowOrder(sorterNode, getDialect("bigquery")).error
+    ).toBeNull();
+  });
+});
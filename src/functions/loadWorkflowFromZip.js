@@ -0,0 +1,390 @@
+// src/functions/loadWorkflowFromZip.js
+
+import JSZip from "jszip";
+import * as xmlJs from "xml-js";
+import { getEntryValue } from "../common/getEntryValue";
+import { findConfigByKey } from "../common/findConfigByKey";
+import { getChildConfigs } from "../common/findNestedEntry";
+import {
+  parseWorkflowKnime,
+  parseWorkflowVariables,
+  sortWorkflowNodes,
+} from "./parseWorkflowKnime";
+import { createColumn } from "./columnSchema";
+
+/**
+ * Parses an XML document from the archive into compact xml-js JSON.
+ * @param {string} xmlText - The raw XML text.
+ * @returns {object} - The compact JSON representation.
+ */
+const xmlToJson = (xmlText) =>
+  JSON.parse(xmlJs.xml2json(xmlText, { compact: true, spaces: 4 }));
+
+/** Node types of workflow.knime entries that contain a nested workflow. */
+const METANODE = "MetaNode";
+const COMPONENT = "SubNode";
+
+/**
+ * Returns the directory part of an archive path, including the trailing slash.
+ * @param {string} filePath - e.g. "Demo/Metanode (#9)/workflow.knime".
+ * @returns {string} - e.g. "Demo/Metanode (#9)/".
+ */
+const dirName = (filePath) => filePath.slice(0, filePath.lastIndexOf("/") + 1);
+
+/**
+ * Builds the ID of a node inside a metanode or component. Top-level nodes keep their
+ * numeric ID, nested ones are prefixed with their container's ID like in KNIME
+ * (node 3 inside node 9 becomes "9:3").
+ * @param {number|string|null} prefix - The container's ID, or null at the top level.
+ * @param {number} localId - The ID within the container's workflow.knime.
+ * @returns {number|string} - The workflow-wide node ID.
+ */
+const qualifyId = (prefix, localId) =>
+  prefix === null ? localId : `${prefix}:${localId}`;
+
+/**
+ * Finds the settings file of a node, either from 'node_settings_file' or, for older
+ * workflows without that entry, by the " (#id)" suffix of the node's folder.
+ * @param {string[]} allFiles - All paths in the archive.
+ * @param {string} workflowDir - Directory of the containing workflow.knime.
+ * @param {object} graphNode - Node as returned by parseWorkflowKnime.
+ * @param {string} fileName - "settings.xml" or "workflow.knime".
+ * @returns {string|undefined} - The archive path of the file.
+ */
+const findNodeFile = (allFiles, workflowDir, graphNode, fileName) => {
+  if (graphNode.settingsFile) {
+    const folder = dirName(`${workflowDir}${graphNode.settingsFile}`);
+    const filePath = `${folder}${fileName}`;
+    if (allFiles.includes(filePath)) return filePath;
+  }
+  return allFiles.find((filePath) => {
+    if (!filePath.startsWith(workflowDir)) return false;
+    const [folder, file, ...rest] = filePath
+      .slice(workflowDir.length)
+      .split("/");
+    return (
+      rest.length === 0 &&
+      file === fileName &&
+      folder.endsWith(` (#${graphNode.id})`)
+    );
+  });
+};
+
+/**
+ * Reads the columns of a saved data table spec (spec.xml of an output port).
+ * @param {object} specJson - The spec.xml as compact JSON.
+ * @returns {Array<{name: string, type: string|null, nullable: boolean}>} - The columns.
+ */
+const parseTableSpec = (specJson) =>
+  getChildConfigs(specJson.config)
+    .filter((config) => /^column_spec_\d+$/.test(config._attributes?.key))
+    .sort(
+      (a, b) =>
+        parseInt(a._attributes.key.slice(12), 10) -
+        parseInt(b._attributes.key.slice(12), 10)
+    )
+    .map((config) =>
+      createColumn(
+        getEntryValue(config.entry, "column_name"),
+        getEntryValue(
+          findConfigByKey(config.config, "column_type")?.entry,
+          "cell_class"
+        )
+      )
+    );
+
+/**
+ * Reads the output table specs an executed node saved next to its settings.xml
+ * (port_1/spec.xml etc., as listed under "ports" in the settings).
+ * @param {object} zipContent - The loaded JSZip archive.
+ * @param {string[]} allFiles - All paths in the archive.
+ * @param {string} nodeDir - Directory of the node's settings.xml.
+ * @param {object} config - The node's settings.xml as compact JSON.
+ * @returns {Promise<object>} - The columns of each saved spec, keyed by output port
+ * (1 for the first data port).
+ */
+async function readPortSpecs(zipContent, allFiles, nodeDir, config) {
+  const portSpecs = {};
+  for (const portConfig of getChildConfigs(
+    findConfigByKey(config?.config, "ports")
+  )) {
+    const port = parseInt(getEntryValue(portConfig.entry, "index"), 10);
+    const portDir = getEntryValue(portConfig.entry, "port_dir_location");
+    const specPath = `${nodeDir}${portDir}/spec.xml`;
+    if (!portDir || !allFiles.includes(specPath)) continue;
+    portSpecs[port] = parseTableSpec(
+      xmlToJson(await zipContent.files[specPath].async("text"))
+    );
+  }
+  return portSpecs;
+}
+
+/**
+ * Reads one workflow.knime and its node folders. Metanodes and components are read
+ * recursively and flattened into the returned node list.
+ *
+ * Connections are returned with endpoints that are either a node port ({ id, port })
+ * or a port of a metanode/component ({ junction: "in:9#1" } for input port 1 of
+ * node 9, "out:9#1" for its output port 1). The caller resolves junctions so that
+ * the contents of a container are wired directly to the nodes around it.
+ *
+ * @param {object} zipContent - The loaded JSZip archive.
+ * @param {string[]} allFiles - All paths in the archive.
+ * @param {string} workflowPath - Archive path of the workflow.knime to read.
+ * @param {object} container - The enclosing container:
+ *   { id: null|number|string, path: string[], flowVariables: object, virtualInId?: number,
+ *   virtualOutId?: number }
+ * @returns {Promise<{nodes: Array<object>, connections: Array<object>, warnings: string[]}>}
+ * - warnings lists the nodes that could not be read.
+ */
+async function readWorkflow(zipContent, allFiles, workflowPath, container) {
+  const workflowXmlText = await zipContent.files[workflowPath].async("text");
+  const workflowJson = xmlToJson(workflowXmlText);
+  const workflowDir = dirName(workflowPath);
+
+  // Get node structure and connections from workflow.knime
+  const { nodes: graphNodes, connections } = parseWorkflowKnime(workflowJson);
+  // Nested workflows see the variables of the enclosing ones
+  const flowVariables = {
+    ...container.flowVariables,
+    ...parseWorkflowVariables(workflowJson),
+  };
+
+  const rawNodes = [];
+  const flatConnections = [];
+  const warnings = [];
+  const containerIds = new Set(); // Local IDs of nested metanodes/components
+
+  for (const graphNode of graphNodes) {
+    const nodeId = qualifyId(container.id, graphNode.id);
+
+    if (graphNode.nodeType === METANODE || graphNode.nodeType === COMPONENT) {
+      const innerWorkflowPath = findNodeFile(
+        allFiles,
+        workflowDir,
+        graphNode,
+        "workflow.knime"
+      );
+      if (!innerWorkflowPath) {
+        warnings.push(
+          `Could not find the workflow of ${graphNode.nodeType} ${nodeId}; its nodes are skipped.`
+        );
+        continue;
+      }
+      const innerWorkflowDir = dirName(innerWorkflowPath);
+      const folderName = innerWorkflowDir.split("/").slice(-2)[0];
+
+      // Components keep their own settings.xml with the IDs of the virtual
+      // Component Input/Output nodes; metanodes use -1 for their boundary.
+      let settingsEntry = null;
+      if (graphNode.nodeType === COMPONENT) {
+        const settingsPath = `${innerWorkflowDir}settings.xml`;
+        if (allFiles.includes(settingsPath)) {
+          const settingsJson = xmlToJson(
+            await zipContent.files[settingsPath].async("text")
+          );
+          settingsEntry = settingsJson.config?.entry;
+        }
+      }
+      const innerJson = xmlToJson(
+        await zipContent.files[innerWorkflowPath].async("text")
+      );
+      const containerName =
+        getEntryValue(settingsEntry, "node-name") ||
+        getEntryValue(innerJson.config?.entry, "name") ||
+        folderName.replace(/ \(#\d+\)$/, "");
+
+      const inner = await readWorkflow(
+        zipContent,
+        allFiles,
+        innerWorkflowPath,
+        {
+          id: nodeId,
+          path: [...container.path, containerName],
+          flowVariables,
+          virtualInId: parseInt(
+            getEntryValue(settingsEntry, "virtual-in-ID"),
+            10
+          ),
+          virtualOutId: parseInt(
+            getEntryValue(settingsEntry, "virtual-out-ID"),
+            10
+          ),
+        }
+      );
+      rawNodes.push(...inner.nodes);
+      flatConnections.push(...inner.connections);
+      warnings.push(...inner.warnings);
+      containerIds.add(graphNode.id);
+      continue;
+    }
+
+    // Component Input/Output nodes only forward the component's ports
+    if (
+      graphNode.id === container.virtualInId ||
+      graphNode.id === container.virtualOutId
+    ) {
+      continue;
+    }
+
+    const settingsPath = findNodeFile(
+      allFiles,
+      workflowDir,
+      graphNode,
+      "settings.xml"
+    );
+    if (!settingsPath) {
+      warnings.push(
+        `Could not find settings.xml for node ${nodeId}; the node is skipped.`
+      );
+      continue;
+    }
+    const jsonObj = xmlToJson(
+      await zipContent.files[settingsPath].async("text")
+    );
+    const nodeFolder = dirName(settingsPath).split("/").slice(-2)[0];
+
+    const nodeName =
+      getEntryValue(jsonObj.config?.entry, "node-name") || nodeFolder;
+    const nodeType = getEntryValue(jsonObj.config?.entry, "factory");
+    const nodeStatus = getEntryValue(jsonObj.config?.entry, "state");
+    const customDesc = getEntryValue(
+      jsonObj.config?.entry,
+      "customDescription"
+    );
+
+    const portSpecs = await readPortSpecs(
+      zipContent,
+      allFiles,
+      dirName(settingsPath),
+      jsonObj.config
+    );
+
+    rawNodes.push({
+      id: nodeId,
+      nodeName: nodeName,
+      nodeType: nodeType,
+      nodeStatus: nodeStatus,
+      description: customDesc,
+      config: jsonObj.config, // Store the full config JSON
+      containerPath: container.path, // Names of the enclosing metanodes/components
+      flowVariables, // Workflow variables visible to the node, keyed by name
+      portSpecs, // Saved output table specs by port, if the node was executed
+      nodes: [], // Placeholder for final calculated output columns
+      previousNodes: [], // Placeholder for predecessor IDs
+    });
+  }
+
+  // Map both ends of each connection to node ports or container junctions
+  const isBoundaryIn = (id) => id === -1 || id === container.virtualInId;
+  const isBoundaryOut = (id) => id === -1 || id === container.virtualOutId;
+  const sourceEndpoint = ({ sourceID, sourcePort }) =>
+    isBoundaryIn(sourceID)
+      ? { junction: `in:${container.id}#${sourcePort}` }
+      : containerIds.has(sourceID)
+      ? { junction: `out:${qualifyId(container.id, sourceID)}#${sourcePort}` }
+      : { id: qualifyId(container.id, sourceID), port: sourcePort };
+  const destEndpoint = ({ destID, destPort }) =>
+    isBoundaryOut(destID)
+      ? { junction: `out:${container.id}#${destPort}` }
+      : containerIds.has(destID)
+      ? { junction: `in:${qualifyId(container.id, destID)}#${destPort}` }
+      : { id: qualifyId(container.id, destID), port: destPort };
+
+  connections.forEach((conn) =>
+    flatConnections.push({ from: sourceEndpoint(conn), to: destEndpoint(conn) })
+  );
+
+  return { nodes: rawNodes, connections: flatConnections, warnings };
+}
+
+/**
+ * Resolves the junction endpoints produced by readWorkflow into direct node-to-node
+ * connections. Each junction has at most one incoming connection, so a connection
+ * into a node is traced back through any number of container ports to the node
+ * that actually produces the data.
+ * @param {Array<object>} flatConnections - Connections as returned by readWorkflow.
+ * @returns {Array<object>} - Connections { sourceID, sourcePort, destID, destPort }.
+ */
+const resolveJunctions = (flatConnections) => {
+  const junctionSources = {};
+  flatConnections.forEach(({ from, to }) => {
+    if (to.junction) junctionSources[to.junction] = from;
+  });
+
+  const resolved = [];
+  flatConnections.forEach(({ from, to }) => {
+    if (to.junction) return;
+    let source = from;
+    const visited = new Set();
+    while (source?.junction && !visited.has(source.junction)) {
+      visited.add(source.junction);
+      source = junctionSources[source.junction];
+    }
+    // Unconnected container ports have no source
+    if (source && !source.junction) {
+      resolved.push({
+        sourceID: source.id,
+        sourcePort: source.port,
+        destID: to.id,
+        destPort: to.port,
+      });
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Reads a KNIME .knwf archive and merges the workflow graph from workflow.knime
+ * with the per-node settings.xml files.
+ *
+ * Metanodes and components are read recursively from their nested workflow.knime
+ * files and flattened: their contents become regular nodes (with IDs such as "9:3")
+ * that are connected directly to the nodes around the container.
+ *
+ * Works in the browser (File/Blob) and in Node (Buffer/ArrayBuffer) since it only
+ * relies on JSZip and xml-js.
+ *
+ * @param {File|Blob|ArrayBuffer|Uint8Array|Buffer} data - The .knwf archive contents.
+ * @returns {Promise<{nodes: Array<object>, warnings: string[]}>} - Raw node records (id,
+ * nodeName, nodeType, config, order, nextNodes, nextConnections, containerPath,
+ * flowVariables and portSpecs), ready for processWorkflowData, and the nodes that could
+ * not be read.
+ * @throws {Error} - If the archive does not contain a workflow.knime file.
+ */
+export async function loadWorkflowFromZip(data) {
+  const zip = new JSZip();
+  const zipContent = await zip.loadAsync(data);
+  const allFiles = Object.keys(zipContent.files);
+
+  // The top-level workflow.knime is the least nested one; deeper ones belong
+  // to metanodes and components.
+  const knimeFile = allFiles
+    .filter((filePath) => filePath.split("/").pop() === "workflow.knime")
+    .sort((a, b) => a.split("/").length - b.split("/").length)[0];
+
+  if (!knimeFile) {
+    throw new Error("workflow.knime not found in the .knwf file");
+  }
+
+  const {
+    nodes: rawNodes,
+    connections,
+    warnings,
+  } = await readWorkflow(zipContent, allFiles, knimeFile, {
+    id: null,
+    path: [],
+    flowVariables: {},
+  });
+
+  // Compute execution order and successors on the flattened graph
+  const nodeIds = new Set(rawNodes.map((node) => node.id));
+  sortWorkflowNodes(
+    rawNodes,
+    resolveJunctions(connections).filter(
+      (conn) => nodeIds.has(conn.sourceID) && nodeIds.has(conn.destID)
+    )
+  );
+
+  return { nodes: rawNodes, warnings };
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import JSZip from "jszip";
+import { KNIME_TYPES } from "./columnSchema";
+import { analyzeWorkflow, loadWorkflow } from "../index";
+import {
+  analyzeTestWorkflow,
+  buildWorkflow,
+  convertNode,
+  csvReader,
+  knimeNode,
+} from "../test/knimeWorkflow";
+
+const COLUMN_MERGER_FACTORY =
+  "org.knime.base.node.preproc.columnmerge.ColumnMergerNodeFactory";
+
+const reader = csvReader([
+  ["a", KNIME_TYPES.STRING],
+  ["b", KNIME_TYPES.STRING],
+]);
+
+describe("loadWorkflowFromZip", () => {
+  it("reports nodes whose settings cannot be found", async () => {
+    const zip = await JSZip.loadAsync(
+      await buildWorkflow({ 1: reader, 2: reader }, [])
+    );
+    zip.remove("test/CSV Reader (#2)/settings.xml");
+    const workflow = await loadWorkflow(
+      await zip.generateAsync({ type: "uint8array" })
+    );
+    expect(workflow.nodes.map((node) => node.id)).toEqual([1]);
+    expect(analyzeWorkflow(workflow).warnings).toEqual([
+      "Could not find settings.xml for node 2; the node is skipped.",
+    ]);
+  });
+
+  it("reports settings that leave a node's columns uncertain", async () => {
+    const analysis = await analyzeTestWorkflow(
+      {
+        1: reader,
+        2: knimeNode(
+          COLUMN_MERGER_FACTORY,
+          {
+            primaryColumn: "a",
+            secondaryColumn: "b",
+            outputPlacement: "AppendAsNewColumn",
+          },
+          { name: "Column Merger" }
+        ),
+      },
+      [[1, 2]]
+    );
+    expect(analysis.warnings).toEqual([]);
+    expect(analysis.nodes[1].warnings).toEqual([
+      "The merged column is appended, but its name is not set; no column is added.",
+    ]);
+    expect(convertNode(analysis, 2).warnings[0]).toBe(
+      "The merged column is appended, but its name is not set; no column is added."
+    );
+  });
+});
@@ -0,0 +1,54 @@
+// src/functions/mathFormulaFunctions.js
+
+import { KNIME_TYPES } from "./columnSchema";
+import { sqlFunction } from "./expressionFunctions";
+
+const { DOUBLE } = KNIME_TYPES;
+
+/**
+ * A function of one column over all rows (COL_MIN etc.), computed as a window
+ * aggregate.
+ * @param {string} aggregate - The SQL aggregate function.
+ * @returns {object} - The function definition.
+ */
+const columnAggregateFunction = (aggregate) => ({
+  params: ["number"],
+  returns: DOUBLE,
+  toSQL: ([value]) => `${aggregate}(${value.sql}) OVER ()`,
+});
+
+/**
+ * The functions of the KNIME Math Formula (JEP) node that have an SQL equivalent, keyed
+ * by name, in the format of EXPRESSION_FUNCTIONS. All values are numbers; if() is
+ * handled by the translator.
+ */
+export const MATH_FORMULA_FUNCTIONS = {
+  abs: sqlFunction("ABS", ["number"], DOUBLE),
+  sqrt: sqlFunction("SQRT", ["number"], DOUBLE),
+  exp: sqlFunction("EXP", ["number"], DOUBLE),
+  ln: sqlFunction("LN", ["number"], DOUBLE),
+  log: sqlFunction("LOG10", ["number"], DOUBLE),
+  pow: sqlFunction("POWER", ["number", "number"], DOUBLE),
+  ceil: sqlFunction("CEIL", ["number"], DOUBLE),
+  floor: sqlFunction("FLOOR", ["number"], DOUBLE),
+  round: sqlFunction("ROUND", ["number", "integer?"], DOUBLE),
+  mod: {
+    params: ["number", "number"],
+    returns: DOUBLE,
+    toSQL: ([dividend, divisor], dialect) =>
+      dialect.modulo(dividend.sql, divisor.sql),
+  },
+  sin: sqlFunction("SIN", ["number"], DOUBLE),
+  cos: sqlFunction("COS", ["number"], DOUBLE),
+  tan: sqlFunction("TAN", ["number"], DOUBLE),
+  asin: sqlFunction("ASIN", ["number"], DOUBLE),
+  acos: sqlFunction("ACOS", ["number"], DOUBLE),
+  atan: sqlFunction("ATAN", ["number"], DOUBLE),
+  atan2: sqlFunction("ATAN2", ["number", "number"], DOUBLE),
+  min: sqlFunction("LEAST", ["number", "number..."], DOUBLE),
+  max: sqlFunction("GREATEST", ["number", "number..."], DOUBLE),
+  COL_MIN: columnAggregateFunction("MIN"),
+  COL_MAX: columnAggregateFunction("MAX"),
+  COL_MEAN: columnAggregateFunction("AVG"),
+  COL_SUM: columnAggregateFunction("SUM"),
+};
@@ -0,0 +1,967 @@
+// src/functions/parseKnimeExpression.js
+
+import { getKnimeTypeKey } from "../dialects/createDialect";
+import {
+  KNIME_TYPES,
+  findSchemaColumn,
+  getCommonType,
+  getTypeLabel,
+  isNumericType,
+  isStringType,
+} from "./columnSchema";
+import { EXPRESSION_FUNCTIONS } from "./expressionFunctions";
+
+/**
+ * A syntax error or unsupported construct in an expression, with its position.
+ */
+export class ExpressionSyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong.
+   * @param {number} line - The script line (1-based).
+   * @param {number} column - The column within the line (1-based).
+   */
+  constructor(message, line, column) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = "ExpressionSyntaxError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Symbols, longest first so "**" and "//" win over "*" and "/"
+const SYMBOLS = [
+  "**",
+  "//",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "??",
+  "<",
+  ">",
+  "=",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "(",
+  ")",
+  ",",
+];
+
+// Word operators and literals; they are matched case-insensitively
+const KEYWORDS = ["AND", "OR", "NOT", "TRUE", "FALSE", "MISSING"];
+
+// Special column references ($[ROW_INDEX] etc.)
+const ROW_REFERENCES = ["ROW_INDEX", "ROW_NUMBER", "ROW_ID"];
+
+// Named constants
+const CONSTANTS = {
+  PI: { sql: String(Math.PI), type: KNIME_TYPES.DOUBLE },
+  E: { sql: String(Math.E), type: KNIME_TYPES.DOUBLE },
+};
+
+const COMPARISON_OPERATORS = ["==", "=", "!=", "<", "<=", ">", ">="];
+
+// Precedence of the generated SQL, from loosest to tightest binding. Operands that
+// bind more loosely than their operator are parenthesized; 0 marks SQL of unknown
+// shape, which is always parenthesized.
+const PRECEDENCE = {
+  UNKNOWN: 0,
+  OR: 1,
+  AND: 2,
+  NOT: 3,
+  COMPARISON: 4,
+  ADDITIVE: 5,
+  MULTIPLICATIVE: 6,
+  UNARY: 7,
+  ATOM: 8,
+};
+
+/**
+ * Splits an expression script into tokens.
+ * @param {string} script - The expression script (may span several lines).
+ * @returns {Array<{type: string, value: string, line: number, column: number}>} - The
+ * tokens (types: number, string, column, rowReference, flowVariable, identifier,
+ * keyword, symbol), followed by an "end" token.
+ * @throws {ExpressionSyntaxError} - On unterminated strings, malformed column
+ * references and unknown characters.
+ */
+export function tokenizeExpression(script) {
+  const text = String(script);
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  const positionOf = (offset) => ({ line, column: offset - lineStart + 1 });
+  const token = (type, value, start) =>
+    tokens.push({ type, value, ...positionOf(start) });
+  const fail = (message, at) => {
+    const { column } = positionOf(at);
+    throw new ExpressionSyntaxError(message, line, column);
+  };
+
+  // Reads a "..." or '...' string literal starting at pos
+  const readString = () => {
+    const start = pos;
+    const quote = text[pos++];
+    let value = "";
+    while (pos < text.length && text[pos] !== quote) {
+      if (text[pos] === "\n") break;
+      if (text[pos] === "\\" && pos + 1 < text.length) {
+        const next = text[pos + 1];
+        if (next === "u" && /^[0-9a-fA-F]{4}$/.test(text.substr(pos + 2, 4))) {
+          value += String.fromCharCode(parseInt(text.substr(pos + 2, 4), 16));
+          pos += 6;
+          continue;
+        }
+        value += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[next] ?? next;
+        pos += 2;
+      } else {
+        value += text[pos++];
+      }
+    }
+    if (text[pos] !== quote) fail("Unterminated string.", start);
+    pos++;
+    return value;
+  };
+
+  // Reads the reference in $[...] or $$[...]: a quoted name, or a row reference
+  const readBracketReference = (start, what) => {
+    pos++; // "["
+    while (text[pos] === " ") pos++;
+    let name;
+    let special = false;
+    if (text[pos] === '"' || text[pos] === "'") {
+      name = readString();
+    } else {
+      name = (text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/) || [""])[0];
+      pos += name.length;
+      special = true;
+    }
+    while (text[pos] === " ") pos++;
+    if (text[pos] === ",") {
+      fail(
+        "Row offsets ($[column, offset]) are not supported; the SQL has no row order.",
+        start
+      );
+    }
+    if (text[pos] !== "]" || name === "") {
+      fail(`Malformed ${what} reference.`, start);
+    }
+    pos++;
+    return { name, special };
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+    if (char === "\n") {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(char)) {
+      pos++;
+    } else if (char === "#") {
+      // Comment up to the end of the line
+      while (pos < text.length && text[pos] !== "\n") pos++;
+    } else if (text.startsWith("$$", pos)) {
+      pos += 2;
+      let name;
+      if (text[pos] === "[") {
+        name = readBracketReference(start, "flow variable").name;
+      } else {
+        name = (text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/) || [""])[0];
+        if (!name) fail("Malformed flow variable reference.", start);
+        pos += name.length;
+      }
+      token("flowVariable", name, start);
+    } else if (char === "$") {
+      pos++;
+      if (text[pos] === "[") {
+        const { name, special } = readBracketReference(start, "column");
+        if (special && !ROW_REFERENCES.includes(name)) {
+          fail(
+            `Unknown row reference ${name} (column names are quoted: $["${name}"]).`,
+            start
+          );
+        }
+        token(special ? "rowReference" : "column", name, start);
+      } else {
+        const name = (text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/) || [
+          "",
+        ])[0];
+        if (!name) fail("Malformed column reference.", start);
+        pos += name.length;
+        token("column", name, start);
+      }
+    } else if (char === '"' || char === "'") {
+      token("string", readString(), start);
+    } else if (/\d/.test(char) || (char === "." && /\d/.test(text[pos + 1]))) {
+      const match = text.slice(pos).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      pos += match[0].length;
+      token("number", match[0], start);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      pos += word.length;
+      if (KEYWORDS.includes(word.toUpperCase())) {
+        token("keyword", word.toUpperCase(), start);
+      } else {
+        token("identifier", word, start);
+      }
+    } else {
+      const symbol = SYMBOLS.find((s) => text.startsWith(s, pos));
+      if (!symbol) fail(`Unexpected character "${char}".`, start);
+      pos += symbol.length;
+      token("symbol", symbol, start);
+    }
+  }
+  token("end", "", pos);
+  return tokens;
+}
+
+/**
+ * Describes a token for error messages.
+ * @param {object} token - The token.
+ * @returns {string} - The description.
+ */
+const describeToken = (token) =>
+  token.type === "end" ? "the end of the expression" : `"${token.value}"`;
+
+/**
+ * Parses an expression script into an abstract syntax tree. Operator precedence, from
+ * loosest to tightest: ??, or, and, not, comparisons (==, !=, <, <=, >, >=), + and -,
+ * *, /, // and %, unary minus, **.
+ *
+ * Nodes have a type (number, string, boolean, missing, column, rowReference,
+ * flowVariable, constant, call, unary, binary), their operands and their position
+ * (line and column).
+ *
+ * @param {string} script - The expression script.
+ * @returns {object} - The root node.
+ * @throws {ExpressionSyntaxError} - If the script is not valid.
+ */
+export function parseExpression(script) {
+  const tokens = tokenizeExpression(script);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new ExpressionSyntaxError(message, token.line, token.column);
+  };
+  const isToken = (type, value) =>
+    peek().type === type && (value === undefined || peek().value === value);
+  const expect = (type, value, description) => {
+    if (!isToken(type, value)) {
+      fail(`Expected ${description}, found ${describeToken(peek())}.`);
+    }
+    return next();
+  };
+  const node = (type, fields, token) => ({
+    type,
+    ...fields,
+    line: token.line,
+    column: token.column,
+  });
+
+  // Left-associative binary operators on one precedence level
+  const binaryLevel = (type, operators, parseOperand) => () => {
+    let left = parseOperand();
+    while (isToken(type) && operators.includes(peek().value)) {
+      const operatorToken = next();
+      const right = parseOperand();
+      left = node(
+        "binary",
+        { operator: operatorToken.value, left, right },
+        operatorToken
+      );
+    }
+    return left;
+  };
+
+  const parseUnaryMinus = () => {
+    if (isToken("symbol", "-")) {
+      const operatorToken = next();
+      return node(
+        "unary",
+        { operator: "-", operand: parseUnaryMinus() },
+        operatorToken
+      );
+    }
+    return parsePower();
+  };
+  const parseTerm = binaryLevel(
+    "symbol",
+    ["*", "/", "//", "%"],
+    parseUnaryMinus
+  );
+  const parseAdditive = binaryLevel("symbol", ["+", "-"], parseTerm);
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (isToken("symbol") && COMPARISON_OPERATORS.includes(peek().value)) {
+      const operatorToken = next();
+      const right = parseAdditive();
+      if (isToken("symbol") && COMPARISON_OPERATORS.includes(peek().value)) {
+        fail("Comparisons cannot be chained; combine them with and.");
+      }
+      return node(
+        "binary",
+        { operator: operatorToken.value, left, right },
+        operatorToken
+      );
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (isToken("keyword", "NOT")) {
+      const operatorToken = next();
+      return node(
+        "unary",
+        { operator: "NOT", operand: parseNot() },
+        operatorToken
+      );
+    }
+    return parseComparison();
+  };
+  const parseAnd = binaryLevel("keyword", ["AND"], parseNot);
+  const parseOr = binaryLevel("keyword", ["OR"], parseAnd);
+  const parseCoalesce = binaryLevel("symbol", ["??"], parseOr);
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isToken("symbol", "**")) {
+      const operatorToken = next();
+      // Right-associative, and binds tighter than a unary minus on its left
+      const exponent = parseUnaryMinus();
+      return node(
+        "binary",
+        { operator: "**", left: base, right: exponent },
+        operatorToken
+      );
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    switch (token.type) {
+      case "number":
+        next();
+        return node("number", { value: token.value }, token);
+      case "string":
+      case "column":
+      case "rowReference":
+      case "flowVariable":
+        next();
+        return node(token.type, { value: token.value }, token);
+      case "keyword":
+        if (token.value === "TRUE" || token.value === "FALSE") {
+          next();
+          return node("boolean", { value: token.value === "TRUE" }, token);
+        }
+        if (token.value === "MISSING") {
+          next();
+          return node("missing", {}, token);
+        }
+        break;
+      case "identifier": {
+        next();
+        if (!isToken("symbol", "(")) {
+          return node("constant", { value: token.value }, token);
+        }
+        next();
+        const args = [];
+        if (!isToken("symbol", ")")) {
+          args.push(parseCoalesce());
+          while (isToken("symbol", ",")) {
+            next();
+            args.push(parseCoalesce());
+          }
+        }
+        expect("symbol", ")", `")" or "," in the arguments of ${token.value}`);
+        return node("call", { name: token.value, args }, token);
+      }
+      case "symbol":
+        if (token.value === "(") {
+          next();
+          const inner = parseCoalesce();
+          expect("symbol", ")", '")"');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    return fail(`Expected a value, found ${describeToken(token)}.`);
+  }
+
+  if (isToken("end")) fail("The expression is empty.");
+  const root = parseCoalesce();
+  expect("end", undefined, "an operator or the end of the expression");
+  return root;
+}
+
+/**
+ * Checks whether SQL is a single function call, e.g. LOWER(x), which needs no
+ * parentheses as an operand (unlike LN(x) / LN(2)).
+ * @param {string} sql - The SQL expression.
+ * @returns {boolean} - True for a single call.
+ */
+export const isSingleCall = (sql) => {
+  const open = sql.search(/^\w+\(/) === 0 ? sql.indexOf("(") : -1;
+  if (open < 0) return false;
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return i === sql.length - 1;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks whether a value of a type fits a function parameter kind. Unknown types
+ * (e.g. of MISSING or of columns without a known type) fit every kind.
+ * @param {string|null} type - The KNIME cell class.
+ * @param {string} kind - The parameter kind (see EXPRESSION_FUNCTIONS).
+ * @returns {boolean} - True if the type fits.
+ */
+export const fitsKind = (type, kind) => {
+  if (!type || kind === "any") return true;
+  const key = getKnimeTypeKey(type);
+  switch (kind) {
+    case "string":
+      return key === "string";
+    case "number":
+      return isNumericType(type);
+    case "integer":
+      return key === "int" || key === "long";
+    case "boolean":
+      return key === "boolean";
+    case "temporal":
+      return ["date", "time", "datetime", "zonedDatetime"].includes(key);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Checks the number of arguments of a function call against its parameter kinds.
+ * @param {string} name - The function name.
+ * @param {Array<string>} params - The parameter kinds (see EXPRESSION_FUNCTIONS).
+ * @param {number} count - The number of arguments.
+ * @throws {Error} - If there are too few or too many arguments.
+ */
+export const checkArgumentCount = (name, params, count) => {
+  const variadic = params[params.length - 1].endsWith("...");
+  const required = params.filter(
+    (p) => !p.endsWith("?") && !p.endsWith("...")
+  ).length;
+  if (count < required || (!variadic && count > params.length)) {
+    throw new Error(
+      `${name} expects ${
+        variadic
+          ? `at least ${required}`
+          : required === params.length
+          ? required
+          : `${required} to ${params.length}`
+      } argument(s), found ${count}.`
+    );
+  }
+};
+
+/**
+ * Translates a KNIME Expression language script to an SQL expression, inferring the
+ * types of its values: + concatenates if an operand is a string and adds otherwise,
+ * / always divides as floating point numbers and // rounds down.
+ *
+ * @param {string} script - The expression script.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {object} [options={}] - Translation options.
+ * @param {Array<object>} [options.inputSchema=[]] - The typed input columns.
+ * @param {object} [options.definitions={}] - Columns computed earlier in the same
+ * node, keyed by name, as {sql, type}; references to them are inlined.
+ * @returns {{sql: string, type: string|null, warnings: string[], approximate: boolean}}
+ * - The SQL value expression, its KNIME type (null if unknown) and the problems found.
+ * @throws {ExpressionSyntaxError} - If the script is not valid or cannot be translated.
+ */
+export function translateKnimeExpression(script, dialect, options = {}) {
+  const { inputSchema = [], definitions = {} } = options;
+  const warnings = [];
+  let approximate = false;
+  const { STRING, LONG, DOUBLE, BOOLEAN } = KNIME_TYPES;
+
+  // Results are {sql, type, precedence, ...} (precedence defaults to ATOM). Booleans
+  // are conditions; valueSQL, if set, is a simpler value form than booleanValue(sql).
+  const asValue = (result) =>
+    result.type === BOOLEAN
+      ? result.valueSQL ?? dialect.booleanValue(result.sql)
+      : result.sql;
+  const asCondition = (result) =>
+    result.type === BOOLEAN ? result.sql : dialect.booleanCondition(result.sql);
+  const wrap = (sql, precedence, minimum) =>
+    precedence < minimum ? `(${sql})` : sql;
+  const operand = (result, minimum) =>
+    wrap(
+      asValue(result),
+      result.valueSQL !== undefined && result.type === BOOLEAN
+        ? PRECEDENCE.ATOM
+        : result.precedence ?? PRECEDENCE.ATOM,
+      minimum
+    );
+  const conditionOperand = (result, minimum) =>
+    wrap(
+      asCondition(result),
+      result.type === BOOLEAN
+        ? result.precedence ?? PRECEDENCE.ATOM
+        : Math.min(result.precedence ?? PRECEDENCE.ATOM, PRECEDENCE.COMPARISON),
+      minimum
+    );
+  // SQL of unknown shape is an atom only if it is a single function call
+  const callPrecedence = (sql) =>
+    isSingleCall(sql) ? PRECEDENCE.ATOM : PRECEDENCE.UNKNOWN;
+  const fail = (message, node) => {
+    throw new ExpressionSyntaxError(message, node.line, node.column);
+  };
+  const expectKind = (result, kind, description, node) => {
+    if (!fitsKind(result.type, kind)) {
+      fail(
+        `${description} must be a ${kind}, found ${getTypeLabel(result.type)}.`,
+        node
+      );
+    }
+  };
+  // Checks that the values of if/switch branches have compatible types; numbers are
+  // widened by the database
+  const unifyBranches = (results, nodes) => {
+    const types = [...new Set(results.map((r) => r.type).filter(Boolean))];
+    if (types.length > 1 && !types.every(isNumericType)) {
+      fail(
+        `The branches return values of incompatible types (${types
+          .map(getTypeLabel)
+          .join(", ")}).`,
+        nodes[0]
+      );
+    }
+    return { type: getCommonType(types), values: results.map(asValue) };
+  };
+
+  function translate(node) {
+    try {
+      return translateNode(node);
+    } catch (error) {
+      if (error instanceof ExpressionSyntaxError) throw error;
+      // Errors of the dialect or function library get the position of the node
+      throw new ExpressionSyntaxError(error.message, node.line, node.column);
+    }
+  }
+
+  function translateNode(node) {
+    switch (node.type) {
+      case "number": {
+        const isInteger = /^\d+$/.test(node.value);
+        return {
+          sql: node.value,
+          type: isInteger ? LONG : DOUBLE,
+          literal: Number(node.value),
+        };
+      }
+      case "string":
+        return {
+          sql: dialect.quoteString(node.value),
+          type: STRING,
+          literal: node.value,
+        };
+      case "boolean":
+        return {
+          sql: dialect.booleanCondition(dialect.booleanLiteral(node.value)),
+          valueSQL: dialect.booleanLiteral(node.value),
+          type: BOOLEAN,
+          precedence: PRECEDENCE.COMPARISON,
+        };
+      case "missing":
+        return { sql: "NULL", type: null, missing: true };
+      case "column": {
+        if (definitions[node.value]) {
+          const { sql, type } = definitions[node.value];
+          const inlined = wrap(sql, callPrecedence(sql), PRECEDENCE.ATOM);
+          return type === BOOLEAN
+            ? {
+                sql: dialect.booleanCondition(inlined),
+                valueSQL: inlined,
+                type,
+                precedence: PRECEDENCE.COMPARISON,
+              }
+            : { sql: inlined, type };
+        }
+        const column = findSchemaColumn(inputSchema, node.value);
+        if (inputSchema.length > 0 && !column) {
+          fail(`Unknown column "${node.value}".`, node);
+        }
+        const quoted = dialect.quoteIdentifier(node.value);
+        return column?.type === BOOLEAN
+          ? {
+              sql: dialect.booleanCondition(quoted),
+              valueSQL: quoted,
+              type: BOOLEAN,
+              precedence: PRECEDENCE.COMPARISON,
+            }
+          : { sql: quoted, type: column?.type || null };
+      }
+      case "rowReference": {
+        approximate = true;
+        warnings.push(
+          `$[${node.value}] follows the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order.`
+        );
+        const rowNumber = dialect.rowNumber();
+        if (node.value === "ROW_NUMBER") return { sql: rowNumber, type: LONG };
+        const rowIndex = `(${rowNumber} - 1)`;
+        if (node.value === "ROW_INDEX") return { sql: rowIndex, type: LONG };
+        return {
+          sql: dialect.concat([
+            dialect.quoteString("Row"),
+            dialect.cast(rowIndex, dialect.typeName(STRING)),
+          ]),
+          type: STRING,
+          precedence: PRECEDENCE.ADDITIVE,
+        };
+      }
+      case "flowVariable":
+        return fail(
+          `Flow variables ($$["${node.value}"]) are not supported.`,
+          node
+        );
+      case "constant": {
+        const constant = CONSTANTS[node.value];
+        if (!constant) {
+          fail(
+            EXPRESSION_FUNCTIONS[node.value]
+              ? `${node.value} is a function; call it as ${node.value}(...).`
+              : `Unknown name "${node.value}" (column names are written as $["${node.value}"]).`,
+            node
+          );
+        }
+        return { ...constant };
+      }
+      case "unary":
+        return translateUnary(node);
+      case "binary":
+        return translateBinary(node);
+      case "call":
+        return translateCall(node);
+      default:
+        return fail(`Unsupported construct ${node.type}.`, node);
+    }
+  }
+
+  function translateUnary(node) {
+    const inner = translate(node.operand);
+    if (node.operator === "NOT") {
+      expectKind(inner, "boolean", "The operand of not", node.operand);
+      return {
+        sql: `NOT ${conditionOperand(inner, PRECEDENCE.NOT)}`,
+        type: BOOLEAN,
+        precedence: PRECEDENCE.NOT,
+      };
+    }
+    expectKind(inner, "number", "The operand of -", node.operand);
+    const sql = operand(inner, PRECEDENCE.UNARY);
+    return {
+      // "--" would start an SQL comment
+      sql: sql.startsWith("-") ? `-(${sql})` : `-${sql}`,
+      type: inner.type,
+      precedence: PRECEDENCE.UNARY,
+    };
+  }
+
+  function translateBinary(node) {
+    const { operator } = node;
+    const left = translate(node.left);
+    const right = translate(node.right);
+
+    if (operator === "AND" || operator === "OR") {
+      expectKind(left, "boolean", `The left operand of ${operator}`, node.left);
+      expectKind(
+        right,
+        "boolean",
+        `The right operand of ${operator}`,
+        node.right
+      );
+      const precedence = PRECEDENCE[operator];
+      return {
+        sql: `${conditionOperand(
+          left,
+          precedence
+        )} ${operator} ${conditionOperand(right, precedence + 1)}`,
+        type: BOOLEAN,
+        precedence,
+      };
+    }
+
+    if (operator === "??") {
+      const { type, values } = unifyBranches([left, right], [node]);
+      const sql = dialect.callFunction("COALESCE", values);
+      return type === BOOLEAN
+        ? {
+            sql: dialect.booleanCondition(sql),
+            valueSQL: sql,
+            type,
+            precedence: PRECEDENCE.COMPARISON,
+          }
+        : { sql, type };
+    }
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      const equality = ["==", "=", "!="].includes(operator);
+      // Comparing with MISSING tests for missing values
+      if (equality && (left.missing || right.missing)) {
+        const other = left.missing ? right : left;
+        return {
+          sql: `${operand(other, PRECEDENCE.ADDITIVE)} IS ${
+            operator === "!=" ? "NOT " : ""
+          }NULL`,
+          type: BOOLEAN,
+          precedence: PRECEDENCE.COMPARISON,
+        };
+      }
+      if (
+        left.type &&
+        right.type &&
+        !(isNumericType(left.type) && isNumericType(right.type)) &&
+        left.type !== right.type
+      ) {
+        fail(
+          `Cannot compare ${getTypeLabel(left.type)} with ${getTypeLabel(
+            right.type
+          )}.`,
+          node
+        );
+      }
+      const sqlOperator = { "==": "=", "!=": "<>" }[operator] || operator;
+      return {
+        sql: `${operand(left, PRECEDENCE.ADDITIVE)} ${sqlOperator} ${operand(
+          right,
+          PRECEDENCE.ADDITIVE
+        )}`,
+        type: BOOLEAN,
+        precedence: PRECEDENCE.COMPARISON,
+      };
+    }
+
+    // "+" with a string operand concatenates; other operands are converted to strings
+    if (
+      operator === "+" &&
+      (isStringType(left.type) || isStringType(right.type))
+    ) {
+      const parts = [left, right].flatMap((part) =>
+        part.concatParts
+          ? part.concatParts
+          : [
+              isStringType(part.type) || part.missing
+                ? operand(part, PRECEDENCE.MULTIPLICATIVE)
+                : dialect.cast(asValue(part), dialect.typeName(STRING)),
+            ]
+      );
+      return {
+        sql: dialect.concat(parts),
+        type: STRING,
+        concatParts: parts,
+        precedence: PRECEDENCE.ADDITIVE,
+      };
+    }
+
+    expectKind(left, "number", `The left operand of ${operator}`, node.left);
+    expectKind(right, "number", `The right operand of ${operator}`, node.right);
+    if (operator === "+" && (!left.type || !right.type)) {
+      warnings.push(
+        `The operand types of "+" at line ${node.line}, column ${node.column} are unknown; it is translated as an addition, not a string concatenation.`
+      );
+    }
+    const integerResult =
+      fitsKind(left.type, "integer") && fitsKind(right.type, "integer");
+    const type =
+      left.type && right.type ? getCommonType([left.type, right.type]) : null;
+    const doubleType = dialect.typeName(DOUBLE);
+    // Integer division truncates in SQL; KNIME's / always gives a float
+    const asDouble = (result) =>
+      Number.isInteger(result.literal)
+        ? `${result.sql}.0`
+        : fitsKind(result.type, "integer") && result.type
+        ? dialect.cast(asValue(result), doubleType)
+        : operand(result, PRECEDENCE.MULTIPLICATIVE);
+    const divisor = operand(right, PRECEDENCE.UNARY);
+    switch (operator) {
+      case "/":
+        return {
+          sql: `${asDouble(left)} / ${divisor}`,
+          type: DOUBLE,
+          precedence: PRECEDENCE.MULTIPLICATIVE,
+        };
+      case "//":
+        return {
+          sql: dialect.callFunction("FLOOR", [
+            `${asDouble(left)} / ${divisor}`,
+          ]),
+          type: integerResult ? LONG : DOUBLE,
+        };
+      case "%":
+        return {
+          sql: dialect.modulo(
+            operand(left, PRECEDENCE.MULTIPLICATIVE),
+            divisor
+          ),
+          type,
+          precedence: PRECEDENCE.MULTIPLICATIVE,
+        };
+      case "**":
+        return {
+          sql: dialect.callFunction("POWER", [asValue(left), asValue(right)]),
+          type: DOUBLE,
+        };
+      default: {
+        const precedence =
+          operator === "*" ? PRECEDENCE.MULTIPLICATIVE : PRECEDENCE.ADDITIVE;
+        return {
+          sql: `${operand(left, precedence)} ${operator} ${operand(
+            right,
+            precedence + 1
+          )}`,
+          type,
+          precedence,
+        };
+      }
+    }
+  }
+
+  function translateCall(node) {
+    const { name, args } = node;
+    if (name === "if") return translateIf(node);
+    if (name === "switch") return translateSwitch(node);
+    const definition = EXPRESSION_FUNCTIONS[name];
+    if (!definition) {
+      fail(`Unsupported function ${name}.`, node);
+    }
+
+    // Check the number and types of the arguments
+    const { params } = definition;
+    checkArgumentCount(name, params, args.length);
+    const results = args.map((arg, index) => {
+      const kind = params[Math.min(index, params.length - 1)].replace(
+        /\?|\.\.\./,
+        ""
+      );
+      const result = translate(arg);
+      expectKind(result, kind, `Argument ${index + 1} of ${name}`, arg);
+      return {
+        ...result,
+        sql: kind === "boolean" ? asCondition(result) : asValue(result),
+      };
+    });
+    const types = results.map((result) => result.type);
+    const type =
+      typeof definition.returns === "function"
+        ? types.every(Boolean)
+          ? definition.returns(types)
+          : null
+        : definition.returns;
+    const sql = definition.toSQL(results, dialect);
+    return { sql, type, precedence: callPrecedence(sql) };
+  }
+
+  // if(condition, value, [condition, value, ...], else value)
+  function translateIf(node) {
+    const { args } = node;
+    if (args.length < 3 || args.length % 2 === 0) {
+      fail(
+        "if expects pairs of condition and value followed by a value for all other rows.",
+        node
+      );
+    }
+    const conditions = [];
+    const values = [];
+    const valueNodes = [];
+    args.forEach((arg, index) => {
+      const result = translate(arg);
+      if (index % 2 === 0 && index < args.length - 1) {
+        expectKind(result, "boolean", "The condition of if", arg);
+        conditions.push(asCondition(result));
+      } else {
+        values.push(result);
+        valueNodes.push(arg);
+      }
+    });
+    const { type, values: valueSQL } = unifyBranches(values, valueNodes);
+    const whens = conditions.map(
+      (condition, index) => `WHEN ${condition} THEN ${valueSQL[index]}`
+    );
+    const sql = `CASE ${whens.join(" ")} ELSE ${
+      valueSQL[valueSQL.length - 1]
+    } END`;
+    return type === BOOLEAN
+      ? {
+          sql: dialect.booleanCondition(sql),
+          valueSQL: sql,
+          type,
+          precedence: PRECEDENCE.COMPARISON,
+        }
+      : { sql, type };
+  }
+
+  // switch(value, case, result, [case, result, ...], [default result])
+  function translateSwitch(node) {
+    const { args } = node;
+    if (args.length < 3) {
+      fail(
+        "switch expects a value followed by pairs of case and result.",
+        node
+      );
+    }
+    const subject = translate(args[0]);
+    const cases = [];
+    const results = [];
+    const resultNodes = [];
+    args.slice(1).forEach((arg, index) => {
+      const result = translate(arg);
+      const isDefault = index === args.length - 2 && index % 2 === 0;
+      if (index % 2 === 0 && !isDefault) {
+        cases.push(asValue(result));
+      } else {
+        results.push(result);
+        resultNodes.push(arg);
+      }
+    });
+    const hasDefault = results.length > cases.length;
+    const { type, values } = unifyBranches(results, resultNodes);
+    const whens = cases.map(
+      (value, index) => `WHEN ${value} THEN ${values[index]}`
+    );
+    const sql = `CASE ${asValue(subject)} ${whens.join(" ")}${
+      hasDefault ? ` ELSE ${values[values.length - 1]}` : ""
+    } END`;
+    return type === BOOLEAN
+      ? {
+          sql: dialect.booleanCondition(sql),
+          valueSQL: sql,
+          type,
+          precedence: PRECEDENCE.COMPARISON,
+        }
+      : { sql, type };
+  }
+
+  const result = translate(parseExpression(script));
+  return {
+    sql: asValue(result),
+    type: result.type,
+    warnings,
+    approximate,
+  };
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import {
+  ExpressionSyntaxError,
+  parseExpression,
+  translateKnimeExpression,
+} from "./parseKnimeExpression";
+import { KNIME_TYPES, createColumn } from "./columnSchema";
+import { getDialect } from "../dialects";
+
+const generic = getDialect();
+
+const inputSchema = [
+  createColumn("a", KNIME_TYPES.INT),
+  createColumn("b", KNIME_TYPES.INT),
+  createColumn("s", KNIME_TYPES.STRING),
+];
+
+const translate = (script) =>
+  translateKnimeExpression(script, generic, { inputSchema });
+
+describe("parseExpression", () => {
+  it("binds ** tighter than unary minus and *", () => {
+    expect(parseExpression('2 * -$["a"] ** 2')).toMatchObject({
+      type: "binary",
+      operator: "*",
+      right: { type: "unary", operand: { type: "binary", operator: "**" } },
+    });
+  });
+
+  it("reports the position of syntax errors", () => {
+    expect(() => parseExpression('$["a"] +')).toThrow(ExpressionSyntaxError);
+    expect(() => parseExpression('$["a"] +')).toThrow(
+      "Line 1, column 9: Expected a value, found the end of the expression."
+    );
+  });
+});
+
+describe("translateKnimeExpression", () => {
+  it("adds numbers and concatenates strings with +", () => {
+    expect(translate('$["a"] + $["b"]')).toEqual({
+      sql: '"a" + "b"',
+      type: KNIME_TYPES.INT,
+      warnings: [],
+      approximate: false,
+    });
+    expect(translate('$["s"] + $["a"]')).toMatchObject({
+      sql: `"s" || CAST("a" AS VARCHAR)`,
+      type: KNIME_TYPES.STRING,
+    });
+  });
+
+  it("divides as floating point numbers with / and rounds down with //", () => {
+    expect(translate('$["a"] / $["b"]')).toMatchObject({
+      sql: 'CAST("a" AS DOUBLE PRECISION) / "b"',
+      type: KNIME_TYPES.DOUBLE,
+    });
+    expect(translate('$["a"] // $["b"]')).toMatchObject({
+      sql: 'FLOOR(CAST("a" AS DOUBLE PRECISION) / "b")',
+      type: KNIME_TYPES.LONG,
+    });
+  });
+
+  it("translates if() to CASE", () => {
+    expect(translate('if($["a"] > 1, "x", "y")').sql).toBe(
+      `CASE WHEN "a" > 1 THEN 'x' ELSE 'y' END`
+    );
+  });
+
+  it("rejects unknown columns and functions", () => {
+    expect(() => translate('$["nope"]')).toThrow(
+      'Line 1, column 1: Unknown column "nope".'
+    );
+    expect(() => translate('nofn($["a"])')).toThrow(
+      "Line 1, column 1: Unsupported function nofn."
+    );
+  });
+});
@@ -0,0 +1,624 @@
+// src/functions/parseKnimeRule.js
+
+import { KNIME_TYPES, getCommonType, isNumericType } from "./columnSchema";
+import { wildcardToLikePattern } from "./wildcardToLikePattern";
+
+/**
+ * A syntax error or unsupported construct in a rule, with its position.
+ */
+export class RuleSyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong.
+   * @param {number} line - The rule line (1-based).
+   * @param {number} column - The column within the line (1-based).
+   */
+  constructor(message, line, column) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = "RuleSyntaxError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Keywords of the rule language; they are matched case-insensitively
+const KEYWORDS = [
+  "AND",
+  "OR",
+  "XOR",
+  "NOT",
+  "MISSING",
+  "LIKE",
+  "MATCHES",
+  "IN",
+  "TRUE",
+  "FALSE",
+];
+
+// Symbols, longest first so "=>" and "<=" win over "=" and "<"
+const SYMBOLS = [
+  "=>",
+  "<=",
+  ">=",
+  "<",
+  ">",
+  "=",
+  "(",
+  ")",
+  ",",
+  "+",
+  "-",
+  "*",
+  "/",
+];
+
+const COMPARISON_OPERATORS = ["=", "<", "<=", ">", ">="];
+
+// Special row variables ($$ROWID$$ etc.)
+const ROW_VARIABLES = ["ROWID", "ROWINDEX", "ROWCOUNT"];
+
+/**
+ * Checks whether a rule line is a comment (//) or blank, i.e. not a rule.
+ * @param {string} ruleText - The rule line.
+ * @returns {boolean} - True for comments and blank lines.
+ */
+export const isRuleComment = (ruleText) =>
+  !String(ruleText).trim() || String(ruleText).trim().startsWith("//");
+
+/**
+ * Splits a rule into tokens.
+ * @param {string} text - The rule line.
+ * @param {number} [line=1] - The line number, for error positions.
+ * @returns {Array<{type: string, value: string, line: number, column: number, start: number, end: number}>}
+ * - The tokens (types: keyword, symbol, column, flowVariable, rowVariable, string,
+ * number), followed by an "end" token.
+ * @throws {RuleSyntaxError} - On unterminated strings or column references and
+ * unknown characters.
+ */
+export function tokenizeRule(text, line = 1) {
+  const tokens = [];
+  let pos = 0;
+  const token = (type, value, start) =>
+    tokens.push({ type, value, line, column: start + 1, start, end: pos });
+  const fail = (message, at) => {
+    throw new RuleSyntaxError(message, line, at + 1);
+  };
+
+  // Reads an escaped sequence up to the closing delimiter
+  const readDelimited = (start, delimiter, what) => {
+    let value = "";
+    while (pos < text.length && !text.startsWith(delimiter, pos)) {
+      if (text[pos] === "\\" && pos + 1 < text.length) {
+        const next = text[pos + 1];
+        value += { n: "\n", t: "\t", r: "\r" }[next] ?? next;
+        pos += 2;
+      } else {
+        value += text[pos++];
+      }
+    }
+    if (pos >= text.length) fail(`Unterminated ${what}.`, start);
+    pos += delimiter.length;
+    return value;
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+    if (/\s/.test(char)) {
+      pos++;
+    } else if (text.startsWith("//", pos)) {
+      break; // Comment up to the end of the line
+    } else if (text.startsWith("$${", pos)) {
+      // Flow variable: $${Sname}$$ (type letter S, I or D)
+      pos += 3;
+      const value = readDelimited(start, "}$$", "flow variable reference");
+      token("flowVariable", value, start);
+    } else if (text.startsWith("$$", pos)) {
+      pos += 2;
+      const value = readDelimited(start, "$$", "row variable reference");
+      if (!ROW_VARIABLES.includes(value)) {
+        fail(`Unknown row variable $$${value}$$.`, start);
+      }
+      token("rowVariable", value, start);
+    } else if (char === "$") {
+      pos++;
+      const value = readDelimited(start, "$", "column reference");
+      token("column", value, start);
+    } else if (char === '"') {
+      pos++;
+      const value = readDelimited(start, '"', "string");
+      token("string", value, start);
+    } else if (/\d/.test(char) || (char === "." && /\d/.test(text[pos + 1]))) {
+      const match = text.slice(pos).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      pos += match[0].length;
+      token("number", match[0], start);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      if (!KEYWORDS.includes(word.toUpperCase())) {
+        fail(
+          `Unknown word "${word}" (column names are written as $${word}$).`,
+          start
+        );
+      }
+      pos += word.length;
+      token("keyword", word.toUpperCase(), start);
+    } else {
+      const symbol = SYMBOLS.find((s) => text.startsWith(s, pos));
+      if (!symbol) fail(`Unexpected character "${char}".`, start);
+      pos += symbol.length;
+      token("symbol", symbol, start);
+    }
+  }
+  pos = text.length;
+  token("end", "", text.length);
+  return tokens;
+}
+
+/**
+ * Parses a rule ("condition => outcome") into an abstract syntax tree. Operator
+ * precedence, from loosest to tightest: OR, XOR, AND, NOT, comparisons (=, <, <=, >,
+ * >=, LIKE, MATCHES, IN), + and -, * and /, unary minus. MISSING applies to a single
+ * operand.
+ *
+ * Nodes have a type (logical, not, comparison, like, matches, in, missing, arithmetic,
+ * negate, column, flowVariable, rowVariable, string, number, boolean), their operands
+ * and their position (line, column, start and end offset in the rule text).
+ *
+ * @param {string} text - The rule line.
+ * @param {number} [line=1] - The line number, for error positions.
+ * @returns {{condition: object, outcome: object}} - The rule's condition and outcome.
+ * @throws {RuleSyntaxError} - If the rule is not valid.
+ */
+export function parseRule(text, line = 1) {
+  const tokens = tokenizeRule(text, line);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new RuleSyntaxError(message, token.line, token.column);
+  };
+  const isToken = (type, value) =>
+    peek().type === type && (value === undefined || peek().value === value);
+  const expect = (type, value, description) => {
+    if (!isToken(type, value)) {
+      fail(`Expected ${description}, found ${describeToken(peek())}.`, peek());
+    }
+    return next();
+  };
+  const node = (type, fields, startToken, endToken = tokens[index - 1]) => ({
+    type,
+    ...fields,
+    line: startToken.line,
+    column: startToken.column,
+    start: startToken.start,
+    end: endToken.end,
+    text: text.slice(startToken.start, endToken.end),
+  });
+
+  const parseLogical = (operator, parseOperand) => () => {
+    const startToken = peek();
+    let left = parseOperand();
+    while (isToken("keyword", operator)) {
+      next();
+      const right = parseOperand();
+      left = node("logical", { operator, left, right }, startToken);
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isToken("keyword", "NOT")) {
+      const startToken = next();
+      return node("not", { operand: parseNot() }, startToken);
+    }
+    return parseComparison();
+  };
+  const parseAnd = parseLogical("AND", parseNot);
+  const parseXor = parseLogical("XOR", parseAnd);
+  const parseOr = parseLogical("OR", parseXor);
+
+  function parseComparison() {
+    const startToken = peek();
+    const left = parseAdditive();
+    if (isToken("symbol") && COMPARISON_OPERATORS.includes(peek().value)) {
+      const operator = next().value;
+      const right = parseAdditive();
+      return node("comparison", { operator, left, right }, startToken);
+    }
+    if (isToken("keyword", "LIKE") || isToken("keyword", "MATCHES")) {
+      const operator = next().value;
+      const pattern = parseAdditive();
+      if (pattern.type !== "string") {
+        fail(
+          `${operator} needs a string pattern, found ${describeNode(pattern)}.`,
+          pattern
+        );
+      }
+      return node(
+        operator.toLowerCase(),
+        { operand: left, pattern },
+        startToken
+      );
+    }
+    if (isToken("keyword", "IN")) {
+      next();
+      expect("symbol", "(", '"(" after IN');
+      const values = [parseAdditive()];
+      while (isToken("symbol", ",")) {
+        next();
+        values.push(parseAdditive());
+      }
+      expect("symbol", ")", '")" or "," in the IN list');
+      return node("in", { operand: left, values }, startToken);
+    }
+    return left;
+  }
+
+  const parseArithmetic = (operators, parseOperand) => () => {
+    const startToken = peek();
+    let left = parseOperand();
+    while (isToken("symbol") && operators.includes(peek().value)) {
+      const operator = next().value;
+      const right = parseOperand();
+      left = node("arithmetic", { operator, left, right }, startToken);
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isToken("symbol", "-")) {
+      const startToken = next();
+      return node("negate", { operand: parseUnary() }, startToken);
+    }
+    return parsePrimary();
+  };
+  const parseTerm = parseArithmetic(["*", "/"], parseUnary);
+  const parseAdditive = parseArithmetic(["+", "-"], parseTerm);
+
+  function parsePrimary() {
+    const token = peek();
+    switch (token.type) {
+      case "column":
+      case "flowVariable":
+      case "rowVariable":
+      case "string":
+        next();
+        return node(token.type, { value: token.value }, token);
+      case "number":
+        next();
+        return node("number", { value: token.value }, token);
+      case "keyword":
+        if (token.value === "TRUE" || token.value === "FALSE") {
+          next();
+          return node("boolean", { value: token.value === "TRUE" }, token);
+        }
+        if (token.value === "MISSING") {
+          next();
+          const operand = parsePrimary();
+          return node("missing", { operand }, token);
+        }
+        break;
+      case "symbol":
+        if (token.value === "(") {
+          next();
+          const inner = parseOr();
+          expect("symbol", ")", '")"');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    return fail(
+      `Expected a value or condition, found ${describeToken(token)}.`
+    );
+  }
+
+  const condition = parseOr();
+  expect("symbol", "=>", '"=>" after the condition');
+  const outcome = parseAdditive();
+  expect("end", undefined, "the end of the rule");
+  checkCondition(condition);
+  checkValue(outcome);
+  return { condition, outcome };
+}
+
+// Condition types that are guarded against missing values below NOT and XOR
+const GUARDED_TYPES = ["comparison", "like", "matches", "in"];
+
+// Node types that are conditions (boolean results) rather than values
+const CONDITION_TYPES = [
+  "logical",
+  "not",
+  "comparison",
+  "like",
+  "matches",
+  "in",
+  "missing",
+];
+
+/**
+ * Describes a token for error messages.
+ * @param {object} token - The token.
+ * @returns {string} - The description.
+ */
+const describeToken = (token) =>
+  token.type === "end" ? "the end of the rule" : `"${token.value}"`;
+
+/**
+ * Describes an AST node for error messages.
+ * @param {object} node - The node.
+ * @returns {string} - The description.
+ */
+const describeNode = (node) =>
+  CONDITION_TYPES.includes(node.type)
+    ? `the condition ${node.text}`
+    : `the value ${node.text}`;
+
+/**
+ * Checks that a node is used as a condition and its operands are used correctly.
+ * @param {object} node - The node.
+ * @throws {RuleSyntaxError} - If a value is used as a condition or vice versa.
+ */
+function checkCondition(node) {
+  switch (node.type) {
+    case "logical":
+      checkCondition(node.left);
+      checkCondition(node.right);
+      return;
+    case "not":
+      checkCondition(node.operand);
+      return;
+    case "comparison":
+      checkValue(node.left);
+      checkValue(node.right);
+      return;
+    case "like":
+    case "matches":
+    case "missing":
+      checkValue(node.operand);
+      return;
+    case "in":
+      checkValue(node.operand);
+      node.values.forEach(checkValue);
+      return;
+    case "boolean":
+      return;
+    default:
+      throw new RuleSyntaxError(
+        `Expected a condition, found ${describeNode(node)}.`,
+        node.line,
+        node.column
+      );
+  }
+}
+
+/**
+ * Checks that a node is used as a value.
+ * @param {object} node - The node.
+ * @throws {RuleSyntaxError} - If a condition is used as a value.
+ */
+function checkValue(node) {
+  if (CONDITION_TYPES.includes(node.type)) {
+    throw new RuleSyntaxError(
+      `Expected a value, found ${describeNode(node)}.`,
+      node.line,
+      node.column
+    );
+  }
+  if (node.type === "arithmetic") {
+    checkValue(node.left);
+    checkValue(node.right);
+  } else if (node.type === "negate") {
+    checkValue(node.operand);
+  }
+}
+
+/**
+ * Lists the column names a node references.
+ * @param {object} node - The node.
+ * @returns {string[]} - The column names.
+ */
+const getReferencedColumns = (node) => {
+  if (node.type === "column") return [node.value];
+  return [node.left, node.right, node.operand, ...(node.values || [])]
+    .filter(Boolean)
+    .flatMap(getReferencedColumns);
+};
+
+/**
+ * Checks whether a rule condition or outcome uses $$ROWINDEX$$ or $$ROWID$$, whose
+ * values depend on the row order.
+ * @param {object} node - The condition or value node.
+ * @returns {boolean} - True if the row order matters.
+ */
+export const ruleUsesRowVariables = (node) =>
+  (node.type === "rowVariable" && node.value !== "ROWCOUNT") ||
+  [node.left, node.right, node.operand, ...(node.values || [])]
+    .filter(Boolean)
+    .some(ruleUsesRowVariables);
+
+/**
+ * Converts a value node (column, literal or arithmetic) to SQL.
+ * @param {object} node - The value node.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {object} [options={}] - Conversion options.
+ * @param {boolean} [options.allowRowVariables=false] - Whether $$ROWINDEX$$, $$ROWCOUNT$$
+ * and $$ROWID$$ may be used; they become window functions over the input rows.
+ * @returns {string} - The SQL expression.
+ * @throws {RuleSyntaxError} - For flow variables and row variables that are not allowed.
+ */
+export function ruleValueToSQL(node, dialect, options = {}) {
+  const toSQL = (child) => ruleValueToSQL(child, dialect, options);
+  const wrap = (child) =>
+    child.type === "arithmetic" ? `(${toSQL(child)})` : toSQL(child);
+  switch (node.type) {
+    case "column":
+      return dialect.quoteIdentifier(node.value);
+    case "string":
+      return dialect.quoteString(node.value);
+    case "number":
+      return node.value;
+    case "boolean":
+      return dialect.booleanLiteral(node.value);
+    case "negate": {
+      const sql = wrap(node.operand);
+      // "--" would start an SQL comment
+      return sql.startsWith("-") ? `-(${sql})` : `-${sql}`;
+    }
+    case "arithmetic":
+      // Integer division truncates in SQL; KNIME's / always gives a double
+      return `${
+        node.operator === "/"
+          ? dialect.cast(toSQL(node.left), dialect.typeName(KNIME_TYPES.DOUBLE))
+          : wrap(node.left)
+      } ${node.operator} ${wrap(node.right)}`;
+    case "rowVariable": {
+      if (!options.allowRowVariables) {
+        throw new RuleSyntaxError(
+          `$$${node.value}$$ is not supported here.`,
+          node.line,
+          node.column
+        );
+      }
+      const rowIndex = `(${dialect.rowNumber()} - 1)`;
+      if (node.value === "ROWCOUNT") return "COUNT(*) OVER ()";
+      if (node.value === "ROWINDEX") return rowIndex;
+      return dialect.concat([
+        dialect.quoteString("Row"),
+        dialect.cast(rowIndex, dialect.typeName(KNIME_TYPES.STRING)),
+      ]);
+    }
+    case "flowVariable":
+      throw new RuleSyntaxError(
+        `Flow variables ($\${${node.value}}$$) are not supported.`,
+        node.line,
+        node.column
+      );
+    default:
+      throw new RuleSyntaxError(
+        `Expected a value, found ${describeNode(node)}.`,
+        node.line,
+        node.column
+      );
+  }
+}
+
+/**
+ * Converts a condition node to an SQL condition. In KNIME a comparison involving a
+ * missing value is false; in SQL it is unknown (NULL), which behaves the same in a
+ * WHEN or WHERE unless it is negated. Below NOT and XOR, comparisons are therefore
+ * guarded with IS NOT NULL checks of the columns they reference.
+ *
+ * @param {object} node - The condition node.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {object} [options={}] - Conversion options (see ruleValueToSQL).
+ * @returns {string} - The SQL condition.
+ * @throws {RuleSyntaxError} - For unsupported constructs.
+ */
+export function ruleConditionToSQL(node, dialect, options = {}) {
+  const { nullSafe = false } = options;
+  const toSQL = (child, childOptions = options) =>
+    ruleConditionToSQL(child, dialect, childOptions);
+  const value = (child) => ruleValueToSQL(child, dialect, options);
+  const guard = (condition, operands) => {
+    const columns = [...new Set(operands.flatMap(getReferencedColumns))];
+    return nullSafe
+      ? [
+          ...columns.map((c) => `${dialect.quoteIdentifier(c)} IS NOT NULL`),
+          condition,
+        ].join(" AND ")
+      : condition;
+  };
+  // Nested logical operators of another kind, and guarded conditions (which are ANDs
+  // themselves), are parenthesized
+  const operand = (child, parent) =>
+    (child.type === "logical" && child.operator !== parent.operator) ||
+    (nullSafe && GUARDED_TYPES.includes(child.type))
+      ? `(${toSQL(child)})`
+      : toSQL(child);
+
+  switch (node.type) {
+    case "boolean":
+      return node.value ? "1 = 1" : "1 = 0";
+    case "logical": {
+      if (node.operator === "XOR") {
+        const safe = { ...options, nullSafe: true };
+        const left = `(${toSQL(node.left, safe)})`;
+        const right = `(${toSQL(node.right, safe)})`;
+        return `(${left} AND NOT ${right}) OR (NOT ${left} AND ${right})`;
+      }
+      return `${operand(node.left, node)} ${node.operator} ${operand(
+        node.right,
+        node
+      )}`;
+    }
+    case "not":
+      return `NOT (${toSQL(node.operand, { ...options, nullSafe: true })})`;
+    case "comparison":
+      return guard(
+        `${value(node.left)} ${node.operator} ${value(node.right)}`,
+        [node.left, node.right]
+      );
+    case "like":
+      return guard(
+        dialect.like(
+          value(node.operand),
+          wildcardToLikePattern(node.pattern.value)
+        ),
+        [node.operand]
+      );
+    case "matches":
+      return guard(
+        dialect.regexMatch(value(node.operand), node.pattern.value),
+        [node.operand]
+      );
+    case "in":
+      return guard(
+        `${value(node.operand)} IN (${node.values.map(value).join(", ")})`,
+        [node.operand, ...node.values]
+      );
+    case "missing":
+      return `${value(node.operand)} IS NULL`;
+    default:
+      throw new RuleSyntaxError(
+        `Expected a condition, found ${describeNode(node)}.`,
+        node.line,
+        node.column
+      );
+  }
+}
+
+/**
+ * Determines the KNIME type of a value node.
+ * @param {object} node - The value node.
+ * @param {Array<object>} [inputSchema=[]] - The typed input columns, for column references.
+ * @returns {string|null} - The KNIME cell class, or null if unknown.
+ */
+export function getRuleValueType(node, inputSchema = []) {
+  switch (node.type) {
+    case "string":
+      return KNIME_TYPES.STRING;
+    case "number":
+      return /^\d+$/.test(node.value) ? KNIME_TYPES.INT : KNIME_TYPES.DOUBLE;
+    case "boolean":
+      return KNIME_TYPES.BOOLEAN;
+    case "column":
+      return (
+        (inputSchema || []).find((column) => column.name === node.value)
+          ?.type || null
+      );
+    case "negate":
+      return getRuleValueType(node.operand, inputSchema);
+    case "arithmetic": {
+      const types = [node.left, node.right].map((child) =>
+        getRuleValueType(child, inputSchema)
+      );
+      if (!types.every(isNumericType)) return null;
+      return node.operator === "/" ? KNIME_TYPES.DOUBLE : getCommonType(types);
+    }
+    case "rowVariable":
+      return node.value === "ROWID" ? KNIME_TYPES.STRING : KNIME_TYPES.INT;
+    default:
+      return null;
+  }
+}
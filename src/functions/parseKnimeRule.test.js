@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import {
+  RuleSyntaxError,
+  isRuleComment,
+  parseRule,
+  ruleConditionToSQL,
+  ruleValueToSQL,
+} from "./parseKnimeRule";
+import { DIALECTS, getDialect } from "../dialects";
+
+const generic = getDialect();
+
+const conditionSQL = (rule, dialect = generic) =>
+  ruleConditionToSQL(parseRule(rule).condition, dialect);
+const outcomeSQL = (rule, dialect = generic, options) =>
+  ruleValueToSQL(parseRule(rule).outcome, dialect, options);
+
+describe("parseRule", () => {
+  it("splits a rule into condition and outcome", () => {
+    const { condition, outcome } = parseRule('$a$ > 5 => "big"');
+    expect(condition).toMatchObject({
+      type: "comparison",
+      operator: ">",
+      left: { type: "column", value: "a" },
+      right: { type: "number", value: "5" },
+    });
+    expect(outcome).toMatchObject({ type: "string", value: "big" });
+  });
+
+  it("binds AND tighter than XOR", () => {
+    const { condition } = parseRule(
+      "$a$ IN (1, 2) XOR MISSING $s$ AND TRUE => TRUE"
+    );
+    expect(condition).toMatchObject({
+      type: "logical",
+      operator: "XOR",
+      left: { type: "in" },
+      right: { type: "logical", operator: "AND" },
+    });
+  });
+
+  it("reports the position of syntax errors", () => {
+    expect(() => parseRule('$a$ > => "x"', 3)).toThrow(RuleSyntaxError);
+    expect(() => parseRule('$a$ > => "x"', 3)).toThrow(
+      'Line 3, column 7: Expected a value or condition, found "=>".'
+    );
+  });
+
+  it("recognizes comments and blank lines", () => {
+    expect(isRuleComment("// note")).toBe(true);
+    expect(isRuleComment("   ")).toBe(true);
+    expect(isRuleComment("TRUE => 1")).toBe(false);
+  });
+});
+
+describe("ruleConditionToSQL", () => {
+  it("guards negated comparisons against missing values", () => {
+    expect(conditionSQL('NOT $a$ > 1 AND $s$ LIKE "x*" => 1')).toBe(
+      `NOT ("a" IS NOT NULL AND "a" > 1) AND "s" LIKE 'x%' ESCAPE '\\'`
+    );
+  });
+
+  it("translates MISSING to IS NULL", () => {
+    expect(conditionSQL("MISSING $a$ => 1")).toBe('"a" IS NULL');
+  });
+});
+
+describe("ruleValueToSQL", () => {
+  it("divides as floating point numbers in every dialect", () => {
+    const divisions = Object.fromEntries(
+      Object.keys(DIALECTS).map((name) => [
+        name,
+        outcomeSQL("TRUE => $a$ / 2", getDialect(name)),
+      ])
+    );
+    expect(divisions).toMatchSnapshot();
+  });
+
+  it("parenthesizes nested arithmetic", () => {
+    expect(outcomeSQL("TRUE => ($a$ + 1) * $b$")).toBe('("a" + 1) * "b"');
+  });
+
+  it("keeps double negation from becoming an SQL comment", () => {
+    expect(conditionSQL("$a$ > - -1 => TRUE")).toBe('"a" > -(-1)');
+    expect(outcomeSQL("TRUE => - -$b$")).toBe('-(-"b")');
+  });
+
+  it("numbers the rows for $$ROWINDEX$$ in every dialect", () => {
+    const rowIndexes = Object.fromEntries(
+      Object.keys(DIALECTS).map((name) => [
+        name,
+        outcomeSQL("TRUE => $$ROWINDEX$$", getDialect(name), {
+          allowRowVariables: true,
+        }),
+      ])
+    );
+    expect(rowIndexes).toMatchSnapshot();
+  });
+
+  it("rejects row variables unless they are allowed", () => {
+    expect(() => outcomeSQL("TRUE => $$ROWINDEX$$")).toThrow(
+      "Line 1, column 9: $$ROWINDEX$$ is not supported here."
+    );
+  });
+});
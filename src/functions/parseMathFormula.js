@@ -0,0 +1,598 @@
+// src/functions/parseMathFormula.js
+
+import { KNIME_TYPES, findSchemaColumn, getTypeLabel } from "./columnSchema";
+import {
+  ExpressionSyntaxError,
+  checkArgumentCount,
+  fitsKind,
+  isSingleCall,
+} from "./parseKnimeExpression";
+import { MATH_FORMULA_FUNCTIONS } from "./mathFormulaFunctions";
+
+// Special row variables ($$ROWINDEX$$ etc.)
+const ROW_VARIABLES = ["ROWINDEX", "ROWCOUNT", "CURRENTCOLUMN"];
+
+// Symbols, longest first so "&&" and "<=" win over "<"
+const SYMBOLS = [
+  "&&",
+  "||",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "<",
+  ">",
+  "!",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "^",
+  "(",
+  ")",
+  ",",
+];
+
+// Named constants
+const CONSTANTS = { pi: String(Math.PI), e: String(Math.E) };
+
+const COMPARISON_OPERATORS = ["==", "!=", "<", "<=", ">", ">="];
+
+// Precedence of the generated SQL, from loosest to tightest binding (see
+// translateKnimeExpression)
+const PRECEDENCE = {
+  UNKNOWN: 0,
+  OR: 1,
+  AND: 2,
+  NOT: 3,
+  COMPARISON: 4,
+  ADDITIVE: 5,
+  MULTIPLICATIVE: 6,
+  UNARY: 7,
+  ATOM: 8,
+};
+
+/**
+ * Splits a Math Formula expression into tokens.
+ * @param {string} formula - The formula (may span several lines).
+ * @returns {Array<{type: string, value: string, line: number, column: number}>} - The
+ * tokens (types: number, column, rowVariable, flowVariable, identifier, symbol),
+ * followed by an "end" token.
+ * @throws {ExpressionSyntaxError} - On unterminated references and unknown characters.
+ */
+export function tokenizeMathFormula(formula) {
+  const text = String(formula);
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  const token = (type, value, start) =>
+    tokens.push({ type, value, line, column: start - lineStart + 1 });
+  const fail = (message, at) => {
+    throw new ExpressionSyntaxError(message, line, at - lineStart + 1);
+  };
+
+  // Reads a reference up to the closing delimiter
+  const readDelimited = (start, delimiter, what) => {
+    const end = text.indexOf(delimiter, pos);
+    if (end < 0 || text.slice(pos, end).includes("\n")) {
+      fail(`Unterminated ${what}.`, start);
+    }
+    const value = text.slice(pos, end);
+    pos = end + delimiter.length;
+    return value;
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+    if (char === "\n") {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(char)) {
+      pos++;
+    } else if (text.startsWith("$${", pos)) {
+      // Flow variable: $${Dname}$$ (type letter D or I)
+      pos += 3;
+      const value = readDelimited(start, "}$$", "flow variable reference");
+      token("flowVariable", value, start);
+    } else if (text.startsWith("$$", pos)) {
+      pos += 2;
+      const value = readDelimited(start, "$$", "row variable reference");
+      if (!ROW_VARIABLES.includes(value)) {
+        fail(`Unknown row variable $$${value}$$.`, start);
+      }
+      token("rowVariable", value, start);
+    } else if (char === "$") {
+      pos++;
+      token("column", readDelimited(start, "$", "column reference"), start);
+    } else if (/\d/.test(char) || (char === "." && /\d/.test(text[pos + 1]))) {
+      const match = text.slice(pos).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      pos += match[0].length;
+      token("number", match[0], start);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      pos += word.length;
+      token("identifier", word, start);
+    } else {
+      const symbol = SYMBOLS.find((s) => text.startsWith(s, pos));
+      if (!symbol) fail(`Unexpected character "${char}".`, start);
+      pos += symbol.length;
+      token("symbol", symbol, start);
+    }
+  }
+  token("end", "", pos);
+  return tokens;
+}
+
+/**
+ * Parses a Math Formula expression into an abstract syntax tree. Operator precedence,
+ * from loosest to tightest: ||, &&, comparisons (==, !=, <, <=, >, >=), + and -, *, /
+ * and %, unary - and !, ^ (right-associative).
+ *
+ * Nodes have a type (number, column, rowVariable, flowVariable, constant, call, unary,
+ * binary), their operands and their position (line and column).
+ *
+ * @param {string} formula - The formula.
+ * @returns {object} - The root node.
+ * @throws {ExpressionSyntaxError} - If the formula is not valid.
+ */
+export function parseMathFormula(formula) {
+  const tokens = tokenizeMathFormula(formula);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new ExpressionSyntaxError(message, token.line, token.column);
+  };
+  const isSymbol = (...values) =>
+    peek().type === "symbol" && values.includes(peek().value);
+  const describe = (token) =>
+    token.type === "end" ? "the end of the formula" : `"${token.value}"`;
+  const expect = (value, description) => {
+    if (!isSymbol(value)) {
+      fail(`Expected ${description}, found ${describe(peek())}.`);
+    }
+    return next();
+  };
+  const node = (type, fields, token) => ({
+    type,
+    ...fields,
+    line: token.line,
+    column: token.column,
+  });
+
+  // Left-associative binary operators on one precedence level
+  const binaryLevel = (operators, parseOperand) => () => {
+    let left = parseOperand();
+    while (isSymbol(...operators)) {
+      const operatorToken = next();
+      const right = parseOperand();
+      left = node(
+        "binary",
+        { operator: operatorToken.value, left, right },
+        operatorToken
+      );
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isSymbol("-", "!")) {
+      const operatorToken = next();
+      return node(
+        "unary",
+        { operator: operatorToken.value, operand: parseUnary() },
+        operatorToken
+      );
+    }
+    return parsePower();
+  };
+  const parseTerm = binaryLevel(["*", "/", "%"], parseUnary);
+  const parseAdditive = binaryLevel(["+", "-"], parseTerm);
+  const parseComparison = binaryLevel(COMPARISON_OPERATORS, parseAdditive);
+  const parseAnd = binaryLevel(["&&"], parseComparison);
+  const parseOr = binaryLevel(["||"], parseAnd);
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isSymbol("^")) {
+      const operatorToken = next();
+      // Right-associative, and binds tighter than a unary minus on its left
+      const exponent = parseUnary();
+      return node(
+        "binary",
+        { operator: "^", left: base, right: exponent },
+        operatorToken
+      );
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    switch (token.type) {
+      case "number":
+      case "column":
+      case "rowVariable":
+      case "flowVariable":
+        next();
+        return node(token.type, { value: token.value }, token);
+      case "identifier": {
+        next();
+        if (!isSymbol("(")) {
+          return node("constant", { value: token.value }, token);
+        }
+        next();
+        const args = [];
+        if (!isSymbol(")")) {
+          args.push(parseOr());
+          while (isSymbol(",")) {
+            next();
+            args.push(parseOr());
+          }
+        }
+        expect(")", `")" or "," in the arguments of ${token.value}`);
+        return node("call", { name: token.value, args }, token);
+      }
+      case "symbol":
+        if (token.value === "(") {
+          next();
+          const inner = parseOr();
+          expect(")", '")"');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    return fail(`Expected a value, found ${describe(token)}.`);
+  }
+
+  if (peek().type === "end") fail("The formula is empty.");
+  const root = parseOr();
+  if (peek().type !== "end") {
+    fail(
+      `Expected an operator or the end of the formula, found ${describe(
+        peek()
+      )}.`
+    );
+  }
+  return root;
+}
+
+/**
+ * Translates a Math Formula expression to an SQL expression. As in KNIME, all values
+ * are floating point numbers: / never truncates, and comparisons and logical operators
+ * give 1 or 0 where a number is expected.
+ *
+ * @param {string} formula - The formula.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {object} [options={}] - Translation options.
+ * @param {Array<object>} [options.inputSchema=[]] - The typed input columns.
+ * @param {string} [options.currentColumn] - The column $$CURRENTCOLUMN$$ refers to, in
+ * the multi-column node.
+ * @param {boolean} [options.convertToInt=false] - Whether to round the result to an
+ * integer (KNIME's "Convert to Int" option).
+ * @param {object} [options.flowVariables={}] - The flow variables with a known value,
+ * keyed by name ({ type, value }); references to them are inlined as numbers.
+ * @returns {{sql: string, type: string, warnings: string[], approximate: boolean}} -
+ * The SQL value expression, its KNIME type (DoubleCell, or IntCell if converted) and
+ * the problems found.
+ * @throws {ExpressionSyntaxError} - If the formula is not valid or cannot be translated.
+ */
+export function translateMathFormula(formula, dialect, options = {}) {
+  const {
+    inputSchema = [],
+    currentColumn,
+    convertToInt = false,
+    flowVariables = {},
+  } = options;
+  const warnings = [];
+  let approximate = false;
+  const { INT, LONG, DOUBLE } = KNIME_TYPES;
+
+  // Results are {sql, precedence, condition, type}: conditions come from comparisons
+  // and logical operators, all other values are numbers. The type is the SQL side
+  // type where known, so that integer divisions can be avoided.
+  const wrap = (sql, precedence, minimum) =>
+    precedence < minimum ? `(${sql})` : sql;
+  const asValue = (result) =>
+    result.condition
+      ? `CASE WHEN ${result.sql} THEN 1 WHEN NOT (${result.sql}) THEN 0 END`
+      : result.sql;
+  const operand = (result, minimum) =>
+    result.condition
+      ? asValue(result)
+      : wrap(result.sql, result.precedence ?? PRECEDENCE.ATOM, minimum);
+  const conditionOperand = (result, minimum) =>
+    result.condition
+      ? wrap(result.sql, result.precedence, minimum)
+      : wrap(
+          `${operand(result, PRECEDENCE.ADDITIVE)} <> 0`,
+          PRECEDENCE.COMPARISON,
+          minimum
+        );
+  const fail = (message, node) => {
+    throw new ExpressionSyntaxError(message, node.line, node.column);
+  };
+
+  function translate(node) {
+    try {
+      return translateNode(node);
+    } catch (error) {
+      if (error instanceof ExpressionSyntaxError) throw error;
+      // Errors of the dialect or function library get the position of the node
+      throw new ExpressionSyntaxError(error.message, node.line, node.column);
+    }
+  }
+
+  const translateColumn = (name, node) => {
+    const column = findSchemaColumn(inputSchema, name);
+    if (inputSchema.length > 0 && !column) {
+      fail(`Unknown column "${name}".`, node);
+    }
+    if (!fitsKind(column?.type, "number")) {
+      fail(
+        `Column "${name}" must be numeric, found ${getTypeLabel(column.type)}.`,
+        node
+      );
+    }
+    return { sql: dialect.quoteIdentifier(name), type: column?.type || null };
+  };
+
+  function translateNode(node) {
+    switch (node.type) {
+      case "number":
+        return {
+          sql: node.value,
+          type: /^\d+$/.test(node.value) ? LONG : DOUBLE,
+          literal: Number(node.value),
+        };
+      case "column":
+        return translateColumn(node.value, node);
+      case "rowVariable":
+        if (node.value === "CURRENTCOLUMN") {
+          if (!currentColumn) {
+            fail(
+              "$$CURRENTCOLUMN$$ is only available in the multi-column node.",
+              node
+            );
+          }
+          return translateColumn(currentColumn, node);
+        }
+        if (node.value === "ROWCOUNT") {
+          return { sql: "COUNT(*) OVER ()", type: LONG };
+        }
+        approximate = true;
+        warnings.push(
+          "$$ROWINDEX$$ follows the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order."
+        );
+        return {
+          sql: `${dialect.rowNumber()} - 1`,
+          type: LONG,
+          precedence: PRECEDENCE.ADDITIVE,
+        };
+      case "flowVariable":
+        return translateFlowVariable(node);
+      case "constant":
+        if (!CONSTANTS[node.value]) {
+          fail(
+            MATH_FORMULA_FUNCTIONS[node.value] || node.value === "if"
+              ? `${node.value} is a function; call it as ${node.value}(...).`
+              : `Unknown name "${node.value}" (column names are written as $${node.value}$).`,
+            node
+          );
+        }
+        return { sql: CONSTANTS[node.value], type: DOUBLE };
+      case "unary": {
+        const inner = translate(node.operand);
+        if (node.operator === "!") {
+          return {
+            sql: `NOT ${conditionOperand(inner, PRECEDENCE.NOT)}`,
+            condition: true,
+            precedence: PRECEDENCE.NOT,
+          };
+        }
+        const sql = operand(inner, PRECEDENCE.UNARY);
+        return {
+          // "--" would start an SQL comment
+          sql: sql.startsWith("-") ? `-(${sql})` : `-${sql}`,
+          type: inner.type,
+          precedence: PRECEDENCE.UNARY,
+        };
+      }
+      case "binary":
+        return translateBinary(node);
+      case "call":
+        return node.name === "if" ? translateIf(node) : translateCall(node);
+      default:
+        return fail(`Unsupported construct ${node.type}.`, node);
+    }
+  }
+
+  // $${Dname}$$ and $${Iname}$$ read a double or integer variable
+  function translateFlowVariable(node) {
+    const typeLetter = node.value[0];
+    const name = node.value.slice(1);
+    if (typeLetter !== "D" && typeLetter !== "I") {
+      fail(
+        `Flow variable references start with D or I (double or integer), found $\${${node.value}}$$.`,
+        node
+      );
+    }
+    const variable = flowVariables[name];
+    if (!variable) {
+      fail(
+        `Unknown flow variable "${name}"; only workflow variables can be inlined.`,
+        node
+      );
+    }
+    const value = Number(variable.value);
+    if (variable.value === null || !Number.isFinite(value)) {
+      fail(
+        `Flow variable "${name}" must be numeric, found ${
+          variable.type || "an unknown type"
+        }.`,
+        node
+      );
+    }
+    const integer = typeLetter === "I";
+    if (integer && !Number.isInteger(value)) {
+      fail(`Flow variable "${name}" is not an integer.`, node);
+    }
+    return {
+      sql: String(value),
+      type: integer ? LONG : DOUBLE,
+      literal: value,
+      // A negative value behaves like a unary minus
+      precedence: value < 0 ? PRECEDENCE.UNARY : PRECEDENCE.ATOM,
+    };
+  }
+
+  function translateBinary(node) {
+    const { operator } = node;
+    const left = translate(node.left);
+    const right = translate(node.right);
+
+    if (operator === "&&" || operator === "||") {
+      const precedence = operator === "&&" ? PRECEDENCE.AND : PRECEDENCE.OR;
+      const sqlOperator = operator === "&&" ? "AND" : "OR";
+      return {
+        sql: `${conditionOperand(
+          left,
+          precedence
+        )} ${sqlOperator} ${conditionOperand(right, precedence + 1)}`,
+        condition: true,
+        precedence,
+      };
+    }
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      const sqlOperator = { "==": "=", "!=": "<>" }[operator] || operator;
+      return {
+        sql: `${operand(left, PRECEDENCE.ADDITIVE)} ${sqlOperator} ${operand(
+          right,
+          PRECEDENCE.ADDITIVE
+        )}`,
+        condition: true,
+        precedence: PRECEDENCE.COMPARISON,
+      };
+    }
+
+    const integers =
+      fitsKind(left.type, "integer") &&
+      fitsKind(right.type, "integer") &&
+      left.type &&
+      right.type;
+    const type = integers ? LONG : DOUBLE;
+    switch (operator) {
+      case "/": {
+        // Integer division truncates in SQL; KNIME always divides as floating point
+        const dividend = Number.isInteger(left.literal)
+          ? `${left.sql}.0`
+          : left.type === DOUBLE
+          ? operand(left, PRECEDENCE.MULTIPLICATIVE)
+          : dialect.cast(asValue(left), dialect.typeName(DOUBLE));
+        return {
+          sql: `${dividend} / ${operand(right, PRECEDENCE.UNARY)}`,
+          type: DOUBLE,
+          precedence: PRECEDENCE.MULTIPLICATIVE,
+        };
+      }
+      case "%":
+        return {
+          sql: dialect.modulo(
+            operand(left, PRECEDENCE.MULTIPLICATIVE),
+            operand(right, PRECEDENCE.UNARY)
+          ),
+          type,
+          precedence: PRECEDENCE.MULTIPLICATIVE,
+        };
+      case "^":
+        return {
+          sql: dialect.callFunction("POWER", [asValue(left), asValue(right)]),
+          type: DOUBLE,
+        };
+      default: {
+        const precedence =
+          operator === "*" ? PRECEDENCE.MULTIPLICATIVE : PRECEDENCE.ADDITIVE;
+        return {
+          sql: `${operand(left, precedence)} ${operator} ${operand(
+            right,
+            precedence + 1
+          )}`,
+          type,
+          precedence,
+        };
+      }
+    }
+  }
+
+  function translateCall(node) {
+    const { name, args } = node;
+    const definition = MATH_FORMULA_FUNCTIONS[name];
+    if (!definition) {
+      fail(`Unsupported function ${name}.`, node);
+    }
+    const { params } = definition;
+    checkArgumentCount(name, params, args.length);
+    const results = args.map((arg, index) => {
+      const kind = params[Math.min(index, params.length - 1)].replace(
+        /\?|\.\.\./,
+        ""
+      );
+      const result = translate(arg);
+      if (!fitsKind(result.type, kind)) {
+        fail(
+          `Argument ${index + 1} of ${name} must be ${
+            kind === "integer" ? "an integer" : "a number"
+          }, found ${getTypeLabel(result.type)}.`,
+          arg
+        );
+      }
+      return { ...result, sql: asValue(result) };
+    });
+    const sql = definition.toSQL(results, dialect);
+    return {
+      sql,
+      // The SQL type of the result depends on the database (e.g. CEIL of an integer)
+      type: null,
+      // Functions like mod may translate to an operator
+      precedence: isSingleCall(sql) ? PRECEDENCE.ATOM : PRECEDENCE.UNKNOWN,
+    };
+  }
+
+  // if(condition, value if true, value if false)
+  function translateIf(node) {
+    if (node.args.length !== 3) {
+      fail(
+        `if expects 3 arguments (condition, value if true, value if false), found ${node.args.length}.`,
+        node
+      );
+    }
+    const [condition, whenTrue, whenFalse] = node.args.map(translate);
+    return {
+      sql: `CASE WHEN ${conditionOperand(
+        condition,
+        PRECEDENCE.OR
+      )} THEN ${asValue(whenTrue)} ELSE ${asValue(whenFalse)} END`,
+      type: DOUBLE,
+    };
+  }
+
+  const result = translate(parseMathFormula(formula));
+  if (convertToInt) {
+    return {
+      sql: dialect.cast(
+        dialect.callFunction("ROUND", [asValue(result)]),
+        dialect.typeName(INT)
+      ),
+      type: INT,
+      warnings,
+      approximate,
+    };
+  }
+  return { sql: asValue(result), type: DOUBLE, warnings, approximate };
+}
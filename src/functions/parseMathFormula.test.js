@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { parseMathFormula, translateMathFormula } from "./parseMathFormula";
+import { ExpressionSyntaxError } from "./parseKnimeExpression";
+import { KNIME_TYPES, createColumn } from "./columnSchema";
+import { getDialect } from "../dialects";
+
+const generic = getDialect();
+
+const inputSchema = [
+  createColumn("a", KNIME_TYPES.INT),
+  createColumn("b", KNIME_TYPES.INT),
+  createColumn("d", KNIME_TYPES.DOUBLE),
+];
+
+const translate = (formula, options = {}) =>
+  translateMathFormula(formula, generic, { inputSchema, ...options });
+
+describe("parseMathFormula", () => {
+  it("makes ^ right-associative", () => {
+    expect(parseMathFormula("2 ^ 3 ^ 2")).toMatchObject({
+      type: "binary",
+      operator: "^",
+      left: { type: "number" },
+      right: { type: "binary", operator: "^" },
+    });
+  });
+
+  it("reports the position of syntax errors", () => {
+    expect(() => parseMathFormula("$a$ +")).toThrow(ExpressionSyntaxError);
+    expect(() => parseMathFormula("$a$ +")).toThrow(
+      "Line 1, column 6: Expected a value, found the end of the formula."
+    );
+  });
+});
+
+describe("translateMathFormula", () => {
+  it("divides as floating point numbers", () => {
+    expect(translate("$a$ / 2")).toEqual({
+      sql: 'CAST("a" AS DOUBLE PRECISION) / 2',
+      type: KNIME_TYPES.DOUBLE,
+      warnings: [],
+      approximate: false,
+    });
+  });
+
+  it("gives 1 or 0 for conditions", () => {
+    expect(translate("$a$ > 1 && $b$ < 2").sql).toBe(
+      'CASE WHEN "a" > 1 AND "b" < 2 THEN 1 WHEN NOT ("a" > 1 AND "b" < 2) THEN 0 END'
+    );
+  });
+
+  it("rounds the result if it is converted to an integer", () => {
+    expect(translate("$d$ * 2", { convertToInt: true })).toMatchObject({
+      sql: 'CAST(ROUND("d" * 2) AS INTEGER)',
+      type: KNIME_TYPES.INT,
+    });
+  });
+
+  it("inlines workflow variables", () => {
+    const flowVariables = { rate: { type: "DOUBLE", value: "-1.5" } };
+    expect(translate("$d$ * $${Drate}$$", { flowVariables }).sql).toBe(
+      '"d" * -1.5'
+    );
+    expect(() => translate("$${Dother}$$", { flowVariables })).toThrow(
+      'Line 1, column 1: Unknown flow variable "other"; only workflow variables can be inlined.'
+    );
+  });
+
+  it("rejects unknown functions", () => {
+    expect(() => translate("foo($a$)")).toThrow(
+      "Line 1, column 1: Unsupported function foo."
+    );
+  });
+});
@@ -0,0 +1,390 @@
+// src/functions/parseStringManipulation.js
+
+import {
+  KNIME_TYPES,
+  findSchemaColumn,
+  getCommonType,
+  getTypeLabel,
+  isNumericType,
+  isStringType,
+} from "./columnSchema";
+import {
+  ExpressionSyntaxError,
+  checkArgumentCount,
+  fitsKind,
+} from "./parseKnimeExpression";
+import { STRING_MANIPULATION_FUNCTIONS } from "./stringManipulationFunctions";
+
+// Special row variables ($$ROWID$$ etc.)
+const ROW_VARIABLES = ["ROWID", "ROWINDEX", "ROWCOUNT", "CURRENTCOLUMN"];
+
+/**
+ * Splits a String Manipulation expression into tokens.
+ * @param {string} expression - The expression (may span several lines).
+ * @returns {Array<{type: string, value: string, line: number, column: number}>} - The
+ * tokens (types: number, string, boolean, column, rowVariable, flowVariable,
+ * identifier, symbol), followed by an "end" token.
+ * @throws {ExpressionSyntaxError} - On unterminated strings or references and unknown
+ * characters.
+ */
+export function tokenizeStringManipulation(expression) {
+  const text = String(expression);
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  const token = (type, value, start) =>
+    tokens.push({ type, value, line, column: start - lineStart + 1 });
+  const fail = (message, at) => {
+    throw new ExpressionSyntaxError(message, line, at - lineStart + 1);
+  };
+
+  // Reads an escaped sequence up to the closing delimiter
+  const readDelimited = (start, delimiter, what) => {
+    let value = "";
+    while (pos < text.length && !text.startsWith(delimiter, pos)) {
+      if (text[pos] === "\n") break;
+      if (text[pos] === "\\" && pos + 1 < text.length) {
+        const next = text[pos + 1];
+        value += { n: "\n", t: "\t", r: "\r" }[next] ?? next;
+        pos += 2;
+      } else {
+        value += text[pos++];
+      }
+    }
+    if (!text.startsWith(delimiter, pos)) fail(`Unterminated ${what}.`, start);
+    pos += delimiter.length;
+    return value;
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+    if (char === "\n") {
+      pos++;
+      line++;
+      lineStart = pos;
+    } else if (/\s/.test(char)) {
+      pos++;
+    } else if (text.startsWith("//", pos)) {
+      // Comment up to the end of the line
+      while (pos < text.length && text[pos] !== "\n") pos++;
+    } else if (text.startsWith("$${", pos)) {
+      // Flow variable: $${Sname}$$ (type letter S, I or D)
+      pos += 3;
+      const value = readDelimited(start, "}$$", "flow variable reference");
+      token("flowVariable", value, start);
+    } else if (text.startsWith("$$", pos)) {
+      pos += 2;
+      const value = readDelimited(start, "$$", "row variable reference");
+      if (!ROW_VARIABLES.includes(value)) {
+        fail(`Unknown row variable $$${value}$$.`, start);
+      }
+      token("rowVariable", value, start);
+    } else if (char === "$") {
+      pos++;
+      token("column", readDelimited(start, "$", "column reference"), start);
+    } else if (char === '"') {
+      pos++;
+      token("string", readDelimited(start, '"', "string"), start);
+    } else if (/\d/.test(char) || (char === "." && /\d/.test(text[pos + 1]))) {
+      const match = text.slice(pos).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      pos += match[0].length;
+      token("number", match[0], start);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      pos += word.length;
+      token(
+        word === "true" || word === "false" ? "boolean" : "identifier",
+        word,
+        start
+      );
+    } else if ("+-(),".includes(char)) {
+      pos++;
+      token("symbol", char, start);
+    } else {
+      fail(`Unexpected character "${char}".`, start);
+    }
+  }
+  token("end", "", pos);
+  return tokens;
+}
+
+/**
+ * Parses a String Manipulation expression: function calls, column references
+ * ($name$), row variables ($$ROWINDEX$$, $$ROWCOUNT$$, $$ROWID$$), flow variables
+ * ($${Sname}$$), string and number literals, true and false, and + (which concatenates
+ * strings, as in Java).
+ *
+ * Nodes have a type (number, string, boolean, column, rowVariable, flowVariable, call,
+ * plus), their operands and their position (line and column).
+ *
+ * @param {string} expression - The expression.
+ * @returns {object} - The root node.
+ * @throws {ExpressionSyntaxError} - If the expression is not valid.
+ */
+export function parseStringManipulation(expression) {
+  const tokens = tokenizeStringManipulation(expression);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new ExpressionSyntaxError(message, token.line, token.column);
+  };
+  const isToken = (type, value) =>
+    peek().type === type && (value === undefined || peek().value === value);
+  const describe = (token) =>
+    token.type === "end" ? "the end of the expression" : `"${token.value}"`;
+  const expect = (type, value, description) => {
+    if (!isToken(type, value)) {
+      fail(`Expected ${description}, found ${describe(peek())}.`);
+    }
+    return next();
+  };
+  const node = (type, fields, token) => ({
+    type,
+    ...fields,
+    line: token.line,
+    column: token.column,
+  });
+
+  function parseSum() {
+    let left = parsePrimary();
+    while (isToken("symbol", "+")) {
+      const operatorToken = next();
+      left = node("plus", { left, right: parsePrimary() }, operatorToken);
+    }
+    return left;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    switch (token.type) {
+      case "number":
+      case "string":
+      case "column":
+      case "rowVariable":
+      case "flowVariable":
+        next();
+        return node(token.type, { value: token.value }, token);
+      case "boolean":
+        next();
+        return node("boolean", { value: token.value === "true" }, token);
+      case "identifier": {
+        next();
+        expect("symbol", "(", `"(" after ${token.value}`);
+        const args = [];
+        if (!isToken("symbol", ")")) {
+          args.push(parseSum());
+          while (isToken("symbol", ",")) {
+            next();
+            args.push(parseSum());
+          }
+        }
+        expect("symbol", ")", `")" or "," in the arguments of ${token.value}`);
+        return node("call", { name: token.value, args }, token);
+      }
+      case "symbol":
+        if (token.value === "(") {
+          next();
+          const inner = parseSum();
+          expect("symbol", ")", '")"');
+          return inner;
+        }
+        if (token.value === "-" && tokens[index + 1].type === "number") {
+          next();
+          return node("number", { value: `-${next().value}` }, token);
+        }
+        break;
+      default:
+        break;
+    }
+    return fail(`Expected a value, found ${describe(token)}.`);
+  }
+
+  if (isToken("end")) fail("The expression is empty.");
+  const root = parseSum();
+  expect("end", undefined, '"+" or the end of the expression');
+  return root;
+}
+
+/**
+ * Translates a String Manipulation expression to an SQL expression, inferring the
+ * types of its values. Function arguments must have the types KNIME expects; numbers
+ * and other values are converted to strings with string().
+ *
+ * @param {string} expression - The expression.
+ * @param {object} dialect - The target SQL dialect.
+ * @param {object} [options={}] - Translation options.
+ * @param {Array<object>} [options.inputSchema=[]] - The typed input columns.
+ * @param {string} [options.currentColumn] - The column $$CURRENTCOLUMN$$ refers to, in
+ * the multi-column node.
+ * @returns {{sql: string, type: string|null, warnings: string[], approximate: boolean}}
+ * - The SQL value expression, its KNIME type (null if unknown) and the problems found.
+ * @throws {ExpressionSyntaxError} - If the expression is not valid or cannot be
+ * translated.
+ */
+export function translateStringManipulation(expression, dialect, options = {}) {
+  const { inputSchema = [], currentColumn } = options;
+  const warnings = [];
+  let approximate = false;
+  const { STRING, INT, LONG, DOUBLE, BOOLEAN } = KNIME_TYPES;
+
+  const fail = (message, node) => {
+    throw new ExpressionSyntaxError(message, node.line, node.column);
+  };
+
+  function translate(node) {
+    try {
+      return translateNode(node);
+    } catch (error) {
+      if (error instanceof ExpressionSyntaxError) throw error;
+      // Errors of the dialect or function library get the position of the node
+      throw new ExpressionSyntaxError(error.message, node.line, node.column);
+    }
+  }
+
+  const translateColumn = (name, node) => {
+    const column = findSchemaColumn(inputSchema, name);
+    if (inputSchema.length > 0 && !column) {
+      fail(`Unknown column "${name}".`, node);
+    }
+    return { sql: dialect.quoteIdentifier(name), type: column?.type || null };
+  };
+
+  function translateNode(node) {
+    switch (node.type) {
+      case "number": {
+        const isInteger = /^-?\d+$/.test(node.value);
+        return {
+          sql: node.value,
+          type: isInteger ? INT : DOUBLE,
+          literal: Number(node.value),
+        };
+      }
+      case "string":
+        return {
+          sql: dialect.quoteString(node.value),
+          type: STRING,
+          literal: node.value,
+        };
+      case "boolean":
+        return { sql: dialect.booleanLiteral(node.value), type: BOOLEAN };
+      case "column":
+        return translateColumn(node.value, node);
+      case "rowVariable": {
+        if (node.value === "CURRENTCOLUMN") {
+          if (!currentColumn) {
+            fail(
+              "$$CURRENTCOLUMN$$ is only available in the multi-column node.",
+              node
+            );
+          }
+          return translateColumn(currentColumn, node);
+        }
+        if (node.value === "ROWCOUNT") {
+          return { sql: "COUNT(*) OVER ()", type: INT };
+        }
+        approximate = true;
+        warnings.push(
+          `$$${node.value}$$ follows the order in which the database returns the input rows, which is not guaranteed to be KNIME's row order.`
+        );
+        const rowIndex = `(${dialect.rowNumber()} - 1)`;
+        if (node.value === "ROWINDEX") return { sql: rowIndex, type: LONG };
+        const parts = [
+          dialect.quoteString("Row"),
+          dialect.cast(rowIndex, dialect.typeName(STRING)),
+        ];
+        return { sql: dialect.concat(parts), type: STRING, parts };
+      }
+      case "flowVariable":
+        return fail(
+          `Flow variables ($\${${node.value}}$$) are not supported.`,
+          node
+        );
+      case "plus":
+        return translatePlus(node);
+      case "call":
+        return translateCall(node);
+      default:
+        return fail(`Unsupported construct ${node.type}.`, node);
+    }
+  }
+
+  // As in Java, + concatenates if an operand is a string and adds otherwise
+  function translatePlus(node) {
+    const left = translate(node.left);
+    const right = translate(node.right);
+    if (!isStringType(left.type) && !isStringType(right.type)) {
+      if (!left.type || !right.type) {
+        warnings.push(
+          `The operand types of "+" at line ${node.line}, column ${node.column} are unknown; it is translated as a string concatenation.`
+        );
+      } else if (isNumericType(left.type) && isNumericType(right.type)) {
+        return {
+          sql: `${left.sql} + ${right.sql}`,
+          type: getCommonType([left.type, right.type]),
+        };
+      } else {
+        fail(
+          `Cannot add ${getTypeLabel(left.type)} and ${getTypeLabel(
+            right.type
+          )}.`,
+          node
+        );
+      }
+    }
+    const parts = [left, right].flatMap((part) =>
+      part.parts
+        ? part.parts
+        : [
+            isStringType(part.type) || !part.type
+              ? part.sql
+              : dialect.cast(part.sql, dialect.typeName(STRING)),
+          ]
+    );
+    return { sql: dialect.concat(parts), type: STRING, parts };
+  }
+
+  function translateCall(node) {
+    const { name, args } = node;
+    const definition = STRING_MANIPULATION_FUNCTIONS[name];
+    if (!definition) {
+      fail(`Unsupported function ${name}.`, node);
+    }
+    const { params } = definition;
+    checkArgumentCount(name, params, args.length);
+    const results = args.map((arg, index) => {
+      const kind = params[Math.min(index, params.length - 1)].replace(
+        /\?|\.\.\./,
+        ""
+      );
+      const result = translate(arg);
+      if (!fitsKind(result.type, kind)) {
+        fail(
+          `Argument ${
+            index + 1
+          } of ${name} must be a ${kind}, found ${getTypeLabel(result.type)}${
+            kind === "string" ? "; convert it with string()" : ""
+          }.`,
+          arg
+        );
+      }
+      return result;
+    });
+    if (definition.warning && !warnings.includes(definition.warning)) {
+      warnings.push(definition.warning);
+    }
+    const types = results.map((result) => result.type);
+    const type =
+      typeof definition.returns === "function"
+        ? types.every(Boolean)
+          ? definition.returns(types)
+          : null
+        : definition.returns;
+    return { sql: definition.toSQL(results, dialect), type };
+  }
+
+  const result = translate(parseStringManipulation(expression));
+  return { sql: result.sql, type: result.type, warnings, approximate };
+}
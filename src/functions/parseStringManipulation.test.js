@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import {
+  parseStringManipulation,
+  translateStringManipulation,
+} from "./parseStringManipulation";
+import { ExpressionSyntaxError } from "./parseKnimeExpression";
+import { KNIME_TYPES, createColumn } from "./columnSchema";
+import { getDialect } from "../dialects";
+
+const generic = getDialect();
+
+const inputSchema = [
+  createColumn("a", KNIME_TYPES.INT),
+  createColumn("s", KNIME_TYPES.STRING),
+];
+
+const translate = (expression) =>
+  translateStringManipulation(expression, generic, { inputSchema });
+
+describe("parseStringManipulation", () => {
+  it("parses function calls with their arguments", () => {
+    expect(parseStringManipulation('join($s$, "-")')).toMatchObject({
+      type: "call",
+      args: [
+        { type: "column", value: "s" },
+        { type: "string", value: "-" },
+      ],
+    });
+  });
+
+  it("reports the position of syntax errors", () => {
+    expect(() => parseStringManipulation("upperCase($s$")).toThrow(
+      ExpressionSyntaxError
+    );
+    expect(() => parseStringManipulation("upperCase($s$")).toThrow(
+      'Line 1, column 14: Expected ")" or "," in the arguments of upperCase, found the end of the expression.'
+    );
+  });
+});
+
+describe("translateStringManipulation", () => {
+  it("concatenates strings", () => {
+    expect(translate('join($s$, "-", string($a$))')).toEqual({
+      sql: `"s" || '-' || CAST("a" AS VARCHAR)`,
+      type: KNIME_TYPES.STRING,
+      warnings: [],
+      approximate: false,
+    });
+    expect(translate('$s$ + "x"').sql).toBe(`"s" || 'x'`);
+  });
+
+  it("shifts substr() positions from 0-based to 1-based", () => {
+    expect(translate("substr($s$, 1, 2)").sql).toBe('SUBSTRING("s", 2, 2)');
+  });
+
+  it("rejects unknown functions", () => {
+    expect(() => translate("foo($s$)")).toThrow(
+      "Line 1, column 1: Unsupported function foo."
+    );
+  });
+});
@@ -53,8 +53,10 @@ function findConfigByKey(config, key) {
  *
  * @param {object} workflowJson - The workflow JSON.
  * @returns {object} - An object with:
- *    - nodes: an array of node objects (each with id, settingsFile, nodeType, nextNodes, order)
- *    - connections: an array of connection objects { sourceID, destID }
+ *    - nodes: an array of node objects (each with id, settingsFile, nodeType, nextNodes,
+ *      nextConnections, order)
+ *    - connections: an array of connection objects { sourceID, destID, sourcePort, destPort }
+ *      (sourceID/destID -1 is the metanode boundary inside a metanode's workflow.knime)
  */
 export function parseWorkflowKnime(workflowJson) {
   // The root node is in workflowJson.config.
@@ -85,19 +87,55 @@ export function parseWorkflowKnime(workflowJson) {
     nodeMap[id] = node;
   });
 
-  // Get the connections block.
+  // Get the connections block (empty for workflows without connections).
   const connectionsBlock = findConfigByKey(root.config, "connections");
-  if (!connectionsBlock || !connectionsBlock.config) {
+  if (!connectionsBlock) {
     throw new Error("Connections block not found in workflow JSON.");
   }
-  const connectionConfigs = Array.isArray(connectionsBlock.config)
+  const connectionConfigs = !connectionsBlock.config
+    ? []
+    : Array.isArray(connectionsBlock.config)
     ? connectionsBlock.config
     : [connectionsBlock.config];
   const connections = [];
   connectionConfigs.forEach((cc) => {
     const sourceID = parseInt(getEntryValue(cc, "sourceID"), 10);
     const destID = parseInt(getEntryValue(cc, "destID"), 10);
-    connections.push({ sourceID, destID });
+    const sourcePort = parseInt(getEntryValue(cc, "sourcePort"), 10);
+    const destPort = parseInt(getEntryValue(cc, "destPort"), 10);
+    connections.push({
+      sourceID,
+      destID,
+      sourcePort: isNaN(sourcePort) ? null : sourcePort,
+      destPort: isNaN(destPort) ? null : destPort,
+    });
+  });
+
+  // Connections to the metanode boundary (-1) are not part of this level's graph.
+  const sortedNodes = sortWorkflowNodes(
+    nodes,
+    connections.filter((conn) => nodeMap[conn.sourceID] && nodeMap[conn.destID])
+  );
+
+  return { nodes: sortedNodes, connections };
+}
+
+/**
+ * Sorts workflow nodes topologically (Kahn's algorithm) and fills in each node's
+ * 'nextNodes' (downstream node IDs), 'nextConnections' (the outgoing connections with
+ * their ports, { destID, sourcePort, destPort }) and 'order' (starting at 0 for nodes
+ * without incoming connections). The nodes are modified in place.
+ *
+ * @param {Array<object>} nodes - Node objects with an 'id'.
+ * @param {Array<object>} connections - Connection objects { sourceID, destID, ... }.
+ * @returns {Array<object>} - The nodes in topological order.
+ */
+export function sortWorkflowNodes(nodes, connections) {
+  const nodeMap = {};
+  nodes.forEach((node) => {
+    node.nextNodes = [];
+    node.nextConnections = [];
+    nodeMap[node.id] = node;
   });
 
   // Build the graph: for each connection, add the destID to the source node's nextNodes.
@@ -109,6 +147,11 @@ export function parseWorkflowKnime(workflowJson) {
   connections.forEach((conn) => {
     if (nodeMap[conn.sourceID]) {
       nodeMap[conn.sourceID].nextNodes.push(conn.destID);
+      nodeMap[conn.sourceID].nextConnections.push({
+        destID: conn.destID,
+        sourcePort: conn.sourcePort ?? null,
+        destPort: conn.destPort ?? null,
+      });
     }
     inDegree[conn.destID] = (inDegree[conn.destID] || 0) + 1;
   });
@@ -141,5 +184,35 @@ export function parseWorkflowKnime(workflowJson) {
     );
   }
 
-  return { nodes: sortedNodes, connections };
+  return sortedNodes;
+}
+
+/**
+ * Reads the workflow variables defined in a workflow.knime (its "workflow_variables"
+ * block), which are visible to every node of that workflow.
+ *
+ * @param {object} workflowJson - The workflow JSON.
+ * @returns {object} - The variables keyed by name, each { type, value } with the KNIME
+ *    type ("STRING", "INTEGER", "DOUBLE", ...) and the value as saved (a string).
+ */
+export function parseWorkflowVariables(workflowJson) {
+  const variablesBlock = findConfigByKey(
+    workflowJson.config?.config,
+    "workflow_variables"
+  );
+  if (!variablesBlock || !variablesBlock.config) return {};
+  const variableConfigs = Array.isArray(variablesBlock.config)
+    ? variablesBlock.config
+    : [variablesBlock.config];
+
+  const variables = {};
+  variableConfigs.forEach((vc) => {
+    const name = getEntryValue(vc, "name");
+    if (name === null) return;
+    variables[name] = {
+      type: getEntryValue(vc, "class"),
+      value: getEntryValue(vc, "value"),
+    };
+  });
+  return variables;
 }
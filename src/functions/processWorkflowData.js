@@ -0,0 +1,226 @@
+// src/functions/processWorkflowData.js
+
+import { getConverter } from "../converters";
+import { findInputByPort, findInputs } from "./findInputNodes";
+import { getColumnNodes } from "./getColumnNodes";
+import { applyColumnOrder } from "./applyColumnOrder";
+import {
+  createColumn,
+  findSchemaColumn,
+  getCommonType,
+  getNodeSchema,
+} from "./columnSchema";
+
+/**
+ * Analyzes how a node changes the columns, based only on its settings (see
+ * getColumnNodes). This runs on every analysis rather than when the workflow is read,
+ * so converters registered after loadWorkflow take part too.
+ * @param {object} node - The raw node.
+ * @returns {object} - The column changes.
+ */
+const getColumnChanges = (node) =>
+  (node.config && getColumnNodes(node.config, null, node.portSpecs)) || {
+    finalColumns: [],
+    addedColumns: [],
+    removedColumns: [],
+    columnTypes: {},
+    columnOrder: null,
+    warnings: [],
+  };
+
+/**
+ * Determines the output columns of a node from its inputs by port, if its converter
+ * has getInputColumns (see registerConverter).
+ * @param {object} node - The raw node.
+ * @param {Array<object>} inputs - Its data inputs (see findInputs).
+ * @param {Array<object>} rawNodes - All raw nodes.
+ * @param {object} processedNodeMap - The nodes processed so far, keyed by ID.
+ * @returns {object|null} - The column changes, or null to keep the propagated columns.
+ */
+const getInputColumnChanges = (node, inputs, rawNodes, processedNodeMap) => {
+  const getInputColumns = getConverter(node.nodeType)?.getInputColumns;
+  if (!getInputColumns || !node.config) return null;
+  const portCount = Math.max(
+    0,
+    ...inputs.map(({ port }, index) => port ?? index + 1)
+  );
+  const portInputs = Array.from({ length: portCount }, (_, index) => {
+    const input = findInputByPort(node.id, index + 1, rawNodes);
+    return (input && processedNodeMap[input.node.id]) || null;
+  });
+  return getInputColumns(node.config, portInputs);
+};
+
+/**
+ * Processes the raw node records read from a .knwf archive: sorts them by execution
+ * order, resolves each node's predecessors, analyzes each node's columns with its
+ * registered converter and propagates output columns downstream.
+ *
+ * @param {Array<object>} rawData - Raw node records as returned by loadWorkflowFromZip.
+ * @returns {Array<object>} - Processed nodes in execution order, each with 'previousNodes'
+ * (predecessor IDs in input port order), 'previousConnections' ({ sourceID, sourcePort,
+ * destPort } per incoming data connection), 'nodes' (output column names), 'schema'
+ * (output columns as { name, type, nullable } with the KNIME cell class as type) and
+ * 'warnings' (problems found while analyzing the columns) filled in.
+ */
+export function processWorkflowData(rawData) {
+  if (!Array.isArray(rawData) || rawData.length === 0) {
+    return [];
+  }
+  // 1. Create a map for efficient lookup by ID from the raw data
+  const originalNodeMap = rawData.reduce((map, node) => {
+    if (node.id !== null && node.id !== undefined) {
+      map[node.id] = node;
+    }
+    return map;
+  }, {});
+
+  // 2. Sort nodes by execution order
+  const sortedNodes = [...rawData].sort((a, b) => {
+    if (a.order === undefined || a.order === null) return 1; // Nodes without order go last
+    if (b.order === undefined || b.order === null) return -1;
+    return a.order - b.order;
+  });
+
+  // 3. Process nodes in order, storing results in a map
+  const processedNodeMap = {};
+
+  for (const currentNode of sortedNodes) {
+    if (currentNode.id === null || currentNode.id === undefined) continue;
+
+    // --- Find Predecessor IDs ---
+    // Data inputs ordered by input port (flow variable connections are skipped),
+    // so previousNodes[0] is the node connected to the first data port.
+    const inputs = findInputs(currentNode.id, Object.values(originalNodeMap));
+    const previousConnections = inputs.map(({ node, port, sourcePort }) => ({
+      sourceID: node.id,
+      sourcePort,
+      destPort: port,
+    }));
+    const predecessorIds = [...new Set(inputs.map(({ node }) => node.id))];
+    // --- End Find Predecessor IDs ---
+
+    // --- Calculate Final Output Columns ('nodes') ---
+    let calculatedInputColumns = [];
+    const columnChanges = getColumnChanges(currentNode);
+    const warnings = [...columnChanges.warnings];
+    if (predecessorIds.length > 0) {
+      // Combine columns from all predecessors (using Set to handle duplicates)
+      const combinedPredecessorColumns = new Set();
+      predecessorIds.forEach((predId) => {
+        const predecessorNode = processedNodeMap[predId]; // IMPORTANT: Lookup *processed* node
+        if (predecessorNode?.nodes && Array.isArray(predecessorNode.nodes)) {
+          predecessorNode.nodes.forEach((col) =>
+            combinedPredecessorColumns.add(col)
+          );
+        } else {
+          warnings.push(
+            `The columns of input node ${predId} are unknown; they are missing from this node's columns.`
+          );
+          // Optionally, could look up in originalNodeMap as a fallback, but might be inaccurate
+        }
+      });
+      calculatedInputColumns = Array.from(combinedPredecessorColumns);
+    } else {
+      // Node has no predecessors (e.g., reader node)
+      calculatedInputColumns = [];
+    }
+
+    // Now, determine the *output* columns of the *current* node
+    let finalOutputColumns;
+    // Use getColumnNodes again, but this time provide the calculated input columns
+    // Need to ensure getColumnNodes can handle this scenario correctly.
+    // Let's simulate its logic here for clarity:
+    const initialOutput = columnChanges.finalColumns;
+    const columnsToAdd = columnChanges.addedColumns;
+    const columnsToRemove = new Set(columnChanges.removedColumns);
+
+    if (initialOutput.length > 0) {
+      // If the node defines its own output (like a reader), use that.
+      finalOutputColumns = [...initialOutput];
+    } else {
+      // Otherwise, start with input columns, remove specified, add specified.
+      let currentColumns = calculatedInputColumns.filter(
+        (col) => !columnsToRemove.has(col)
+      );
+      const currentColumnSet = new Set(currentColumns);
+      columnsToAdd.forEach((col) => currentColumnSet.add(col));
+      finalOutputColumns = Array.from(currentColumnSet);
+    }
+    if (Array.isArray(columnChanges.columnOrder)) {
+      finalOutputColumns = applyColumnOrder(
+        finalOutputColumns,
+        columnChanges.columnOrder
+      );
+    }
+    // Nodes such as the Cross Joiner name their columns after the input they come from
+    const inputColumnChanges = getInputColumnChanges(
+      currentNode,
+      inputs,
+      Object.values(originalNodeMap),
+      processedNodeMap
+    );
+    if (inputColumnChanges?.finalColumns) {
+      finalOutputColumns = [...inputColumnChanges.finalColumns];
+    }
+    // --- End Calculate Final Output Columns ---
+
+    // --- Calculate Typed Schema ('schema') ---
+    // Columns defined or changed by this node take its types; all others keep their
+    // input type. Columns from several inputs (e.g. Concatenate) get the common type
+    // and are nullable if any input lacks them.
+    const inputSchemas = predecessorIds.map((predId) =>
+      getNodeSchema(processedNodeMap[predId])
+    );
+    const inputSchema = {};
+    inputSchemas.flat().forEach((column) => {
+      if (inputSchema[column.name]) return;
+      const columns = inputSchemas.map((schema) =>
+        findSchemaColumn(schema, column.name)
+      );
+      inputSchema[column.name] = createColumn(
+        column.name,
+        getCommonType(columns.map((col) => col?.type)),
+        columns.some((col) => !col || col.nullable)
+      );
+    });
+    const columnTypes = {
+      ...columnChanges.columnTypes,
+      ...inputColumnChanges?.columnTypes,
+    };
+    const schema = finalOutputColumns.map((name) =>
+      columnTypes[name]
+        ? createColumn(
+            name,
+            columnTypes[name].type,
+            columnTypes[name].nullable ?? true
+          )
+        : inputSchema[name]
+        ? { ...inputSchema[name] }
+        : createColumn(name)
+    );
+    // --- End Calculate Typed Schema ---
+
+    // Store the fully processed node
+    processedNodeMap[currentNode.id] = {
+      ...currentNode,
+      initialOutputColumns: columnChanges.finalColumns, // Columns defined by this node (e.g., reader)
+      addedColumns: columnChanges.addedColumns, // Columns explicitly added
+      removedColumns: columnChanges.removedColumns, // Columns explicitly removed
+      columnTypes: columnChanges.columnTypes, // Types of columns defined or changed by this node
+      columnOrder: columnChanges.columnOrder, // New order of the output columns, if changed
+      previousNodes: predecessorIds, // Store the calculated previous node IDs
+      previousConnections, // Incoming data connections with their ports
+      nodes: finalOutputColumns, // Store the calculated final output columns
+      schema, // Output columns with KNIME type and nullability
+      warnings, // Problems found while analyzing the node's columns
+    };
+  } // End loop through sorted nodes
+
+  // 4. Convert map back to array, maintaining the calculated sort order
+  const finalProcessedData = sortedNodes
+    .map((node) => processedNodeMap[node.id]) // Get processed data in sorted order
+    .filter(Boolean); // Filter out any nodes that might have failed processing
+
+  return finalProcessedData;
+}
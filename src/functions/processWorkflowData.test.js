@@ -0,0 +1,45 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { KNIME_TYPES } from "./columnSchema";
+import {
+  analyzeWorkflow,
+  loadWorkflow,
+  registerConverter,
+  unregisterConverter,
+} from "../index";
+import { buildWorkflow, csvReader, knimeNode } from "../test/knimeWorkflow";
+
+const MASK_FACTORY = "com.example.knime.MaskColumnNodeFactory";
+
+describe("processWorkflowData", () => {
+  afterEach(() => {
+    unregisterConverter(MASK_FACTORY);
+  });
+
+  it("takes the columns from converters registered after the workflow was read", async () => {
+    const workflow = await loadWorkflow(
+      await buildWorkflow(
+        {
+          1: csvReader([["name", KNIME_TYPES.STRING]]),
+          2: knimeNode(MASK_FACTORY, {}, { name: "Mask Column" }),
+        },
+        [[1, 2]]
+      )
+    );
+    registerConverter({
+      name: "Mask Column",
+      factories: [MASK_FACTORY],
+      toSQL: () => "SELECT 1",
+      getColumns: () => ({
+        addedColumns: ["masked"],
+        columnTypes: { masked: { type: KNIME_TYPES.STRING, nullable: true } },
+      }),
+    });
+    const analysis = analyzeWorkflow(workflow);
+    expect(analysis.nodes[1].nodes).toEqual(["name", "masked"]);
+    expect(analysis.nodes[1].schema[1]).toEqual({
+      name: "masked",
+      type: KNIME_TYPES.STRING,
+      nullable: true,
+    });
+  });
+});
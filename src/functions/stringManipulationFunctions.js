@@ -0,0 +1,140 @@
+// src/functions/stringManipulationFunctions.js
+
+import { KNIME_TYPES, isStringType } from "./columnSchema";
+import {
+  foldCase,
+  ignoresCase,
+  padFunction,
+  sqlFunction,
+  stringLiteral,
+  toStringFunction,
+} from "./expressionFunctions";
+
+const { STRING, INT, LONG, DOUBLE } = KNIME_TYPES;
+
+/**
+ * Converts a 0-based KNIME index to a 1-based SQL position.
+ * @param {object} index - The translated index argument.
+ * @returns {string} - The SQL position.
+ */
+const toPosition = (index) =>
+  Number.isInteger(index.literal)
+    ? String(index.literal + 1)
+    : `${index.sql} + 1`;
+
+/**
+ * Converts a value to a number type; KNIME parses strings and converts numbers.
+ * @param {string} type - The KNIME cell class of the result.
+ * @returns {object} - The function definition.
+ */
+const toNumberFunction = (type) => ({
+  params: ["any"],
+  returns: type,
+  toSQL: ([value], dialect) =>
+    value.type === type
+      ? value.sql
+      : dialect.cast(value.sql, dialect.typeName(type)),
+});
+
+/**
+ * The functions of the KNIME String Manipulation node that have an SQL equivalent,
+ * keyed by name, in the format of EXPRESSION_FUNCTIONS. Indices are 0-based as in
+ * KNIME, and indexOf gives -1 if the string is not found. A definition may carry a
+ * warning, which is reported wherever the function is used.
+ */
+export const STRING_MANIPULATION_FUNCTIONS = {
+  upperCase: sqlFunction("UPPER", ["string"], STRING),
+  lowerCase: sqlFunction("LOWER", ["string"], STRING),
+  capitalize: {
+    ...sqlFunction("INITCAP", ["string"], STRING),
+    warning:
+      "capitalize also lower-cases the other letters of each word in SQL; KNIME leaves them unchanged.",
+  },
+  length: sqlFunction("LENGTH", ["string"], INT),
+  reverse: sqlFunction("REVERSE", ["string"], STRING),
+  strip: sqlFunction("TRIM", ["string"], STRING),
+  stripStart: sqlFunction("LTRIM", ["string"], STRING),
+  stripEnd: sqlFunction("RTRIM", ["string"], STRING),
+  padLeft: padFunction("LPAD"),
+  padRight: padFunction("RPAD"),
+  join: {
+    params: ["string", "string..."],
+    returns: STRING,
+    toSQL: (args, dialect) =>
+      args.length === 1
+        ? args[0].sql
+        : dialect.concat(args.map((arg) => arg.sql)),
+  },
+  joinSep: sqlFunction("CONCAT_WS", ["string", "string..."], STRING),
+  substr: {
+    params: ["string", "integer", "integer?"],
+    returns: STRING,
+    toSQL: ([string, start, length], dialect) =>
+      dialect.substring(string.sql, toPosition(start), length?.sql),
+  },
+  replace: {
+    params: ["string", "string", "string", "string?"],
+    returns: STRING,
+    toSQL: ([string, search, replacement, modifiers], dialect) => {
+      if (modifiers) {
+        throw new Error("The modifiers of replace are not supported.");
+      }
+      return dialect.callFunction("REPLACE", [
+        string.sql,
+        search.sql,
+        replacement.sql,
+      ]);
+    },
+  },
+  // indexOf(str, toSearch, [start], [modifiers])
+  indexOf: {
+    params: ["string", "string", "any?", "string?"],
+    returns: INT,
+    toSQL: (args, dialect) => {
+      const [string, search] = args;
+      const isModifiers = (arg) =>
+        typeof arg.literal === "string" || isStringType(arg.type);
+      const start = args[2] && !isModifiers(args[2]) ? args[2] : null;
+      const modifiers = args[start ? 3 : 2];
+      const [expr, term] = foldCase(
+        [string.sql, search.sql],
+        ignoresCase(modifiers),
+        dialect
+      );
+      if (!start || start.literal === 0) {
+        return `${dialect.position(expr, term)} - 1`;
+      }
+      const found = dialect.position(
+        dialect.substring(expr, toPosition(start)),
+        term
+      );
+      return `CASE WHEN ${found} = 0 THEN -1 ELSE ${found} + ${start.sql} - 1 END`;
+    },
+  },
+  regexReplace: {
+    params: ["string", "string", "string"],
+    returns: STRING,
+    toSQL: ([string, pattern, replacement], dialect) =>
+      dialect.regexReplace(
+        string.sql,
+        stringLiteral(pattern, "regular expression"),
+        stringLiteral(replacement, "replacement")
+      ),
+  },
+  toNull: {
+    params: ["string"],
+    returns: STRING,
+    toSQL: ([string], dialect) =>
+      dialect.callFunction("NULLIF", [string.sql, dialect.quoteString("")]),
+  },
+  toEmpty: {
+    params: ["string"],
+    returns: STRING,
+    toSQL: ([string], dialect) =>
+      dialect.callFunction("COALESCE", [string.sql, dialect.quoteString("")]),
+  },
+  string: toStringFunction,
+  toInt: toNumberFunction(INT),
+  toLong: toNumberFunction(LONG),
+  toDouble: toNumberFunction(DOUBLE),
+};
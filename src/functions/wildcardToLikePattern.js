@@ -0,0 +1,14 @@
+// src/functions/wildcardToLikePattern.js
+
+/**
+ * Converts a KNIME wildcard pattern (* for any characters, ? for a single character)
+ * to a LIKE pattern with backslash as escape character.
+ * @param {string} pattern - The wildcard pattern.
+ * @returns {string} - The LIKE pattern.
+ */
+export function wildcardToLikePattern(pattern) {
+  return String(pattern)
+    .replace(/[\\%_]/g, "\\$&")
+    .replace(/\*/g, "%")
+    .replace(/\?/g, "_");
+}
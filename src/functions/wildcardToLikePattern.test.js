@@ -0,0 +1,8 @@
+import { describe, expect, it } from "vitest";
+import { wildcardToLikePattern } from "./wildcardToLikePattern";
+
+describe("wildcardToLikePattern", () => {
+  it("translates the wildcards and escapes the LIKE characters", () => {
+    expect(wildcardToLikePattern("A*_x?%\\")).toBe("A%\\_x_\\%\\\\");
+  });
+});
@@ -0,0 +1,115 @@
+// src/index.js
+
+/**
+ * Framework-free entry point of the KNIME to SQL converter.
+ *
+ * The pipeline has three steps, each returning plain data that can be serialized
+ * or inspected between steps:
+ *
+ *   const workflow = await loadWorkflow(arrayBuffer);
+ *   const analysis = analyzeWorkflow(workflow);
+ *   const { combined, nodes } = toSQL(analysis);
+ */
+
+import { loadWorkflowFromZip } from "./functions/loadWorkflowFromZip";
+import { processWorkflowData } from "./functions/processWorkflowData";
+import {
+  convertNodeInWorkflow,
+  isSupportedNodeFactory,
+} from "./functions/convertSelectedNodeToSQL";
+import { generateCombinedSQL } from "./functions/generateCombinedSQL";
+import { getDialect } from "./dialects";
+export {
+  registerConverter,
+  unregisterConverter,
+  getConverter,
+  getSupportedNodeFactories,
+} from "./converters";
+
+export {
+  createConversionResult,
+  conversionError,
+} from "./functions/conversionResult";
+
+export {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  getDialect,
+  createDialect,
+} from "./dialects";
+
+/**
+ * Reads a .knwf archive.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|File} data - The .knwf archive contents.
+ * @returns {Promise<{nodes: Array<object>, warnings: string[]}>} - The raw nodes read from
+ * workflow.knime and the settings.xml files, and the nodes that could not be read.
+ * @throws {Error} - If the archive does not contain a workflow.knime file.
+ */
+export async function loadWorkflow(data) {
+  return loadWorkflowFromZip(data);
+}
+
+/**
+ * Resolves execution order, predecessors and output columns of a loaded workflow.
+ *
+ * @param {{nodes: Array<object>, warnings?: string[]}} workflow - The result of loadWorkflow.
+ * @returns {{nodes: Array<object>, unsupportedNodeIds: Array<number>, warnings: string[]}}
+ * - The processed nodes in execution order (each with the warnings of its column
+ * analysis), the IDs of nodes that have no SQL converter and the warnings of
+ * loadWorkflow.
+ */
+export function analyzeWorkflow(workflow) {
+  const nodes = processWorkflowData(workflow?.nodes || []);
+  const unsupportedNodeIds = nodes
+    .filter((node) => !isSupportedNodeFactory(node.nodeType))
+    .map((node) => node.id);
+  return { nodes, unsupportedNodeIds, warnings: workflow?.warnings || [] };
+}
+
+/**
+ * Generates SQL for an analyzed workflow.
+ *
+ * @param {{nodes: Array<object>}} analysis - The result of analyzeWorkflow.
+ * @param {object} [options={}] - Generation options.
+ * @param {boolean} [options.combined=true] - Generate the combined WITH ... SELECT statement.
+ * @param {Array<number>} [options.nodeIds] - Only generate per-node SQL for these node IDs
+ * (defaults to every node).
+ * @param {string|object} [options.dialect="generic"] - Target SQL dialect, by name (see
+ * DIALECTS) or as a dialect object created with createDialect.
+ * @returns {{combined: string|null, nodes: Array<object>}} - The combined SQL and one entry
+ * per node: { id, nodeName, nodeType, supported, sql, columns, warnings, errors,
+ * approximate }, where sql is null if the node could not be converted (see errors) and
+ * approximate marks SQL that may give different results than KNIME.
+ * @throws {Error} - If the dialect name is unknown.
+ */
+export function toSQL(analysis, options = {}) {
+  const { combined = true, nodeIds = null } = options;
+  const dialect = getDialect(options.dialect);
+  const processedNodes = analysis?.nodes || [];
+
+  const results = new Map(
+    processedNodes
+      .filter((node) => combined || !nodeIds || nodeIds.includes(node.id))
+      .map((node) => [
+        node.id,
+        convertNodeInWorkflow(node, processedNodes, dialect),
+      ])
+  );
+  const nodes = processedNodes
+    .filter((node) => !nodeIds || nodeIds.includes(node.id))
+    .map((node) => ({
+      id: node.id,
+      nodeName: node.nodeName,
+      nodeType: node.nodeType,
+      supported: isSupportedNodeFactory(node.nodeType),
+      ...results.get(node.id),
+    }));
+
+  return {
+    combined: combined
+      ? generateCombinedSQL(processedNodes, dialect, results)
+      : null,
+    nodes,
+  };
+}
@@ -0,0 +1,243 @@
+// src/test/knimeWorkflow.js
+
+import JSZip from "jszip";
+import { DIALECTS, analyzeWorkflow, loadWorkflow, toSQL } from "../index";
+
+const TYPED_ENTRY = Symbol("typedEntry");
+
+/**
+ * Marks a settings value with an explicit entry type, e.g. typedEntry("xchar", ",").
+ * Other values get their type from their JavaScript type (see renderConfig).
+ * @param {string} type - The entry type (xstring, xint, xchar, ...).
+ * @param {*} value - The value.
+ * @returns {object} - The typed value.
+ */
+export const typedEntry = (type, value) => ({ [TYPED_ENTRY]: type, value });
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const entryType = (value) => {
+  if (typeof value === "boolean") return "xboolean";
+  if (Number.isInteger(value)) return "xint";
+  return typeof value === "number" ? "xdouble" : "xstring";
+};
+
+/**
+ * Renders a settings value as KNIME config XML: objects become configs, arrays become
+ * array configs (with "array-size"), null becomes a null entry and other values become
+ * entries.
+ * @param {string} key - The key of the config or entry.
+ * @param {*} value - The value.
+ * @param {string} [indent=""] - The indentation.
+ * @returns {string} - The XML.
+ */
+const renderConfig = (key, value, indent = "") => {
+  const keyAttribute = `key="${escapeXml(key)}"`;
+  if (value === null) {
+    return `${indent}<entry ${keyAttribute} type="xstring" isnull="true" value=""/>\n`;
+  }
+  if (value?.[TYPED_ENTRY]) {
+    return `${indent}<entry ${keyAttribute} type="${
+      value[TYPED_ENTRY]
+    }" value="${escapeXml(value.value)}"/>\n`;
+  }
+  const children = Array.isArray(value)
+    ? [
+        ["array-size", value.length],
+        ...value.map((item, i) => [String(i), item]),
+      ]
+    : typeof value === "object"
+    ? Object.entries(value)
+    : null;
+  if (!children) {
+    return `${indent}<entry ${keyAttribute} type="${entryType(
+      value
+    )}" value="${escapeXml(value)}"/>\n`;
+  }
+  return `${indent}<config ${keyAttribute}>\n${children
+    .map(([childKey, child]) => renderConfig(childKey, child, `${indent}  `))
+    .join("")}${indent}</config>\n`;
+};
+
+const renderDocument = (key, value) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n${renderConfig(key, value).replace(
+    `<config key="${key}">`,
+    `<config xmlns="http://www.knime.org/2008/09/XMLConfig" key="${key}">`
+  )}`;
+
+const renderSpec = (columns) =>
+  renderDocument("spec.xml", {
+    spec_name: "default",
+    number_columns: columns.length,
+    ...Object.fromEntries(
+      columns.map(([name, type], index) => [
+        `column_spec_${index}`,
+        {
+          column_name: name,
+          column_type: { cell_class: type, is_null: false },
+        },
+      ])
+    ),
+  });
+
+/**
+ * Describes a native node for buildWorkflow.
+ * @param {string} factory - The node factory class.
+ * @param {object} model - The "model" settings (see renderConfig).
+ * @param {object} [options={}] - More settings.
+ * @param {string} [options.name] - The node name (defaults to the factory's class name).
+ * @param {Array<[string, string]>} [options.outputColumns] - Columns (name, KNIME
+ * type) of a saved output table spec, as an executed node has.
+ * @returns {object} - The node description.
+ */
+export const knimeNode = (factory, model, options = {}) => ({
+  factory,
+  model,
+  name:
+    options.name ||
+    factory
+      .split(".")
+      .pop()
+      .replace(/NodeFactory$/, ""),
+  outputColumns: options.outputColumns || null,
+});
+
+/**
+ * Describes a CSV Reader node with typed columns.
+ * @param {Array<[string, string]>} columns - The columns (name, KNIME type).
+ * @param {string} [file="data.csv"] - The file path.
+ * @returns {object} - The node description (see knimeNode).
+ */
+export const csvReader = (columns, file = "data.csv") =>
+  knimeNode(
+    "org.knime.base.node.io.filehandling.csv.reader.CSVTableReaderNodeFactory",
+    {
+      settings: {
+        file_selection: { path: { location_present: true, path: file } },
+      },
+      table_spec_config_Internals: {
+        individual_specs: {
+          [file]: Object.fromEntries(
+            columns.map(([name, type], index) => [
+              String(index),
+              { name, type: { cell_class: type } },
+            ])
+          ),
+        },
+      },
+    },
+    { name: "CSV Reader" }
+  );
+
+/**
+ * Builds a .knwf archive with one workflow.
+ * @param {object} nodes - The nodes by ID (see knimeNode).
+ * @param {Array<number[]>} connections - [sourceID, destID, sourcePort=1, destPort=1]
+ * for each connection.
+ * @param {object} [variables={}] - Workflow variables by name, as { class, value }
+ * (class: STRING, INTEGER or DOUBLE).
+ * @returns {Promise<Uint8Array>} - The archive.
+ */
+export async function buildWorkflow(nodes, connections, variables = {}) {
+  const zip = new JSZip();
+  const folder = (id, node) => `${node.name} (#${id})`;
+  zip.file(
+    "test/workflow.knime",
+    renderDocument("workflow.knime", {
+      workflow_variables: Object.fromEntries(
+        Object.entries(variables).map(([name, variable], index) => [
+          `Var_${index}`,
+          { name, ...variable },
+        ])
+      ),
+      nodes: Object.fromEntries(
+        Object.entries(nodes).map(([id, node]) => [
+          `node_${id}`,
+          {
+            id: Number(id),
+            node_settings_file: `${folder(id, node)}/settings.xml`,
+            node_is_meta: false,
+            node_type: "NativeNode",
+          },
+        ])
+      ),
+      connections: Object.fromEntries(
+        connections.map(
+          ([sourceID, destID, sourcePort = 1, destPort = 1], index) => [
+            `connection_${index}`,
+            { sourceID, destID, sourcePort, destPort },
+          ]
+        )
+      ),
+    })
+  );
+  for (const [id, node] of Object.entries(nodes)) {
+    zip.file(
+      `test/${folder(id, node)}/settings.xml`,
+      renderDocument("settings.xml", {
+        factory: node.factory,
+        "node-name": node.name,
+        state: "EXECUTED",
+        customDescription: null,
+        model: node.model,
+        ...(node.outputColumns
+          ? {
+              ports: {
+                port_1: {
+                  index: 1,
+                  port_spec_class: "org.knime.core.data.DataTableSpec",
+                  port_dir_location: "port_1",
+                },
+              },
+            }
+          : {}),
+      })
+    );
+    if (node.outputColumns) {
+      zip.file(
+        `test/${folder(id, node)}/port_1/spec.xml`,
+        renderSpec(node.outputColumns)
+      );
+    }
+  }
+  return zip.generateAsync({ type: "uint8array" });
+}
+
+/**
+ * Builds, loads and analyzes a workflow (see buildWorkflow).
+ * @returns {Promise<object>} - The analysis (see analyzeWorkflow).
+ */
+export async function analyzeTestWorkflow(nodes, connections, variables) {
+  return analyzeWorkflow(
+    await loadWorkflow(await buildWorkflow(nodes, connections, variables))
+  );
+}
+
+/**
+ * Converts one node of an analyzed workflow.
+ * @param {object} analysis - The analysis (see analyzeTestWorkflow).
+ * @param {number} nodeId - The node ID.
+ * @param {string} [dialect] - The dialect name.
+ * @returns {object} - The node's entry of the toSQL result.
+ */
+export const convertNode = (analysis, nodeId, dialect) =>
+  toSQL(analysis, { combined: false, nodeIds: [nodeId], dialect }).nodes[0];
+
+/**
+ * Converts one node of an analyzed workflow to every dialect.
+ * @param {object} analysis - The analysis (see analyzeTestWorkflow).
+ * @param {number} nodeId - The node ID.
+ * @returns {object} - The node's SQL (null if it could not be converted) by dialect name.
+ */
+export const sqlPerDialect = (analysis, nodeId) =>
+  Object.fromEntries(
+    Object.keys(DIALECTS).map((dialect) => [
+      dialect,
+      convertNode(analysis, nodeId, dialect).sql,
+    ])
+  );
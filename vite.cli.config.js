@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite'
+
+// Builds the headless knime2sql command-line converter for Node.
+export default defineConfig({
+  build: {
+    ssr: 'src/cli/knime2sql.js',
+    outDir: 'dist-cli',
+    rollupOptions: {
+      output: {
+        format: 'cjs',
+        entryFileNames: 'knime2sql.cjs',
+        banner: '#!/usr/bin/env node',
+      },
+    },
+  },
+})
@@ -2,5 +2,9 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react()],
+  test: {
+    // Keep the SQL in snapshots readable
+    snapshotFormat: { escapeString: false }
+  }
 })
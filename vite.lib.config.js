@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite'
+
+// Builds the framework-free converter library (src/index.js) for embedding in other tools.
+export default defineConfig({
+  build: {
+    outDir: 'dist-lib',
+    lib: {
+      entry: 'src/index.js',
+      name: 'KnimeSqlConverter',
+      fileName: 'knime-sql-converter',
+      formats: ['es', 'cjs'],
+    },
+    rollupOptions: {
+      external: ['jszip', 'xml-js'],
+    },
+  },
+})